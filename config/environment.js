@@ -74,6 +74,46 @@ const CONFIG = {
     COOKIE_DOMAIN: undefined, // Keine Domain = akzeptiert alle (localhost, 127.0.0.1)
     COOKIE_SECURE: false,
 
+    // Sessions
+    SESSION_SECRET: process.env.SESSION_SECRET || "dev-session-secret",
+    SESSION_TTL_MS: Number(process.env.SESSION_TTL_MS) || 7 * 24 * 60 * 60 * 1000, // 7 Tage
+
+    // Gast-Cleanup
+    GUEST_IDLE_TTL_MS: Number(process.env.GUEST_IDLE_TTL_MS) || 7 * 24 * 60 * 60 * 1000, // 7 Tage
+    GUEST_REAPER_INTERVAL_MS: Number(process.env.GUEST_REAPER_INTERVAL_MS ?? 60 * 60 * 1000), // 1 Stunde, 0 = aus
+
+    // Papierkorb
+    TRASH_RETENTION_MS: Number(process.env.TRASH_RETENTION_MS) || 30 * 24 * 60 * 60 * 1000, // 30 Tage
+    TRASH_PURGE_INTERVAL_MS: Number(process.env.TRASH_PURGE_INTERVAL_MS ?? 60 * 60 * 1000), // 1 Stunde, 0 = aus
+
+    // Change-Stream (Server-Sent Events)
+    SSE_HEARTBEAT_MS: Number(process.env.SSE_HEARTBEAT_MS) || 25 * 1000, // Kommentarzeile gegen Proxy-Timeouts
+    SSE_MAX_STREAMS_PER_TENANT: Number(process.env.SSE_MAX_STREAMS_PER_TENANT) || 10, // Offene Streams pro User/Gast
+
+    // Webhooks
+    WEBHOOK_TIMEOUT_MS: Number(process.env.WEBHOOK_TIMEOUT_MS) || 5 * 1000, // Wartezeit auf den Empfänger
+    WEBHOOK_RETRY_INTERVAL_MS: Number(process.env.WEBHOOK_RETRY_INTERVAL_MS ?? 60 * 1000), // 1 Minute, 0 = aus
+    WEBHOOK_ALLOW_PRIVATE: process.env.WEBHOOK_ALLOW_PRIVATE !== "false", // Empfänger auf localhost/im LAN erlauben
+
+    // E-Mail (Passwort-Reset, Verifizierung)
+    APP_URL: process.env.APP_URL || "http://127.0.0.1:5501", // Frontend-Basis für Links in E-Mails
+    MAIL_TRANSPORT: process.env.MAIL_TRANSPORT || "outbox", // outbox (Dateien) | log (Konsole)
+    MAIL_FROM: process.env.MAIL_FROM || "Let's Todo <no-reply@localhost>",
+    MAIL_OUTBOX_DIR: process.env.MAIL_OUTBOX_DIR || "mail-outbox", // Zielordner des outbox-Transports
+    PASSWORD_RESET_TTL_MS: Number(process.env.PASSWORD_RESET_TTL_MS) || 60 * 60 * 1000, // 1 Stunde
+    EMAIL_VERIFICATION_TTL_MS: Number(process.env.EMAIL_VERIFICATION_TTL_MS) || 24 * 60 * 60 * 1000, // 24 Stunden
+    UNVERIFIED_ACCESS: process.env.UNVERIFIED_ACCESS || "full", // Unbestätigte Konten: full | readonly | none
+
+    // Konto-Löschung
+    ACCOUNT_DELETION_GRACE_MS: Number(process.env.ACCOUNT_DELETION_GRACE_MS ?? 7 * 24 * 60 * 60 * 1000), // 7 Tage, 0 = sofort
+    ACCOUNT_PURGE_INTERVAL_MS: Number(process.env.ACCOUNT_PURGE_INTERVAL_MS ?? 60 * 60 * 1000), // 1 Stunde, 0 = aus
+
+    // Pool-Registry
+    MAX_TENANT_POOLS: Number(process.env.MAX_TENANT_POOLS) || 50, // Gleichzeitig offene User-/Gast-Pools
+
+    // Admin-Endpoints (/api/admin) - ohne Token nur in Development erreichbar
+    ADMIN_TOKEN: process.env.ADMIN_TOKEN,
+
     // Logging
     DEBUG: true,
     LOG_LEVEL: "verbose",
@@ -103,6 +143,46 @@ const CONFIG = {
     COOKIE_DOMAIN: ".dev2k.org",
     COOKIE_SECURE: true,
 
+    // Sessions
+    SESSION_SECRET: process.env.SESSION_SECRET, // Pflicht: Signatur der Session-Cookies
+    SESSION_TTL_MS: Number(process.env.SESSION_TTL_MS) || 7 * 24 * 60 * 60 * 1000, // 7 Tage
+
+    // Gast-Cleanup
+    GUEST_IDLE_TTL_MS: Number(process.env.GUEST_IDLE_TTL_MS) || 7 * 24 * 60 * 60 * 1000, // 7 Tage
+    GUEST_REAPER_INTERVAL_MS: Number(process.env.GUEST_REAPER_INTERVAL_MS ?? 60 * 60 * 1000), // 1 Stunde, 0 = aus
+
+    // Papierkorb
+    TRASH_RETENTION_MS: Number(process.env.TRASH_RETENTION_MS) || 30 * 24 * 60 * 60 * 1000, // 30 Tage
+    TRASH_PURGE_INTERVAL_MS: Number(process.env.TRASH_PURGE_INTERVAL_MS ?? 60 * 60 * 1000), // 1 Stunde, 0 = aus
+
+    // Change-Stream (Server-Sent Events)
+    SSE_HEARTBEAT_MS: Number(process.env.SSE_HEARTBEAT_MS) || 25 * 1000, // Kommentarzeile gegen Proxy-Timeouts
+    SSE_MAX_STREAMS_PER_TENANT: Number(process.env.SSE_MAX_STREAMS_PER_TENANT) || 10, // Offene Streams pro User/Gast
+
+    // Webhooks
+    WEBHOOK_TIMEOUT_MS: Number(process.env.WEBHOOK_TIMEOUT_MS) || 5 * 1000, // Wartezeit auf den Empfänger
+    WEBHOOK_RETRY_INTERVAL_MS: Number(process.env.WEBHOOK_RETRY_INTERVAL_MS ?? 60 * 1000), // 1 Minute, 0 = aus
+    WEBHOOK_ALLOW_PRIVATE: false, // Keine Empfänger auf localhost/im internen Netz (SSRF)
+
+    // E-Mail (Passwort-Reset, Verifizierung)
+    APP_URL: process.env.APP_URL || "https://lets-todo.dev2k.org", // Frontend-Basis für Links in E-Mails
+    MAIL_TRANSPORT: process.env.MAIL_TRANSPORT || "outbox", // outbox (Dateien) | log (Konsole)
+    MAIL_FROM: process.env.MAIL_FROM || "Let's Todo <no-reply@dev2k.org>",
+    MAIL_OUTBOX_DIR: process.env.MAIL_OUTBOX_DIR || "mail-outbox", // Zielordner des outbox-Transports
+    PASSWORD_RESET_TTL_MS: Number(process.env.PASSWORD_RESET_TTL_MS) || 60 * 60 * 1000, // 1 Stunde
+    EMAIL_VERIFICATION_TTL_MS: Number(process.env.EMAIL_VERIFICATION_TTL_MS) || 24 * 60 * 60 * 1000, // 24 Stunden
+    UNVERIFIED_ACCESS: process.env.UNVERIFIED_ACCESS || "full", // Unbestätigte Konten: full | readonly | none
+
+    // Konto-Löschung
+    ACCOUNT_DELETION_GRACE_MS: Number(process.env.ACCOUNT_DELETION_GRACE_MS ?? 7 * 24 * 60 * 60 * 1000), // 7 Tage, 0 = sofort
+    ACCOUNT_PURGE_INTERVAL_MS: Number(process.env.ACCOUNT_PURGE_INTERVAL_MS ?? 60 * 60 * 1000), // 1 Stunde, 0 = aus
+
+    // Pool-Registry
+    MAX_TENANT_POOLS: Number(process.env.MAX_TENANT_POOLS) || 50, // Gleichzeitig offene User-/Gast-Pools
+
+    // Admin-Endpoints (/api/admin) - ohne Token nur in Development erreichbar
+    ADMIN_TOKEN: process.env.ADMIN_TOKEN,
+
     // Logging
     DEBUG: false,
     LOG_LEVEL: "error",
@@ -128,6 +208,46 @@ const CONFIG = {
     COOKIE_DOMAIN: ".dev2k.org",
     COOKIE_SECURE: true,
 
+    // Sessions
+    SESSION_SECRET: process.env.SESSION_SECRET, // Pflicht: Signatur der Session-Cookies
+    SESSION_TTL_MS: Number(process.env.SESSION_TTL_MS) || 7 * 24 * 60 * 60 * 1000, // 7 Tage
+
+    // Gast-Cleanup
+    GUEST_IDLE_TTL_MS: Number(process.env.GUEST_IDLE_TTL_MS) || 7 * 24 * 60 * 60 * 1000, // 7 Tage
+    GUEST_REAPER_INTERVAL_MS: Number(process.env.GUEST_REAPER_INTERVAL_MS ?? 60 * 60 * 1000), // 1 Stunde, 0 = aus
+
+    // Papierkorb
+    TRASH_RETENTION_MS: Number(process.env.TRASH_RETENTION_MS) || 30 * 24 * 60 * 60 * 1000, // 30 Tage
+    TRASH_PURGE_INTERVAL_MS: Number(process.env.TRASH_PURGE_INTERVAL_MS ?? 60 * 60 * 1000), // 1 Stunde, 0 = aus
+
+    // Change-Stream (Server-Sent Events)
+    SSE_HEARTBEAT_MS: Number(process.env.SSE_HEARTBEAT_MS) || 25 * 1000, // Kommentarzeile gegen Proxy-Timeouts
+    SSE_MAX_STREAMS_PER_TENANT: Number(process.env.SSE_MAX_STREAMS_PER_TENANT) || 10, // Offene Streams pro User/Gast
+
+    // Webhooks
+    WEBHOOK_TIMEOUT_MS: Number(process.env.WEBHOOK_TIMEOUT_MS) || 5 * 1000, // Wartezeit auf den Empfänger
+    WEBHOOK_RETRY_INTERVAL_MS: Number(process.env.WEBHOOK_RETRY_INTERVAL_MS ?? 60 * 1000), // 1 Minute, 0 = aus
+    WEBHOOK_ALLOW_PRIVATE: false, // Keine Empfänger auf localhost/im internen Netz (SSRF)
+
+    // E-Mail (Passwort-Reset, Verifizierung)
+    APP_URL: process.env.APP_URL || "https://staging-lets-todo-app.dev2k.org", // Frontend-Basis für Links in E-Mails
+    MAIL_TRANSPORT: process.env.MAIL_TRANSPORT || "outbox", // outbox (Dateien) | log (Konsole)
+    MAIL_FROM: process.env.MAIL_FROM || "Let's Todo <no-reply@dev2k.org>",
+    MAIL_OUTBOX_DIR: process.env.MAIL_OUTBOX_DIR || "mail-outbox", // Zielordner des outbox-Transports
+    PASSWORD_RESET_TTL_MS: Number(process.env.PASSWORD_RESET_TTL_MS) || 60 * 60 * 1000, // 1 Stunde
+    EMAIL_VERIFICATION_TTL_MS: Number(process.env.EMAIL_VERIFICATION_TTL_MS) || 24 * 60 * 60 * 1000, // 24 Stunden
+    UNVERIFIED_ACCESS: process.env.UNVERIFIED_ACCESS || "full", // Unbestätigte Konten: full | readonly | none
+
+    // Konto-Löschung
+    ACCOUNT_DELETION_GRACE_MS: Number(process.env.ACCOUNT_DELETION_GRACE_MS ?? 7 * 24 * 60 * 60 * 1000), // 7 Tage, 0 = sofort
+    ACCOUNT_PURGE_INTERVAL_MS: Number(process.env.ACCOUNT_PURGE_INTERVAL_MS ?? 60 * 60 * 1000), // 1 Stunde, 0 = aus
+
+    // Pool-Registry
+    MAX_TENANT_POOLS: Number(process.env.MAX_TENANT_POOLS) || 50, // Gleichzeitig offene User-/Gast-Pools
+
+    // Admin-Endpoints (/api/admin) - ohne Token nur in Development erreichbar
+    ADMIN_TOKEN: process.env.ADMIN_TOKEN,
+
     // Logging
     DEBUG: true,
     LOG_LEVEL: "info",
@@ -3,27 +3,13 @@
  * Verwaltet drei verschiedene Pool-Typen:
  * - Core-Pool: Für DDL-Operationen (DB-Erstellung)
  * - User-Pool: Zentrale User-Verwaltung
- * - Guest-Pools: Dynamische Pools pro Gast-Session
+ * - Tenant-Pools: Dynamische Pools pro User/Gast (Cache in services/poolRegistry.js)
  */
 
 //  db.js
 import mysql from "mysql2/promise";
 import { ENV, debugLog, errorLog } from "./config/environment.js";
 
-/**
- * Map zum Speichern der Connection-Pools pro Guest-ID oder User-ID
- * Struktur: { "guestId": pool, "user_123": pool }
- * @type {Object<string, mysql.Pool>}
- */
-const guestPools = {};
-
-/**
- * Map zum Speichern der Connection-Pools pro User-ID
- * Struktur: { "user_123": pool }
- * @type {Object<string, mysql.Pool>}
- */
-const userPools = {};
-
 /**
  * Core-Pool für DDL-Operationen (Data Definition Language) | Datenbank-Erstellung/Löschung
  * Verbindet sich OHNE spezifische Datenbank
@@ -53,6 +39,100 @@ const userPool = mysql.createPool({
   connectionLimit: 5,
 });
 
+/**
+ * Erstellt einen Connection-Pool für eine Tenant-Datenbank (User oder Gast)
+ * @param {string} dbName - Name der Tenant-DB (todos_user_* / todos_guest_*)
+ * @returns {mysql.Pool} Neuer Pool
+ */
+function createTenantPool(dbName) {
+  return mysql.createPool({
+    host: ENV.DB_HOST,
+    port: ENV.DB_PORT,
+    user: ENV.DB_USER,
+    password: ENV.DB_PASSWORD,
+    database: dbName,
+    waitForConnections: true,
+    connectionLimit: 5,
+  });
+}
+
+/**
+ * Listet alle Tenant-Datenbanken auf dem Server auf
+ * @async
+ * @returns {Promise<string[]>} Datenbanknamen (todos_user_* und todos_guest_*)
+ */
+async function listTenantDatabases() {
+  const [rows] = await corePool.query(
+    `SELECT SCHEMA_NAME AS dbName FROM information_schema.SCHEMATA
+      WHERE SCHEMA_NAME LIKE 'todos\\_user\\_%'
+         OR SCHEMA_NAME LIKE 'todos\\_guest\\_%'
+      ORDER BY SCHEMA_NAME`
+  );
+  return rows.map((row) => row.dbName);
+}
+
+/**
+ * Prüft, ob eine Datenbank existiert
+ * Exakter Vergleich statt SHOW DATABASES LIKE (_ wäre dort ein Platzhalter)
+ * @async
+ * @param {string} dbName - Datenbankname
+ * @returns {Promise<boolean>} true, wenn die Datenbank existiert
+ */
+async function databaseExists(dbName) {
+  const [rows] = await corePool.query(
+    `SELECT 1 FROM information_schema.SCHEMATA WHERE SCHEMA_NAME = ?`,
+    [dbName]
+  );
+  return rows.length > 0;
+}
+
+/**
+ * Führt eine Funktion in einer Transaktion auf einer Pool-Verbindung aus
+ * Commit bei Erfolg, Rollback bei Fehler - die Verbindung wird immer freigegeben
+ * @async
+ * @param {mysql.Pool} pool - Pool (z.B. req.pool)
+ * @param {Function} fn - async (conn) => Ergebnis
+ * @returns {Promise<*>} Rückgabewert von fn
+ */
+async function withTransaction(pool, fn) {
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const result = await fn(conn);
+    await conn.commit();
+    return result;
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+/**
+ * Fehlercodes, nach denen die ganze Transaktion verloren ist
+ * Ein Deadlock rollt sie serverseitig komplett zurück, ein Lock-Timeout hinterlässt
+ * einen unklaren Zustand - beides darf nicht per SAVEPOINT übergangen werden.
+ * @type {string[]}
+ */
+const TRANSACTION_ABORT_CODES = ["ER_LOCK_DEADLOCK", "ER_LOCK_WAIT_TIMEOUT"];
+
+/**
+ * Prüft, ob ein Fehler nur das fehlgeschlagene Statement betrifft
+ * Solche Fehler lassen sich per ROLLBACK TO SAVEPOINT einzeln zurücknehmen;
+ * alles andere (Lock-Fehler, Verbindungsabbruch, Programmfehler) bricht die
+ * Transaktion ab.
+ * @param {Error} err - Fehler aus einer Abfrage
+ * @returns {boolean} true, wenn die Transaktion weiterlaufen kann
+ */
+function isStatementError(err) {
+  return (
+    Boolean(err.sqlState) &&
+    !err.fatal &&
+    !TRANSACTION_ABORT_CODES.includes(err.code)
+  );
+}
+
 /**
  * Testet die Core-Pool Verbindung beim App-Start
  * Implementiert "Fail-Fast" Pattern - App startet nur bei funktionierender DB
@@ -81,4 +161,12 @@ const userPool = mysql.createPool({
   }
 })();
 
-export { corePool, guestPools, userPool, userPools };
+export {
+  corePool,
+  createTenantPool,
+  databaseExists,
+  isStatementError,
+  listTenantDatabases,
+  userPool,
+  withTransaction,
+};
@@ -0,0 +1,35 @@
+/**
+ * Admin Middleware
+ * Schützt interne Inspektions-Endpoints (/api/admin)
+ */
+
+import crypto from "node:crypto";
+import { ENV, ENVIRONMENT } from "../config/environment.js";
+import { AppError } from "../services/errors.js";
+
+/**
+ * Middleware: Zugriff nur mit gültigem Admin-Token
+ * - ADMIN_TOKEN gesetzt → Header "X-Admin-Token" muss übereinstimmen
+ * - Kein ADMIN_TOKEN → nur in Development erlaubt (nicht in Staging)
+ * @param {Request} req - Express Request Object
+ * @param {Response} res - Express Response Object
+ * @param {Function} next - Next Middleware Function
+ */
+export function requireAdmin(req, res, next) {
+  if (!ENV.ADMIN_TOKEN) {
+    if (ENVIRONMENT === "development") return next();
+    return next(new AppError("ROUTE_NOT_FOUND"));
+  }
+
+  const provided = Buffer.from(req.get("X-Admin-Token") ?? "");
+  const expected = Buffer.from(ENV.ADMIN_TOKEN);
+
+  // Konstante Vergleichszeit gegen Timing-Angriffe
+  if (
+    provided.length !== expected.length ||
+    !crypto.timingSafeEqual(provided, expected)
+  ) {
+    return next(new AppError("ADMIN_FORBIDDEN"));
+  }
+  next();
+}
@@ -0,0 +1,28 @@
+/**
+ * Change-Stream Middleware
+ * Stößt nach jeder schreibenden Anfrage die Verteilung an offene SSE-Streams an
+ * Setzt req.session und req.pool voraus (nach der Pool-Middleware einbinden)
+ */
+
+import { publishChanges } from "../services/changeStream.js";
+import { leaseTenantPool } from "../services/poolRegistry.js";
+
+/**
+ * Middleware: Nach Abschluss von POST/PUT/PATCH/DELETE neue Änderungen verteilen
+ * Die Events entstehen aus dem Sync-Zähler, daher werden alle Schreibpfade
+ * (Todos, Checklisten, Listen, Tags, Batch, Sync, Import) ohne eigene Hooks erfasst.
+ * @param {Request} req - Express Request Object
+ * @param {Response} res - Express Response Object
+ * @param {Function} next - Next Middleware Function
+ */
+export function publishChangesMiddleware(req, res, next) {
+  if (req.method !== "GET" && req.method !== "HEAD") {
+    res.on("finish", () => {
+      // Verteilung läuft über das Request-Ende hinaus → eigene Lease
+      const release = req.pool && leaseTenantPool(req.pool);
+      if (release)
+        publishChanges(req.session.dbName, req.pool).finally(release);
+    });
+  }
+  next();
+}
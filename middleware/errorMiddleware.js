@@ -0,0 +1,91 @@
+/**
+ * Fehler-Middleware
+ * Einheitliche Fehlerantworten für alle Routen: { code, error, details? }
+ * Meldungen (auch details[].message) auf Deutsch oder Englisch je nach
+ * Accept-Language; interne Details (DB-Meldungen, Stacktraces) nur in
+ * Development - Staging hat zwar DEBUG-Logging, ist aber öffentlich erreichbar.
+ */
+
+import { ENVIRONMENT, errorLog } from "../config/environment.js";
+import {
+  AppError,
+  SUPPORTED_LANGUAGES,
+  localizeError,
+  localizeDetail,
+} from "../services/errors.js";
+
+/**
+ * Fehler aus Express/body-parser (http-errors) auf Fehler-Codes abbilden
+ * @param {Error} err - Fehler mit status/type
+ * @returns {AppError|null} AppError oder null (unbekannter Fehler)
+ */
+function fromHttpError(err) {
+  if (err.type === "entity.parse.failed")
+    return new AppError("INVALID_JSON", { cause: err });
+  if (err.type === "entity.too.large")
+    return new AppError("PAYLOAD_TOO_LARGE", { cause: err });
+  if (err.expose && err.status >= 400 && err.status < 500)
+    return new AppError("BAD_REQUEST", { cause: err });
+  return null;
+}
+
+/**
+ * Sprache für Fehlermeldungen aus dem Accept-Language-Header
+ * @param {Request} req - Express Request Object
+ * @returns {string} Sprache aus SUPPORTED_LANGUAGES (Default: de)
+ */
+export function requestLanguage(req) {
+  return req.acceptsLanguages(SUPPORTED_LANGUAGES) || SUPPORTED_LANGUAGES[0];
+}
+
+/**
+ * Middleware: 404-Fallback für unbekannte Routen
+ * @param {Request} req - Express Request Object
+ * @param {Response} res - Express Response Object
+ * @param {Function} next - Next Middleware Function
+ */
+export function notFoundHandler(req, res, next) {
+  next(new AppError("ROUTE_NOT_FOUND"));
+}
+
+/**
+ * Zentrale Fehlerbehandlung (als letzte Middleware registrieren)
+ * Express 5 leitet abgelehnte Promises aus async-Handlern automatisch hierher.
+ * Unbekannte Fehler werden geloggt und als INTERNAL_ERROR ohne Details beantwortet.
+ * @param {Error} err - Geworfener Fehler
+ * @param {Request} req - Express Request Object
+ * @param {Response} res - Express Response Object
+ * @param {Function} next - Next Middleware Function (Express erkennt
+ *   Fehler-Middleware an vier Parametern)
+ */
+export function errorHandler(err, req, res, next) {
+  const appError =
+    err instanceof AppError
+      ? err
+      : fromHttpError(err) ?? new AppError("INTERNAL_ERROR", { cause: err });
+
+  if (appError.status >= 500)
+    errorLog(`${req.method} ${req.originalUrl} fehlgeschlagen:`, err);
+
+  // Antwort bereits angefangen (Streams) → Verbindung abbrechen
+  if (res.headersSent) return res.destroy(err);
+
+  const language = requestLanguage(req);
+  const body = {
+    code: appError.code,
+    error: localizeError(appError.code, language, appError.params),
+    ...(appError.details
+      ? {
+          details: appError.details.map((detail) => ({
+            ...detail,
+            message: localizeDetail(detail, language),
+          })),
+        }
+      : {}),
+    ...appError.data,
+  };
+  if (ENVIRONMENT === "development" && appError !== err)
+    body.debug = { message: err.message, stack: err.stack };
+
+  res.set("Content-Language", language).status(appError.status).json(body);
+}
@@ -1,162 +1,88 @@
 /**
  * Database Pool Assignment Middleware
  * Weist jedem Request den korrekten DB-Pool zu (User oder Gast)
+ * Setzt eine durch sessionMiddleware aufgelöste Session (req.session) voraus
  */
 
-import mysql from "mysql2/promise";
-import { corePool, guestPools, userPool, userPools } from "../db.js";
+import { databaseExists } from "../db.js";
+import { AppError } from "../services/errors.js";
+import { migrateTenant } from "../services/migrator.js";
+import {
+  getTenantPool,
+  leaseTenantPool,
+  acquireTenantPool,
+  userPoolKey,
+  guestPoolKey,
+} from "../services/poolRegistry.js";
+import {
+  destroySession,
+  clearSessionCookie,
+} from "../services/sessionService.js";
 
 /**
- * Middleware: Pool-Auswahl basierend auf Session-Typ
- * Priorisiert User-Session vor Gast-Session
- * Setzt req.pool für nachfolgende Route-Handler
+ * Registry-Schlüssel des Pools für eine Session
+ * @param {Object} session - Aufgelöste Session (req.session)
+ * @returns {string} "user_<id>" oder "guest_<uuid>"
+ */
+function poolKeyFor(session) {
+  return session.type === "user"
+    ? userPoolKey(session.userId)
+    : guestPoolKey(session.guestId);
+}
+
+/**
+ * Pool als req.pool setzen und bis zum Ende des Requests reservieren
+ * "close" folgt auf "finish" und kommt auch bei Verbindungsabbruch.
+ * @param {Request} req - Express Request Object
+ * @param {Response} res - Express Response Object
+ * @param {{pool: mysql.Pool, release: Function}} lease - Pool und Freigabe
+ */
+function usePool(req, res, { pool, release }) {
+  req.pool = pool;
+  res.once("close", release);
+}
+
+/**
+ * Middleware: Pool-Auswahl basierend auf der Session
+ * Ohne gültige Session wird der Request mit 401 abgelehnt.
+ * Gecachte Pools werden direkt als req.pool gesetzt (Lease bis Request-Ende).
  * @param {Request} req - Express Request Object
  * @param {Response} res - Express Response Object
  * @param {Function} next - Next Middleware Function
  */
 export async function assignPoolMiddleware(req, res, next) {
-  try {
-    // STRIKTE TRENNUNG: User-Session hat Vorrang und schließt Gast aus
-    if (req.cookies.userId && !req.cookies.guestId) {
-      // 1. User-Session: Pool für User-DB bereitstellen
-      const [rows] = await userPool.query(
-        `SELECT db_name FROM users WHERE id = ?`,
-        [req.cookies.userId]
-      );
-      if (rows.length) {
-        const dbName = rows[0].db_name;
-        const userPoolKey = `user_${req.cookies.userId}`;
-
-        // Pool cachen für Performance
-        if (!guestPools[userPoolKey]) {
-          guestPools[userPoolKey] = mysql.createPool({
-            host: process.env.DB_HOST,
-            port: Number(process.env.DB_PORT),
-            user: process.env.DB_USER,
-            password: process.env.DB_PASSWORD,
-            database: dbName,
-            waitForConnections: true,
-            connectionLimit: 5,
-          });
-        }
-        req.pool = guestPools[userPoolKey];
-        return next();
-      }
-      // User nicht in DB gefunden → Cookie ungültig
-      res.clearCookie("userId", { domain: ".dev2k.org", path: "/" });
-      return res.status(401).json({ error: "User-Session ungültig" });
-    }
-
-    // 2. Konflikt: Beide Cookies vorhanden → Gast löschen
-    if (req.cookies.userId && req.cookies.guestId) {
-      res.clearCookie("guestId", { domain: ".dev2k.org", path: "/" });
-      console.warn("⚠️ Beide Cookies vorhanden - Gast-Cookie gelöscht");
-      return assignPoolMiddleware(req, res, next);
-    }
+  if (!req.session) return next(new AppError("SESSION_REQUIRED"));
 
-    // 3. Gast-Session: Pool für Gast-DB bereitstellen
-    if (req.cookies.guestId && !req.cookies.userId) {
-      const guestId = req.cookies.guestId;
-      if (guestPools[guestId]) {
-        req.pool = guestPools[guestId];
-        return next();
-      }
-      // Gast-Pool existiert nicht → Session ungültig
-      res.clearCookie("guestId", { domain: ".dev2k.org", path: "/" });
-      return res.status(401).json({ error: "Gast-Session ungültig" });
-    }
-
-    // 4. Keine Session: Authentifizierung erforderlich
-    return res.status(401).json({
-      error:
-        "Keine Session initialisiert. Bitte als Gast starten oder einloggen.",
-    });
-  } catch (err) {
-    console.error("Pool-Assignment-Middleware-Fehler:", err);
-    res.status(500).json({ error: "Server-Fehler bei Session-Prüfung" });
+  const pool = getTenantPool(poolKeyFor(req.session));
+  if (pool) {
+    usePool(req, res, { pool, release: leaseTenantPool(pool) });
   }
+  next();
 }
 
 /**
  * Erweiterte Pool-Zuweisung mit Fallback-Rekonstruktion
- * Rekonstruiert fehlende Pools aus der Datenbank
+ * Rekonstruiert fehlende Pools (z.B. nach Server-Neustart oder LRU-Eviction)
+ * aus der Session und bringt die Tenant-DB dabei lazy auf den neuesten Schema-Stand
  */
 export async function enhancedPoolMiddleware(req, res, next) {
-  try {
-    // 1) User-Session prüfen (hat Vorrang)
-    if (req.cookies.userId) {
-      const userId = req.cookies.userId;
-      const poolKey = `user_${userId}`;
-
-      if (userPools[poolKey]) {
-        req.pool = userPools[poolKey];
-        return next();
-      }
-
-      // Pool nicht vorhanden - aus DB rekonstruieren
-      const [userRows] = await userPool.query(
-        `SELECT db_name FROM users WHERE id = ?`,
-        [userId]
-      );
-
-      if (userRows.length) {
-        const dbName = userRows[0].db_name;
-        const pool = mysql.createPool({
-          host: process.env.DB_HOST,
-          port: Number(process.env.DB_PORT),
-          user: process.env.DB_USER,
-          password: process.env.DB_PASSWORD,
-          database: dbName,
-          waitForConnections: true,
-          connectionLimit: 5,
-        });
-
-        userPools[poolKey] = pool;
-        req.pool = pool;
-        return next();
-      }
-
-      // User nicht gefunden - Cookie löschen
-      res.clearCookie("userId", { domain: ".dev2k.org", path: "/" });
-    }
-
-    // 2) Gast-Session prüfen
-    if (req.cookies.guestId) {
-      const guestId = req.cookies.guestId;
-
-      if (guestPools[guestId]) {
-        req.pool = guestPools[guestId];
-        return next();
-      }
-
-      // Gast-Pool rekonstruieren
-      const dbName = `todos_guest_${guestId.replace(/-/g, "")}`;
-      const [dbRows] = await corePool.query(`SHOW DATABASES LIKE '${dbName}'`);
+  if (req.pool) return next();
 
-      if (dbRows.length) {
-        const pool = mysql.createPool({
-          host: process.env.DB_HOST,
-          port: Number(process.env.DB_PORT),
-          user: process.env.DB_USER,
-          password: process.env.DB_PASSWORD,
-          database: dbName,
-          waitForConnections: true,
-          connectionLimit: 5,
-        });
+  const { session } = req;
 
-        guestPools[guestId] = pool;
-        req.pool = pool;
-        return next();
-      }
-
-      // Gast-DB nicht gefunden - Cookie löschen
-      res.clearCookie("guestId", { domain: ".dev2k.org", path: "/" });
+  // Gast-DB muss noch existieren (könnte bereits gelöscht sein)
+  if (session.type === "guest") {
+    if (!(await databaseExists(session.dbName))) {
+      await destroySession(session);
+      clearSessionCookie(res);
+      throw new AppError("SESSION_INVALID");
     }
-
-    // 3) Keine gültige Session - Request ohne Pool fortsetzen
-    next();
-  } catch (err) {
-    console.error("Enhanced-Pool-Assignment Fehler:", err);
-    next();
   }
+
+  // Ausstehende Migrationen vor der ersten Nutzung anwenden
+  const lease = await acquireTenantPool(poolKeyFor(session), session.dbName, {
+    prepare: migrateTenant,
+  });
+  usePool(req, res, lease);
+  next();
 }
@@ -0,0 +1,43 @@
+/**
+ * Session Middleware
+ * Löst das signierte Session-Cookie in eine serverseitige Session auf
+ */
+
+import {
+  SESSION_COOKIE,
+  resolveSession,
+  setSessionCookie,
+  clearSessionCookie,
+  clearLegacyCookies,
+} from "../services/sessionService.js";
+
+/**
+ * Middleware: Session-Token → req.session
+ * Setzt req.session ({ type, userId, guestId, email, emailVerified, dbName, ... })
+ * oder null.
+ * Manipulierte, abgelaufene oder unbekannte Tokens werden verworfen.
+ * @param {Request} req - Express Request Object
+ * @param {Response} res - Express Response Object
+ * @param {Function} next - Next Middleware Function
+ */
+export async function sessionMiddleware(req, res, next) {
+  req.session = null;
+
+  clearLegacyCookies(req, res);
+
+  // Signatur ungültig → cookie-parser liefert false
+  const token = req.signedCookies[SESSION_COOKIE];
+  if (token === undefined) return next();
+
+  const session = await resolveSession(token);
+  if (!session) {
+    clearSessionCookie(res);
+    return next();
+  }
+
+  // Verlängerte Session → Cookie-Laufzeit ebenfalls erneuern
+  if (session.renewed) setSessionCookie(res, token);
+
+  req.session = session;
+  next();
+}
@@ -0,0 +1,56 @@
+/**
+ * Validierungs-Middleware
+ * Prüft Route-Parameter, Query und Body gegen deklarative Schemas (services/validation.js)
+ * bevor der Handler läuft. Fehler → 400 mit Details pro Feld.
+ */
+
+import { validateSchema } from "../services/validation.js";
+import { AppError, validationDetail } from "../services/errors.js";
+
+/**
+ * Geprüfte Bereiche des Requests (in dieser Reihenfolge)
+ * @type {string[]}
+ */
+const LOCATIONS = ["params", "query", "body"];
+
+/**
+ * Middleware-Factory: Request gegen Schemas prüfen
+ * Der Body wird durch die normalisierten Werte ersetzt (getrimmte Texte, Zahlen);
+ * Params und Query bleiben unverändert, Handler wandeln sie wie bisher selbst um.
+ *
+ * @example
+ * router.patch("/:id", validate({ params: { id: id() }, body: { name: string() } }), handler);
+ * → 400 { code: "VALIDATION_FAILED", error: "Ungültige Eingabe",
+ *         details: [{ location: "body", field: "name", code: "REQUIRED",
+ *                     message: "ist erforderlich" }] }
+ *
+ * @param {Object} schemas - { params?, query?, body? } - je ein Schema
+ * @returns {Function} Express-Middleware
+ */
+export function validate(schemas) {
+  return (req, res, next) => {
+    const details = [];
+    let body;
+
+    for (const location of LOCATIONS) {
+      const schema = schemas[location];
+      if (!schema) continue;
+
+      const input = req[location] ?? {};
+      if (typeof input !== "object" || Array.isArray(input)) {
+        details.push({ location, ...validationDetail(null, "NOT_OBJECT") });
+        continue;
+      }
+
+      const { value, errors } = validateSchema(schema, input);
+      details.push(...errors.map((error) => ({ location, ...error })));
+      if (location === "body") body = value;
+    }
+
+    if (details.length)
+      return next(new AppError("VALIDATION_FAILED", { details }));
+
+    if (body) req.body = body;
+    next();
+  };
+}
@@ -0,0 +1,33 @@
+/**
+ * Verification Middleware
+ * Beschränkt unbestätigte User-Konten gemäß ENV.UNVERIFIED_ACCESS
+ * Gast-Sessions und bestätigte Konten sind nicht betroffen.
+ */
+
+import { ENV } from "../config/environment.js";
+import { AppError } from "../services/errors.js";
+
+/**
+ * Lesende HTTP-Methoden (bei UNVERIFIED_ACCESS=readonly erlaubt)
+ * @type {Set<string>}
+ */
+const READ_METHODS = new Set(["GET", "HEAD", "OPTIONS"]);
+
+/**
+ * Middleware: Zugriff unbestätigter Konten auf Daten-Routen prüfen
+ * Vor der Pool-Zuweisung registrieren, damit gesperrte Anfragen keinen
+ * Tenant-Pool öffnen.
+ * @param {Request} req - Express Request Object
+ * @param {Response} res - Express Response Object
+ * @param {Function} next - Next Middleware Function
+ */
+export function verificationMiddleware(req, res, next) {
+  const { session } = req;
+  if (session?.type !== "user" || session.emailVerified) return next();
+
+  const access = ENV.UNVERIFIED_ACCESS;
+  if (access === "full") return next();
+  if (access === "readonly" && READ_METHODS.has(req.method)) return next();
+
+  next(new AppError("EMAIL_NOT_VERIFIED"));
+}
@@ -0,0 +1,27 @@
+/**
+ * Webhook Middleware
+ * Stößt nach jeder schreibenden Anfrage das Einreihen und Zustellen von Webhooks an
+ * Setzt req.pool voraus (nach der Pool-Middleware einbinden)
+ */
+
+import { dispatchWebhooks } from "../services/webhookDelivery.js";
+import { leaseTenantPool } from "../services/poolRegistry.js";
+
+/**
+ * Middleware: Nach Abschluss von POST/PUT/PATCH/DELETE Webhook-Events verarbeiten
+ * Die Events entstehen aus dem Änderungsverlauf, daher werden alle Schreibpfade
+ * (Todos, Batch, Sync, Import, Undo) ohne eigene Hooks erfasst.
+ * @param {Request} req - Express Request Object
+ * @param {Response} res - Express Response Object
+ * @param {Function} next - Next Middleware Function
+ */
+export function dispatchWebhooksMiddleware(req, res, next) {
+  if (req.method !== "GET" && req.method !== "HEAD") {
+    res.on("finish", () => {
+      // Lease des Requests endet mit "close" → eigene für die Zustellung
+      const release = req.pool && leaseTenantPool(req.pool);
+      if (release) dispatchWebhooks(req.pool).finally(release);
+    });
+  }
+  next();
+}
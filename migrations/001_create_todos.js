@@ -0,0 +1,26 @@
+/**
+ * Migration 001: Todos-Tabelle anlegen
+ * Kanonisches Schema - ersetzt die früher in Register-, Gast- und Setup-Code
+ * verteilten CREATE TABLE Statements
+ */
+
+export default {
+  version: 1,
+  name: "create_todos",
+
+  /**
+   * @param {mysql.PoolConnection} conn - Verbindung zur Tenant-DB
+   */
+  async up(conn) {
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS todos (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        title TEXT NOT NULL,
+        description TEXT,
+        created BIGINT,
+        updated BIGINT,
+        completed TINYINT(1) NOT NULL DEFAULT 0
+      )
+    `);
+  },
+};
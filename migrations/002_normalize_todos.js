@@ -0,0 +1,23 @@
+/**
+ * Migration 002: Bestehende Todos-Tabellen vereinheitlichen
+ * Ältere Datenbanken wurden mit abweichender DDL erstellt
+ * (title VARCHAR(255) bzw. completed ohne Default / NULL-fähig)
+ */
+
+export default {
+  version: 2,
+  name: "normalize_todos",
+
+  /**
+   * @param {mysql.PoolConnection} conn - Verbindung zur Tenant-DB
+   */
+  async up(conn) {
+    // NULL-Werte zuerst bereinigen, sonst scheitert NOT NULL im Strict-Mode
+    await conn.query(`UPDATE todos SET completed = 0 WHERE completed IS NULL`);
+    await conn.query(`
+      ALTER TABLE todos
+        MODIFY title TEXT NOT NULL,
+        MODIFY completed TINYINT(1) NOT NULL DEFAULT 0
+    `);
+  },
+};
@@ -0,0 +1,26 @@
+/**
+ * Migration 003: Fälligkeit, Priorität und Erledigt-Zeitpunkt
+ * Neue optionale Spalten due_at, priority und completed_at
+ * Bereits erledigte Todos erhalten updated als completed_at
+ */
+
+export default {
+  version: 3,
+  name: "todo_scheduling",
+
+  /**
+   * @param {mysql.PoolConnection} conn - Verbindung zur Tenant-DB
+   */
+  async up(conn) {
+    await conn.query(`
+      ALTER TABLE todos
+        ADD COLUMN IF NOT EXISTS due_at BIGINT NULL,
+        ADD COLUMN IF NOT EXISTS priority TINYINT NOT NULL DEFAULT 0,
+        ADD COLUMN IF NOT EXISTS completed_at BIGINT NULL,
+        ADD INDEX IF NOT EXISTS idx_todos_due_at (due_at)
+    `);
+    await conn.query(
+      `UPDATE todos SET completed_at = updated WHERE completed = 1 AND completed_at IS NULL`
+    );
+  },
+};
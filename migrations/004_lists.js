@@ -0,0 +1,45 @@
+/**
+ * Migration 004: Listen/Projekte
+ * Neue Tabelle lists mit genau einer Inbox pro Tenant-DB
+ * Alle bestehenden Todos werden der Inbox zugeordnet
+ */
+
+export default {
+  version: 4,
+  name: "lists",
+
+  /**
+   * @param {mysql.PoolConnection} conn - Verbindung zur Tenant-DB
+   */
+  async up(conn) {
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS lists (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        is_inbox TINYINT(1) NOT NULL DEFAULT 0,
+        created BIGINT,
+        updated BIGINT
+      )
+    `);
+
+    const now = Date.now();
+    await conn.query(
+      `INSERT INTO lists (name, is_inbox, created, updated)
+       SELECT 'Inbox', 1, ?, ? FROM DUAL
+        WHERE NOT EXISTS (SELECT 1 FROM lists WHERE is_inbox = 1)`,
+      [now, now]
+    );
+
+    await conn.query(`
+      ALTER TABLE todos
+        ADD COLUMN IF NOT EXISTS list_id INT NULL,
+        ADD INDEX IF NOT EXISTS idx_todos_list (list_id)
+    `);
+    await conn.query(
+      `UPDATE todos
+          SET list_id = (SELECT id FROM lists WHERE is_inbox = 1 LIMIT 1)
+        WHERE list_id IS NULL`
+    );
+    await conn.query(`ALTER TABLE todos MODIFY list_id INT NOT NULL`);
+  },
+};
@@ -0,0 +1,33 @@
+/**
+ * Migration 005: Tags/Labels
+ * Tabelle tags (Name eindeutig, Farbe) und Verknüpfungstabelle todo_tags (n:m)
+ */
+
+export default {
+  version: 5,
+  name: "tags",
+
+  /**
+   * @param {mysql.PoolConnection} conn - Verbindung zur Tenant-DB
+   */
+  async up(conn) {
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS tags (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(50) NOT NULL,
+        color CHAR(7) NOT NULL DEFAULT '#808080',
+        created BIGINT,
+        updated BIGINT,
+        UNIQUE KEY uq_tags_name (name)
+      )
+    `);
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS todo_tags (
+        todo_id INT NOT NULL,
+        tag_id INT NOT NULL,
+        PRIMARY KEY (todo_id, tag_id),
+        INDEX idx_todo_tags_tag (tag_id)
+      )
+    `);
+  },
+};
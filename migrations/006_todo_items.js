@@ -0,0 +1,27 @@
+/**
+ * Migration 006: Checklisten-Einträge
+ * Tabelle todo_items (Unterpunkte eines Todos mit manueller Reihenfolge)
+ */
+
+export default {
+  version: 6,
+  name: "todo_items",
+
+  /**
+   * @param {mysql.PoolConnection} conn - Verbindung zur Tenant-DB
+   */
+  async up(conn) {
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS todo_items (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        todo_id INT NOT NULL,
+        title VARCHAR(500) NOT NULL,
+        completed TINYINT(1) NOT NULL DEFAULT 0,
+        position INT NOT NULL DEFAULT 0,
+        created BIGINT,
+        updated BIGINT,
+        INDEX idx_todo_items_todo (todo_id, position)
+      )
+    `);
+  },
+};
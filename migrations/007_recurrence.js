@@ -0,0 +1,19 @@
+/**
+ * Migration 007: Wiederkehrende Todos
+ * Neue optionale Spalte recurrence (Wiederholungsregel als JSON)
+ */
+
+export default {
+  version: 7,
+  name: "recurrence",
+
+  /**
+   * @param {mysql.PoolConnection} conn - Verbindung zur Tenant-DB
+   */
+  async up(conn) {
+    await conn.query(`
+      ALTER TABLE todos
+        ADD COLUMN IF NOT EXISTS recurrence VARCHAR(255) NULL
+    `);
+  },
+};
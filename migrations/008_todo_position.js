@@ -0,0 +1,31 @@
+/**
+ * Migration 008: Manuelle Reihenfolge
+ * Neue Spalte position (DOUBLE, pro Liste aufsteigend) für Drag & Drop
+ * Bestehende Todos erhalten die bisherige Standard-Reihenfolge (completed, -updated)
+ */
+
+export default {
+  version: 8,
+  name: "todo_position",
+
+  /**
+   * @param {mysql.PoolConnection} conn - Verbindung zur Tenant-DB
+   */
+  async up(conn) {
+    await conn.query(`
+      ALTER TABLE todos
+        ADD COLUMN IF NOT EXISTS position DOUBLE NOT NULL DEFAULT 0,
+        ADD INDEX IF NOT EXISTS idx_todos_list_position (list_id, position)
+    `);
+    await conn.query(`
+      UPDATE todos t
+        JOIN (
+          SELECT id, ROW_NUMBER() OVER (
+                   PARTITION BY list_id ORDER BY completed ASC, updated DESC, id ASC
+                 ) AS rn
+            FROM todos
+        ) ranked ON ranked.id = t.id
+         SET t.position = ranked.rn * 1024
+    `);
+  },
+};
@@ -0,0 +1,20 @@
+/**
+ * Migration 009: Papierkorb
+ * Neue Spalte deleted_at (NULL = aktiv, sonst Zeitpunkt des Löschens)
+ */
+
+export default {
+  version: 9,
+  name: "trash",
+
+  /**
+   * @param {mysql.PoolConnection} conn - Verbindung zur Tenant-DB
+   */
+  async up(conn) {
+    await conn.query(`
+      ALTER TABLE todos
+        ADD COLUMN IF NOT EXISTS deleted_at BIGINT NULL,
+        ADD INDEX IF NOT EXISTS idx_todos_deleted_at (deleted_at)
+    `);
+  },
+};
@@ -0,0 +1,27 @@
+/**
+ * Migration 010: Änderungsverlauf
+ * Append-only Tabelle todo_history mit Zustand vorher/nachher (JSON) pro Änderung
+ */
+
+export default {
+  version: 10,
+  name: "todo_history",
+
+  /**
+   * @param {mysql.PoolConnection} conn - Verbindung zur Tenant-DB
+   */
+  async up(conn) {
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS todo_history (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        todo_id INT NOT NULL,
+        action VARCHAR(20) NOT NULL,
+        before_state TEXT NULL,
+        after_state TEXT NULL,
+        reverts INT NULL,
+        created BIGINT,
+        INDEX idx_todo_history_todo (todo_id, id)
+      )
+    `);
+  },
+};
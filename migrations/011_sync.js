@@ -0,0 +1,53 @@
+/**
+ * Migration 011: Delta-Sync
+ * - todos.version: Zeilenversion für Konflikterkennung (startet bei 1)
+ * - todos.change_seq: Änderungszähler, auf dem der Sync-Cursor basiert
+ * - todos.client_id: ID des anlegenden Clients (idempotente Creates)
+ * - sync_state: Zähler pro Tenant-DB (eine Zeile)
+ * - sync_tombstones: endgültig gelöschte Todos
+ * Bestehende Todos werden in der Reihenfolge von updated durchnummeriert.
+ */
+
+export default {
+  version: 11,
+  name: "sync",
+
+  /**
+   * @param {mysql.PoolConnection} conn - Verbindung zur Tenant-DB
+   */
+  async up(conn) {
+    await conn.query(`
+      ALTER TABLE todos
+        ADD COLUMN IF NOT EXISTS version INT NOT NULL DEFAULT 1,
+        ADD COLUMN IF NOT EXISTS change_seq BIGINT NOT NULL DEFAULT 0,
+        ADD COLUMN IF NOT EXISTS client_id VARCHAR(64) NULL,
+        ADD INDEX IF NOT EXISTS idx_todos_change_seq (change_seq),
+        ADD UNIQUE INDEX IF NOT EXISTS idx_todos_client_id (client_id)
+    `);
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS sync_state (
+        id TINYINT PRIMARY KEY,
+        seq BIGINT NOT NULL DEFAULT 0
+      )
+    `);
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS sync_tombstones (
+        todo_id INT PRIMARY KEY,
+        change_seq BIGINT NOT NULL,
+        deleted_at BIGINT NOT NULL,
+        INDEX idx_sync_tombstones_seq (change_seq)
+      )
+    `);
+    await conn.query(`
+      UPDATE todos t
+        JOIN (
+          SELECT id, ROW_NUMBER() OVER (ORDER BY updated ASC, id ASC) AS rn
+            FROM todos
+        ) ranked ON ranked.id = t.id
+         SET t.change_seq = ranked.rn
+    `);
+    await conn.query(
+      `INSERT IGNORE INTO sync_state (id, seq) SELECT 1, COUNT(*) FROM todos`
+    );
+  },
+};
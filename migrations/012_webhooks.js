@@ -0,0 +1,56 @@
+/**
+ * Migration 012: Webhooks
+ * - webhooks: Registrierungen (URL, Secret, abonnierte Events)
+ * - webhook_deliveries: Zustellungen inkl. Retry-Status (Delivery-Log)
+ * - webhook_state: Cursor auf todo_history (bis hier sind Events eingereiht)
+ */
+
+export default {
+  version: 12,
+  name: "webhooks",
+
+  /**
+   * @param {mysql.PoolConnection} conn - Verbindung zur Tenant-DB
+   */
+  async up(conn) {
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS webhooks (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        url VARCHAR(2000) NOT NULL,
+        secret VARCHAR(128) NOT NULL,
+        events VARCHAR(255) NOT NULL,
+        active TINYINT(1) NOT NULL DEFAULT 1,
+        created BIGINT,
+        updated BIGINT
+      )
+    `);
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        webhook_id INT NOT NULL,
+        event VARCHAR(50) NOT NULL,
+        payload MEDIUMTEXT NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending',
+        attempts INT NOT NULL DEFAULT 0,
+        next_attempt_at BIGINT NULL,
+        response_status INT NULL,
+        last_error VARCHAR(500) NULL,
+        created BIGINT,
+        updated BIGINT,
+        INDEX idx_webhook_deliveries_due (status, next_attempt_at),
+        INDEX idx_webhook_deliveries_webhook (webhook_id, id)
+      )
+    `);
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS webhook_state (
+        id TINYINT PRIMARY KEY,
+        history_id INT NOT NULL DEFAULT 0
+      )
+    `);
+    // Bestehender Verlauf löst keine Webhooks aus
+    await conn.query(
+      `INSERT IGNORE INTO webhook_state (id, history_id)
+       SELECT 1, COALESCE(MAX(id), 0) FROM todo_history`
+    );
+  },
+};
@@ -0,0 +1,37 @@
+/**
+ * Migrations-Register
+ * Alle Schema-Migrationen der Tenant-Datenbanken (todos_user_* / todos_guest_*)
+ * Neue Migrationen: Datei mit fortlaufender Nummer anlegen und hier eintragen
+ */
+
+import createTodos from "./001_create_todos.js";
+import normalizeTodos from "./002_normalize_todos.js";
+import todoScheduling from "./003_todo_scheduling.js";
+import lists from "./004_lists.js";
+import tags from "./005_tags.js";
+import todoItems from "./006_todo_items.js";
+import recurrence from "./007_recurrence.js";
+import todoPosition from "./008_todo_position.js";
+import trash from "./009_trash.js";
+import todoHistory from "./010_todo_history.js";
+import sync from "./011_sync.js";
+import webhooks from "./012_webhooks.js";
+
+/**
+ * Geordnete Liste aller Migrationen (aufsteigende Versionsnummer)
+ * @type {Array<{version: number, name: string, up: Function}>}
+ */
+export const MIGRATIONS = [
+  createTodos,
+  normalizeTodos,
+  todoScheduling,
+  lists,
+  tags,
+  todoItems,
+  recurrence,
+  todoPosition,
+  trash,
+  todoHistory,
+  sync,
+  webhooks,
+];
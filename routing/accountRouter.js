@@ -0,0 +1,129 @@
+/**
+ * Konto-Router
+ * Selbstverwaltung für eingeloggte User: Passwort ändern, E-Mail ändern,
+ * Konto löschen. Jede Aktion verlangt das aktuelle Passwort.
+ * Auch für unbestätigte Konten erreichbar (z.B. um eine vertippte Adresse zu
+ * korrigieren) - daher vor verificationMiddleware registriert.
+ */
+
+// routing/accountRouter.js
+import { Router } from "express";
+import { errorLog } from "../config/environment.js";
+import {
+  changePassword,
+  changeEmail,
+  requestAccountDeletion,
+} from "../services/accountService.js";
+import { sendVerificationMail } from "../services/emailVerification.js";
+import { clearSessionCookie } from "../services/sessionService.js";
+import { string, email, password } from "../services/validation.js";
+import { AppError } from "../services/errors.js";
+import { validate } from "../middleware/validationMiddleware.js";
+import { requestLanguage } from "../middleware/errorMiddleware.js";
+
+const router = Router();
+
+/**
+ * Aktuelles Passwort zur Re-Authentifizierung: keine Richtlinie (wie Login),
+ * nur Längen gegen übergroße Eingaben
+ */
+const currentPassword = () => string({ max: 1024, trim: false });
+
+const changePasswordSchema = {
+  currentPassword: currentPassword(),
+  newPassword: password(),
+};
+
+const changeEmailSchema = {
+  email: email(),
+  password: currentPassword(),
+};
+
+const deleteAccountSchema = {
+  password: currentPassword(),
+};
+
+// Alle Konto-Routen nur mit User-Session (Gäste haben kein Konto)
+router.use((req, res, next) => {
+  if (req.session?.type !== "user")
+    return next(new AppError("SESSION_REQUIRED"));
+  next();
+});
+
+/**
+ * POST /api/account/password - Passwort ändern
+ * Andere Sessions des Users werden beendet, die aktuelle bleibt angemeldet.
+ * @param {Object} req.body - { currentPassword: string, newPassword: string }
+ * @returns {Object} { message: string, sessionsEnded: number }
+ */
+router.post(
+  "/password",
+  validate({ body: changePasswordSchema }),
+  async (req, res) => {
+    const { currentPassword, newPassword } = req.body;
+    const sessionsEnded = await changePassword(
+      req.session,
+      currentPassword,
+      newPassword
+    );
+    res.json({ message: "Passwort geändert", sessionsEnded });
+  }
+);
+
+/**
+ * POST /api/account/email - E-Mail-Adresse ändern
+ * Die neue Adresse ist unbestätigt, der Bestätigungslink geht an sie.
+ * @param {Object} req.body - { email: string, password: string }
+ * @returns {Object} { message: string, email: string, emailVerified: false }
+ */
+router.post(
+  "/email",
+  validate({ body: changeEmailSchema }),
+  async (req, res) => {
+    const user = await changeEmail(
+      req.session,
+      req.body.password,
+      req.body.email
+    );
+
+    // Bestätigungs-Mail im Hintergrund (erneut senden über /api/email/verify/resend)
+    sendVerificationMail(user, { language: requestLanguage(req) }).catch(
+      (err) => errorLog("Bestätigungs-Mail fehlgeschlagen:", err)
+    );
+
+    res.json({
+      message: "E-Mail-Adresse geändert - bitte neue Adresse bestätigen",
+      email: user.email,
+      emailVerified: false,
+    });
+  }
+);
+
+/**
+ * DELETE /api/account - Eigenes Konto löschen
+ * Mit Karenzzeit (ACCOUNT_DELETION_GRACE_MS) wird das Konto vorgemerkt und
+ * überall abgemeldet; ein Login vor deletionAt bricht die Löschung ab.
+ * Ohne Karenzzeit werden Datenbank und Konto sofort gelöscht.
+ * @param {Object} req.body - { password: string }
+ * @returns {Object} 202 { message, deletionAt } bzw. 200 { message }
+ */
+router.delete(
+  "/",
+  validate({ body: deleteAccountSchema }),
+  async (req, res) => {
+    const { deletionAt } = await requestAccountDeletion(
+      req.session,
+      req.body.password
+    );
+    clearSessionCookie(res);
+
+    if (deletionAt === null)
+      return res.json({ message: "Konto und alle Daten gelöscht" });
+    res.status(202).json({
+      message: "Konto zur Löschung vorgemerkt - ein Login vorher bricht sie ab",
+      deletionAt,
+    });
+  }
+);
+
+export default router;
@@ -0,0 +1,24 @@
+/**
+ * Admin-Router
+ * Interne Inspektions-Endpoints für Betrieb und Debugging
+ * Zugriff über requireAdmin (X-Admin-Token bzw. ohne Token nur in Development)
+ */
+
+// routing/adminRouter.js
+import { Router } from "express";
+import { requireAdmin } from "../middleware/adminMiddleware.js";
+import { getPoolStats } from "../services/poolRegistry.js";
+
+const router = Router();
+
+router.use(requireAdmin);
+
+/**
+ * GET /api/admin/pools - Statistik der Tenant-Pool-Registry
+ * @returns {Object} { size, max, evictions, pools: [{ key, dbName, created, lastUsed, requests, connections }] }
+ */
+router.get("/pools", (req, res) => {
+  res.json(getPoolStats());
+});
+
+export default router;
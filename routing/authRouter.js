@@ -1,180 +1,342 @@
 /**
  * Authentifizierungs-Router
- * Verwaltet User-Registrierung, Login und Logout
- * Jeder User erhält eine     // Eventuelle Gast-Session löschen
-    if (req.cookies.guestId) {
-      const clearCookieOptions = { path: "/" };
-      if (ENV.COOKIE_DOMAIN) clearCookieOptions.domain = ENV.COOKIE_DOMAIN;
-      res.clearCookie("guestId", clearCookieOptions);
-    }
-
-    // Session-Cookie setzen
-    const cookieOptions = {
-      httpOnly: false, // Für Frontend-Zugriff
-      secure: ENV.COOKIE_SECURE, // false in Development, true in Production
-      maxAge: 7 * 24 * 60 * 60 * 1000, // 7 Tage
-      path: "/",
-    };
-    
-    // SameSite nur in Production setzen (mit secure: true)
-    if (ENV.COOKIE_SECURE) {
-      cookieOptions.sameSite = "lax";
-    }
-    
-    // Domain nur setzen wenn definiert (Production), in Development weglassen
-    if (ENV.COOKIE_DOMAIN) {
-      cookieOptions.domain = ENV.COOKIE_DOMAIN;
-    }
-    
-    res.cookie("userId", user.id, cookieOptions);nk
+ * Verwaltet User-Registrierung, Login, Logout, Passwort-Reset und
+ * E-Mail-Verifizierung
+ * Jeder User erhält eine eigene Datenbank
  */
 
 // routing/authRouter.js
 import { Router } from "express";
 import bcrypt from "bcrypt";
-import { userPool, corePool, userPools } from "../db.js";
+import crypto from "node:crypto";
+import { userPool, corePool } from "../db.js";
 import { ENV, debugLog, errorLog } from "../config/environment.js";
-import mysql from "mysql2/promise";
+import { migrateTenant } from "../services/migrator.js";
+import { openTenantPool, userPoolKey } from "../services/poolRegistry.js";
+import {
+  createSession,
+  destroySession,
+  setSessionCookie,
+  clearSessionCookie,
+} from "../services/sessionService.js";
+import {
+  mergeGuestIntoUser,
+  MERGE_STRATEGIES,
+} from "../services/guestMerge.js";
+import {
+  requestPasswordReset,
+  resetPassword,
+} from "../services/passwordReset.js";
+import {
+  sendVerificationMail,
+  resendVerificationMail,
+  confirmEmail,
+} from "../services/emailVerification.js";
+import { cancelAccountDeletion } from "../services/accountService.js";
+import { string, email, password, oneOf } from "../services/validation.js";
+import { AppError, localizeError } from "../services/errors.js";
+import { validate } from "../middleware/validationMiddleware.js";
+import { requestLanguage } from "../middleware/errorMiddleware.js";
 
 const router = Router();
 
+/**
+ * Optionale Merge-Parameter (Registrierung und Login)
+ */
+const mergeSchema = {
+  mergeGuest: oneOf([true, false]).optional(),
+  duplicates: oneOf(MERGE_STRATEGIES).optional(),
+};
+
+/**
+ * Registrierung: gültige E-Mail und Passwort nach Passwort-Richtlinie
+ */
+const registerSchema = {
+  email: email(),
+  password: password(),
+  ...mergeSchema,
+};
+
+/**
+ * Login: keine Passwort-Richtlinie, damit bestehende Konten sich weiter
+ * anmelden können - nur Längen gegen übergroße Eingaben
+ */
+const loginSchema = {
+  email: string({ max: 254 }),
+  password: string({ max: 1024, trim: false }),
+  ...mergeSchema,
+};
+
+/**
+ * Passwort vergessen: nur Länge prüfen - das Format verrät sonst nichts,
+ * unbekannte Adressen werden ohnehin still ignoriert
+ */
+const forgotPasswordSchema = {
+  email: string({ max: 254 }),
+};
+
+/**
+ * Passwort zurücksetzen: Token aus dem Link (64 Hex-Zeichen) und neues
+ * Passwort nach Passwort-Richtlinie
+ */
+const resetPasswordSchema = {
+  token: string({ pattern: /^[0-9a-f]{64}$/, patternCode: "INVALID_VALUE" }),
+  password: password(),
+};
+
+/**
+ * E-Mail bestätigen: Token aus dem Link (64 Hex-Zeichen)
+ */
+const verifyEmailSchema = {
+  token: string({ pattern: /^[0-9a-f]{64}$/, patternCode: "INVALID_VALUE" }),
+};
+
+/**
+ * Ergebnis eines fehlgeschlagenen Gast-Merges (Login/Registrierung bleiben
+ * trotzdem erfolgreich)
+ * @param {string} language - Sprache der Fehlermeldung
+ * @returns {{code: string, error: string}} Merge-Ergebnis
+ */
+function mergeFailure(language) {
+  return {
+    code: "GUEST_MERGE_FAILED",
+    error: localizeError("GUEST_MERGE_FAILED", language),
+  };
+}
+
+/**
+ * Liest die (bereits validierten) Merge-Parameter aus dem Request-Body
+ * @param {Object} body - Request-Body
+ * @returns {{merge: boolean, strategy: string}} Merge-Optionen
+ */
+function parseMergeOptions(body) {
+  return {
+    merge: body.mergeGuest === true,
+    strategy: body.duplicates ?? "skip",
+  };
+}
+
 /**
  * POST /api/register - Neuen User registrieren
- * Erstellt automatisch eine eigene Datenbank für den User
+ * Erstellt automatisch eine eigene Datenbank für den User. Das Konto ist
+ * zunächst unbestätigt; der Bestätigungslink wird per Mail verschickt.
  * @param {Object} req.body - Registrierungsdaten
  * @param {string} req.body.email - E-Mail-Adresse
  * @param {string} req.body.password - Passwort (wird gehasht)
+ * @param {boolean} [req.body.mergeGuest] - Todos der aktiven Gast-Session übernehmen
+ * @param {string} [req.body.duplicates="skip"] - Duplikat-Strategie: skip | keep | newest
  */
-router.post("/register", async (req, res) => {
-  const { email, password } = req.body;
-  if (!email || !password)
-    return res.status(400).json({ error: "Email und Passwort erforderlich" });
-
-  // Passwort hashen für sichere Speicherung
-  const password_hash = await bcrypt.hash(password, 10);
-
-  // Eindeutiger DB-Name basierend auf E-Mail
-  const dbName = `todos_user_${Buffer.from(email)
-    .toString("hex")
-    .slice(0, 24)}`;
-  const created = Date.now();
-
-  try {
-    // 1) User in zentrale User-Tabelle eintragen
-    const [result] = await userPool.query(
-      `INSERT INTO users (email, password_hash, db_name, created)
-       VALUES (?, ?, ?, ?)`,
-      [email, password_hash, dbName, created]
-    );
+router.post(
+  "/register",
+  validate({ body: registerSchema }),
+  async (req, res) => {
+    const { email, password } = req.body;
+    const mergeOptions = parseMergeOptions(req.body);
 
-    const userId = result.insertId;
+    // Passwort hashen für sichere Speicherung
+    const password_hash = await bcrypt.hash(password, 10);
 
-    // 2) Dedicated User-Datenbank erstellen
-    await corePool.query(
-      `CREATE DATABASE IF NOT EXISTS \`${dbName}\`
-       CHARACTER SET utf8mb4 COLLATE utf8mb4_general_ci;`
-    );
+    // Eindeutiger, zufälliger DB-Name - unabhängig von der E-Mail, da diese
+    // sich ändern und danach neu registriert werden kann
+    const dbName = `todos_user_${crypto.randomBytes(12).toString("hex")}`;
+    const created = Date.now();
 
-    // 3) Todos-Tabelle in User-DB initialisieren UND Pool speichern
-    const pool = mysql.createPool({
-      host: process.env.DB_HOST,
-      port: Number(process.env.DB_PORT),
-      user: process.env.DB_USER,
-      password: process.env.DB_PASSWORD,
-      database: dbName,
-      waitForConnections: true,
-      connectionLimit: 5,
-    });
+    try {
+      // 1) User in zentrale User-Tabelle eintragen
+      const [result] = await userPool.query(
+        `INSERT INTO users (email, password_hash, db_name, created)
+         VALUES (?, ?, ?, ?)`,
+        [email, password_hash, dbName, created]
+      );
 
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS todos (
-        id INT AUTO_INCREMENT PRIMARY KEY,
-        title TEXT NOT NULL,
-        description TEXT,
-        created BIGINT,
-        updated BIGINT,
-        completed TINYINT
+      const userId = result.insertId;
+
+      // Bestätigungs-Mail im Hintergrund - Registrierung bleibt auch bei
+      // Mail-Fehlern gültig (erneut senden über /api/email/verify/resend)
+      sendVerificationMail(
+        { id: userId, email },
+        { language: requestLanguage(req) }
+      ).catch((err) => errorLog("Bestätigungs-Mail fehlgeschlagen:", err));
+
+      // 2) Dedicated User-Datenbank erstellen
+      await corePool.query(
+        `CREATE DATABASE IF NOT EXISTS \`${dbName}\`
+         CHARACTER SET utf8mb4 COLLATE utf8mb4_general_ci;`
       );
-    `);
 
-    // WICHTIG: Pool für zukünftige Requests speichern
-    userPools[`user_${userId}`] = pool;
+      // 3) Schema per Migrationen initialisieren UND Pool in der Registry speichern
+      await openTenantPool(userPoolKey(userId), dbName, {
+        prepare: migrateTenant,
+      });
+
+      // 4) Optional: Todos der Gast-Session übernehmen (Gast-DB wird danach gelöscht)
+      const response = { message: "User registriert", emailVerified: false };
+      if (mergeOptions.merge && req.session?.type === "guest") {
+        try {
+          response.merge = await mergeGuestIntoUser({
+            guestId: req.session.guestId,
+            userId,
+            userDbName: dbName,
+            strategy: mergeOptions.strategy,
+          });
+          clearSessionCookie(res);
+        } catch (mergeErr) {
+          // Registrierung bleibt gültig - Merge kann beim Login wiederholt werden
+          errorLog(
+            "Gast-Merge bei Registrierung fehlgeschlagen:",
+            mergeErr.message
+          );
+          response.merge = mergeFailure(requestLanguage(req));
+        }
+      }
 
-    res.status(201).json({ message: "User registriert" });
-  } catch (err) {
-    if (err.code === "ER_DUP_ENTRY")
-      return res.status(409).json({ error: "Email bereits registriert" });
-    res.status(500).json({ error: err.message });
+      res.status(201).json(response);
+    } catch (err) {
+      if (err.code === "ER_DUP_ENTRY")
+        throw new AppError("EMAIL_TAKEN", { cause: err });
+      throw err;
+    }
   }
-});
+);
 
 /**
  * POST /api/login - User einloggen
- * Setzt httpOnly Cookie für Session-Management
+ * Erstellt eine serverseitige Session und setzt das httpOnly Session-Cookie
  * @param {Object} req.body - Login-Daten
  * @param {string} req.body.email - E-Mail-Adresse
  * @param {string} req.body.password - Passwort
+ * @param {boolean} [req.body.mergeGuest] - Todos der aktiven Gast-Session übernehmen
+ * @param {string} [req.body.duplicates="skip"] - Duplikat-Strategie: skip | keep | newest
  */
-router.post("/login", async (req, res) => {
+router.post("/login", validate({ body: loginSchema }), async (req, res) => {
   const { email, password } = req.body;
-  if (!email || !password)
-    return res.status(400).json({ error: "Email und Passwort erforderlich" });
-
-  try {
-    const [rows] = await userPool.query(`SELECT * FROM users WHERE email = ?`, [
-      email,
-    ]);
-    if (!rows.length)
-      return res.status(401).json({ error: "Ungültige Zugangsdaten" });
-
-    const user = rows[0];
-    const valid = await bcrypt.compare(password, user.password_hash);
-    if (!valid)
-      return res.status(401).json({ error: "Ungültige Zugangsdaten" });
-
-    // Eventuelle Gast-Session löschen
-    if (req.cookies.guestId) {
-      const clearCookieOptions = { path: "/" };
-      if (ENV.COOKIE_DOMAIN) clearCookieOptions.domain = ENV.COOKIE_DOMAIN;
-      res.clearCookie("guestId", clearCookieOptions);
-    }
+  const mergeOptions = parseMergeOptions(req.body);
 
-    // Session-Cookie setzen
-    const cookieOptions = {
-      httpOnly: false, // Für Frontend-Zugriff
-      secure: ENV.COOKIE_SECURE, // false in Development, true in Production
-      maxAge: 7 * 24 * 60 * 60 * 1000, // 7 Tage
-      path: "/",
-    };
-
-    // SameSite nur in Production setzen (mit secure: true)
-    if (ENV.COOKIE_SECURE) {
-      cookieOptions.sameSite = "lax";
-    }
+  const [rows] = await userPool.query(`SELECT * FROM users WHERE email = ?`, [
+    email,
+  ]);
+  if (!rows.length) throw new AppError("INVALID_CREDENTIALS");
+
+  const user = rows[0];
+  const valid = await bcrypt.compare(password, user.password_hash);
+  if (!valid) throw new AppError("INVALID_CREDENTIALS");
+
+  // Login innerhalb der Karenzzeit bricht eine vorgemerkte Konto-Löschung ab
+  const response = { message: "Login erfolgreich", userId: user.id };
+  if (user.deletion_scheduled_at !== null)
+    response.deletionCancelled = await cancelAccountDeletion(user.id);
 
-    // Domain nur setzen wenn definiert (Production), in Development weglassen
-    if (ENV.COOKIE_DOMAIN) {
-      cookieOptions.domain = ENV.COOKIE_DOMAIN;
+  // Optional: Todos der Gast-Session übernehmen, bevor die Session ersetzt wird
+  if (mergeOptions.merge && req.session?.type === "guest") {
+    try {
+      response.merge = await mergeGuestIntoUser({
+        guestId: req.session.guestId,
+        userId: user.id,
+        userDbName: user.db_name,
+        strategy: mergeOptions.strategy,
+      });
+    } catch (mergeErr) {
+      // Login bleibt gültig - Merge ist transaktional, die Gast-DB unverändert
+      errorLog("Gast-Merge bei Login fehlgeschlagen:", mergeErr.message);
+      response.merge = mergeFailure(requestLanguage(req));
     }
+  }
+
+  // Bestehende Session (Gast oder anderer User) ersetzen
+  await destroySession(req.session);
+
+  // Neue User-Session anlegen und Token als httpOnly-Cookie setzen
+  const token = await createSession({ type: "user", userId: user.id });
+  setSessionCookie(res, token);
+
+  res.json(response);
+});
 
-    debugLog(`User-Login Cookie-Optionen:`, cookieOptions);
-    res.cookie("userId", user.id, cookieOptions);
+/**
+ * POST /api/password/forgot - Passwort-Reset anfordern
+ * Antwortet sofort und immer gleich (auch für unbekannte Adressen), damit weder
+ * Antwort noch Antwortzeit verraten, ob ein Konto existiert. Token und Mail
+ * werden danach im Hintergrund erzeugt.
+ * @param {Object} req.body - { email: string }
+ * @returns {Object} 202 { message: string }
+ */
+router.post(
+  "/password/forgot",
+  validate({ body: forgotPasswordSchema }),
+  async (req, res) => {
+    const language = requestLanguage(req);
+    res.status(202).json({
+      message: "Falls die Adresse registriert ist, wurde eine E-Mail gesendet",
+    });
 
-    res.json({ message: "Login erfolgreich", userId: user.id });
-  } catch (err) {
-    res.status(500).json({ error: err.message });
+    requestPasswordReset(req.body.email, { language }).catch((err) =>
+      errorLog("Passwort-Reset-Mail fehlgeschlagen:", err)
+    );
+  }
+);
+
+/**
+ * POST /api/password/reset - Neues Passwort mit Reset-Token setzen
+ * Das Token ist nur einmal gültig; danach sind alle Sessions des Users beendet
+ * und er muss sich mit dem neuen Passwort anmelden.
+ * @param {Object} req.body - { token: string, password: string }
+ * @returns {Object} { message: string }
+ */
+router.post(
+  "/password/reset",
+  validate({ body: resetPasswordSchema }),
+  async (req, res) => {
+    const userId = await resetPassword(req.body.token, req.body.password);
+    if (userId === null) throw new AppError("RESET_TOKEN_INVALID");
+
+    // Eigene Session wurde mit beendet → Cookie ebenfalls entfernen
+    if (req.session?.userId === userId) clearSessionCookie(res);
+
+    res.json({ message: "Passwort geändert - bitte neu anmelden" });
+  }
+);
+
+/**
+ * POST /api/email/verify - E-Mail-Adresse mit Token aus dem Link bestätigen
+ * Funktioniert ohne Session (Link kann in einem anderen Browser geöffnet werden).
+ * Das Token ist danach verbraucht.
+ * @param {Object} req.body - { token: string }
+ * @returns {Object} { message: string, email: string }
+ */
+router.post(
+  "/email/verify",
+  validate({ body: verifyEmailSchema }),
+  async (req, res) => {
+    const verified = await confirmEmail(req.body.token);
+    if (!verified) throw new AppError("VERIFICATION_TOKEN_INVALID");
+
+    res.json({ message: "E-Mail-Adresse bestätigt", email: verified.email });
   }
+);
+
+/**
+ * POST /api/email/verify/resend - Bestätigungs-Mail erneut senden
+ * Nur für eingeloggte, noch unbestätigte User; höchstens eine Mail pro Minute.
+ * Der vorherige Link wird dabei ungültig.
+ * @returns {Object} 202 { message: string }
+ */
+router.post("/email/verify/resend", async (req, res) => {
+  if (req.session?.type !== "user") throw new AppError("SESSION_REQUIRED");
+
+  await resendVerificationMail(req.session.userId, {
+    language: requestLanguage(req),
+  });
+  res.status(202).json({ message: "Bestätigungs-Mail versendet" });
 });
 
 /**
  * POST /api/logout - User ausloggen
- * Löscht das userId Cookie
+ * Löscht die Session serverseitig und das Session-Cookie
  */
-router.post("/logout", (req, res) => {
-  const clearCookieOptions = { path: "/" };
-  if (ENV.COOKIE_DOMAIN) clearCookieOptions.domain = ENV.COOKIE_DOMAIN;
-  res.clearCookie("userId", clearCookieOptions);
-  // guestId NICHT automatisch setzen!
+router.post("/logout", async (req, res) => {
+  await destroySession(req.session);
+  clearSessionCookie(res);
+  // Gast-Session NICHT automatisch starten!
   res.json({ message: "Logout erfolgreich" });
 });
 
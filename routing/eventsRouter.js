@@ -0,0 +1,54 @@
+/**
+ * Events-Router
+ * Echtzeit-Änderungen der Todos per Server-Sent Events (EventSource)
+ */
+
+// routing/eventsRouter.js
+import { Router } from "express";
+import { openStream } from "../services/changeStream.js";
+import { integer } from "../services/validation.js";
+import { AppError } from "../services/errors.js";
+import { validate } from "../middleware/validationMiddleware.js";
+
+const router = Router();
+
+/**
+ * GET /api/events - Change-Stream der aktuellen Session (User oder Gast)
+ * Events: ready (Stream offen), created / updated ({ id, todo }),
+ * deleted ({ id, deleted_at, permanent }) - permanent = false bei Papierkorb.
+ * Heartbeats kommen als Kommentarzeilen. Beim Reconnect sendet EventSource automatisch
+ * Last-Event-ID; alle Änderungen danach werden nachgeliefert.
+ *
+ * @example
+ * const events = new EventSource("/api/events", { withCredentials: true });
+ * events.addEventListener("updated", (e) => render(JSON.parse(e.data).todo));
+ *
+ * @param {string} [req.headers.last-event-id] - Zuletzt empfangene Event-ID
+ * @param {string} [req.query.lastEventId] - Alternative für Clients ohne Header-Support
+ */
+router.get(
+  "/",
+  validate({
+    query: { lastEventId: integer({ min: 0, coerce: true }).optional() },
+  }),
+  async (req, res) => {
+    const raw = req.get("Last-Event-ID") ?? req.query.lastEventId;
+    let lastEventId;
+    if (raw !== undefined && raw !== "") {
+      lastEventId = Number(raw);
+      if (!Number.isSafeInteger(lastEventId) || lastEventId < 0)
+        throw new AppError("LAST_EVENT_ID_INVALID");
+    }
+
+    const opened = await openStream({
+      dbName: req.session.dbName,
+      pool: req.pool,
+      req,
+      res,
+      lastEventId,
+    });
+    if (!opened) throw new AppError("TOO_MANY_STREAMS");
+  }
+);
+
+export default router;
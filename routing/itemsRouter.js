@@ -0,0 +1,220 @@
+/**
+ * Checklisten-Router
+ * Verwaltet Unterpunkte eines Todos unter /api/todos/:id/items
+ * Optional wird das Todo erledigt, sobald der letzte Eintrag abgehakt ist
+ */
+
+// routing/itemsRouter.js
+import { Router } from "express";
+import { withTransaction } from "../db.js";
+import { getTodo } from "../services/todoService.js";
+import {
+  MAX_ITEM_TITLE_LENGTH,
+  MAX_ITEMS_PER_TODO,
+  itemProgress,
+  getItems,
+  getItem,
+  createItem,
+  updateItem,
+  deleteItem,
+  reorderItems,
+  completeTodoIfDone,
+} from "../services/itemService.js";
+import {
+  string,
+  integer,
+  id,
+  oneOf,
+  array,
+} from "../services/validation.js";
+import { AppError } from "../services/errors.js";
+import { validate } from "../middleware/validationMiddleware.js";
+
+// mergeParams: req.params.id stammt aus dem Todos-Router (dort validiert)
+const router = Router({ mergeParams: true });
+
+/**
+ * Route-Parameter mit Eintrags-ID
+ * @type {Object}
+ */
+const itemParams = { itemId: id() };
+
+/**
+ * Auto-Complete-Option per Body oder Query
+ * @type {Object}
+ */
+const autoCompleteSchema = {
+  body: { autoComplete: oneOf([true, false]).optional() },
+  query: { autoComplete: oneOf(["true", "false"]).optional() },
+};
+
+/**
+ * Erlaubte Werte für den Erledigt-Status
+ * @type {Array}
+ */
+const COMPLETED_VALUES = [true, false, 0, 1];
+
+/**
+ * Auto-Complete angefordert? (Body { autoComplete: true } oder ?autoComplete=true)
+ * @param {Request} req - Express Request Object
+ * @returns {boolean}
+ */
+function wantsAutoComplete(req) {
+  return req.body?.autoComplete === true || req.query.autoComplete === "true";
+}
+
+/**
+ * Eintrag ändern und ggf. Todo automatisch erledigen (in einer Transaktion)
+ * @async
+ * @param {Request} req - Express Request Object
+ * @param {Object} item - Bestehender Eintrag
+ * @param {Object} changes - { title?, completed? }
+ * @returns {Promise<Object>} { item, progress, todoCompleted }
+ */
+async function applyItemChanges(req, item, changes) {
+  return withTransaction(req.pool, async (conn) => {
+    const updated = await updateItem(conn, item, changes);
+    const todoCompleted =
+      updated.completed && wantsAutoComplete(req)
+        ? await completeTodoIfDone(conn, req.todo.id)
+        : false;
+    const progress = itemProgress(await getItems(conn, req.todo.id));
+    return { item: updated, progress, todoCompleted };
+  });
+}
+
+/**
+ * Lädt das übergeordnete Todo nach req.todo (404, falls es fehlt)
+ */
+router.use(async (req, res, next) => {
+  req.todo = await getTodo(req.pool, req.params.id);
+  if (!req.todo) throw new AppError("TODO_NOT_FOUND");
+  next();
+});
+
+/**
+ * GET /api/todos/:id/items - Checkliste in Reihenfolge
+ * @returns {Array<Object>} [{ id, todo_id, title, completed, position, created, updated }]
+ */
+router.get("/", async (req, res) => {
+  res.json(await getItems(req.pool, req.todo.id));
+});
+
+/**
+ * POST /api/todos/:id/items - Eintrag am Ende anfügen
+ * @param {Object} req.body - Eintrags-Daten
+ * @param {string} req.body.title - Titel (erforderlich)
+ * @param {boolean|number} [req.body.completed] - Erledigt-Status
+ */
+router.post(
+  "/",
+  validate({
+    body: {
+      title: string({ max: MAX_ITEM_TITLE_LENGTH }),
+      completed: oneOf(COMPLETED_VALUES).optional(),
+    },
+  }),
+  async (req, res) => {
+    const item = await withTransaction(req.pool, (conn) =>
+      createItem(conn, req.todo.id, {
+        title: req.body.title,
+        completed: req.body.completed ? 1 : 0,
+      })
+    );
+    if (!item)
+      throw new AppError("ITEM_LIMIT_REACHED", {
+        params: { max: MAX_ITEMS_PER_TODO },
+      });
+    res.status(201).json({ ...item, message: "Eintrag erfolgreich erstellt" });
+  }
+);
+
+/**
+ * PUT /api/todos/:id/items/order - Checkliste neu sortieren
+ * @param {number[]} req.body.ids - Alle Eintrags-IDs in neuer Reihenfolge
+ */
+router.put(
+  "/order",
+  validate({
+    body: {
+      ids: array(integer({ min: 1 }), { max: MAX_ITEMS_PER_TODO }),
+    },
+  }),
+  async (req, res) => {
+    const items = await withTransaction(req.pool, (conn) =>
+      reorderItems(conn, req.todo.id, req.body.ids)
+    );
+    if (!items) throw new AppError("ITEM_ORDER_MISMATCH");
+    res.json({ message: "Reihenfolge aktualisiert", items });
+  }
+);
+
+/**
+ * PATCH /api/todos/:id/items/:itemId - Eintrag ändern
+ * @param {Object} req.body - Update-Daten (title, completed)
+ * @param {boolean} [req.body.autoComplete] - Todo erledigen, wenn alle Einträge erledigt sind
+ */
+router.patch(
+  "/:itemId",
+  validate({
+    params: itemParams,
+    query: autoCompleteSchema.query,
+    body: {
+      ...autoCompleteSchema.body,
+      title: string({ max: MAX_ITEM_TITLE_LENGTH }).optional(),
+      completed: oneOf(COMPLETED_VALUES).optional(),
+    },
+  }),
+  async (req, res) => {
+    const changes = {};
+    if (req.body.title !== undefined) changes.title = req.body.title;
+    if (req.body.completed !== undefined)
+      changes.completed = req.body.completed ? 1 : 0;
+
+    if (!Object.keys(changes).length) throw new AppError("NO_CHANGES");
+
+    const item = await getItem(req.pool, req.todo.id, req.params.itemId);
+    if (!item) throw new AppError("ITEM_NOT_FOUND");
+
+    const result = await applyItemChanges(req, item, changes);
+    res.json({ message: "Eintrag aktualisiert", ...result });
+  }
+);
+
+/**
+ * POST /api/todos/:id/items/:itemId/toggle - Erledigt-Status umschalten
+ * @param {boolean} [req.body.autoComplete] - Todo erledigen, wenn alle Einträge erledigt sind
+ */
+router.post(
+  "/:itemId/toggle",
+  validate({ params: itemParams, ...autoCompleteSchema }),
+  async (req, res) => {
+    const item = await getItem(req.pool, req.todo.id, req.params.itemId);
+    if (!item) throw new AppError("ITEM_NOT_FOUND");
+
+    const result = await applyItemChanges(req, item, {
+      completed: item.completed ? 0 : 1,
+    });
+    res.json({ message: "Eintrag aktualisiert", ...result });
+  }
+);
+
+/**
+ * DELETE /api/todos/:id/items/:itemId - Eintrag löschen
+ * @param {string} req.params.itemId - Eintrags-ID
+ */
+router.delete(
+  "/:itemId",
+  validate({ params: itemParams }),
+  async (req, res) => {
+    const deleted = await deleteItem(req.pool, req.todo.id, req.params.itemId);
+    if (!deleted) throw new AppError("ITEM_NOT_FOUND");
+    res.json({
+      message: "Eintrag erfolgreich gelöscht",
+      deletedId: req.params.itemId,
+      progress: itemProgress(await getItems(req.pool, req.todo.id)),
+    });
+  }
+);
+
+export default router;
@@ -0,0 +1,116 @@
+/**
+ * Listen-Router
+ * Verwaltet Listen/Projekte (z.B. "Arbeit", "Einkauf") in User- oder Gast-Sessions
+ * Jede Tenant-DB besitzt eine Inbox als Standardliste
+ */
+
+// routing/listsRouter.js
+import { Router } from "express";
+import { withTransaction } from "../db.js";
+import {
+  DELETE_MODES,
+  MAX_LIST_NAME_LENGTH,
+  getLists,
+  getList,
+  createList,
+  renameList,
+  deleteList,
+} from "../services/listService.js";
+import { string, id, oneOf } from "../services/validation.js";
+import { AppError } from "../services/errors.js";
+import { validate } from "../middleware/validationMiddleware.js";
+
+const router = Router();
+
+/**
+ * Route-Parameter mit Listen-ID
+ * @type {Object}
+ */
+const listParams = { id: id() };
+
+/**
+ * Body-Schema für Anlegen und Umbenennen
+ * @type {Object}
+ */
+const listBodySchema = { name: string({ max: MAX_LIST_NAME_LENGTH }) };
+
+/**
+ * GET /api/lists - Alle Listen inkl. Todo-Zählern
+ * @returns {Array<Object>} [{ id, name, is_inbox, created, updated, todo_count, open_count }]
+ */
+router.get("/", async (req, res) => {
+  res.json(await getLists(req.pool));
+});
+
+/**
+ * GET /api/lists/:id - Einzelne Liste abrufen
+ * @param {string} req.params.id - Listen-ID
+ */
+router.get("/:id", validate({ params: listParams }), async (req, res) => {
+  const list = await getList(req.pool, req.params.id);
+  if (!list) throw new AppError("LIST_NOT_FOUND");
+  res.json(list);
+});
+
+/**
+ * POST /api/lists - Neue Liste anlegen
+ * @param {Object} req.body - Listen-Daten
+ * @param {string} req.body.name - Listenname (erforderlich)
+ */
+router.post("/", validate({ body: listBodySchema }), async (req, res) => {
+  const list = await createList(req.pool, req.body.name);
+  res.status(201).json({ ...list, message: "Liste erfolgreich erstellt" });
+});
+
+/**
+ * PATCH /api/lists/:id - Liste umbenennen (auch die Inbox)
+ * @param {string} req.params.id - Listen-ID
+ * @param {Object} req.body - Update-Daten
+ * @param {string} req.body.name - Neuer Listenname
+ */
+router.patch(
+  "/:id",
+  validate({ params: listParams, body: listBodySchema }),
+  async (req, res) => {
+    const list = await renameList(req.pool, req.params.id, req.body.name);
+    if (!list) throw new AppError("LIST_NOT_FOUND");
+    res.json({ ...list, message: "Liste aktualisiert" });
+  }
+);
+
+/**
+ * DELETE /api/lists/:id - Liste löschen
+ * Die Inbox kann nicht gelöscht werden.
+ *
+ * @example
+ * DELETE /api/lists/3              → Todos wandern in die Inbox
+ * DELETE /api/lists/3?mode=cascade → Todos wandern in den Papierkorb
+ *
+ * @param {string} req.params.id - Listen-ID
+ * @param {string} [req.query.mode="move"] - move | cascade
+ */
+router.delete(
+  "/:id",
+  validate({
+    params: listParams,
+    query: { mode: oneOf(DELETE_MODES).optional() },
+  }),
+  async (req, res) => {
+    const mode = req.query.mode ?? "move";
+
+    const list = await getList(req.pool, req.params.id);
+    if (!list) throw new AppError("LIST_NOT_FOUND");
+    if (list.is_inbox) throw new AppError("INBOX_NOT_DELETABLE");
+
+    const stats = await withTransaction(req.pool, (conn) =>
+      deleteList(conn, list, mode)
+    );
+    res.json({
+      message: "Liste erfolgreich gelöscht",
+      deletedId: list.id,
+      ...stats,
+    });
+  }
+);
+
+export default router;
@@ -0,0 +1,89 @@
+/**
+ * Sync-Router
+ * Delta-Sync für Offline-first-Clients (PWA)
+ * Ablauf: lokale Änderungen per POST pushen, danach per GET ab dem letzten Cursor pullen
+ */
+
+// routing/syncRouter.js
+import { Router } from "express";
+import {
+  MAX_PULL_LIMIT,
+  MAX_PUSH_CHANGES,
+  parsePullQuery,
+  pullChanges,
+  parsePush,
+  pushChanges,
+} from "../services/syncService.js";
+import { integer, array } from "../services/validation.js";
+import { invalidInput } from "../services/errors.js";
+import { validate } from "../middleware/validationMiddleware.js";
+import { requestLanguage } from "../middleware/errorMiddleware.js";
+
+const router = Router();
+
+/**
+ * GET /api/sync - Änderungen seit einem Cursor
+ * Erster Sync mit since=0 (bzw. ohne since) liefert den vollständigen Bestand.
+ * Solange hasMore true ist, mit dem gelieferten cursor erneut abfragen.
+ *
+ * @example
+ * GET /api/sync?since=1520
+ * → 200 { cursor: 1534, hasMore: false,
+ *         todos: [{ id: 7, version: 4, change_seq: 1533, deleted_at: null, ... }],
+ *         deleted: [{ id: 3, change_seq: 1534, deleted_at: 1718000000000 }],
+ *         lists: [...], tags: [...] }
+ *
+ * @param {string} [req.query.since=0] - Cursor aus der letzten Antwort
+ * @param {string} [req.query.limit=500] - Max. Anzahl Änderungen (1-1000)
+ */
+router.get(
+  "/",
+  validate({
+    query: {
+      since: integer({ min: 0, coerce: true }).optional(),
+      limit: integer({ min: 1, max: MAX_PULL_LIMIT, coerce: true }).optional(),
+    },
+  }),
+  async (req, res) => {
+    const options = parsePullQuery(req.query);
+    if (options.error) throw invalidInput(options.error);
+
+    res.json(await pullChanges(req.pool, options));
+  }
+);
+
+/**
+ * POST /api/sync - Client-Änderungen übernehmen
+ * update/delete brauchen die zuletzt gesehene version des Todos; weicht sie ab,
+ * bleibt der Server-Stand erhalten (409 + aktueller Stand im Ergebnis).
+ *
+ * @example
+ * POST /api/sync
+ * {
+ *   "changes": [
+ *     { "op": "create", "client_id": "c1f2...", "data": { "title": "Offline angelegt" } },
+ *     { "op": "update", "id": 7, "version": 4, "data": { "completed": 1 } },
+ *     { "op": "delete", "id": 9, "version": 2 }
+ *   ]
+ * }
+ * → 200 { results: [{ index: 0, op: "create", status: 201, id: 42, client_id: "c1f2...", todo }, ...] }
+ *
+ * @param {Array<Object>} req.body.changes - Änderungen (max. 100)
+ */
+router.post(
+  "/",
+  validate({
+    body: { changes: array(null, { min: 1, max: MAX_PUSH_CHANGES }) },
+  }),
+  async (req, res) => {
+    const { changes, error } = parsePush(req.body);
+    if (error) throw invalidInput(error);
+
+    const results = await pushChanges(req.pool, changes, {
+      language: requestLanguage(req),
+    });
+    res.json({ results });
+  }
+);
+
+export default router;
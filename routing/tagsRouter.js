@@ -0,0 +1,139 @@
+/**
+ * Tags-Router
+ * Verwaltet Tags/Labels inkl. Farbe und Nutzungszähler (Tag-Cloud)
+ * Die Zuordnung zu Todos erfolgt über POST/PATCH /api/todos (Feld tags)
+ */
+
+// routing/tagsRouter.js
+import { Router } from "express";
+import { withTransaction } from "../db.js";
+import {
+  MAX_TAG_NAME_LENGTH,
+  normalizeTagName,
+  normalizeTagColor,
+  getTags,
+  getTag,
+  createTag,
+  updateTag,
+  deleteTag,
+} from "../services/tagService.js";
+import { id, oneOf, custom } from "../services/validation.js";
+import { AppError } from "../services/errors.js";
+import { validate } from "../middleware/validationMiddleware.js";
+
+const router = Router();
+
+/**
+ * Route-Parameter mit Tag-ID
+ * @type {Object}
+ */
+const tagParams = { id: id() };
+
+/**
+ * Body-Schema für Anlegen (name erforderlich) und Ändern
+ * Normalisiert Name ("#Dringend " → "Dringend") und Farbe (Kleinbuchstaben).
+ * @param {Object} [options] - Optionen
+ * @param {boolean} [options.partial=false] - Partielles Update
+ * @returns {Object} Schema
+ */
+function tagBodySchema({ partial = false } = {}) {
+  const name = custom((value) => {
+    const normalized = normalizeTagName(value);
+    return normalized
+      ? { value: normalized }
+      : { code: "INVALID_TAG_NAME", params: { max: MAX_TAG_NAME_LENGTH } };
+  });
+  return {
+    name: partial ? name.optional() : name,
+    color: custom((value) => {
+      const normalized = normalizeTagColor(value);
+      return normalized
+        ? { value: normalized }
+        : { code: "INVALID_COLOR" };
+    }).optional(),
+  };
+}
+
+/**
+ * GET /api/tags - Alle Tags inkl. usage_count
+ * @param {string} [req.query.sort="name"] - name | usage (Tag-Cloud: häufigste zuerst)
+ * @returns {Array<Object>} [{ id, name, color, created, updated, usage_count }]
+ */
+router.get(
+  "/",
+  validate({ query: { sort: oneOf(["name", "usage"]).optional() } }),
+  async (req, res) => {
+    res.json(await getTags(req.pool, { sort: req.query.sort ?? "name" }));
+  }
+);
+
+/**
+ * GET /api/tags/:id - Einzelnes Tag abrufen
+ * @param {string} req.params.id - Tag-ID
+ */
+router.get("/:id", validate({ params: tagParams }), async (req, res) => {
+  const tag = await getTag(req.pool, req.params.id);
+  if (!tag) throw new AppError("TAG_NOT_FOUND");
+  res.json(tag);
+});
+
+/**
+ * POST /api/tags - Neues Tag anlegen
+ * @param {Object} req.body - Tag-Daten
+ * @param {string} req.body.name - Name (führendes "#" wird entfernt)
+ * @param {string} [req.body.color] - Farbe im Format #RRGGBB
+ */
+router.post("/", validate({ body: tagBodySchema() }), async (req, res) => {
+  try {
+    const tag = await createTag(req.pool, req.body.name, req.body.color);
+    res.status(201).json({ ...tag, message: "Tag erfolgreich erstellt" });
+  } catch (err) {
+    if (err.code === "ER_DUP_ENTRY")
+      throw new AppError("TAG_EXISTS", { cause: err });
+    throw err;
+  }
+});
+
+/**
+ * PATCH /api/tags/:id - Tag umbenennen und/oder umfärben
+ * @param {string} req.params.id - Tag-ID
+ * @param {Object} req.body - Update-Daten (name, color)
+ */
+router.patch(
+  "/:id",
+  validate({ params: tagParams, body: tagBodySchema({ partial: true }) }),
+  async (req, res) => {
+    const changes = {};
+    if (req.body.name !== undefined) changes.name = req.body.name;
+    if (req.body.color !== undefined) changes.color = req.body.color;
+
+    if (!Object.keys(changes).length) throw new AppError("NO_CHANGES");
+
+    try {
+      const tag = await withTransaction(req.pool, (conn) =>
+        updateTag(conn, req.params.id, changes)
+      );
+      if (!tag) throw new AppError("TAG_NOT_FOUND");
+      res.json({ ...tag, message: "Tag aktualisiert" });
+    } catch (err) {
+      if (err.code === "ER_DUP_ENTRY")
+        throw new AppError("TAG_EXISTS", { cause: err });
+      throw err;
+    }
+  }
+);
+
+/**
+ * DELETE /api/tags/:id - Tag löschen
+ * Die Todos bleiben erhalten, nur die Zuordnung entfällt.
+ * @param {string} req.params.id - Tag-ID
+ */
+router.delete("/:id", validate({ params: tagParams }), async (req, res) => {
+  const deleted = await withTransaction(req.pool, (conn) =>
+    deleteTag(conn, req.params.id)
+  );
+  if (!deleted) throw new AppError("TAG_NOT_FOUND");
+  res.json({ message: "Tag erfolgreich gelöscht", deletedId: req.params.id });
+});
+
+export default router;
@@ -4,40 +4,318 @@
  */
 
 import { Router } from "express";
+import {
+  TRASH_FILTERS,
+  VIEWS,
+  MAX_LIMIT,
+  MAX_SEARCH_LENGTH,
+  parseListQuery,
+  buildListQuery,
+  paginate,
+} from "../services/todoQuery.js";
+import {
+  PRIORITIES,
+  MAX_TODO_TITLE_LENGTH,
+  MAX_TODO_DESCRIPTION_LENGTH,
+  toTimestamp,
+  normalizeTodoInput,
+  resolveTodoReferences,
+  getTodo,
+  createTodo,
+  updateTodo,
+  trashTodo,
+  restoreTodo,
+  emptyTrash,
+  deleteTodo,
+} from "../services/todoService.js";
+import {
+  decodeRecurrence,
+  normalizeRecurrence,
+} from "../services/recurrence.js";
+import {
+  BATCH_MODES,
+  MAX_BATCH_OPERATIONS,
+  parseBatch,
+  runBatch,
+} from "../services/todoBatch.js";
+import { parseMoveTarget, moveTodo } from "../services/todoOrder.js";
+import { getHistory, undoLastChange } from "../services/historyService.js";
+import { attachTags, normalizeTagRefs } from "../services/tagService.js";
+import { attachItems } from "../services/itemService.js";
+import { todoETag, ifMatchPasses, ifNoneMatchHits } from "../services/etag.js";
+import {
+  string,
+  integer,
+  id,
+  oneOf,
+  array,
+  custom,
+} from "../services/validation.js";
+import { AppError, invalidInput } from "../services/errors.js";
+import { validate } from "../middleware/validationMiddleware.js";
+import { requestLanguage } from "../middleware/errorMiddleware.js";
+import itemsRouter from "./itemsRouter.js";
+import { withTransaction } from "../db.js";
 
 const router = Router();
 
 /**
- * GET /api/todos - Alle Todos des aktuellen Users/Gasts abrufen
- * Sortierung: Unerledigte zuerst, dann nach Update-Zeit
+ * Route-Parameter mit Todo-ID
+ * @type {Object}
  */
-router.get("/", async (req, res) => {
-  try {
-    const [rows] = await req.pool.query(
-      `SELECT * FROM todos ORDER BY completed ASC, updated DESC`
-    );
-    res.json(rows);
-  } catch (err) {
-    res.status(500).json({ error: err.message });
+const todoParams = { id: id() };
+
+/**
+ * Erlaubte Werte für Erledigt-Status
+ * @type {Array}
+ */
+const COMPLETED_VALUES = [true, false, 0, 1];
+
+/**
+ * Regel: Zeitpunkt als Timestamp (ms) oder ISO-Datum
+ * @returns {Object} Regel
+ */
+function timestamp() {
+  return custom((value) =>
+    toTimestamp(value) === undefined
+      ? { code: "INVALID_TIMESTAMP" }
+      : { value }
+  );
+}
+
+/**
+ * Body-Schema für POST (title erforderlich) und PATCH (alles optional)
+ * Priorität, Tags und Wiederholung wandelt danach normalizeTodoInput um.
+ * @param {Object} [options] - Optionen
+ * @param {boolean} [options.partial=false] - Partielles Update
+ * @returns {Object} Schema
+ */
+function todoBodySchema({ partial = false } = {}) {
+  const title = string({ max: MAX_TODO_TITLE_LENGTH });
+  return {
+    title: partial ? title.optional().nullable() : title,
+    description: string({
+      min: 0,
+      max: MAX_TODO_DESCRIPTION_LENGTH,
+      trim: false,
+    })
+      .optional()
+      .nullable(),
+    completed: oneOf(COMPLETED_VALUES).optional().nullable(),
+    due_at: timestamp().optional().nullable(),
+    priority: oneOf([...Object.values(PRIORITIES), ...Object.keys(PRIORITIES)])
+      .optional()
+      .nullable(),
+    completed_at: timestamp().optional().nullable(),
+    list_id: id().optional(),
+    tags: custom((value) => {
+      const { error } = normalizeTagRefs(value);
+      return error ? { error } : { value };
+    }).optional(),
+    recurrence: custom((value) => {
+      const { error } = normalizeRecurrence(value);
+      return error ? { error } : { value };
+    })
+      .optional()
+      .nullable(),
+  };
+}
+
+/**
+ * Query-Schema für Todo-Listen (GET /api/todos und /api/todos/trash)
+ * Kombinationen (z.B. cursor ohne limit) prüft parseListQuery.
+ * @type {Object}
+ */
+const listQuerySchema = {
+  trashed: oneOf(TRASH_FILTERS).optional(),
+  status: oneOf(["open", "done", "all"]).optional(),
+  list: id().optional(),
+  tag: custom((value) =>
+    [value].flat().every((name) => typeof name === "string")
+      ? { value }
+      : { code: "NOT_STRING" }
+  ).optional(),
+  tagMode: oneOf(["and", "or"]).optional(),
+  q: string({ min: 0, max: MAX_SEARCH_LENGTH }).optional(),
+  createdFrom: string({ max: 40 }).optional(),
+  createdTo: string({ max: 40 }).optional(),
+  updatedFrom: string({ max: 40 }).optional(),
+  updatedTo: string({ max: 40 }).optional(),
+  view: oneOf(VIEWS).optional(),
+  tzOffset: integer({ min: -840, max: 840, coerce: true }).optional(),
+  sort: string({ max: 200 }).optional(),
+  limit: integer({ min: 1, max: MAX_LIMIT, coerce: true }).optional(),
+  offset: integer({ min: 0, coerce: true }).optional(),
+  cursor: string({ max: 1000 }).optional(),
+};
+
+/**
+ * Baut den relativen Link auf die Folgeseite
+ * @param {Request} req - Express Request Object
+ * @param {Object} next - Parameter der Folgeseite ({ offset } oder { cursor })
+ * @returns {string} z.B. "/api/todos?limit=20&cursor=..."
+ */
+function nextPageLink(req, next) {
+  const params = new URLSearchParams(req.query);
+  for (const [key, value] of Object.entries(next)) params.set(key, value);
+  return `${req.baseUrl}${req.path === "/" ? "" : req.path}?${params}`;
+}
+
+/**
+ * Einzelnes Todo mit Tags, Checkliste und Fortschritt anreichern (wie GET /api/todos/:id)
+ * @async
+ * @param {mysql.Pool} db - Tenant-Pool
+ * @param {Object} todo - Todo-Zeile
+ * @returns {Promise<Object>} Dasselbe Todo
+ */
+async function withDetails(db, todo) {
+  await attachTags(db, [todo]);
+  await attachItems(db, [todo]);
+  decodeRecurrence([todo]);
+  return todo;
+}
+
+/**
+ * Fehler für 412 Precondition Failed mit aktuellem Stand; setzt dessen ETag
+ * @async
+ * @param {Request} req - Express Request Object
+ * @param {Response} res - Express Response Object
+ * @param {Object} todo - Aktuelles Todo
+ * @returns {Promise<AppError>} TODO_MODIFIED (Antwort enthält todo)
+ */
+async function preconditionFailed(req, res, todo) {
+  res.set("ETag", todoETag(todo));
+  return new AppError("TODO_MODIFIED", {
+    data: { todo: await withDetails(req.pool, todo) },
+  });
+}
+
+/**
+ * Todo-Liste gemäß Query-Parametern senden (Body-Array + Pagination-Header)
+ * @async
+ * @param {Request} req - Express Request Object
+ * @param {Response} res - Express Response Object
+ * @param {Object} query - Query-Parameter (siehe parseListQuery)
+ */
+async function sendTodoList(req, res, query) {
+  const options = parseListQuery(query);
+  if (options.error) throw invalidInput(options.error);
+
+  const { listSql, listParams, countSql, countParams } =
+    buildListQuery(options);
+  const [[rows], [[{ total }]]] = await Promise.all([
+    req.pool.query(listSql, listParams),
+    req.pool.query(countSql, countParams),
+  ]);
+
+  const { items, next } = paginate(options, rows);
+  await attachTags(req.pool, items);
+  decodeRecurrence(items);
+
+  res.set("X-Total-Count", String(total));
+  if (next) {
+    res.set("Link", `<${nextPageLink(req, next)}>; rel="next"`);
+    if (next.cursor) res.set("X-Next-Cursor", next.cursor);
   }
+  res.json(items);
+}
+
+/**
+ * GET /api/todos - Todos des aktuellen Users/Gasts abrufen
+ * Standard-Sortierung: Unerledigte zuerst, dann nach Update-Zeit
+ *
+ * Query-Parameter (alle optional):
+ * - trashed: exclude (Default) | include | only
+ * - status: open | done | all
+ * - list: Listen-ID
+ * - tag: Tag-Namen (kommagetrennt oder mehrfach), tagMode: or (Default) | and
+ * - q: Suche in Titel und Beschreibung
+ * - createdFrom, createdTo, updatedFrom, updatedTo: Timestamp (ms) oder ISO-Datum
+ * - sort: Kommagetrennte Felder (created, updated, title, completed, due_at, priority,
+ *   completed_at, position), "-" = absteigend; position = manuelle Reihenfolge
+ * - limit: Seitengröße (1-200), ohne limit werden alle Todos geliefert
+ * - offset | cursor: Seitenposition (cursor aus X-Next-Cursor / Link-Header)
+ *
+ * Response-Header: X-Total-Count (Treffer gesamt), Link rel="next", X-Next-Cursor
+ *
+ * @example
+ * GET /api/todos?status=open&q=einkauf&sort=-created&limit=20
+ */
+router.get("/", validate({ query: listQuerySchema }), (req, res) =>
+  sendTodoList(req, res, req.query)
+);
+
+/**
+ * GET /api/todos/trash - Todos im Papierkorb (zuletzt gelöschte zuerst)
+ * Unterstützt dieselben Filter- und Pagination-Parameter wie GET /api/todos.
+ * Einträge werden nach ENV.TRASH_RETENTION_MS automatisch endgültig gelöscht.
+ */
+router.get("/trash", validate({ query: listQuerySchema }), (req, res) =>
+  sendTodoList(req, res, {
+    ...req.query,
+    trashed: "only",
+    sort: req.query.sort ?? "-deleted_at",
+  })
+);
+
+/**
+ * DELETE /api/todos/trash - Papierkorb leeren (endgültig)
+ */
+router.delete("/trash", async (req, res) => {
+  const deleted = await withTransaction(req.pool, (conn) => emptyTrash(conn));
+  res.json({ message: "Papierkorb geleert", deleted });
 });
 
+/**
+ * DELETE /api/todos/trash/:id - Todo aus dem Papierkorb endgültig löschen
+ * @param {string} req.params.id - Todo-ID (muss im Papierkorb liegen)
+ */
+router.delete(
+  "/trash/:id",
+  validate({ params: todoParams }),
+  async (req, res) => {
+    const deleted = await withTransaction(req.pool, async (conn) => {
+      const todo = await getTodo(conn, req.params.id, {
+        forUpdate: true,
+        includeTrashed: true,
+      });
+      if (!todo || todo.deleted_at === null) return false;
+      return deleteTodo(conn, todo.id);
+    });
+    if (!deleted) throw new AppError("TODO_NOT_IN_TRASH");
+    res.json({
+      message: "Todo endgültig gelöscht",
+      deletedId: req.params.id,
+    });
+  }
+);
+
 /**
  * GET /api/todos/:id - Einzelnes Todo abrufen
+ * Enthält die Checkliste (items) und deren Fortschritt (progress: { done, total, ratio })
+ * Todos im Papierkorb nur mit ?trashed=include
+ * Response-Header ETag; mit passendem If-None-Match antwortet der Server mit 304 (ohne Body).
  * @param {string} req.params.id - Todo-ID
  */
-router.get("/:id", async (req, res) => {
-  try {
-    const [rows] = await req.pool.query(`SELECT * FROM todos WHERE id = ?`, [
-      req.params.id,
-    ]);
-    if (!rows.length)
-      return res.status(404).json({ message: "Todo nicht gefunden" });
-    res.json(rows[0]);
-  } catch (err) {
-    res.status(500).json({ error: err.message });
+router.get(
+  "/:id",
+  validate({
+    params: todoParams,
+    query: { trashed: oneOf(["exclude", "include"]).optional() },
+  }),
+  async (req, res) => {
+    const todo = await getTodo(req.pool, req.params.id, {
+      includeTrashed: req.query.trashed === "include",
+    });
+    if (!todo) throw new AppError("TODO_NOT_FOUND");
+
+    res.set("ETag", todoETag(todo));
+    if (ifNoneMatchHits(req.get("If-None-Match"), todo))
+      return res.status(304).end();
+
+    res.json(await withDetails(req.pool, todo));
   }
-});
+);
 
 /**
  * POST /api/todos - Neues Todo erstellen
@@ -45,32 +323,89 @@ router.get("/:id", async (req, res) => {
  * @param {string} req.body.title - Todo-Titel (erforderlich)
  * @param {string} [req.body.description] - Todo-Beschreibung
  * @param {number} [req.body.completed] - Erledigt-Status (0/1)
+ * @param {number|string} [req.body.due_at] - Fälligkeit (Timestamp ms oder ISO-Datum)
+ * @param {number|string} [req.body.priority] - Priorität 0-3 bzw. none/low/medium/high
+ * @param {number|string} [req.body.completed_at] - Erledigt-Zeitpunkt (Default: jetzt, falls erledigt)
+ * @param {number} [req.body.list_id] - Ziel-Liste (Default: Inbox)
+ * @param {Array<string|number>} [req.body.tags] - Tag-Namen (werden ggf. angelegt) oder Tag-IDs
+ * @param {Object} [req.body.recurrence] - Wiederholungsregel (siehe services/recurrence.js)
  */
-router.post("/", async (req, res) => {
-  const { title, description = "", completed = 0 } = req.body;
-  const timestamp = Date.now();
-  try {
-    const [result] = await req.pool.query(
-      `INSERT INTO todos (title, description, created, updated, completed) VALUES (?, ?, ?, ?, ?)`,
-      [title, description, timestamp, timestamp, completed]
-    );
-    res.status(201).json({
-      id: result.insertId,
-      title,
-      description,
-      created: timestamp,
-      updated: timestamp,
-      completed,
-      message: "Todo erfolgreich erstellt",
+router.post("/", validate({ body: todoBodySchema() }), async (req, res) => {
+  const { values, error } = normalizeTodoInput(req.body);
+  if (error) throw invalidInput(error);
+
+  // Neue Tags entstehen in derselben Transaktion wie das Todo
+  const todo = await withTransaction(req.pool, async (conn) => {
+    const refError = await resolveTodoReferences(conn, values);
+    if (refError) throw invalidInput(refError);
+    return createTodo(conn, values);
+  });
+  await attachTags(req.pool, [todo]);
+  decodeRecurrence([todo]);
+  res.set("ETag", todoETag(todo));
+  res.status(201).json({
+    ...todo,
+    message: "Todo erfolgreich erstellt",
+  });
+});
+
+/**
+ * POST /api/todos/batch - Mehrere Operationen in einer Transaktion
+ * Für "alle erledigen", "Erledigte löschen" und Mehrfachauswahl im Frontend.
+ *
+ * @example
+ * POST /api/todos/batch
+ * {
+ *   "mode": "best-effort",
+ *   "operations": [
+ *     { "op": "create", "data": { "title": "Neu" } },
+ *     { "op": "update", "id": 5, "data": { "completed": 1 } },
+ *     { "op": "delete", "id": 7 }
+ *   ]
+ * }
+ *
+ * @param {string} [req.body.mode="atomic"] - atomic (alles oder nichts) | best-effort
+ * @param {Array<Object>} req.body.operations - Max. 100 Operationen { op, id?, data? }
+ * @returns {Object} { committed, failedIndex?, results: [{ index, op, status, todo?, next?, deletedId?, error? }] }
+ */
+router.post(
+  "/batch",
+  validate({
+    body: {
+      mode: oneOf(BATCH_MODES).optional(),
+      operations: array(null, { min: 1, max: MAX_BATCH_OPERATIONS }),
+    },
+  }),
+  async (req, res) => {
+    const batch = parseBatch(req.body);
+    if (batch.error) throw invalidInput(batch.error);
+
+    const outcome = await runBatch(req.pool, batch, {
+      language: requestLanguage(req),
     });
-  } catch (err) {
-    res.status(500).json({ error: err.message });
+
+    if (outcome.committed) {
+      const todos = outcome.results
+        .flatMap((result) => [result.todo, result.next])
+        .filter(Boolean);
+      await attachTags(req.pool, todos);
+      decodeRecurrence(todos);
+    }
+
+    // atomic-Abbruch: Status der fehlgeschlagenen Operation
+    const failed = outcome.results.find(
+      (result) => result.index === outcome.failedIndex
+    );
+    res.status(outcome.committed ? 200 : failed.status).json(outcome);
   }
-});
+);
 
 /**
  * PATCH /api/todos/:id - Todo teilweise aktualisieren
- * Unterstützt partielle Updates mit COALESCE-Strategie
+ * Unterstützt partielle Updates mit COALESCE-Strategie (null = unverändert);
+ * due_at kann mit null entfernt werden, completed_at folgt dem Erledigt-Status
+ * Mit If-Match (ETag aus GET) wird nur geändert, wenn das Todo seitdem unverändert ist,
+ * sonst 412 mit aktuellem Stand (ohne If-Match: last write wins).
  *
  * @example
  * PATCH /api/todos/5
@@ -78,81 +413,180 @@ router.post("/", async (req, res) => {
  *
  * @example
  * PATCH /api/todos/5
- * { "completed": 1 }          → Nur Status wird geändert
+ * { "completed": 1 }          → Status wird geändert, completed_at = jetzt
+ *
+ * Wird ein wiederkehrendes Todo erledigt, legt der Handler in derselben Transaktion
+ * das nächste Vorkommen an (Response-Feld next).
  *
  * @param {string} req.params.id - Todo-ID
- * @param {Object} req.body - Update-Daten (title, description, completed)
+ * @param {Object} req.body - Update-Daten (title, description, completed, due_at, priority, completed_at, list_id, tags, recurrence)
  */
-router.patch("/:id", async (req, res) => {
-  const { title, description, completed } = req.body;
-
-  // Dynamischer SQL-Builder für partielle Updates
-  const updates = []; // ["title = COALESCE(?, title)", ...]
-  const params = []; // ["Neuer Titel", ...]
-
-  // Nur vorhandene Felder in Update einbeziehen
-  if (title !== undefined) {
-    updates.push("title = COALESCE(?, title)"); // SQL-Fragment
-    params.push(title);
-  }
-  if (description !== undefined) {
-    updates.push("description = COALESCE(?, description)");
-    params.push(description);
-  }
-  if (completed !== undefined) {
-    updates.push("completed = COALESCE(?, completed)");
-    params.push(completed);
-  }
-
-  // Mindestens ein Feld muss für Update vorhanden sein
-  if (!updates.length)
-    return res.status(400).json({ error: "Keine Update-Daten" });
+router.patch(
+  "/:id",
+  validate({ params: todoParams, body: todoBodySchema({ partial: true }) }),
+  async (req, res) => {
+    const { values, error } = normalizeTodoInput(req.body);
+    if (error) throw invalidInput(error);
 
-  // Timestamp immer aktualisieren
-  updates.push("updated = ?");
-  params.push(Date.now());
+    // Mindestens ein Feld muss für Update vorhanden sein
+    if (!Object.keys(values).length) throw new AppError("NO_CHANGES");
 
-  // Todo-ID als letzten Parameter hinzufügen
-  params.push(req.params.id);
+    const result = await withTransaction(req.pool, async (conn) => {
+      const current = await getTodo(conn, req.params.id, { forUpdate: true });
+      if (!current) return null;
+      if (!ifMatchPasses(req.get("If-Match"), current))
+        return { stale: current };
 
-  // SQL-Query dynamisch zusammenbauen
-  const sql = `UPDATE todos SET ${updates.join(", ")} WHERE id = ?`;
-
-  try {
-    const [result] = await req.pool.query(sql, params);
+      const refError = await resolveTodoReferences(conn, values);
+      if (refError) throw invalidInput(refError);
+      return updateTodo(conn, current.id, values);
+    });
 
     // Prüfen ob Todo existierte
-    if (result.affectedRows === 0)
-      return res.status(404).json({ message: "Todo nicht gefunden" });
+    if (!result) throw new AppError("TODO_NOT_FOUND");
+    if (result.stale) throw await preconditionFailed(req, res, result.stale);
 
+    const todos = [result.after, result.next].filter(Boolean);
+    await attachTags(req.pool, todos);
+    decodeRecurrence(todos);
+    res.set("ETag", todoETag(result.after));
     res.json({
       message: "Todo aktualisiert",
-      changes: result.affectedRows,
+      changes: 1,
+      todo: result.after,
+      ...(result.next && { next: result.next }),
     });
-  } catch (err) {
-    res.status(500).json({ error: err.message });
   }
-});
+);
 
 /**
- * DELETE /api/todos/:id - Todo löschen
+ * POST /api/todos/:id/move - Todo manuell umsortieren (Drag & Drop)
+ * Ändert nur die Position des verschobenen Todos; Sortierung per ?sort=position
+ *
+ * @example
+ * POST /api/todos/5/move
+ * { "before": 9 }              → direkt vor Todo 9 (in dessen Liste)
+ *
+ * @example
+ * POST /api/todos/5/move
+ * { "index": 0, "list_id": 2 } → an den Anfang von Liste 2
+ *
  * @param {string} req.params.id - Todo-ID
+ * @param {Object} req.body - Genau eines von before, after (Todo-IDs) oder index (optional mit list_id)
  */
-router.delete("/:id", async (req, res) => {
-  try {
-    const [result] = await req.pool.query(`DELETE FROM todos WHERE id = ?`, [
-      req.params.id,
-    ]);
-    if (result.affectedRows === 0) {
-      return res.status(404).json({ message: "Todo nicht gefunden" });
-    }
+router.post(
+  "/:id/move",
+  validate({
+    params: todoParams,
+    body: {
+      before: integer({ min: 1 }).optional(),
+      after: integer({ min: 1 }).optional(),
+      index: integer({ min: 0 }).optional(),
+      list_id: integer({ min: 1 }).optional(),
+    },
+  }),
+  async (req, res) => {
+    const { target, error } = parseMoveTarget(req.body);
+    if (error) throw invalidInput(error);
+
+    const result = await withTransaction(req.pool, (conn) =>
+      moveTodo(conn, req.params.id, target)
+    );
+    if (!result) throw new AppError("TODO_NOT_FOUND");
+    if (result.error) throw invalidInput(result.error);
+
     res.json({
-      message: "Todo erfolgreich gelöscht",
-      deletedId: req.params.id,
+      message: "Todo verschoben",
+      id: Number(req.params.id),
+      ...result,
+    });
+  }
+);
+
+/**
+ * POST /api/todos/:id/restore - Todo aus dem Papierkorb wiederherstellen
+ * Existiert die Liste nicht mehr, landet das Todo in der Inbox.
+ * @param {string} req.params.id - Todo-ID
+ */
+router.post(
+  "/:id/restore",
+  validate({ params: todoParams }),
+  async (req, res) => {
+    const todo = await withTransaction(req.pool, (conn) =>
+      restoreTodo(conn, req.params.id)
+    );
+    if (!todo) throw new AppError("TODO_NOT_IN_TRASH");
+
+    await attachTags(req.pool, [todo]);
+    decodeRecurrence([todo]);
+    res.json({ message: "Todo wiederhergestellt", todo });
+  }
+);
+
+/**
+ * GET /api/todos/:id/history - Änderungsverlauf (neueste Einträge zuerst)
+ * Auch für Todos im Papierkorb verfügbar.
+ * @param {string} req.params.id - Todo-ID
+ * @returns {Array<Object>} [{ id, action, changes, before, after, reverts, created }]
+ */
+router.get(
+  "/:id/history",
+  validate({ params: todoParams }),
+  async (req, res) => {
+    const todo = await getTodo(req.pool, req.params.id, {
+      includeTrashed: true,
     });
-  } catch (err) {
-    res.status(500).json({ error: err.message });
+    if (!todo) throw new AppError("TODO_NOT_FOUND");
+    res.json(await getHistory(req.pool, todo.id));
   }
+);
+
+/**
+ * POST /api/todos/:id/undo - Letzte Änderung rückgängig machen
+ * Wiederholtes Undo geht Schritt für Schritt weiter zurück; ein rückgängig
+ * gemachtes Anlegen verschiebt das Todo in den Papierkorb. Wird das Erledigen
+ * eines wiederkehrenden Todos rückgängig gemacht, landet das dabei angelegte
+ * nächste Vorkommen im Papierkorb (trashedNextId).
+ * @param {string} req.params.id - Todo-ID
+ */
+router.post("/:id/undo", validate({ params: todoParams }), async (req, res) => {
+  const todo = await getTodo(req.pool, req.params.id, {
+    includeTrashed: true,
+  });
+  if (!todo) throw new AppError("TODO_NOT_FOUND");
+
+  const result = await withTransaction(req.pool, (conn) =>
+    undoLastChange(conn, todo.id)
+  );
+  if (!result) throw new AppError("NOTHING_TO_UNDO");
+
+  await attachTags(req.pool, [result.todo]);
+  decodeRecurrence([result.todo]);
+  res.json({ message: "Änderung rückgängig gemacht", ...result });
 });
 
+/**
+ * DELETE /api/todos/:id - Todo in den Papierkorb verschieben
+ * Endgültig löschen: DELETE /api/todos/trash/:id
+ * Mit If-Match wie bei PATCH: 412 mit aktuellem Stand, wenn das ETag veraltet ist.
+ * @param {string} req.params.id - Todo-ID
+ */
+router.delete("/:id", validate({ params: todoParams }), async (req, res) => {
+  const result = await withTransaction(req.pool, async (conn) => {
+    const current = await getTodo(conn, req.params.id, { forUpdate: true });
+    if (!current) return null;
+    if (!ifMatchPasses(req.get("If-Match"), current)) return { stale: current };
+    return { deleted: await trashTodo(conn, current.id) };
+  });
+  if (!result) throw new AppError("TODO_NOT_FOUND");
+  if (result.stale) throw await preconditionFailed(req, res, result.stale);
+  res.json({
+    message: "Todo in den Papierkorb verschoben",
+    deletedId: req.params.id,
+  });
+});
+
+// Checkliste: /api/todos/:id/items
+router.use("/:id/items", validate({ params: todoParams }), itemsRouter);
+
 export default router;
@@ -0,0 +1,142 @@
+/**
+ * Transfer-Router
+ * Export aller aktiven Todos (JSON, CSV, iCalendar) und Import derselben Formate
+ */
+
+// routing/transferRouter.js
+import express, { Router } from "express";
+import { once } from "node:events";
+import { getList } from "../services/listService.js";
+import { EXPORT_FORMATS, exportChunks } from "../services/todoExport.js";
+import {
+  IMPORT_FORMATS,
+  DUPLICATE_MODES,
+  parseImport,
+  importTodos,
+} from "../services/todoImport.js";
+import { id, oneOf } from "../services/validation.js";
+import { AppError, invalidInput } from "../services/errors.js";
+import { validate } from "../middleware/validationMiddleware.js";
+import { requestLanguage } from "../middleware/errorMiddleware.js";
+
+const router = Router();
+
+/**
+ * Maximale Größe einer Import-Datei
+ * @type {string}
+ */
+const MAX_IMPORT_SIZE = "5mb";
+
+/**
+ * Import-Format aus dem Content-Type ableiten
+ * @type {Object<string, string>}
+ */
+const CONTENT_TYPE_FORMATS = {
+  "application/json": "json",
+  "text/csv": "csv",
+  "text/calendar": "ics",
+};
+
+/**
+ * GET /api/export - Alle aktiven Todos als Datei herunterladen (gestreamt)
+ * @param {string} [req.query.format="json"] - json | csv | ics
+ * @param {string} [req.query.list] - Nur Todos dieser Listen-ID
+ */
+router.get(
+  "/export",
+  validate({
+    query: {
+      format: oneOf(Object.keys(EXPORT_FORMATS)).optional(),
+      list: id().optional(),
+    },
+  }),
+  async (req, res) => {
+    const format = req.query.format ?? "json";
+    const listId =
+      req.query.list === undefined ? undefined : Number(req.query.list);
+
+    if (listId && !(await getList(req.pool, listId)))
+      throw new AppError("LIST_NOT_FOUND");
+
+    const date = new Date().toISOString().slice(0, 10);
+    res.setHeader("Content-Type", EXPORT_FORMATS[format]);
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="todos-${date}.${format}"`
+    );
+
+    // Bricht der Client ab, kommt kein "drain" mehr - Warten per Signal beenden
+    const closed = new AbortController();
+    res.on("close", () => closed.abort());
+
+    // Fehler nach dem ersten Chunk bricht die Fehler-Middleware als
+    // Verbindungsabbruch ab (statt einer unvollständigen Datei)
+    for await (const chunk of exportChunks(req.pool, format, { listId })) {
+      if (res.destroyed) break;
+      // Backpressure: bei vollem Puffer auf "drain" warten
+      if (!res.write(chunk)) {
+        try {
+          await once(res, "drain", { signal: closed.signal });
+        } catch (err) {
+          if (err.name === "AbortError") break;
+          throw err;
+        }
+      }
+    }
+    // break beendet auch den Generator (keine weiteren DB-Abfragen)
+    if (!res.destroyed) res.end();
+  }
+);
+
+/**
+ * POST /api/import - Todos aus einer Export-Datei importieren
+ * Der Body ist der rohe Datei-Inhalt (max. 5 MB).
+ *
+ * @example
+ * POST /api/import?format=csv&dryRun=true
+ * Content-Type: text/csv
+ *
+ * → 200 { dryRun: true, total: 3, imported: 2,
+ *         duplicates: [{ index: 1, title: "Einkaufen" }],
+ *         errors: [], newLists: ["Arbeit"], newTags: ["dringend"] }
+ *
+ * @param {string} [req.query.format] - json | csv | ics (Default: aus Content-Type)
+ * @param {string} [req.query.dryRun] - "true" = nur Vorschau, nichts speichern
+ * @param {string} [req.query.duplicates="skip"] - skip | keep (gleicher Titel wie ein aktives Todo)
+ */
+router.post(
+  "/import",
+  express.text({ type: () => true, limit: MAX_IMPORT_SIZE }),
+  validate({
+    query: {
+      format: oneOf(IMPORT_FORMATS).optional(),
+      dryRun: oneOf(["true", "false"]).optional(),
+      duplicates: oneOf(DUPLICATE_MODES).optional(),
+    },
+  }),
+  async (req, res) => {
+    const contentType = (req.get("Content-Type") ?? "").split(";")[0].trim();
+    const format = req.query.format ?? CONTENT_TYPE_FORMATS[contentType];
+    if (!IMPORT_FORMATS.includes(format))
+      throw new AppError("IMPORT_FORMAT_UNKNOWN", {
+        params: { formats: IMPORT_FORMATS.join(", ") },
+      });
+
+    const duplicates = req.query.duplicates ?? "skip";
+
+    if (typeof req.body !== "string" || !req.body.trim())
+      throw new AppError("IMPORT_EMPTY");
+
+    const { entries, error } = parseImport(format, req.body);
+    if (error) throw invalidInput(error);
+
+    const report = await importTodos(req.pool, entries, {
+      dryRun: req.query.dryRun === "true",
+      duplicates,
+      language: requestLanguage(req),
+    });
+    res.status(report.dryRun ? 200 : 201).json(report);
+  }
+);
+
+export default router;
@@ -0,0 +1,204 @@
+/**
+ * Webhooks-Router
+ * Registrierung ausgehender Webhooks für Todo-Events und deren Delivery-Log
+ */
+
+// routing/webhooksRouter.js
+import { Router } from "express";
+import { withTransaction } from "../db.js";
+import { errorLog } from "../config/environment.js";
+import {
+  WEBHOOK_EVENTS,
+  WEBHOOK_SECRET_LENGTH,
+  MAX_WEBHOOKS,
+  MAX_WEBHOOK_URL_LENGTH,
+  MAX_DELIVERY_LOG_LIMIT,
+  normalizeWebhookInput,
+  getWebhooks,
+  getWebhook,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  getDeliveries,
+} from "../services/webhookService.js";
+import {
+  deliverDue,
+  redeliver,
+  sendPing,
+} from "../services/webhookDelivery.js";
+import { id, integer, string, oneOf, array } from "../services/validation.js";
+import { AppError, invalidInput } from "../services/errors.js";
+import { validate } from "../middleware/validationMiddleware.js";
+
+const router = Router();
+
+/**
+ * Filterwerte für den Status im Delivery-Log
+ * @type {string[]}
+ */
+const DELIVERY_STATUSES = ["pending", "success", "failed"];
+
+const webhookParams = { id: id() };
+
+/**
+ * Body-Schema für Anlage/Update
+ * URL-Format, Protokoll und Ziel (kein internes Netz) prüft anschließend
+ * normalizeWebhookInput.
+ * @param {Object} [options] - Optionen
+ * @param {boolean} [options.partial=false] - Update: alle Felder optional
+ * @returns {Object} Schema
+ */
+function webhookBodySchema({ partial = false } = {}) {
+  const required = (fieldRule) => (partial ? fieldRule.optional() : fieldRule);
+  return {
+    url: required(string({ max: MAX_WEBHOOK_URL_LENGTH })),
+    events: required(array(oneOf(WEBHOOK_EVENTS), { min: 1 })),
+    secret: string({ ...WEBHOOK_SECRET_LENGTH, trim: false }).optional(),
+    active: oneOf([true, false]).optional(),
+    rotateSecret: oneOf([true, false]).optional(),
+  };
+}
+
+/**
+ * GET /api/webhooks - Alle Webhooks (ohne Secrets)
+ */
+router.get("/", async (req, res) => {
+  res.json(await getWebhooks(req.pool));
+});
+
+/**
+ * POST /api/webhooks - Webhook registrieren
+ * Das Secret wird nur in dieser Antwort (und bei Rotation) zurückgegeben.
+ * @param {Object} req.body - url, events, optional secret (sonst generiert) und active
+ */
+router.post("/", validate({ body: webhookBodySchema() }), async (req, res) => {
+  const { values, error } = normalizeWebhookInput(req.body);
+  if (error) throw invalidInput(error);
+
+  const webhook = await withTransaction(req.pool, (conn) =>
+    createWebhook(conn, values)
+  );
+  if (!webhook)
+    throw new AppError("WEBHOOK_LIMIT_REACHED", {
+      params: { max: MAX_WEBHOOKS },
+    });
+  res.status(201).json({ ...webhook, message: "Webhook erstellt" });
+});
+
+/**
+ * GET /api/webhooks/:id - Einzelner Webhook (ohne Secret)
+ * @param {string} req.params.id - Webhook-ID
+ */
+router.get("/:id", validate({ params: webhookParams }), async (req, res) => {
+  const webhook = await getWebhook(req.pool, req.params.id);
+  if (!webhook) throw new AppError("WEBHOOK_NOT_FOUND");
+  res.json(webhook);
+});
+
+/**
+ * PATCH /api/webhooks/:id - Webhook ändern, pausieren oder Secret rotieren
+ * @param {string} req.params.id - Webhook-ID
+ * @param {Object} req.body - url, events, secret, active, rotateSecret (true = neues Secret)
+ */
+router.patch(
+  "/:id",
+  validate({
+    params: webhookParams,
+    body: webhookBodySchema({ partial: true }),
+  }),
+  async (req, res) => {
+    const { values, error } = normalizeWebhookInput(req.body, {
+      partial: true,
+    });
+    if (error) throw invalidInput(error);
+    if (!Object.keys(values).length) throw new AppError("NO_CHANGES");
+
+    const webhook = await withTransaction(req.pool, (conn) =>
+      updateWebhook(conn, req.params.id, values)
+    );
+    if (!webhook) throw new AppError("WEBHOOK_NOT_FOUND");
+    res.json({ ...webhook, message: "Webhook aktualisiert" });
+  }
+);
+
+/**
+ * DELETE /api/webhooks/:id - Webhook samt Delivery-Log löschen
+ * @param {string} req.params.id - Webhook-ID
+ */
+router.delete("/:id", validate({ params: webhookParams }), async (req, res) => {
+  const deleted = await withTransaction(req.pool, (conn) =>
+    deleteWebhook(conn, req.params.id)
+  );
+  if (!deleted) throw new AppError("WEBHOOK_NOT_FOUND");
+  res.json({ message: "Webhook gelöscht", deletedId: req.params.id });
+});
+
+/**
+ * POST /api/webhooks/:id/ping - Ping-Event senden (Empfänger testen)
+ * Antwortet nach dem Zustellversuch mit dem Eintrag aus dem Delivery-Log.
+ * @param {string} req.params.id - Webhook-ID
+ */
+router.post(
+  "/:id/ping",
+  validate({ params: webhookParams }),
+  async (req, res) => {
+    const webhook = await getWebhook(req.pool, req.params.id);
+    if (!webhook) throw new AppError("WEBHOOK_NOT_FOUND");
+    res.json(await sendPing(req.pool, webhook));
+  }
+);
+
+/**
+ * GET /api/webhooks/:id/deliveries - Delivery-Log (neueste zuerst)
+ * @param {string} req.params.id - Webhook-ID
+ * @param {string} [req.query.status] - pending | success | failed
+ * @param {string} [req.query.limit=50] - Anzahl Einträge (max. MAX_DELIVERY_LOG_LIMIT)
+ */
+router.get(
+  "/:id/deliveries",
+  validate({
+    params: webhookParams,
+    query: {
+      status: oneOf(DELIVERY_STATUSES).optional(),
+      limit: integer({
+        min: 1,
+        max: MAX_DELIVERY_LOG_LIMIT,
+        coerce: true,
+      }).optional(),
+    },
+  }),
+  async (req, res) => {
+    const { status } = req.query;
+    const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+
+    const webhook = await getWebhook(req.pool, req.params.id);
+    if (!webhook) throw new AppError("WEBHOOK_NOT_FOUND");
+    res.json(await getDeliveries(req.pool, webhook.id, { limit, status }));
+  }
+);
+
+/**
+ * POST /api/webhooks/:id/deliveries/:deliveryId/redeliver - Zustellung wiederholen
+ * Reiht den unveränderten Payload erneut ein; der Versand läuft im Hintergrund.
+ * @param {string} req.params.id - Webhook-ID
+ * @param {string} req.params.deliveryId - Zustellungs-ID
+ */
+router.post(
+  "/:id/deliveries/:deliveryId/redeliver",
+  validate({ params: { id: id(), deliveryId: id() } }),
+  async (req, res) => {
+    const found = await redeliver(
+      req.pool,
+      req.params.id,
+      req.params.deliveryId
+    );
+    if (!found) throw new AppError("DELIVERY_NOT_FOUND");
+    res.status(202).json({ message: "Zustellung erneut eingereiht" });
+
+    deliverDue(req.pool).catch((err) =>
+      errorLog("Webhook-Zustellung fehlgeschlagen:", err.message)
+    );
+  }
+);
+
+export default router;
@@ -0,0 +1,69 @@
+/**
+ * Guest Cleanup Script
+ * Löscht verwaiste und inaktive Gast-Datenbanken einmalig
+ * (gleiche Logik wie der periodische Gast-Reaper im Server)
+ *
+ * Nutzung:
+ *   npm run cleanup:guests              # Gast-DBs löschen
+ *   npm run cleanup:guests -- --dry-run # Nur anzeigen, was gelöscht würde
+ */
+
+import { corePool, userPool } from "../db.js";
+import { ENV, errorLog, ENVIRONMENT } from "../config/environment.js";
+import { reapGuests } from "../services/guestReaper.js";
+
+/**
+ * Formatiert einen Timestamp für die Konsolenausgabe
+ * @param {number|null} timestamp - Millisekunden seit Epoch
+ * @returns {string} ISO-Datum oder "-"
+ */
+function formatTime(timestamp) {
+  return timestamp ? new Date(timestamp).toISOString() : "-";
+}
+
+/**
+ * Cleanup ausführen und Ergebnis ausgeben
+ * @param {Object} options - Script-Optionen
+ * @param {boolean} options.dryRun - Nur auflisten, nichts löschen
+ * @returns {Promise<number>} Anzahl fehlgeschlagener Löschungen
+ */
+async function cleanupGuests({ dryRun }) {
+  console.log(
+    `🧹 Gast-Cleanup (${ENVIRONMENT}), Idle-TTL ${ENV.GUEST_IDLE_TTL_MS} ms${dryRun ? " - DRY RUN" : ""}`
+  );
+
+  const { dropped, failed, expiredSessions } = await reapGuests({ dryRun });
+
+  for (const guest of dropped) {
+    console.log(
+      `${dryRun ? "🔍 würde löschen" : "🗑️  gelöscht"}: ${guest.dbName} (${guest.reason}, erstellt ${formatTime(guest.created)}, zuletzt aktiv ${formatTime(guest.lastActivity)})`
+    );
+  }
+
+  console.log(
+    dryRun
+      ? `\n${dropped.length} Gast-Datenbanken würden gelöscht.`
+      : `\n${dropped.length} Gast-Datenbanken gelöscht, ${failed} Fehler, ${expiredSessions} abgelaufene Sessions entfernt.`
+  );
+  return failed;
+}
+
+// Script ausführen
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const dryRun = process.argv.includes("--dry-run");
+
+  cleanupGuests({ dryRun })
+    .then((failed) => {
+      process.exitCode = failed ? 1 : 0;
+    })
+    .catch((err) => {
+      errorLog("Gast-Cleanup abgebrochen:", err);
+      process.exitCode = 1;
+    })
+    .finally(async () => {
+      // Pools schließen, damit der Prozess beendet werden kann
+      await Promise.all([corePool.end(), userPool.end()]);
+    });
+}
+
+export { cleanupGuests };
@@ -0,0 +1,86 @@
+/**
+ * Tenant Migration Script
+ * Findet alle Tenant-Datenbanken (todos_user_* / todos_guest_*) über den
+ * Core-Pool und bringt sie auf den neuesten Schema-Stand
+ *
+ * Nutzung:
+ *   npm run migrate              # Alle Tenant-DBs migrieren
+ *   npm run migrate -- --status  # Nur Versionsstand anzeigen
+ */
+
+import {
+  corePool,
+  createTenantPool,
+  listTenantDatabases,
+  userPool,
+} from "../db.js";
+import { infoLog, errorLog, ENVIRONMENT } from "../config/environment.js";
+import {
+  LATEST_VERSION,
+  getSchemaVersion,
+  migrateTenant,
+} from "../services/migrator.js";
+
+/**
+ * Alle Tenant-Datenbanken migrieren bzw. deren Status ausgeben
+ * @param {Object} options - Script-Optionen
+ * @param {boolean} options.statusOnly - Nur Versionen anzeigen, nichts ändern
+ * @returns {Promise<number>} Anzahl fehlgeschlagener Datenbanken
+ */
+async function migrateAll({ statusOnly }) {
+  const databases = await listTenantDatabases();
+  infoLog(
+    `${databases.length} Tenant-Datenbanken gefunden (${ENVIRONMENT}), Ziel-Version ${LATEST_VERSION}`
+  );
+
+  let failed = 0;
+  for (const dbName of databases) {
+    const pool = createTenantPool(dbName);
+    try {
+      if (statusOnly) {
+        const conn = await pool.getConnection();
+        try {
+          const version = await getSchemaVersion(conn);
+          const marker = version >= LATEST_VERSION ? "✅" : "⏳";
+          console.log(`${marker} ${dbName}: Version ${version}`);
+        } finally {
+          conn.release();
+        }
+      } else {
+        const { from, to } = await migrateTenant(pool);
+        console.log(
+          from === to
+            ? `✅ ${dbName}: aktuell (Version ${to})`
+            : `⬆️  ${dbName}: Version ${from} → ${to}`
+        );
+      }
+    } catch (err) {
+      failed++;
+      errorLog(`${dbName}: Migration fehlgeschlagen`, err.message);
+    } finally {
+      await pool.end();
+    }
+  }
+
+  return failed;
+}
+
+// Script ausführen
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const statusOnly = process.argv.includes("--status");
+
+  migrateAll({ statusOnly })
+    .then((failed) => {
+      process.exitCode = failed ? 1 : 0;
+    })
+    .catch((err) => {
+      errorLog("Tenant-Migration abgebrochen:", err);
+      process.exitCode = 1;
+    })
+    .finally(async () => {
+      // Pools schließen, damit der Prozess beendet werden kann
+      await Promise.all([corePool.end(), userPool.end()]);
+    });
+}
+
+export { migrateAll };
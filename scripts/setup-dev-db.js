@@ -11,6 +11,29 @@ import {
   errorLog,
   ENVIRONMENT,
 } from "../config/environment.js";
+import { runMigrations } from "../services/migrator.js";
+
+/**
+ * Spalte nachrüsten, falls sie in einer bestehenden Installation fehlt
+ * @async
+ * @param {mysql.Connection} connection - Verbindung (Users-DB ausgewählt)
+ * @param {string} table - Tabelle
+ * @param {string} column - Spaltenname
+ * @param {string} definition - Spaltendefinition (z.B. "BIGINT NULL")
+ * @returns {Promise<boolean>} true wenn die Spalte neu angelegt wurde
+ */
+async function addColumnIfMissing(connection, table, column, definition) {
+  const [columns] = await connection.execute(
+    `SHOW COLUMNS FROM \`${table}\` LIKE '${column}'`
+  );
+  if (columns.length) return false;
+
+  await connection.execute(
+    `ALTER TABLE \`${table}\` ADD COLUMN \`${column}\` ${definition}`
+  );
+  infoLog(`Spalte ${table}.${column} ergänzt`);
+  return true;
+}
 
 /**
  * Setup für Datenbank (Development oder Production)
@@ -40,11 +63,82 @@ async function setupDatabase() {
         email VARCHAR(255) UNIQUE NOT NULL,
         password_hash VARCHAR(255) NOT NULL,
         db_name VARCHAR(255) NOT NULL,
-        created BIGINT
+        created BIGINT,
+        email_verified_at BIGINT NULL,
+        deletion_scheduled_at BIGINT NULL
       );
     `);
     infoLog("Users-Tabelle erstellt");
 
+    // 2a. Bestehende Installationen: neue Spalten nachrüsten.
+    // Vorhandene Konten gelten als bestätigt, damit sie nicht plötzlich
+    // durch UNVERIFIED_ACCESS eingeschränkt werden.
+    const verifiedAdded = await addColumnIfMissing(
+      connection,
+      "users",
+      "email_verified_at",
+      "BIGINT NULL"
+    );
+    if (verifiedAdded) {
+      await connection.execute(
+        `UPDATE users SET email_verified_at = COALESCE(created, ?)`,
+        [Date.now()]
+      );
+      infoLog("Bestehende Konten als bestätigt markiert");
+    }
+    await addColumnIfMissing(
+      connection,
+      "users",
+      "deletion_scheduled_at",
+      "BIGINT NULL"
+    );
+
+    // 2b. Sessions-Tabelle erstellen (nur Token-Hashes, nie Klartext-Tokens)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS sessions (
+        token_hash CHAR(64) PRIMARY KEY,
+        type ENUM('user', 'guest') NOT NULL,
+        user_id INT NULL,
+        guest_id CHAR(36) NULL,
+        created BIGINT NOT NULL,
+        last_activity BIGINT NOT NULL,
+        expires BIGINT NOT NULL,
+        INDEX idx_sessions_user (user_id),
+        INDEX idx_sessions_guest (guest_id),
+        INDEX idx_sessions_expires (expires),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      );
+    `);
+    infoLog("Sessions-Tabelle erstellt");
+
+    // 2c. Passwort-Reset-Tabelle erstellen (nur Token-Hashes, Einmal-Tokens)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS password_resets (
+        token_hash CHAR(64) PRIMARY KEY,
+        user_id INT NOT NULL,
+        created BIGINT NOT NULL,
+        expires BIGINT NOT NULL,
+        INDEX idx_password_resets_user (user_id),
+        INDEX idx_password_resets_expires (expires),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      );
+    `);
+    infoLog("Passwort-Reset-Tabelle erstellt");
+
+    // 2d. E-Mail-Verifizierungs-Tabelle erstellen (nur Token-Hashes)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS email_verifications (
+        token_hash CHAR(64) PRIMARY KEY,
+        user_id INT NOT NULL,
+        created BIGINT NOT NULL,
+        expires BIGINT NOT NULL,
+        INDEX idx_email_verifications_user (user_id),
+        INDEX idx_email_verifications_expires (expires),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      );
+    `);
+    infoLog("E-Mail-Verifizierungs-Tabelle erstellt");
+
     // 3. Test-Benutzer erstellen (optional für Development)
     if (ENVIRONMENT === "development") {
       try {
@@ -63,16 +157,7 @@ async function setupDatabase() {
           `CREATE DATABASE IF NOT EXISTS \`${testDBName}\``
         );
         await connection.execute(`USE \`${testDBName}\``);
-        await connection.execute(`
-          CREATE TABLE IF NOT EXISTS todos (
-            id INT AUTO_INCREMENT PRIMARY KEY,
-            title VARCHAR(255) NOT NULL,
-            description TEXT,
-            completed TINYINT(1) DEFAULT 0,
-            created BIGINT,
-            updated BIGINT
-          );
-        `);
+        await runMigrations(connection);
         infoLog(`Test-User-Datenbank erstellt: ${testDBName}`);
       } catch (err) {
         debugLog("Test-User bereits vorhanden oder Fehler:", err.message);
@@ -87,7 +172,9 @@ async function setupDatabase() {
       console.log("npm run dev");
     } else {
       console.log("\n🚀 Production-Datenbank ist bereit!");
-      console.log("Die users-Tabelle wurde erstellt.");
+      console.log(
+        "Die Tabellen users, sessions, password_resets und email_verifications wurden erstellt."
+      );
     }
   } catch (error) {
     errorLog("❌ Database Setup Fehler:", error);
@@ -2,7 +2,7 @@
  * Express-Server für Todo-App mit User- und Gast-Session-Management
  * Features:
  * - Separate Datenbank pro User/Gast
- * - Cookie-basierte Authentifizierung
+ * - Serverseitige Sessions mit signiertem httpOnly-Cookie
  * - RESTful Todo-API
  */
 
@@ -18,25 +18,67 @@ import {
   infoLog,
   errorLog,
 } from "./config/environment.js";
-import { userPool } from "./db.js";
+import { corePool, userPool } from "./db.js";
 import authRouter from "./routing/authRouter.js";
+import accountRouter from "./routing/accountRouter.js";
+import adminRouter from "./routing/adminRouter.js";
 import sessionRouter from "./routing/sessionRouter.js";
 import todosRouter from "./routing/todosRouter.js";
+import listsRouter from "./routing/listsRouter.js";
+import tagsRouter from "./routing/tagsRouter.js";
+import transferRouter from "./routing/transferRouter.js";
+import syncRouter from "./routing/syncRouter.js";
+import eventsRouter from "./routing/eventsRouter.js";
+import webhooksRouter from "./routing/webhooksRouter.js";
+import { sessionMiddleware } from "./middleware/sessionMiddleware.js";
+import { verificationMiddleware } from "./middleware/verificationMiddleware.js";
+import { UNVERIFIED_ACCESS_LEVELS } from "./services/emailVerification.js";
+import { startGuestReaper } from "./services/guestReaper.js";
+import { startTrashPurger } from "./services/trashPurger.js";
+import { startWebhookRetries } from "./services/webhookDelivery.js";
+import { startAccountPurger } from "./services/accountPurger.js";
+import { closeAllTenantPools } from "./services/poolRegistry.js";
+import { closeAllStreams } from "./services/changeStream.js";
+import { publishChangesMiddleware } from "./middleware/changeStreamMiddleware.js";
+import { dispatchWebhooksMiddleware } from "./middleware/webhookMiddleware.js";
+import {
+  notFoundHandler,
+  errorHandler,
+} from "./middleware/errorMiddleware.js";
 import {
   assignPoolMiddleware,
   enhancedPoolMiddleware,
 } from "./middleware/poolMiddleware.js";
 
+// Fail-Fast: Ohne Secret können Session-Cookies nicht signiert werden
+if (!ENV.SESSION_SECRET) {
+  errorLog("SESSION_SECRET fehlt - bitte in der .env-Datei setzen");
+  process.exit(1);
+}
+
+// Fail-Fast: Unbekannte Zugriffsstufe für unbestätigte Konten
+if (!UNVERIFIED_ACCESS_LEVELS.includes(ENV.UNVERIFIED_ACCESS)) {
+  errorLog(
+    `UNVERIFIED_ACCESS ungültig: ${ENV.UNVERIFIED_ACCESS} (erlaubt: ${UNVERIFIED_ACCESS_LEVELS.join(", ")})`
+  );
+  process.exit(1);
+}
+
 const app = express();
 
 // Middleware
-app.use(express.json());
-app.use(cookieParser());
+// /api/import liest den Body selbst als Text (auch JSON-Dateien)
+const jsonParser = express.json();
+app.use((req, res, next) =>
+  req.path === "/api/import" ? next() : jsonParser(req, res, next)
+);
+app.use(cookieParser(ENV.SESSION_SECRET));
 app.use(
   cors({
     origin: ENV.CORS_ORIGINS,
     methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
     credentials: true,
+    exposedHeaders: ["X-Total-Count", "X-Next-Cursor", "Link", "ETag"],
   })
 );
 
@@ -50,29 +92,49 @@ debugLog(
   "Tabellen-Erstellung übersprungen - bereits in setup-dev-db.js erstellt"
 );
 
-// Auth- und Session-Router (diese brauchen keine Pool-Zuweisung)
+// Session-Token aus Cookie auflösen (setzt req.session für alle Routen)
+app.use(sessionMiddleware);
+
+// Auth-, Konto-, Session- und Admin-Router (diese brauchen keine Pool-Zuweisung)
+app.use("/api/admin", adminRouter);
 app.use("/api/session", sessionRouter);
+app.use("/api/account", accountRouter);
 app.use("/api", authRouter);
 
+// Unbestätigte Konten gemäß UNVERIFIED_ACCESS einschränken
+app.use(verificationMiddleware);
+
 // Pool-Middleware für alle folgenden Routen
 app.use(assignPoolMiddleware);
 app.use(enhancedPoolMiddleware);
 
-// Todos-Router (benötigt req.pool von Middleware)
+// Schreibende Anfragen an offene Change-Streams und Webhooks melden
+app.use(publishChangesMiddleware);
+app.use(dispatchWebhooksMiddleware);
+
+// Todos-, Listen-, Tags-, Sync-, Event-, Webhook- und Export/Import-Router (benötigen req.pool von Middleware)
 app.use("/api/todos", todosRouter);
+app.use("/api/lists", listsRouter);
+app.use("/api/tags", tagsRouter);
+app.use("/api/sync", syncRouter);
+app.use("/api/events", eventsRouter);
+app.use("/api/webhooks", webhooksRouter);
+app.use("/api", transferRouter);
 
-/**
- * 404-Fallback für unbekannte Routen
- */
-app.use((req, res) => {
-  res.status(404).json({ message: "Route nicht gefunden" });
-});
+// 404-Fallback für unbekannte Routen und zentrale Fehlerbehandlung (immer zuletzt)
+app.use(notFoundHandler);
+app.use(errorHandler);
 
 /**
  * Server starten und auf eingehende Verbindungen hören
  * Bindet an alle verfügbaren Netzwerk-Interfaces (0.0.0.0)
  */
-app.listen(ENV.HTTP_PORT, ENV.HTTP_HOST, () => {
+let stopGuestReaper = () => {};
+let stopTrashPurger = () => {};
+let stopWebhookRetries = () => {};
+let stopAccountPurger = () => {};
+
+const server = app.listen(ENV.HTTP_PORT, ENV.HTTP_HOST, () => {
   // Immer den Port loggen (auch in Production)
   console.log(
     `✅ Server läuft auf ${ENV.HTTP_HOST}:${ENV.HTTP_PORT} (${ENVIRONMENT})`
@@ -83,4 +145,69 @@ app.listen(ENV.HTTP_PORT, ENV.HTTP_HOST, () => {
     corsOrigins: ENV.CORS_ORIGINS,
     cookieDomain: ENV.COOKIE_DOMAIN,
   });
+
+  // Verwaiste/inaktive Gast-Datenbanken periodisch aufräumen
+  stopGuestReaper = startGuestReaper();
+
+  // Abgelaufene Papierkorb-Einträge endgültig löschen
+  stopTrashPurger = startTrashPurger();
+
+  // Fehlgeschlagene Webhook-Zustellungen erneut versuchen
+  stopWebhookRetries = startWebhookRetries();
+
+  // Zur Löschung vorgemerkte Konten nach der Karenzzeit endgültig löschen
+  stopAccountPurger = startAccountPurger();
 });
+
+/**
+ * Maximale Wartezeit auf offene Requests beim Herunterfahren
+ * @type {number}
+ */
+const SHUTDOWN_TIMEOUT_MS = 10 * 1000;
+
+let shuttingDown = false;
+
+/**
+ * Graceful Shutdown bei SIGTERM/SIGINT
+ * Nimmt keine neuen Verbindungen mehr an, wartet auf laufende Requests
+ * und schließt danach alle Tenant-, Core- und User-Pools
+ * @async
+ * @param {string} signal - Empfangenes Signal
+ */
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  console.log(`🛑 ${signal} empfangen - Server wird beendet...`);
+
+  // Notbremse, falls Requests oder Pools hängen
+  setTimeout(() => {
+    errorLog("Shutdown-Timeout erreicht - Prozess wird hart beendet");
+    process.exit(1);
+  }, SHUTDOWN_TIMEOUT_MS).unref();
+
+  stopGuestReaper();
+  stopTrashPurger();
+  stopWebhookRetries();
+  stopAccountPurger();
+
+  // Offene SSE-Streams würden server.close() bis zum Timeout blockieren
+  closeAllStreams();
+
+  await new Promise((resolve) => {
+    server.close(resolve);
+    server.closeIdleConnections();
+  });
+
+  try {
+    await closeAllTenantPools();
+    await Promise.all([corePool.end(), userPool.end()]);
+    console.log("✅ Alle Datenbank-Pools geschlossen");
+    process.exit(0);
+  } catch (err) {
+    errorLog("Fehler beim Schließen der Pools:", err.message);
+    process.exit(1);
+  }
+}
+
+process.on("SIGTERM", () => shutdown("SIGTERM"));
+process.on("SIGINT", () => shutdown("SIGINT"));
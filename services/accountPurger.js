@@ -0,0 +1,74 @@
+/**
+ * Konto-Purger
+ * Löscht zur Löschung vorgemerkte Konten nach Ablauf der Karenzzeit
+ * (ENV.ACCOUNT_DELETION_GRACE_MS) endgültig - inklusive Tenant-DB und Pool
+ */
+
+// services/accountPurger.js
+import { userPool } from "../db.js";
+import { ENV, debugLog, infoLog, errorLog } from "../config/environment.js";
+import { deleteAccount } from "./accountService.js";
+
+/**
+ * Fällige Konten endgültig löschen
+ * @async
+ * @param {Object} [options] - Optionen
+ * @param {number} [options.now=Date.now()] - Referenzzeitpunkt
+ * @returns {Promise<{deleted: number, failed: number}>} Gelöschte und fehlgeschlagene Konten
+ */
+export async function purgeDeletedAccounts({ now = Date.now() } = {}) {
+  const [users] = await userPool.query(
+    `SELECT id, db_name FROM users WHERE deletion_scheduled_at <= ?`,
+    [now]
+  );
+
+  let deleted = 0;
+  let failed = 0;
+  for (const user of users) {
+    try {
+      await deleteAccount(user);
+      deleted++;
+    } catch (err) {
+      failed++;
+      errorLog(`Konto von User ${user.id} konnte nicht gelöscht werden:`, err.message);
+    }
+  }
+
+  if (deleted) infoLog(`Konto-Purger: ${deleted} Konten endgültig gelöscht`);
+  return { deleted, failed };
+}
+
+/**
+ * Periodischen Konto-Purger im Server-Prozess starten
+ * Intervall über ENV.ACCOUNT_PURGE_INTERVAL_MS (0 = deaktiviert)
+ * @returns {Function} Stop-Funktion (beendet das Intervall)
+ */
+export function startAccountPurger() {
+  const interval = ENV.ACCOUNT_PURGE_INTERVAL_MS;
+  if (!interval) {
+    debugLog("Konto-Purger deaktiviert (ACCOUNT_PURGE_INTERVAL_MS = 0)");
+    return () => {};
+  }
+
+  let running = false;
+  const run = async () => {
+    // Keine überlappenden Läufe bei langsamer Datenbank
+    if (running) return;
+    running = true;
+    try {
+      await purgeDeletedAccounts();
+    } catch (err) {
+      errorLog("Konto-Purger fehlgeschlagen:", err.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(run, interval);
+  timer.unref(); // Hält den Prozess nicht am Leben
+  debugLog(
+    `Konto-Purger gestartet (Intervall ${interval} ms, Karenzzeit ${ENV.ACCOUNT_DELETION_GRACE_MS} ms)`
+  );
+
+  return () => clearInterval(timer);
+}
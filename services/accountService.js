@@ -0,0 +1,170 @@
+/**
+ * Konto-Service
+ * Selbstverwaltung eingeloggter User: Passwort ändern, E-Mail ändern, Konto löschen
+ * - Jede Änderung verlangt das aktuelle Passwort (Re-Authentifizierung)
+ * - Löschung mit Karenzzeit ENV.ACCOUNT_DELETION_GRACE_MS: ein erneuter Login
+ *   bricht sie ab, danach löscht der Konto-Purger (services/accountPurger.js)
+ *   Datenbank, Pool und users-Zeile endgültig
+ */
+
+// services/accountService.js
+import bcrypt from "bcrypt";
+import { userPool, corePool, withTransaction } from "../db.js";
+import { ENV, debugLog, infoLog } from "../config/environment.js";
+import { AppError } from "./errors.js";
+import { destroyUserSessions } from "./sessionService.js";
+import { closeTenantPool, userPoolKey } from "./poolRegistry.js";
+import { closeStreams } from "./changeStream.js";
+
+/**
+ * Aktuelles Passwort eines Users prüfen
+ * @async
+ * @param {number} userId - User-ID
+ * @param {string} password - Eingegebenes Passwort
+ * @returns {Promise<Object>} users-Zeile ({ id, email, db_name, ... })
+ * @throws {AppError} CURRENT_PASSWORD_INVALID
+ */
+async function verifyCurrentPassword(userId, password) {
+  const [rows] = await userPool.query(`SELECT * FROM users WHERE id = ?`, [
+    userId,
+  ]);
+  const user = rows[0];
+  if (!user || !(await bcrypt.compare(password, user.password_hash)))
+    throw new AppError("CURRENT_PASSWORD_INVALID");
+  return user;
+}
+
+/**
+ * Passwort ändern
+ * Alle anderen Sessions des Users werden beendet, die aktuelle bleibt bestehen.
+ * Offene Reset-Links werden ungültig.
+ * @async
+ * @param {Object} session - Aufgelöste User-Session (req.session)
+ * @param {string} currentPassword - Aktuelles Passwort
+ * @param {string} newPassword - Neues Passwort (bereits validiert)
+ * @returns {Promise<number>} Anzahl beendeter Sessions
+ */
+export async function changePassword(session, currentPassword, newPassword) {
+  const user = await verifyCurrentPassword(session.userId, currentPassword);
+  const passwordHash = await bcrypt.hash(newPassword, 10);
+
+  await userPool.query(`UPDATE users SET password_hash = ? WHERE id = ?`, [
+    passwordHash,
+    user.id,
+  ]);
+  await userPool.query(`DELETE FROM password_resets WHERE user_id = ?`, [
+    user.id,
+  ]);
+
+  const sessionsEnded = await destroyUserSessions(user.id, {
+    except: session.tokenHash,
+  });
+  debugLog(`Passwort von User ${user.id} geändert`, { sessionsEnded });
+  return sessionsEnded;
+}
+
+/**
+ * E-Mail-Adresse ändern
+ * Die neue Adresse gilt als unbestätigt; Reset- und Bestätigungslinks an die
+ * alte Adresse werden in derselben Transaktion ungültig - ein alter Link kann
+ * die neue Adresse so nicht bestätigen. Die Tenant-DB behält ihren Namen.
+ * @async
+ * @param {Object} session - Aufgelöste User-Session (req.session)
+ * @param {string} password - Aktuelles Passwort
+ * @param {string} email - Neue E-Mail-Adresse (bereits validiert)
+ * @returns {Promise<{id: number, email: string}>} User mit neuer Adresse
+ * @throws {AppError} CURRENT_PASSWORD_INVALID, NO_CHANGES oder EMAIL_TAKEN
+ */
+export async function changeEmail(session, password, email) {
+  const user = await verifyCurrentPassword(session.userId, password);
+  if (email.toLowerCase() === user.email.toLowerCase())
+    throw new AppError("NO_CHANGES");
+
+  try {
+    await withTransaction(userPool, async (conn) => {
+      await conn.query(
+        `UPDATE users SET email = ?, email_verified_at = NULL WHERE id = ?`,
+        [email, user.id]
+      );
+      await conn.query(`DELETE FROM password_resets WHERE user_id = ?`, [
+        user.id,
+      ]);
+      await conn.query(`DELETE FROM email_verifications WHERE user_id = ?`, [
+        user.id,
+      ]);
+    });
+  } catch (err) {
+    if (err.code === "ER_DUP_ENTRY")
+      throw new AppError("EMAIL_TAKEN", { cause: err });
+    throw err;
+  }
+
+  debugLog(`E-Mail von User ${user.id} geändert`);
+  return { id: user.id, email };
+}
+
+/**
+ * Konto endgültig löschen
+ * Beendet Sessions und Streams, schließt den Pool, löscht die Tenant-DB und
+ * zuletzt die users-Zeile (Tokens per ON DELETE CASCADE). Schlägt ein Schritt
+ * fehl, bleibt die Zeile erhalten und der Konto-Purger versucht es erneut.
+ * @async
+ * @param {Object} user - users-Zeile ({ id, db_name })
+ */
+export async function deleteAccount(user) {
+  await destroyUserSessions(user.id);
+  closeStreams(user.db_name);
+  await closeTenantPool(userPoolKey(user.id));
+  await corePool.query(`DROP DATABASE IF EXISTS \`${user.db_name}\``);
+  await userPool.query(`DELETE FROM users WHERE id = ?`, [user.id]);
+  infoLog(`Konto von User ${user.id} gelöscht (${user.db_name})`);
+}
+
+/**
+ * Löschung des eigenen Kontos anfordern
+ * Mit Karenzzeit wird das Konto nur vorgemerkt und überall abgemeldet;
+ * ohne (ACCOUNT_DELETION_GRACE_MS = 0) wird es sofort gelöscht.
+ * @async
+ * @param {Object} session - Aufgelöste User-Session (req.session)
+ * @param {string} password - Aktuelles Passwort
+ * @returns {Promise<{deletionAt: number|null}>} Zeitpunkt der endgültigen
+ *   Löschung (null = bereits gelöscht)
+ * @throws {AppError} CURRENT_PASSWORD_INVALID
+ */
+export async function requestAccountDeletion(session, password) {
+  const user = await verifyCurrentPassword(session.userId, password);
+
+  if (!ENV.ACCOUNT_DELETION_GRACE_MS) {
+    await deleteAccount(user);
+    return { deletionAt: null };
+  }
+
+  const deletionAt = Date.now() + ENV.ACCOUNT_DELETION_GRACE_MS;
+  await userPool.query(
+    `UPDATE users SET deletion_scheduled_at = ? WHERE id = ?`,
+    [deletionAt, user.id]
+  );
+  await destroyUserSessions(user.id);
+  closeStreams(user.db_name);
+  await closeTenantPool(userPoolKey(user.id));
+
+  infoLog(`Konto von User ${user.id} zur Löschung vorgemerkt`, { deletionAt });
+  return { deletionAt };
+}
+
+/**
+ * Vorgemerkte Löschung abbrechen (beim Login innerhalb der Karenzzeit)
+ * @async
+ * @param {number} userId - User-ID
+ * @returns {Promise<boolean>} true wenn eine Löschung abgebrochen wurde
+ */
+export async function cancelAccountDeletion(userId) {
+  const [result] = await userPool.query(
+    `UPDATE users SET deletion_scheduled_at = NULL
+      WHERE id = ? AND deletion_scheduled_at IS NOT NULL`,
+    [userId]
+  );
+  if (result.affectedRows)
+    infoLog(`Löschung des Kontos von User ${userId} abgebrochen`);
+  return result.affectedRows > 0;
+}
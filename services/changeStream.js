@@ -0,0 +1,212 @@
+/**
+ * Change-Stream
+ * Verteilt Todo-Änderungen per Server-Sent Events an alle offenen Streams einer
+ * Tenant-DB (User oder Gast). Quelle ist der Sync-Zähler (change_seq): Nach jeder
+ * schreibenden Anfrage werden die Zeilen mit change_seq > Cursor des Streams gelesen
+ * und als created/updated/deleted-Events gesendet. Die Event-ID ist der change_seq,
+ * daher kann ein Client per Last-Event-ID lückenlos fortsetzen.
+ * Streams leben im Speicher dieses Prozesses (keine Verteilung über mehrere Instanzen).
+ */
+
+// services/changeStream.js
+import { ENV, debugLog, errorLog } from "../config/environment.js";
+import { pullChanges } from "./syncService.js";
+
+/**
+ * Anzahl Änderungen pro Abfrage beim Nachliefern (siehe pullChanges)
+ * @type {number}
+ */
+const BATCH_SIZE = 500;
+
+/**
+ * Reconnect-Wartezeit für EventSource-Clients (ms)
+ * @type {number}
+ */
+const RETRY_MS = 5000;
+
+/**
+ * Offene Streams pro Tenant-DB
+ * @type {Map<string, {clients: Set<Object>, queue: Promise<void>}>}
+ */
+const channels = new Map();
+
+/**
+ * Ein SSE-Event schreiben
+ * @param {Response} res - Express Response Object (offener Stream)
+ * @param {Object} event - { id?, event, data }
+ */
+function writeEvent(res, { id, event, data }) {
+  let chunk = "";
+  if (id !== undefined) chunk += `id: ${id}\n`;
+  chunk += `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+  res.write(chunk);
+}
+
+/**
+ * Aktueller Stand des Sync-Zählers
+ * @async
+ * @param {mysql.Pool} pool - Tenant-Pool
+ * @returns {Promise<number>}
+ */
+async function currentSeq(pool) {
+  const [[{ seq }]] = await pool.query(
+    `SELECT seq FROM sync_state WHERE id = 1`
+  );
+  return seq;
+}
+
+/**
+ * Änderungen nach einem Cursor als Events laden (aufsteigend nach change_seq)
+ * Todos im Papierkorb und Tombstones werden zu deleted, Todos in Version 1 zu created.
+ * @async
+ * @param {mysql.Pool} pool - Tenant-Pool
+ * @param {number} since - Cursor
+ * @returns {Promise<{events: Array<Object>, cursor: number, hasMore: boolean}>}
+ */
+async function loadEvents(pool, since) {
+  const { todos, deleted, cursor, hasMore } = await pullChanges(pool, {
+    since,
+    limit: BATCH_SIZE,
+  });
+
+  const events = [
+    ...todos.map((todo) =>
+      todo.deleted_at !== null
+        ? {
+            seq: todo.change_seq,
+            event: "deleted",
+            data: { id: todo.id, deleted_at: todo.deleted_at, permanent: false },
+          }
+        : {
+            seq: todo.change_seq,
+            event: todo.version === 1 ? "created" : "updated",
+            data: { id: todo.id, todo },
+          }
+    ),
+    ...deleted.map((row) => ({
+      seq: row.change_seq,
+      event: "deleted",
+      data: { id: row.id, deleted_at: row.deleted_at, permanent: true },
+    })),
+  ].sort((a, b) => a.seq - b.seq);
+
+  return { events, cursor, hasMore };
+}
+
+/**
+ * Alle Streams einer Tenant-DB auf den aktuellen Stand bringen
+ * @async
+ * @param {Object} channel - Kanal aus channels
+ * @param {mysql.Pool} pool - Tenant-Pool
+ */
+async function flushChannel(channel, pool) {
+  for (;;) {
+    const clients = [...channel.clients];
+    if (!clients.length) return;
+
+    const since = Math.min(...clients.map((client) => client.seq));
+    const { events, cursor, hasMore } = await loadEvents(pool, since);
+
+    for (const client of clients) {
+      const pending = events.filter((event) => event.seq > client.seq);
+      pending.forEach((event, i) => {
+        // ID nur am Ende einer change_seq-Gruppe → Resume wiederholt ggf. die ganze Gruppe
+        const last = pending[i + 1]?.seq !== event.seq;
+        writeEvent(client.res, { ...event, id: last ? event.seq : undefined });
+      });
+      client.seq = Math.max(client.seq, cursor);
+    }
+
+    if (!hasMore) return;
+  }
+}
+
+/**
+ * Änderungen einer Tenant-DB an deren Streams verteilen
+ * Läuft pro Kanal nacheinander; Fehler werden nur geloggt.
+ * @param {string} dbName - Tenant-Datenbank (req.session.dbName)
+ * @param {mysql.Pool} pool - Tenant-Pool (req.pool)
+ * @returns {Promise<void>}
+ */
+export function publishChanges(dbName, pool) {
+  const channel = channels.get(dbName);
+  if (!channel) return Promise.resolve();
+
+  channel.queue = channel.queue
+    .then(() => flushChannel(channel, pool))
+    .catch((err) => errorLog(`Change-Stream ${dbName}:`, err.message));
+  return channel.queue;
+}
+
+/**
+ * Stream öffnen
+ * Ohne lastEventId beginnt der Stream beim aktuellen Stand, sonst werden alle
+ * Änderungen danach zuerst nachgeliefert.
+ * @async
+ * @param {Object} options - Optionen
+ * @param {string} options.dbName - Tenant-Datenbank
+ * @param {mysql.Pool} options.pool - Tenant-Pool
+ * @param {Request} options.req - Express Request Object
+ * @param {Response} options.res - Express Response Object
+ * @param {number} [options.lastEventId] - Zuletzt empfangene Event-ID
+ * @returns {Promise<boolean>} false, wenn das Stream-Limit erreicht ist
+ */
+export async function openStream({ dbName, pool, req, res, lastEventId }) {
+  if (!channels.has(dbName))
+    channels.set(dbName, { clients: new Set(), queue: Promise.resolve() });
+  const channel = channels.get(dbName);
+  if (channel.clients.size >= ENV.SSE_MAX_STREAMS_PER_TENANT) return false;
+
+  const client = { res, seq: lastEventId ?? (await currentSeq(pool)) };
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // nginx: nicht puffern
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  const heartbeat = setInterval(
+    () => res.write(": heartbeat\n\n"),
+    ENV.SSE_HEARTBEAT_MS
+  );
+  heartbeat.unref();
+
+  channel.clients.add(client);
+  debugLog(`Change-Stream geöffnet (${dbName}, ${channel.clients.size} offen)`);
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    channel.clients.delete(client);
+    if (!channel.clients.size) channels.delete(dbName);
+  });
+
+  // Mit ID, damit auch ein Reconnect ohne weitere Events beim richtigen Stand fortsetzt
+  writeEvent(res, { id: client.seq, event: "ready", data: { seq: client.seq } });
+  if (lastEventId !== undefined) publishChanges(dbName, pool);
+  return true;
+}
+
+/**
+ * Alle Streams einer Tenant-DB beenden (z.B. vor dem Löschen eines Kontos)
+ * @param {string} dbName - Tenant-Datenbank
+ */
+export function closeStreams(dbName) {
+  const channel = channels.get(dbName);
+  if (!channel) return;
+  for (const client of channel.clients) client.res.end();
+  channels.delete(dbName);
+}
+
+/**
+ * Alle Streams beenden (Graceful Shutdown)
+ * Clients verbinden sich per EventSource automatisch neu und setzen per Last-Event-ID fort.
+ */
+export function closeAllStreams() {
+  for (const channel of channels.values()) {
+    for (const client of channel.clients) client.res.end();
+  }
+  channels.clear();
+}
@@ -0,0 +1,100 @@
+/**
+ * CSV-Hilfsfunktionen (RFC 4180)
+ * Felder mit Trennzeichen, Anführungszeichen oder Zeilenumbrüchen werden gequotet
+ */
+
+// services/csv.js
+import { validationDetail } from "./errors.js";
+
+/**
+ * Texte, die Tabellenkalkulationen als Formel ausführen würden
+ * (optional hinter bereits vorhandenen Schutz-Apostrophen, damit der Import
+ * genau einen wieder entfernen kann)
+ * @type {RegExp}
+ */
+const FORMULA_PATTERN = /^'*[=+\-@\t\r]/;
+
+/**
+ * Eine CSV-Zeile erzeugen
+ * Text-Felder, die mit =, +, -, @, Tab oder CR beginnen, bekommen ein
+ * führendes ' (CSV-Injection); Zahlen bleiben unverändert.
+ * @param {Array<*>} values - Feldwerte (null/undefined → leeres Feld)
+ * @returns {string} Zeile inkl. CRLF
+ */
+export function formatCsvRow(values) {
+  return (
+    values
+      .map((value) => {
+        let text = value === null || value === undefined ? "" : String(value);
+        if (typeof value === "string" && FORMULA_PATTERN.test(text))
+          text = `'${text}`;
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+      })
+      .join(",") + "\r\n"
+  );
+}
+
+/**
+ * Schutz-Apostroph aus formatCsvRow wieder entfernen
+ * @param {string} text - Feldwert aus parseCsv
+ * @returns {string} Ursprünglicher Wert
+ */
+export function unguardCsvField(text) {
+  return text.startsWith("'") && FORMULA_PATTERN.test(text.slice(1))
+    ? text.slice(1)
+    : text;
+}
+
+/**
+ * CSV-Text in Zeilen zerlegen
+ * Unterstützt gequotete Felder mit Kommas, Zeilenumbrüchen und "" als Escape.
+ * @param {string} text - CSV-Inhalt (optional mit BOM)
+ * @returns {{rows?: Array<string[]>, error?: Object}} Zeilen als Feld-Arrays oder Detail
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  for (; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char !== '"') {
+        field += char;
+      } else if (text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else {
+        quoted = false;
+      }
+      continue;
+    }
+
+    if (char === '"' && field === "") {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) return { error: validationDetail(null, "CSV_UNCLOSED_QUOTE") };
+  if (field !== "" || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Leerzeilen ignorieren
+  return { rows: rows.filter((r) => r.length > 1 || r[0] !== "") };
+}
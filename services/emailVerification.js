@@ -0,0 +1,166 @@
+/**
+ * E-Mail-Verifizierung
+ * Neue Konten sind unbestätigt, bis der Link aus der Bestätigungs-Mail
+ * eingelöst wurde. Was unbestätigte Konten dürfen, regelt ENV.UNVERIFIED_ACCESS
+ * (siehe middleware/verificationMiddleware.js).
+ * - Klartext-Token nur im Link, in der DB nur der SHA-256-Hash
+ * - Ablauf nach ENV.EMAIL_VERIFICATION_TTL_MS, nach Benutzung sofort ungültig
+ */
+
+// services/emailVerification.js
+import crypto from "node:crypto";
+import { userPool, withTransaction } from "../db.js";
+import { ENV, debugLog } from "../config/environment.js";
+import { AppError } from "./errors.js";
+import { hashToken } from "./sessionService.js";
+import { sendMail } from "./mailer.js";
+
+/**
+ * Zugriffsstufen für unbestätigte Konten
+ * - full: alles erlaubt, Status wird nur angezeigt
+ * - readonly: nur lesende Anfragen (GET/HEAD) auf Todos, Listen, ...
+ * - none: kein Zugriff auf Daten, nur Auth- und Session-Endpunkte
+ * @type {string[]}
+ */
+export const UNVERIFIED_ACCESS_LEVELS = ["full", "readonly", "none"];
+
+/**
+ * Mindestabstand zwischen zwei Bestätigungs-Mails an denselben User
+ * @type {number}
+ */
+export const VERIFICATION_COOLDOWN_MS = 60 * 1000;
+
+/**
+ * Texte der Bestätigungs-Mail
+ * @type {Object<string, {subject: string, text: Function}>}
+ */
+const VERIFICATION_MAIL = {
+  de: {
+    subject: "E-Mail-Adresse bestätigen",
+    text: (link, hours) =>
+      [
+        "Hallo,",
+        "",
+        "bitte bestätige die E-Mail-Adresse deines Let's Todo Kontos.",
+        `Der Link ist ${hours} Stunden gültig:`,
+        "",
+        link,
+        "",
+        "Falls du dich nicht registriert hast, kannst du diese E-Mail ignorieren.",
+      ].join("\n"),
+  },
+  en: {
+    subject: "Confirm your email address",
+    text: (link, hours) =>
+      [
+        "Hello,",
+        "",
+        "please confirm the email address of your Let's Todo account.",
+        `The link is valid for ${hours} hours:`,
+        "",
+        link,
+        "",
+        "If you didn't sign up, you can ignore this email.",
+      ].join("\n"),
+  },
+};
+
+/**
+ * Bestätigungs-Mail versenden
+ * Ältere Tokens des Users werden ersetzt, es gilt immer nur der neueste Link.
+ * @async
+ * @param {Object} user - { id, email }
+ * @param {Object} [options] - Optionen
+ * @param {string} [options.language="de"] - Sprache der Mail (de | en)
+ */
+export async function sendVerificationMail(user, { language = "de" } = {}) {
+  const token = crypto.randomBytes(32).toString("hex");
+  const now = Date.now();
+
+  await userPool.query(
+    `DELETE FROM email_verifications WHERE user_id = ? OR expires <= ?`,
+    [user.id, now]
+  );
+  await userPool.query(
+    `INSERT INTO email_verifications (token_hash, user_id, created, expires)
+     VALUES (?, ?, ?, ?)`,
+    [hashToken(token), user.id, now, now + ENV.EMAIL_VERIFICATION_TTL_MS]
+  );
+
+  const mail = VERIFICATION_MAIL[language] ?? VERIFICATION_MAIL.de;
+  const link = `${ENV.APP_URL}/verify-email?token=${token}`;
+  const hours = Math.round(ENV.EMAIL_VERIFICATION_TTL_MS / 3600000);
+  await sendMail({
+    to: user.email,
+    subject: mail.subject,
+    text: mail.text(link, hours),
+  });
+
+  debugLog(`Bestätigungs-Mail an User ${user.id} versendet`);
+}
+
+/**
+ * Bestätigungs-Mail erneut anfordern (eingeloggter User)
+ * @async
+ * @param {number} userId - User-ID
+ * @param {Object} [options] - Optionen
+ * @param {string} [options.language="de"] - Sprache der Mail (de | en)
+ * @throws {AppError} EMAIL_ALREADY_VERIFIED oder VERIFICATION_COOLDOWN
+ */
+export async function resendVerificationMail(userId, { language } = {}) {
+  const [users] = await userPool.query(
+    `SELECT id, email, email_verified_at FROM users WHERE id = ?`,
+    [userId]
+  );
+  const user = users[0];
+  if (user.email_verified_at !== null)
+    throw new AppError("EMAIL_ALREADY_VERIFIED");
+
+  const [recent] = await userPool.query(
+    `SELECT created FROM email_verifications WHERE user_id = ? AND created > ?`,
+    [userId, Date.now() - VERIFICATION_COOLDOWN_MS]
+  );
+  if (recent.length) {
+    const waitMs =
+      Number(recent[0].created) + VERIFICATION_COOLDOWN_MS - Date.now();
+    throw new AppError("VERIFICATION_COOLDOWN", {
+      params: { seconds: Math.max(1, Math.ceil(waitMs / 1000)) },
+    });
+  }
+
+  await sendVerificationMail(user, { language });
+}
+
+/**
+ * E-Mail-Adresse mit einem Bestätigungs-Token bestätigen
+ * Das Token wird in derselben Transaktion verbraucht (FOR UPDATE).
+ * @async
+ * @param {string} token - Klartext-Token aus dem Link
+ * @returns {Promise<{userId: number, email: string}|null>} Bestätigter User
+ *   oder null (Token ungültig/abgelaufen)
+ */
+export async function confirmEmail(token) {
+  return withTransaction(userPool, async (conn) => {
+    const [rows] = await conn.query(
+      `SELECT v.user_id, u.email
+         FROM email_verifications v
+         JOIN users u ON u.id = v.user_id
+        WHERE v.token_hash = ? AND v.expires > ? FOR UPDATE`,
+      [hashToken(token), Date.now()]
+    );
+    if (!rows.length) return null;
+
+    const { user_id, email } = rows[0];
+    await conn.query(
+      `UPDATE users SET email_verified_at = COALESCE(email_verified_at, ?)
+       WHERE id = ?`,
+      [Date.now(), user_id]
+    );
+    await conn.query(`DELETE FROM email_verifications WHERE user_id = ?`, [
+      user_id,
+    ]);
+
+    debugLog(`E-Mail von User ${user_id} bestätigt`);
+    return { userId: user_id, email };
+  });
+}
@@ -0,0 +1,568 @@
+/**
+ * Fehler-Katalog
+ * Anwendungsfehler mit stabilen, maschinenlesbaren Codes und Meldungen auf
+ * Deutsch und Englisch. Routen werfen AppError; die zentrale Fehler-Middleware
+ * (middleware/errorMiddleware.js) wählt Sprache und HTTP-Status.
+ *
+ * @example
+ * throw new AppError("TODO_NOT_FOUND");
+ * → 404 { code: "TODO_NOT_FOUND", error: "Todo nicht gefunden" }
+ *
+ * throw new AppError("WEBHOOK_LIMIT_REACHED", { params: { max: 10 } });
+ * → 409 { code: "WEBHOOK_LIMIT_REACHED", error: "Maximal 10 Webhooks möglich" }
+ *
+ * Validierungs-Details tragen ebenfalls einen Code (VALIDATION_MESSAGES):
+ * → 400 { code: "VALIDATION_FAILED", details: [{ field: "title",
+ *         code: "TOO_LONG", params: { max: 500 }, message: "..." }] }
+ */
+
+// services/errors.js
+
+/**
+ * Unterstützte Sprachen (erste = Default ohne passenden Accept-Language-Header)
+ * @type {string[]}
+ */
+export const SUPPORTED_LANGUAGES = ["de", "en"];
+
+/**
+ * Fehler-Codes mit HTTP-Status und Meldungen
+ * Platzhalter {name} werden aus AppError.params ersetzt.
+ * Codes sind Teil der API und dürfen sich nicht mehr ändern.
+ * @type {Object<string, {status: number, de: string, en: string}>}
+ */
+export const ERROR_CODES = {
+  // Allgemein
+  VALIDATION_FAILED: {
+    status: 400,
+    de: "Ungültige Eingabe",
+    en: "Invalid input",
+  },
+  INVALID_JSON: {
+    status: 400,
+    de: "Request-Body ist kein gültiges JSON",
+    en: "Request body is not valid JSON",
+  },
+  BAD_REQUEST: {
+    status: 400,
+    de: "Ungültige Anfrage",
+    en: "Bad request",
+  },
+  NO_CHANGES: {
+    status: 400,
+    de: "Keine Update-Daten",
+    en: "No fields to update",
+  },
+  PAYLOAD_TOO_LARGE: {
+    status: 413,
+    de: "Request-Body ist zu groß",
+    en: "Request body is too large",
+  },
+  ROUTE_NOT_FOUND: {
+    status: 404,
+    de: "Route nicht gefunden",
+    en: "Route not found",
+  },
+  INTERNAL_ERROR: {
+    status: 500,
+    de: "Interner Server-Fehler",
+    en: "Internal server error",
+  },
+
+  // Sessions und Authentifizierung
+  SESSION_REQUIRED: {
+    status: 401,
+    de: "Keine Session initialisiert. Bitte als Gast starten oder einloggen.",
+    en: "No session. Please start a guest session or log in.",
+  },
+  SESSION_INVALID: {
+    status: 401,
+    de: "Session ungültig oder abgelaufen",
+    en: "Session is invalid or has expired",
+  },
+  GUEST_SESSION_REQUIRED: {
+    status: 400,
+    de: "Keine Gast-Session aktiv",
+    en: "No active guest session",
+  },
+  INVALID_CREDENTIALS: {
+    status: 401,
+    de: "Ungültige Zugangsdaten",
+    en: "Invalid credentials",
+  },
+  EMAIL_TAKEN: {
+    status: 409,
+    de: "Email bereits registriert",
+    en: "Email is already registered",
+  },
+  RESET_TOKEN_INVALID: {
+    status: 400,
+    de: "Link zum Zurücksetzen ist ungültig oder abgelaufen",
+    en: "Password reset link is invalid or has expired",
+  },
+  CURRENT_PASSWORD_INVALID: {
+    status: 403,
+    de: "Aktuelles Passwort ist falsch",
+    en: "Current password is incorrect",
+  },
+  EMAIL_NOT_VERIFIED: {
+    status: 403,
+    de: "E-Mail-Adresse noch nicht bestätigt",
+    en: "Email address has not been verified yet",
+  },
+  EMAIL_ALREADY_VERIFIED: {
+    status: 409,
+    de: "E-Mail-Adresse ist bereits bestätigt",
+    en: "Email address is already verified",
+  },
+  VERIFICATION_TOKEN_INVALID: {
+    status: 400,
+    de: "Bestätigungslink ist ungültig oder abgelaufen",
+    en: "Verification link is invalid or has expired",
+  },
+  VERIFICATION_COOLDOWN: {
+    status: 429,
+    de: "Bitte {seconds} Sekunden bis zur nächsten Bestätigungs-Mail warten",
+    en: "Please wait {seconds} seconds before requesting another email",
+  },
+  GUEST_MERGE_FAILED: {
+    status: 500,
+    de: "Gast-Todos konnten nicht übernommen werden",
+    en: "Guest todos could not be merged",
+  },
+  ADMIN_FORBIDDEN: {
+    status: 403,
+    de: "Admin-Zugriff verweigert",
+    en: "Admin access denied",
+  },
+
+  // Todos und Checklisten
+  TODO_NOT_FOUND: {
+    status: 404,
+    de: "Todo nicht gefunden",
+    en: "Todo not found",
+  },
+  TODO_NOT_IN_TRASH: {
+    status: 404,
+    de: "Todo nicht im Papierkorb",
+    en: "Todo is not in the trash",
+  },
+  TODO_MODIFIED: {
+    status: 412,
+    de: "Todo wurde zwischenzeitlich geändert (If-Match passt nicht)",
+    en: "Todo was modified in the meantime (If-Match does not match)",
+  },
+  TODO_IN_TRASH: {
+    status: 409,
+    de: "Todo liegt im Papierkorb",
+    en: "Todo is in the trash",
+  },
+  TODO_PURGED: {
+    status: 410,
+    de: "Todo wurde endgültig gelöscht",
+    en: "Todo was permanently deleted",
+  },
+  VERSION_CONFLICT: {
+    status: 409,
+    de: "Versionskonflikt",
+    en: "Version conflict",
+  },
+  NOTHING_TO_UNDO: {
+    status: 409,
+    de: "Keine Änderung zum Rückgängigmachen vorhanden",
+    en: "There is no change to undo",
+  },
+  BATCH_ROLLED_BACK: {
+    status: 409,
+    de: "Zurückgerollt",
+    en: "Rolled back",
+  },
+  ITEM_NOT_FOUND: {
+    status: 404,
+    de: "Eintrag nicht gefunden",
+    en: "Checklist item not found",
+  },
+  ITEM_LIMIT_REACHED: {
+    status: 409,
+    de: "Maximal {max} Einträge pro Todo",
+    en: "At most {max} checklist items per todo",
+  },
+  ITEM_ORDER_MISMATCH: {
+    status: 400,
+    de: "ids muss alle Einträge des Todos genau einmal enthalten",
+    en: "ids must contain every item of the todo exactly once",
+  },
+
+  // Listen und Tags
+  LIST_NOT_FOUND: {
+    status: 404,
+    de: "Liste nicht gefunden",
+    en: "List not found",
+  },
+  INBOX_NOT_DELETABLE: {
+    status: 409,
+    de: "Die Inbox kann nicht gelöscht werden",
+    en: "The inbox cannot be deleted",
+  },
+  TAG_NOT_FOUND: {
+    status: 404,
+    de: "Tag nicht gefunden",
+    en: "Tag not found",
+  },
+  TAG_EXISTS: {
+    status: 409,
+    de: "Tag existiert bereits",
+    en: "Tag already exists",
+  },
+
+  // Import, Sync und Echtzeit
+  IMPORT_EMPTY: {
+    status: 400,
+    de: "Leerer Import",
+    en: "Import is empty",
+  },
+  IMPORT_FORMAT_UNKNOWN: {
+    status: 400,
+    de: "format muss {formats} sein",
+    en: "format must be {formats}",
+  },
+  LAST_EVENT_ID_INVALID: {
+    status: 400,
+    de: "Last-Event-ID ist ungültig",
+    en: "Last-Event-ID is invalid",
+  },
+  TOO_MANY_STREAMS: {
+    status: 429,
+    de: "Zu viele offene Streams für diese Session",
+    en: "Too many open streams for this session",
+  },
+
+  // Webhooks
+  WEBHOOK_NOT_FOUND: {
+    status: 404,
+    de: "Webhook nicht gefunden",
+    en: "Webhook not found",
+  },
+  WEBHOOK_LIMIT_REACHED: {
+    status: 409,
+    de: "Maximal {max} Webhooks möglich",
+    en: "At most {max} webhooks are allowed",
+  },
+  DELIVERY_NOT_FOUND: {
+    status: 404,
+    de: "Zustellung nicht gefunden",
+    en: "Delivery not found",
+  },
+};
+
+/**
+ * Meldungen für Validierungs-Details (details[].code)
+ * Platzhalter wie bei ERROR_CODES aus details[].params. Codes sind Teil der
+ * API - auch Prüfungen in Services liefern Details mit diesen Codes.
+ * @type {Object<string, {de: string, en: string}>}
+ */
+export const VALIDATION_MESSAGES = {
+  REQUIRED: {
+    de: "ist erforderlich",
+    en: "is required",
+  },
+  NOT_NULLABLE: {
+    de: "darf nicht null sein",
+    en: "must not be null",
+  },
+  NOT_OBJECT: {
+    de: "muss ein Objekt sein",
+    en: "must be an object",
+  },
+  NOT_STRING: {
+    de: "muss ein Text sein",
+    en: "must be a string",
+  },
+  EMPTY: {
+    de: "darf nicht leer sein",
+    en: "must not be empty",
+  },
+  TOO_SHORT: {
+    de: "muss mindestens {min} Zeichen lang sein",
+    en: "must be at least {min} characters long",
+  },
+  TOO_LONG: {
+    de: "darf höchstens {max} Zeichen lang sein",
+    en: "must be at most {max} characters long",
+  },
+  TOO_MANY_BYTES: {
+    de: "darf höchstens {max} Bytes lang sein",
+    en: "must be at most {max} bytes long",
+  },
+  INVALID_FORMAT: {
+    de: "hat ein ungültiges Format",
+    en: "has an invalid format",
+  },
+  INVALID_VALUE: {
+    de: "ist ungültig",
+    en: "is invalid",
+  },
+  INVALID_EMAIL: {
+    de: "muss eine gültige E-Mail-Adresse sein",
+    en: "must be a valid email address",
+  },
+  INVALID_TIMESTAMP: {
+    de: "muss ein Timestamp (ms) oder ISO-Datum sein",
+    en: "must be a timestamp (ms) or ISO date",
+  },
+  INVALID_TAG_NAME: {
+    de: 'muss 1-{max} Zeichen lang sein (ohne "#")',
+    en: 'must be 1-{max} characters long (without "#")',
+  },
+  INVALID_COLOR: {
+    de: "muss das Format #RRGGBB haben",
+    en: "must have the format #RRGGBB",
+  },
+  PASSWORD_TOO_WEAK: {
+    de: "muss mindestens einen Buchstaben und eine Ziffer enthalten",
+    en: "must contain at least one letter and one digit",
+  },
+  NOT_INTEGER: {
+    de: "muss eine Ganzzahl sein",
+    en: "must be an integer",
+  },
+  TOO_SMALL: {
+    de: "muss mindestens {min} sein",
+    en: "must be at least {min}",
+  },
+  TOO_LARGE: {
+    de: "darf höchstens {max} sein",
+    en: "must be at most {max}",
+  },
+  NOT_ONE_OF: {
+    de: "muss einer von {values} sein",
+    en: "must be one of {values}",
+  },
+  NOT_ARRAY: {
+    de: "muss eine Liste sein",
+    en: "must be an array",
+  },
+  TOO_FEW_ENTRIES: {
+    de: "braucht mindestens {min} Einträge",
+    en: "needs at least {min} entries",
+  },
+  TOO_MANY_ENTRIES: {
+    de: "darf höchstens {max} Einträge haben",
+    en: "must have at most {max} entries",
+  },
+  OUT_OF_RANGE: {
+    de: "muss zwischen {min} und {max} liegen",
+    en: "must be between {min} and {max}",
+  },
+  INVALID_LENGTH: {
+    de: "muss {min}-{max} Zeichen lang sein",
+    en: "must be {min}-{max} characters long",
+  },
+  NOT_BOOLEAN: {
+    de: "muss true oder false sein",
+    en: "must be true or false",
+  },
+  INVALID_ID: {
+    de: "muss eine gültige ID sein",
+    en: "must be a valid ID",
+  },
+  INVALID_TAG_REF: {
+    de: 'muss Tag-IDs oder Namen mit 1-{max} Zeichen enthalten (ohne "#")',
+    en: 'must contain tag IDs or names with 1-{max} characters (without "#")',
+  },
+  INVALID_WEEKDAYS: {
+    de: "muss Wochentage 1-7 enthalten (1 = Montag)",
+    en: "must contain weekdays 1-7 (1 = Monday)",
+  },
+  INVALID_SORT: {
+    de: 'muss eines von {values} sein ("-" davor für absteigend)',
+    en: 'must be one of {values} (prefix "-" for descending)',
+  },
+  INVALID_CURSOR: {
+    de: "ist ungültig oder abgelaufen",
+    en: "is invalid or has expired",
+  },
+  INVALID_URL: {
+    de: "muss eine gültige URL sein",
+    en: "must be a valid URL",
+  },
+  INVALID_URL_SCHEME: {
+    de: "muss mit http:// oder https:// beginnen",
+    en: "must start with http:// or https://",
+  },
+  PRIVATE_ADDRESS: {
+    de: "darf nicht auf localhost oder ein internes Netz zeigen",
+    en: "must not point to localhost or an internal network",
+  },
+  NO_CHANGES: {
+    de: "enthält keine Update-Daten",
+    en: "contains no fields to update",
+  },
+  EXACTLY_ONE_OF: {
+    de: "braucht genau eines von {fields}",
+    en: "needs exactly one of {fields}",
+  },
+  CONFLICTS_WITH: {
+    de: "kann nicht mit {other} kombiniert werden",
+    en: "cannot be combined with {other}",
+  },
+  REQUIRES: {
+    de: "ist nur zusammen mit {other} erlaubt",
+    en: "is only allowed together with {other}",
+  },
+  SELF_REFERENCE: {
+    de: "darf nicht auf das Todo selbst verweisen",
+    en: "must not refer to the todo itself",
+  },
+  LIST_NOT_FOUND: {
+    de: "verweist auf eine unbekannte Liste",
+    en: "refers to an unknown list",
+  },
+  TAG_NOT_FOUND: {
+    de: "verweist auf einen unbekannten Tag",
+    en: "refers to an unknown tag",
+  },
+  TODO_NOT_FOUND: {
+    de: "verweist auf ein unbekanntes Todo",
+    en: "refers to an unknown todo",
+  },
+  INVALID_JSON: {
+    de: "ist kein gültiges JSON",
+    en: "is not valid JSON",
+  },
+  NOT_TODO_LIST: {
+    de: "muss ein Array oder { todos: [...] } sein",
+    en: "must be an array or { todos: [...] }",
+  },
+  CSV_UNCLOSED_QUOTE: {
+    de: "enthält ein nicht geschlossenes Anführungszeichen",
+    en: "contains an unclosed quote",
+  },
+  CSV_MISSING_COLUMN: {
+    de: "braucht eine Kopfzeile mit Spalte {column}",
+    en: "needs a header row with column {column}",
+  },
+  ICAL_MISSING_CALENDAR: {
+    de: "enthält kein BEGIN:VCALENDAR",
+    en: "contains no BEGIN:VCALENDAR",
+  },
+};
+
+/**
+ * Anwendungsfehler mit stabilem Code
+ * @extends Error
+ */
+export class AppError extends Error {
+  /**
+   * @param {string} code - Schlüssel aus ERROR_CODES
+   * @param {Object} [options] - Optionen
+   * @param {Object} [options.params] - Werte für Platzhalter in der Meldung
+   * @param {Array<Object>} [options.details] - Details pro Feld (Validierung)
+   * @param {Object} [options.data] - Zusätzliche Felder für die Antwort
+   * @param {Error} [options.cause] - Ursprünglicher Fehler (nur für Logs)
+   */
+  constructor(code, { params = {}, details, data, cause } = {}) {
+    const definition = ERROR_CODES[code];
+    if (!definition) throw new Error(`Unbekannter Fehler-Code: ${code}`);
+
+    super(formatMessage(definition.de, params), { cause });
+    this.name = "AppError";
+    this.code = code;
+    this.status = definition.status;
+    this.params = params;
+    this.details = details;
+    this.data = data;
+  }
+}
+
+/**
+ * Validierungs-Detail mit Code aus VALIDATION_MESSAGES
+ * message enthält die deutsche Meldung; errorHandler übersetzt sie per
+ * localizeDetail in die Sprache des Clients.
+ * @param {string|null} field - Feldname (null = Eingabe als Ganzes)
+ * @param {string} code - Schlüssel aus VALIDATION_MESSAGES
+ * @param {Object} [params] - Werte für Platzhalter
+ * @returns {Object} Detail { field, code, params?, message }
+ */
+export function validationDetail(field, code, params) {
+  const detail = { field, code };
+  if (params) detail.params = params;
+  detail.message = localizeDetail(detail, "de");
+  return detail;
+}
+
+/**
+ * Fehler für ungültige Eingaben, die ein Service selbst erkannt hat
+ * (z.B. normalizeTodoInput)
+ * @param {Object} detail - Detail des Services (validationDetail)
+ * @returns {AppError} VALIDATION_FAILED
+ */
+export function invalidInput(detail) {
+  return new AppError("VALIDATION_FAILED", { details: [detail] });
+}
+
+/**
+ * Ergebnis-Felder für eine fehlgeschlagene Einzeloperation (Batch, Sync)
+ * @param {string} code - Schlüssel aus ERROR_CODES
+ * @param {string} language - Sprache aus SUPPORTED_LANGUAGES
+ * @param {Object} [params] - Werte für Platzhalter
+ * @returns {{status: number, code: string, error: string}}
+ */
+export function errorResult(code, language, params) {
+  return {
+    status: ERROR_CODES[code].status,
+    code,
+    error: localizeError(code, language, params),
+  };
+}
+
+/**
+ * Ergebnis-Felder für eine ungültige Einzeloperation (Batch, Sync)
+ * @param {Object} detail - Detail des Services (validationDetail)
+ * @param {string} language - Sprache aus SUPPORTED_LANGUAGES
+ * @returns {{status: number, code: string, error: string, details: Array<Object>}}
+ */
+export function invalidResult(detail, language) {
+  return {
+    ...errorResult("VALIDATION_FAILED", language),
+    details: [{ ...detail, message: localizeDetail(detail, language) }],
+  };
+}
+
+/**
+ * Platzhalter {name} in einer Meldung ersetzen
+ * @param {string} template - Meldung mit Platzhaltern
+ * @param {Object} params - Werte
+ * @returns {string} Meldung
+ */
+function formatMessage(template, params) {
+  return template.replace(/\{(\w+)\}/g, (match, name) =>
+    params[name] === undefined ? match : String(params[name])
+  );
+}
+
+/**
+ * Meldung eines Fehler-Codes in der gewünschten Sprache
+ * @param {string} code - Schlüssel aus ERROR_CODES
+ * @param {string} language - Sprache aus SUPPORTED_LANGUAGES
+ * @param {Object} [params] - Werte für Platzhalter
+ * @returns {string} Meldung (Fallback: Deutsch)
+ */
+export function localizeError(code, language, params = {}) {
+  const definition = ERROR_CODES[code] ?? ERROR_CODES.INTERNAL_ERROR;
+  return formatMessage(definition[language] ?? definition.de, params);
+}
+
+/**
+ * Meldung eines Validierungs-Details in der gewünschten Sprache
+ * @param {Object} detail - Detail ({ code, params?, message? })
+ * @param {string} language - Sprache aus SUPPORTED_LANGUAGES
+ * @returns {string} Meldung (unbekannter Code: detail.message)
+ */
+export function localizeDetail(detail, language) {
+  const definition = VALIDATION_MESSAGES[detail.code];
+  if (!definition) return detail.message;
+  return formatMessage(
+    definition[language] ?? definition.de,
+    detail.params ?? {}
+  );
+}
@@ -0,0 +1,51 @@
+/**
+ * ETag-Hilfsfunktionen für bedingte Requests (RFC 9110)
+ * Das ETag eines Todos basiert auf seiner Zeilenversion (todos.version), die bei
+ * jeder Änderung steigt - auch bei Änderungen an Checkliste und Tags.
+ */
+
+// services/etag.js
+
+/**
+ * ETag eines Todos
+ * @param {Object} todo - Todo mit id und version
+ * @returns {string} Starkes ETag, z.B. "5-3"
+ */
+export function todoETag(todo) {
+  return `"${todo.id}-${todo.version}"`;
+}
+
+/**
+ * Kommagetrennte ETag-Liste aus If-Match / If-None-Match zerlegen
+ * @param {string} header - Header-Wert
+ * @returns {string[]} ETags inkl. Anführungszeichen (und ggf. W/-Präfix) oder ["*"]
+ */
+function parseETags(header) {
+  return header.match(/\*|(?:W\/)?"[^"]*"/g) ?? [];
+}
+
+/**
+ * If-Match auswerten (starker Vergleich, schwache ETags passen nie)
+ * @param {string|undefined} header - req.get("If-Match")
+ * @param {Object} todo - Aktuelles Todo
+ * @returns {boolean} true, wenn der Header fehlt oder zum aktuellen Stand passt
+ */
+export function ifMatchPasses(header, todo) {
+  if (header === undefined) return true;
+  const current = todoETag(todo);
+  return parseETags(header).some((tag) => tag === "*" || tag === current);
+}
+
+/**
+ * If-None-Match auswerten (schwacher Vergleich)
+ * @param {string|undefined} header - req.get("If-None-Match")
+ * @param {Object} todo - Aktuelles Todo
+ * @returns {boolean} true, wenn der Client den aktuellen Stand schon hat (→ 304)
+ */
+export function ifNoneMatchHits(header, todo) {
+  if (header === undefined) return false;
+  const current = todoETag(todo);
+  return parseETags(header).some(
+    (tag) => tag === "*" || tag.replace(/^W\//, "") === current
+  );
+}
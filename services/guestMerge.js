@@ -0,0 +1,339 @@
+/**
+ * Gast-Merge-Service
+ * Übernimmt die Todos einer Gast-Session in die Datenbank eines Users
+ * und räumt die Gast-Datenbank anschließend vollständig auf
+ */
+
+// services/guestMerge.js
+import { corePool, databaseExists } from "../db.js";
+import { debugLog } from "../config/environment.js";
+import { guestDbName, destroyGuestSessions } from "./sessionService.js";
+import {
+  openTenantPool,
+  closeTenantPool,
+  guestPoolKey,
+  userPoolKey,
+} from "./poolRegistry.js";
+import { migrateTenant } from "./migrator.js";
+import { nextChangeSeq, touchTodos } from "./syncState.js";
+import { snapshotTodo, recordChange } from "./historyService.js";
+
+/**
+ * Erlaubte Strategien für Duplikate (gleicher Titel, unabhängig von Groß-/Kleinschreibung)
+ * - skip:   Gast-Todo wird nicht übernommen
+ * - keep:   Gast-Todo wird zusätzlich übernommen (Duplikat bleibt bestehen)
+ * - newest: Die zuletzt geänderte Version gewinnt (User-Todo wird ggf. überschrieben)
+ * @type {string[]}
+ */
+export const MERGE_STRATEGIES = ["skip", "keep", "newest"];
+
+/**
+ * Normalisierter Vergleichsschlüssel für Duplikat-Erkennung
+ * @param {string} title - Todo-Titel
+ * @returns {string} Getrimmter Titel in Kleinbuchstaben
+ */
+function duplicateKey(title) {
+  return String(title ?? "").trim().toLowerCase();
+}
+
+/**
+ * Ordnet jeder Gast-Liste eine Liste in der User-DB zu
+ * Inbox → Inbox, sonst gleicher Name (ohne Groß-/Kleinschreibung);
+ * fehlende Listen werden in der User-DB angelegt.
+ * @async
+ * @param {mysql.PoolConnection} conn - Core-Verbindung (in Transaktion)
+ * @param {string} guestDb - Gast-Datenbank
+ * @param {string} userDbName - User-Datenbank
+ * @returns {Promise<Map<number, number>>} Gast-Listen-ID → User-Listen-ID
+ */
+async function mapGuestLists(conn, guestDb, userDbName) {
+  const [guestLists] = await conn.query(
+    `SELECT id, name, is_inbox FROM \`${guestDb}\`.lists`
+  );
+  const [userLists] = await conn.query(
+    `SELECT id, name, is_inbox FROM \`${userDbName}\`.lists`
+  );
+
+  const userInbox = userLists.find((list) => list.is_inbox);
+  const byName = new Map(
+    userLists.map((list) => [duplicateKey(list.name), list.id])
+  );
+
+  const mapping = new Map();
+  for (const list of guestLists) {
+    if (list.is_inbox) {
+      mapping.set(list.id, userInbox.id);
+      continue;
+    }
+
+    let userListId = byName.get(duplicateKey(list.name));
+    if (!userListId) {
+      const now = Date.now();
+      const [result] = await conn.query(
+        `INSERT INTO \`${userDbName}\`.lists SET ?`,
+        [{ name: list.name, is_inbox: 0, created: now, updated: now }]
+      );
+      userListId = result.insertId;
+      byName.set(duplicateKey(list.name), userListId);
+    }
+    mapping.set(list.id, userListId);
+  }
+  return mapping;
+}
+
+/**
+ * Ordnet jedem Gast-Tag ein Tag in der User-DB zu (gleicher Name)
+ * Fehlende Tags werden mit der Farbe des Gast-Tags angelegt.
+ * @async
+ * @param {mysql.PoolConnection} conn - Core-Verbindung (in Transaktion)
+ * @param {string} guestDb - Gast-Datenbank
+ * @param {string} userDbName - User-Datenbank
+ * @returns {Promise<Map<number, number>>} Gast-Tag-ID → User-Tag-ID
+ */
+async function mapGuestTags(conn, guestDb, userDbName) {
+  const [guestTags] = await conn.query(
+    `SELECT id, name, color FROM \`${guestDb}\`.tags`
+  );
+  const [userTags] = await conn.query(
+    `SELECT id, name FROM \`${userDbName}\`.tags`
+  );
+
+  const byName = new Map(userTags.map((tag) => [duplicateKey(tag.name), tag.id]));
+
+  const mapping = new Map();
+  for (const tag of guestTags) {
+    let userTagId = byName.get(duplicateKey(tag.name));
+    if (!userTagId) {
+      const now = Date.now();
+      const [result] = await conn.query(
+        `INSERT INTO \`${userDbName}\`.tags SET ?`,
+        [{ name: tag.name, color: tag.color, created: now, updated: now }]
+      );
+      userTagId = result.insertId;
+      byName.set(duplicateKey(tag.name), userTagId);
+    }
+    mapping.set(tag.id, userTagId);
+  }
+  return mapping;
+}
+
+/**
+ * Tag-Zuordnungen eines übernommenen Todos in der User-DB ersetzen
+ * @async
+ * @param {mysql.PoolConnection} conn - Core-Verbindung (in Transaktion)
+ * @param {string} userDbName - User-Datenbank
+ * @param {number} todoId - User-Todo-ID
+ * @param {number[]} tagIds - User-Tag-IDs
+ */
+async function copyTodoTags(conn, userDbName, todoId, tagIds) {
+  await conn.query(`DELETE FROM \`${userDbName}\`.todo_tags WHERE todo_id = ?`, [
+    todoId,
+  ]);
+  if (tagIds.length) {
+    await conn.query(
+      `INSERT INTO \`${userDbName}\`.todo_tags (todo_id, tag_id) VALUES ?`,
+      [tagIds.map((tagId) => [todoId, tagId])]
+    );
+  }
+}
+
+/**
+ * Checkliste eines übernommenen Todos in der User-DB ersetzen
+ * @async
+ * @param {mysql.PoolConnection} conn - Core-Verbindung (in Transaktion)
+ * @param {string} userDbName - User-Datenbank
+ * @param {number} todoId - User-Todo-ID
+ * @param {Array<Object>} items - Gast-Einträge (ohne id/todo_id)
+ */
+async function copyTodoItems(conn, userDbName, todoId, items) {
+  await conn.query(
+    `DELETE FROM \`${userDbName}\`.todo_items WHERE todo_id = ?`,
+    [todoId]
+  );
+  for (const item of items) {
+    await conn.query(`INSERT INTO \`${userDbName}\`.todo_items SET ?`, [
+      { ...item, todo_id: todoId },
+    ]);
+  }
+}
+
+/**
+ * Zustand eines User-Todos für den Verlauf (gesperrte Zeile + Tag-IDs)
+ * @async
+ * @param {mysql.PoolConnection} conn - Core-Verbindung (in Transaktion)
+ * @param {string} userDbName - User-Datenbank
+ * @param {number} todoId - User-Todo-ID
+ * @returns {Promise<Object>} Zustand inkl. tag_ids
+ */
+async function snapshotUserTodo(conn, userDbName, todoId) {
+  const [[todo]] = await conn.query(
+    `SELECT * FROM \`${userDbName}\`.todos WHERE id = ? FOR UPDATE`,
+    [todoId]
+  );
+  return snapshotTodo(conn, todo, { dbName: userDbName });
+}
+
+/**
+ * Gast-Todos in die User-Datenbank übernehmen
+ * Kopiert alle Listen, Tags, Todos und Checklisten in einer Transaktion, schließt danach den Gast-Pool,
+ * löscht die Gast-Datenbank und alle Sessions des Gasts. Übernommene und ersetzte Todos
+ * bekommen einen Verlaufseintrag (Undo, Webhooks).
+ * @async
+ * @param {Object} options - Merge-Optionen
+ * @param {string} options.guestId - UUID des Gasts
+ * @param {number} options.userId - ID des Ziel-Users
+ * @param {string} options.userDbName - Ziel-Datenbank des Users (users.db_name)
+ * @param {string} [options.strategy="skip"] - Duplikat-Strategie (MERGE_STRATEGIES)
+ * @returns {Promise<{imported: number, skipped: number, replaced: number}>} Statistik
+ */
+export async function mergeGuestIntoUser({
+  guestId,
+  userId,
+  userDbName,
+  strategy = "skip",
+}) {
+  const guestDb = guestDbName(guestId);
+  const stats = { imported: 0, skipped: 0, replaced: 0 };
+
+  if (!(await databaseExists(guestDb))) return stats;
+
+  // Beide Schemas auf denselben Stand bringen, bevor Spalten kopiert werden
+  await openTenantPool(guestPoolKey(guestId), guestDb, { prepare: migrateTenant });
+  await openTenantPool(userPoolKey(userId), userDbName, { prepare: migrateTenant });
+
+  // Core-Pool hat keine Default-DB → vollqualifizierte Tabellennamen
+  const conn = await corePool.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    const listMapping = await mapGuestLists(conn, guestDb, userDbName);
+    const tagMapping = await mapGuestTags(conn, guestDb, userDbName);
+
+    const [guestTodoTags] = await conn.query(
+      `SELECT todo_id, tag_id FROM \`${guestDb}\`.todo_tags`
+    );
+    const tagsByTodo = new Map();
+    for (const { todo_id, tag_id } of guestTodoTags) {
+      if (!tagsByTodo.has(todo_id)) tagsByTodo.set(todo_id, []);
+      tagsByTodo.get(todo_id).push(tagMapping.get(tag_id));
+    }
+
+    const [guestItems] = await conn.query(
+      `SELECT * FROM \`${guestDb}\`.todo_items ORDER BY position ASC, id ASC`
+    );
+    const itemsByTodo = new Map();
+    for (const { id, todo_id, ...item } of guestItems) {
+      if (!itemsByTodo.has(todo_id)) itemsByTodo.set(todo_id, []);
+      itemsByTodo.get(todo_id).push(item);
+    }
+
+    // Alle Spalten kopieren - beide DBs haben durch die Migration dasselbe Schema
+    // Todos im Papierkorb des Gasts werden nicht übernommen
+    const [guestTodos] = await conn.query(
+      `SELECT * FROM \`${guestDb}\`.todos
+        WHERE deleted_at IS NULL ORDER BY id ASC`
+    );
+    const [userTodos] = await conn.query(
+      `SELECT id, title, updated FROM \`${userDbName}\`.todos
+        WHERE deleted_at IS NULL`
+    );
+    const [userClientIds] = await conn.query(
+      `SELECT client_id FROM \`${userDbName}\`.todos
+        WHERE client_id IS NOT NULL`
+    );
+    const takenClientIds = new Set(userClientIds.map((row) => row.client_id));
+
+    const existing = new Map(
+      userTodos.map((todo) => [duplicateKey(todo.title), todo])
+    );
+
+    for (const { id: guestTodoId, ...todo } of guestTodos) {
+      todo.list_id = listMapping.get(todo.list_id);
+      const tagIds = tagsByTodo.get(guestTodoId) ?? [];
+      const items = itemsByTodo.get(guestTodoId) ?? [];
+      const duplicate = existing.get(duplicateKey(todo.title));
+
+      if (duplicate && strategy === "skip") {
+        stats.skipped++;
+        continue;
+      }
+
+      if (duplicate && strategy === "newest") {
+        if (Number(todo.updated) > Number(duplicate.updated)) {
+          // Erstellungszeitpunkt, Sync-Felder sowie Liste, Position und
+          // Papierkorb-Status der User-Version bleiben erhalten
+          const {
+            created,
+            version,
+            change_seq,
+            client_id,
+            list_id,
+            position,
+            deleted_at,
+            ...changes
+          } = todo;
+          const before = await snapshotUserTodo(conn, userDbName, duplicate.id);
+          await conn.query(
+            `UPDATE \`${userDbName}\`.todos SET ? WHERE id = ?`,
+            [changes, duplicate.id]
+          );
+          await touchTodos(conn, [duplicate.id], { dbName: userDbName });
+          await copyTodoTags(conn, userDbName, duplicate.id, tagIds);
+          await copyTodoItems(conn, userDbName, duplicate.id, items);
+          await recordChange(
+            conn,
+            {
+              todoId: duplicate.id,
+              action: "update",
+              before,
+              after: await snapshotUserTodo(conn, userDbName, duplicate.id),
+            },
+            { dbName: userDbName }
+          );
+          stats.replaced++;
+        } else {
+          stats.skipped++;
+        }
+        continue;
+      }
+
+      // client_id ist pro DB eindeutig - bei Kollision ohne übernehmen
+      if (todo.client_id !== null && takenClientIds.has(todo.client_id))
+        todo.client_id = null;
+      todo.version = 1;
+      todo.change_seq = await nextChangeSeq(conn, { dbName: userDbName });
+      const [result] = await conn.query(
+        `INSERT INTO \`${userDbName}\`.todos SET ?`,
+        [todo]
+      );
+      await copyTodoTags(conn, userDbName, result.insertId, tagIds);
+      await copyTodoItems(conn, userDbName, result.insertId, items);
+      await recordChange(
+        conn,
+        {
+          todoId: result.insertId,
+          action: "create",
+          before: null,
+          after: await snapshotUserTodo(conn, userDbName, result.insertId),
+        },
+        { dbName: userDbName }
+      );
+      stats.imported++;
+    }
+
+    await conn.commit();
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+
+  // Aufräumen erst nach erfolgreichem Commit: Pool, Datenbank, Sessions
+  await closeTenantPool(guestPoolKey(guestId));
+  await corePool.query(`DROP DATABASE IF EXISTS \`${guestDb}\``);
+  await destroyGuestSessions(guestId);
+
+  debugLog(`Gast ${guestId} in ${userDbName} übernommen`, stats);
+  return stats;
+}
@@ -0,0 +1,149 @@
+/**
+ * Gast-Reaper
+ * Entfernt verwaiste und inaktive Gast-Datenbanken samt Pool und Sessions
+ * - Läuft periodisch im Server-Prozess (startGuestReaper)
+ * - Oder einmalig per CLI (scripts/cleanup-guests.js, mit Dry-Run)
+ */
+
+// services/guestReaper.js
+import { corePool, listTenantDatabases, userPool } from "../db.js";
+import { ENV, debugLog, infoLog, errorLog } from "../config/environment.js";
+import {
+  guestDbName,
+  destroyGuestSessions,
+  purgeExpiredSessions,
+} from "./sessionService.js";
+import { closeTenantPool, guestPoolKey } from "./poolRegistry.js";
+
+/**
+ * Ermittelt alle Gast-Datenbanken, die gelöscht werden sollen
+ * - orphan: Gast-DB ohne zugehörige Session (z.B. aus der Zeit vor Session-Tokens)
+ * - idle:   Letzte Aktivität liegt länger als idleTtlMs zurück
+ * @async
+ * @param {Object} [options] - Optionen
+ * @param {number} [options.idleTtlMs=ENV.GUEST_IDLE_TTL_MS] - Erlaubte Inaktivität
+ * @param {number} [options.now=Date.now()] - Referenzzeitpunkt
+ * @returns {Promise<Array<{dbName: string, guestId: string|null, reason: string, created: number|null, lastActivity: number|null}>>}
+ */
+export async function findAbandonedGuests({
+  idleTtlMs = ENV.GUEST_IDLE_TTL_MS,
+  now = Date.now(),
+} = {}) {
+  const guestDatabases = (await listTenantDatabases()).filter((dbName) =>
+    dbName.startsWith("todos_guest_")
+  );
+
+  // Erstellung und letzte Aktivität pro Gast aus den Sessions
+  const [rows] = await userPool.query(
+    `SELECT guest_id, MIN(created) AS created, MAX(last_activity) AS last_activity
+       FROM sessions
+      WHERE type = 'guest'
+      GROUP BY guest_id`
+  );
+  const activityByDb = new Map(
+    rows.map((row) => [guestDbName(row.guest_id), row])
+  );
+
+  const abandoned = [];
+  for (const dbName of guestDatabases) {
+    const activity = activityByDb.get(dbName);
+
+    if (!activity) {
+      abandoned.push({
+        dbName,
+        guestId: null,
+        reason: "orphan",
+        created: null,
+        lastActivity: null,
+      });
+      continue;
+    }
+
+    const lastActivity = Number(activity.last_activity);
+    if (now - lastActivity > idleTtlMs) {
+      abandoned.push({
+        dbName,
+        guestId: activity.guest_id,
+        reason: "idle",
+        created: Number(activity.created),
+        lastActivity,
+      });
+    }
+  }
+
+  return abandoned;
+}
+
+/**
+ * Verwaiste und inaktive Gast-Datenbanken löschen
+ * Schließt den gecachten Pool, löscht die Datenbank und alle Sessions des Gasts.
+ * Abgelaufene Sessions (User und Gast) werden ebenfalls entfernt.
+ * @async
+ * @param {Object} [options] - Optionen
+ * @param {boolean} [options.dryRun=false] - Nur ermitteln, nichts löschen
+ * @param {number} [options.idleTtlMs] - Erlaubte Inaktivität (Default: ENV.GUEST_IDLE_TTL_MS)
+ * @returns {Promise<{dropped: Array<Object>, failed: number, expiredSessions: number}>} Ergebnis
+ */
+export async function reapGuests({ dryRun = false, idleTtlMs } = {}) {
+  const abandoned = await findAbandonedGuests({ idleTtlMs });
+  if (dryRun) return { dropped: abandoned, failed: 0, expiredSessions: 0 };
+
+  const dropped = [];
+  let failed = 0;
+
+  for (const guest of abandoned) {
+    try {
+      if (guest.guestId) await closeTenantPool(guestPoolKey(guest.guestId));
+      await corePool.query(`DROP DATABASE IF EXISTS \`${guest.dbName}\``);
+      if (guest.guestId) await destroyGuestSessions(guest.guestId);
+      dropped.push(guest);
+    } catch (err) {
+      failed++;
+      errorLog(`Gast-DB ${guest.dbName} konnte nicht gelöscht werden:`, err.message);
+    }
+  }
+
+  const expiredSessions = await purgeExpiredSessions();
+
+  if (dropped.length || expiredSessions) {
+    infoLog(
+      `Gast-Reaper: ${dropped.length} Gast-DBs gelöscht, ${expiredSessions} abgelaufene Sessions entfernt`
+    );
+  }
+  return { dropped, failed, expiredSessions };
+}
+
+/**
+ * Periodischen Gast-Reaper im Server-Prozess starten
+ * Intervall über ENV.GUEST_REAPER_INTERVAL_MS (0 = deaktiviert)
+ * @returns {Function} Stop-Funktion (beendet das Intervall)
+ */
+export function startGuestReaper() {
+  const interval = ENV.GUEST_REAPER_INTERVAL_MS;
+  if (!interval) {
+    debugLog("Gast-Reaper deaktiviert (GUEST_REAPER_INTERVAL_MS = 0)");
+    return () => {};
+  }
+
+  let running = false;
+  const run = async () => {
+    // Keine überlappenden Läufe bei langsamer Datenbank
+    if (running) return;
+    running = true;
+    try {
+      await reapGuests();
+    } catch (err) {
+      errorLog("Gast-Reaper fehlgeschlagen:", err.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(run, interval);
+  timer.unref(); // Hält den Prozess nicht am Leben
+  debugLog(
+    `Gast-Reaper gestartet (Intervall ${interval} ms, Idle-TTL ${ENV.GUEST_IDLE_TTL_MS} ms)`
+  );
+
+  return () => clearInterval(timer);
+}
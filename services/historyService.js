@@ -0,0 +1,241 @@
+/**
+ * Verlaufs-Service
+ * Append-only Änderungsverlauf pro Todo (todo_history) und Undo
+ * Jeder Eintrag speichert den vollständigen Zustand vorher/nachher inkl. Tag-IDs,
+ * Undo schreibt den Vorher-Zustand zurück und protokolliert sich selbst als Eintrag.
+ */
+
+// services/historyService.js
+import { setTodoTags } from "./tagService.js";
+import { getInboxId, getList } from "./listService.js";
+import { trashTodo } from "./todoService.js";
+import { positionAtEnd } from "./todoOrder.js";
+import { nextRevision, table } from "./syncState.js";
+
+/**
+ * Protokollierte Aktionen
+ * @type {string[]}
+ */
+export const HISTORY_ACTIONS = ["create", "update", "delete", "restore", "undo"];
+
+/**
+ * Felder, die Undo zurückschreibt
+ * @type {string[]}
+ */
+const RESTORABLE_FIELDS = [
+  "title",
+  "description",
+  "completed",
+  "completed_at",
+  "due_at",
+  "priority",
+  "list_id",
+  "recurrence",
+  "position",
+  "deleted_at",
+];
+
+/**
+ * Zustand eines Todos für den Verlauf (Zeile + Tag-IDs)
+ * @async
+ * @param {mysql.Pool|mysql.PoolConnection} db - Pool oder Verbindung
+ * @param {Object} todo - Todo-Zeile
+ * @param {Object} [options] - Optionen
+ * @param {string} [options.dbName] - Tenant-Datenbank (nur für den Core-Pool)
+ * @returns {Promise<Object>} Zustand inkl. tag_ids
+ */
+export async function snapshotTodo(db, todo, { dbName } = {}) {
+  const [rows] = await db.query(
+    `SELECT tag_id FROM ${table("todo_tags", dbName)}
+      WHERE todo_id = ? ORDER BY tag_id`,
+    [todo.id]
+  );
+  return { ...todo, tag_ids: rows.map((row) => row.tag_id) };
+}
+
+/**
+ * Felder, die bei jeder Änderung mitlaufen und nicht als Änderung zählen
+ * @type {string[]}
+ */
+const BOOKKEEPING_FIELDS = ["updated", "version", "change_seq"];
+
+/**
+ * Geänderte Felder zwischen zwei Zuständen (ohne Verwaltungsfelder)
+ * @param {Object|null} before - Zustand vorher
+ * @param {Object|null} after - Zustand nachher
+ * @returns {string[]} Feldnamen
+ */
+export function changedFields(before, after) {
+  const fields = new Set([
+    ...Object.keys(before ?? {}),
+    ...Object.keys(after ?? {}),
+  ]);
+  BOOKKEEPING_FIELDS.forEach((field) => fields.delete(field));
+  return [...fields].filter(
+    (field) =>
+      JSON.stringify(before?.[field] ?? null) !==
+      JSON.stringify(after?.[field] ?? null)
+  );
+}
+
+/**
+ * Änderung protokollieren
+ * Updates ohne tatsächliche Änderung werden nicht gespeichert.
+ * @async
+ * @param {mysql.PoolConnection} db - Verbindung (in derselben Transaktion wie die Änderung)
+ * @param {Object} entry - Eintrag
+ * @param {number} entry.todoId - Todo-ID
+ * @param {string} entry.action - Aktion (HISTORY_ACTIONS)
+ * @param {Object|null} entry.before - Zustand vorher (null bei create)
+ * @param {Object|null} entry.after - Zustand nachher
+ * @param {number} [entry.reverts] - Rückgängig gemachter Eintrag (nur undo)
+ * @param {Object} [options] - Optionen
+ * @param {string} [options.dbName] - Tenant-Datenbank (nur für den Core-Pool)
+ */
+export async function recordChange(
+  db,
+  { todoId, action, before, after, reverts = null },
+  { dbName } = {}
+) {
+  if (action === "update" && !changedFields(before, after).length) return;
+
+  await db.query(`INSERT INTO ${table("todo_history", dbName)} SET ?`, [
+    {
+      todo_id: todoId,
+      action,
+      before_state: before ? JSON.stringify(before) : null,
+      after_state: after ? JSON.stringify(after) : null,
+      reverts,
+      created: Date.now(),
+    },
+  ]);
+}
+
+/**
+ * Verlauf eines Todos (neueste Einträge zuerst)
+ * @async
+ * @param {mysql.Pool|mysql.PoolConnection} db - Pool oder Verbindung
+ * @param {number|string} todoId - Todo-ID
+ * @returns {Promise<Array<Object>>} [{ id, action, changes, before, after, reverts, created }]
+ */
+export async function getHistory(db, todoId) {
+  const [rows] = await db.query(
+    `SELECT * FROM todo_history WHERE todo_id = ? ORDER BY id DESC`,
+    [todoId]
+  );
+  return rows.map((row) => {
+    const before = row.before_state ? JSON.parse(row.before_state) : null;
+    const after = row.after_state ? JSON.parse(row.after_state) : null;
+    return {
+      id: row.id,
+      action: row.action,
+      changes: changedFields(before, after),
+      before,
+      after,
+      reverts: row.reverts,
+      created: row.created,
+    };
+  });
+}
+
+/**
+ * Letzte noch nicht rückgängig gemachte Änderung finden
+ * Undo-Einträge heben den Eintrag auf, den sie rückgängig gemacht haben,
+ * daher führt wiederholtes Undo Schritt für Schritt zurück.
+ * @param {Array<Object>} rows - Verlaufszeilen, neueste zuerst
+ * @returns {Object|null} Verlaufszeile oder null
+ */
+function lastUndoable(rows) {
+  const reverted = new Set();
+  for (const row of rows) {
+    if (row.action === "undo") {
+      reverted.add(row.reverts);
+      continue;
+    }
+    if (!reverted.has(row.id)) return row;
+  }
+  return null;
+}
+
+/**
+ * Letzte Änderung eines Todos rückgängig machen
+ * create → Todo in den Papierkorb, sonst Vorher-Zustand inkl. Tags wiederherstellen
+ * (gelöschte Listen → Inbox, gelöschte Tags entfallen). Hat die Änderung ein
+ * nächstes Vorkommen angelegt (next_occurrence_id), wandert es in den Papierkorb.
+ * @async
+ * @param {mysql.PoolConnection} db - Verbindung (in Transaktion)
+ * @param {number|string} todoId - Todo-ID
+ * @returns {Promise<{reverted: number, action: string, todo: Object, trashedNextId?: number}|null>}
+ *          Ergebnis oder null, wenn es nichts rückgängig zu machen gibt
+ */
+export async function undoLastChange(db, todoId) {
+  const [[current]] = await db.query(
+    `SELECT * FROM todos WHERE id = ? FOR UPDATE`,
+    [todoId]
+  );
+  if (!current) return null;
+
+  const [rows] = await db.query(
+    `SELECT id, action, before_state, after_state, reverts FROM todo_history
+      WHERE todo_id = ? ORDER BY id DESC`,
+    [current.id]
+  );
+  const target = lastUndoable(rows);
+  if (!target) return null;
+
+  const now = Date.now();
+  const before = target.before_state ? JSON.parse(target.before_state) : null;
+  const after = target.after_state ? JSON.parse(target.after_state) : null;
+  const currentState = await snapshotTodo(db, current);
+
+  let changes;
+  if (!before) {
+    changes = { deleted_at: now, updated: now };
+  } else {
+    changes = Object.fromEntries(
+      RESTORABLE_FIELDS.filter((field) => field in before).map((field) => [
+        field,
+        before[field],
+      ])
+    );
+    changes.updated = now;
+
+    // Liste inzwischen gelöscht → ans Ende der Inbox (wie restoreTodo)
+    if (!(await getList(db, changes.list_id))) {
+      changes.list_id = await getInboxId(db);
+      changes.position = await positionAtEnd(db, changes.list_id);
+    }
+  }
+
+  Object.assign(changes, await nextRevision(db, current));
+  await db.query(`UPDATE todos SET ? WHERE id = ?`, [changes, current.id]);
+
+  if (before?.tag_ids) {
+    const [tags] = before.tag_ids.length
+      ? await db.query(`SELECT id FROM tags WHERE id IN (?)`, [before.tag_ids])
+      : [[]];
+    await setTodoTags(db, current.id, tags.map((tag) => tag.id));
+  }
+
+  const [[todo]] = await db.query(`SELECT * FROM todos WHERE id = ?`, [
+    current.id,
+  ]);
+  await recordChange(db, {
+    todoId: current.id,
+    action: "undo",
+    before: currentState,
+    after: await snapshotTodo(db, todo),
+    reverts: target.id,
+  });
+
+  // Erledigen mit Wiederholung rückgängig → nächstes Vorkommen entfernen
+  const nextId = after?.next_occurrence_id;
+  const trashedNext = nextId ? await trashTodo(db, nextId) : false;
+
+  return {
+    reverted: target.id,
+    action: target.action,
+    todo,
+    ...(trashedNext && { trashedNextId: nextId }),
+  };
+}
@@ -0,0 +1,279 @@
+/**
+ * iCalendar-Hilfsfunktionen (RFC 5545, nur VTODO)
+ * Wandelt Todos in VTODO-Blöcke um und liest VTODO-Blöcke wieder ein
+ * Liste und after_completion-Regeln stehen in X-LETSTODO-Properties
+ */
+
+// services/ical.js
+import { validationDetail } from "./errors.js";
+
+/**
+ * Prioritäten (Name → iCalendar-PRIORITY, 1 = höchste, 0 = undefiniert)
+ * @type {Object<string, number>}
+ */
+const ICAL_PRIORITIES = { none: 0, low: 9, medium: 5, high: 1 };
+
+/**
+ * Wochentage für BYDAY (Index 0 = Montag, passend zu ISO 1-7)
+ * @type {string[]}
+ */
+const WEEKDAYS = ["MO", "TU", "WE", "TH", "FR", "SA", "SU"];
+
+/**
+ * Text für iCalendar escapen
+ * @param {string} text - Rohtext
+ * @returns {string} Escapeter Text
+ */
+function escapeText(text) {
+  return String(text)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+/**
+ * Escapeten iCalendar-Text zurückwandeln
+ * @param {string} text - Escapeter Text
+ * @returns {string} Rohtext
+ */
+function unescapeText(text) {
+  return text.replace(/\\([\\;,nN])/g, (_, char) =>
+    char === "n" || char === "N" ? "\n" : char
+  );
+}
+
+/**
+ * Content-Line auf max. 75 Oktette falten (Folgezeilen beginnen mit Leerzeichen)
+ * @param {string} line - Ungefaltete Zeile
+ * @returns {string} Gefaltete Zeile inkl. CRLF
+ */
+function foldLine(line) {
+  const parts = [];
+  let current = "";
+  let bytes = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    // Erste Zeile 75 Oktette, Folgezeilen 74 (+ führendes Leerzeichen)
+    if (bytes + size > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = "";
+      bytes = 0;
+    }
+    current += char;
+    bytes += size;
+  }
+  parts.push(current);
+  return parts.join("\r\n ") + "\r\n";
+}
+
+/**
+ * Zeitpunkt als UTC-DATE-TIME formatieren (20240131T090000Z)
+ * @param {number} ms - Timestamp
+ * @returns {string}
+ */
+function formatDateTime(ms) {
+  return new Date(ms)
+    .toISOString()
+    .replace(/[-:]/g, "")
+    .replace(/\.\d{3}/, "");
+}
+
+/**
+ * DATE oder DATE-TIME lesen (ohne Zeitzone bzw. TZID wird UTC angenommen)
+ * @param {string} value - z.B. 20240131T090000Z oder 20240131
+ * @returns {number|null} Timestamp oder null bei ungültigem Wert
+ */
+function parseDateTime(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(
+    value.trim()
+  );
+  if (!match) return null;
+  const [, y, mo, d, h = "0", mi = "0", s = "0"] = match;
+  const ms = Date.UTC(+y, +mo - 1, +d, +h, +mi, +s);
+  return Number.isNaN(ms) ? null : ms;
+}
+
+/**
+ * Wiederholungsregel als RRULE (after_completion hat keine Entsprechung)
+ * @param {Object|null} rule - Regel (siehe services/recurrence.js)
+ * @returns {string|null} RRULE-Wert oder null
+ */
+function toRRule(rule) {
+  if (rule?.freq === "daily") return `FREQ=DAILY;INTERVAL=${rule.interval}`;
+  if (rule?.freq === "weekly") {
+    const days = rule.weekdays.map((day) => WEEKDAYS[day - 1]);
+    return `FREQ=WEEKLY;BYDAY=${days.join(",")}`;
+  }
+  if (rule?.freq === "monthly") return `FREQ=MONTHLY;BYMONTHDAY=${rule.day}`;
+  return null;
+}
+
+/**
+ * RRULE in eine Wiederholungsregel übersetzen (nur unterstützte Varianten)
+ * @param {string} value - RRULE-Wert
+ * @returns {Object|undefined} Regel oder undefined, wenn nicht abbildbar
+ */
+function fromRRule(value) {
+  const parts = Object.fromEntries(
+    value.split(";").map((part) => part.split("="))
+  );
+  if (parts.FREQ === "DAILY")
+    return { freq: "daily", interval: Number(parts.INTERVAL ?? 1) };
+  if (parts.FREQ === "WEEKLY" && parts.BYDAY)
+    return {
+      freq: "weekly",
+      weekdays: parts.BYDAY.split(",").map((day) => WEEKDAYS.indexOf(day) + 1),
+    };
+  if (parts.FREQ === "MONTHLY" && parts.BYMONTHDAY)
+    return { freq: "monthly", day: Number(parts.BYMONTHDAY) };
+  return undefined;
+}
+
+/**
+ * Kopf des iCalendar-Dokuments
+ * @returns {string}
+ */
+export function calendarHeader() {
+  return (
+    "BEGIN:VCALENDAR\r\n" +
+    "VERSION:2.0\r\n" +
+    "PRODID:-//Lets Todo//Todo Export//DE\r\n"
+  );
+}
+
+/**
+ * Ende des iCalendar-Dokuments
+ * @returns {string}
+ */
+export function calendarFooter() {
+  return "END:VCALENDAR\r\n";
+}
+
+/**
+ * Ein exportiertes Todo als VTODO-Block
+ * @param {Object} todo - Portables Todo (siehe services/todoExport.js)
+ * @param {string} uid - Eindeutige ID
+ * @returns {string} VTODO inkl. CRLF
+ */
+export function formatVTodo(todo, uid) {
+  const lines = [
+    "BEGIN:VTODO",
+    `UID:${uid}`,
+    `DTSTAMP:${formatDateTime(Date.now())}`,
+    `CREATED:${formatDateTime(Date.parse(todo.created))}`,
+    `LAST-MODIFIED:${formatDateTime(Date.parse(todo.updated))}`,
+    `SUMMARY:${escapeText(todo.title)}`,
+  ];
+  if (todo.description)
+    lines.push(`DESCRIPTION:${escapeText(todo.description)}`);
+  lines.push(`STATUS:${todo.completed ? "COMPLETED" : "NEEDS-ACTION"}`);
+  if (todo.completed_at)
+    lines.push(`COMPLETED:${formatDateTime(Date.parse(todo.completed_at))}`);
+  if (todo.due_at) lines.push(`DUE:${formatDateTime(Date.parse(todo.due_at))}`);
+  lines.push(`PRIORITY:${ICAL_PRIORITIES[todo.priority] ?? 0}`);
+  if (todo.tags.length)
+    lines.push(`CATEGORIES:${todo.tags.map(escapeText).join(",")}`);
+  if (todo.list) lines.push(`X-LETSTODO-LIST:${escapeText(todo.list)}`);
+
+  // RRULE kennt keinen Zeitzonen-Offset → solche Regeln nur als X-Property
+  const rrule = todo.recurrence?.tzOffset ? null : toRRule(todo.recurrence);
+  if (rrule) lines.push(`RRULE:${rrule}`);
+  else if (todo.recurrence)
+    lines.push(
+      `X-LETSTODO-RECURRENCE:${escapeText(JSON.stringify(todo.recurrence))}`
+    );
+
+  lines.push("END:VTODO");
+  return lines.map(foldLine).join("");
+}
+
+/**
+ * VTODO-Blöcke eines iCalendar-Dokuments lesen
+ * @param {string} text - iCalendar-Inhalt
+ * @returns {{entries?: Array<Object>, error?: Object}} Portable Todos (Rohwerte, noch ungeprüft) oder Detail
+ */
+export function parseVTodos(text) {
+  // Zeilen entfalten: CRLF + Leerzeichen/Tab setzt die vorige Zeile fort
+  const lines = text.replace(/\r?\n[ \t]/g, "").split(/\r?\n/);
+  if (!/^BEGIN:VCALENDAR$/i.test(lines[0]?.trim() ?? ""))
+    return { error: validationDetail(null, "ICAL_MISSING_CALENDAR") };
+
+  const entries = [];
+  let current = null;
+
+  for (const line of lines) {
+    const separator = line.indexOf(":");
+    if (separator < 0) continue;
+    const name = line.slice(0, separator).split(";")[0].toUpperCase();
+    const value = line.slice(separator + 1);
+
+    if (name === "BEGIN" && value.toUpperCase() === "VTODO") {
+      current = { tags: [] };
+      continue;
+    }
+    if (!current) continue;
+
+    switch (name) {
+      case "END":
+        if (value.toUpperCase() === "VTODO") {
+          entries.push(current);
+          current = null;
+        }
+        break;
+      case "SUMMARY":
+        current.title = unescapeText(value);
+        break;
+      case "DESCRIPTION":
+        current.description = unescapeText(value);
+        break;
+      case "STATUS":
+        current.completed = value.toUpperCase() === "COMPLETED";
+        break;
+      case "COMPLETED":
+        current.completed_at = parseDateTime(value) ?? value;
+        break;
+      case "DUE":
+        current.due_at = parseDateTime(value) ?? value;
+        break;
+      case "CREATED":
+        current.created = parseDateTime(value) ?? undefined;
+        break;
+      case "LAST-MODIFIED":
+        current.updated = parseDateTime(value) ?? undefined;
+        break;
+      case "PRIORITY": {
+        // 1-4 hoch, 5 mittel, 6-9 niedrig (RFC 5545, Abschnitt 3.8.1.9)
+        const priority = Number(value);
+        if (priority === 0) current.priority = "none";
+        else if (priority <= 4) current.priority = "high";
+        else if (priority === 5) current.priority = "medium";
+        else current.priority = "low";
+        break;
+      }
+      case "CATEGORIES":
+        current.tags.push(
+          ...value
+            .split(/(?<!\\),/)
+            .map((tag) => unescapeText(tag))
+            .filter(Boolean)
+        );
+        break;
+      case "X-LETSTODO-LIST":
+        current.list = unescapeText(value);
+        break;
+      case "RRULE":
+        current.recurrence ??= fromRRule(value);
+        break;
+      case "X-LETSTODO-RECURRENCE":
+        try {
+          current.recurrence = JSON.parse(unescapeText(value));
+        } catch {
+          current.recurrence = "ungültig";
+        }
+        break;
+    }
+  }
+
+  return { entries };
+}
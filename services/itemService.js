@@ -0,0 +1,219 @@
+/**
+ * Checklisten-Service
+ * Unterpunkte (todo_items) eines Todos inkl. Reihenfolge und Fortschritt
+ */
+
+// services/itemService.js
+import { getTodo, updateTodo } from "./todoService.js";
+import { touchTodos } from "./syncState.js";
+
+/**
+ * Maximale Länge eines Checklisten-Titels
+ * @type {number}
+ */
+export const MAX_ITEM_TITLE_LENGTH = 500;
+
+/**
+ * Maximale Anzahl Checklisten-Einträge pro Todo
+ * @type {number}
+ */
+export const MAX_ITEMS_PER_TODO = 100;
+
+/**
+ * Prüft einen Checklisten-Titel
+ * @param {*} title - Eingabewert
+ * @returns {string|null} Getrimmter Titel oder null bei ungültigem Wert
+ */
+export function normalizeItemTitle(title) {
+  if (typeof title !== "string") return null;
+  const trimmed = title.trim();
+  if (!trimmed || trimmed.length > MAX_ITEM_TITLE_LENGTH) return null;
+  return trimmed;
+}
+
+/**
+ * Fortschritt einer Checkliste
+ * @param {Array<Object>} items - Checklisten-Einträge
+ * @returns {{done: number, total: number, ratio: number|null}} ratio = null ohne Einträge
+ */
+export function itemProgress(items) {
+  const done = items.filter((item) => item.completed).length;
+  return {
+    done,
+    total: items.length,
+    ratio: items.length ? done / items.length : null,
+  };
+}
+
+/**
+ * Alle Einträge eines Todos in Checklisten-Reihenfolge
+ * @async
+ * @param {mysql.Pool|mysql.PoolConnection} db - Pool oder Verbindung
+ * @param {number|string} todoId - Todo-ID
+ * @returns {Promise<Array<Object>>} Einträge
+ */
+export async function getItems(db, todoId) {
+  const [rows] = await db.query(
+    `SELECT * FROM todo_items WHERE todo_id = ? ORDER BY position ASC, id ASC`,
+    [todoId]
+  );
+  return rows;
+}
+
+/**
+ * Einzelnen Eintrag eines Todos laden
+ * @async
+ * @param {mysql.Pool|mysql.PoolConnection} db - Pool oder Verbindung
+ * @param {number|string} todoId - Todo-ID
+ * @param {number|string} itemId - Eintrags-ID
+ * @returns {Promise<Object|null>} Eintrag oder null
+ */
+export async function getItem(db, todoId, itemId) {
+  const [rows] = await db.query(
+    `SELECT * FROM todo_items WHERE id = ? AND todo_id = ?`,
+    [itemId, todoId]
+  );
+  return rows[0] ?? null;
+}
+
+/**
+ * Neuen Eintrag am Ende der Checkliste anlegen
+ * @async
+ * @param {mysql.PoolConnection} db - Verbindung (in Transaktion)
+ * @param {number} todoId - Todo-ID
+ * @param {Object} values - { title, completed? } (normalisiert)
+ * @returns {Promise<Object|null>} Angelegter Eintrag oder null bei voller Checkliste
+ */
+export async function createItem(db, todoId, { title, completed = 0 }) {
+  // Todo sperren, damit parallele Inserts keine doppelten Positionen vergeben
+  await getTodo(db, todoId, { forUpdate: true });
+  const [[{ count, maxPosition }]] = await db.query(
+    `SELECT COUNT(*) AS count, MAX(position) AS maxPosition
+       FROM todo_items WHERE todo_id = ?`,
+    [todoId]
+  );
+  if (Number(count) >= MAX_ITEMS_PER_TODO) return null;
+
+  const now = Date.now();
+  const item = {
+    todo_id: todoId,
+    title,
+    completed,
+    position: maxPosition === null ? 0 : maxPosition + 1,
+    created: now,
+    updated: now,
+  };
+  const [result] = await db.query(`INSERT INTO todo_items SET ?`, [item]);
+  await touchTodos(db, [todoId]);
+  return { id: result.insertId, ...item };
+}
+
+/**
+ * Eintrag ändern (Titel und/oder Erledigt-Status)
+ * @async
+ * @param {mysql.Pool|mysql.PoolConnection} db - Pool oder Verbindung
+ * @param {Object} item - Bestehender Eintrag
+ * @param {Object} changes - { title?, completed? } (normalisiert)
+ * @returns {Promise<Object>} Aktualisierter Eintrag
+ */
+export async function updateItem(db, item, changes) {
+  const after = { ...item, ...changes, updated: Date.now() };
+  await db.query(`UPDATE todo_items SET ? WHERE id = ?`, [
+    { title: after.title, completed: after.completed, updated: after.updated },
+    item.id,
+  ]);
+  await touchTodos(db, [item.todo_id]);
+  return after;
+}
+
+/**
+ * Eintrag löschen
+ * @async
+ * @param {mysql.Pool|mysql.PoolConnection} db - Pool oder Verbindung
+ * @param {number|string} todoId - Todo-ID
+ * @param {number|string} itemId - Eintrags-ID
+ * @returns {Promise<boolean>} true, wenn ein Eintrag gelöscht wurde
+ */
+export async function deleteItem(db, todoId, itemId) {
+  const [result] = await db.query(
+    `DELETE FROM todo_items WHERE id = ? AND todo_id = ?`,
+    [itemId, todoId]
+  );
+  if (!result.affectedRows) return false;
+  await touchTodos(db, [todoId]);
+  return true;
+}
+
+/**
+ * Checkliste neu sortieren
+ * ids muss genau die Einträge des Todos enthalten (neue Reihenfolge).
+ * @async
+ * @param {mysql.PoolConnection} db - Verbindung (in Transaktion)
+ * @param {number} todoId - Todo-ID
+ * @param {number[]} ids - Eintrags-IDs in neuer Reihenfolge
+ * @returns {Promise<Array<Object>|null>} Sortierte Einträge oder null bei unpassenden IDs
+ */
+export async function reorderItems(db, todoId, ids) {
+  const [rows] = await db.query(
+    `SELECT id FROM todo_items WHERE todo_id = ? FOR UPDATE`,
+    [todoId]
+  );
+  const current = new Set(rows.map((row) => row.id));
+  if (
+    ids.length !== current.size ||
+    new Set(ids).size !== ids.length ||
+    !ids.every((id) => current.has(id))
+  )
+    return null;
+
+  const now = Date.now();
+  for (const [position, id] of ids.entries()) {
+    await db.query(
+      `UPDATE todo_items SET position = ?, updated = ? WHERE id = ?`,
+      [position, now, id]
+    );
+  }
+  await touchTodos(db, [todoId]);
+  return getItems(db, todoId);
+}
+
+/**
+ * Todo automatisch erledigen, wenn alle Einträge abgehakt sind
+ * Bei wiederkehrenden Todos wird wie beim PATCH das nächste Vorkommen angelegt.
+ * @async
+ * @param {mysql.PoolConnection} db - Verbindung (in Transaktion)
+ * @param {number} todoId - Todo-ID
+ * @returns {Promise<boolean>} true, wenn das Todo dadurch erledigt wurde
+ */
+export async function completeTodoIfDone(db, todoId) {
+  const { done, total } = itemProgress(await getItems(db, todoId));
+  if (!total || done < total) return false;
+
+  const todo = await getTodo(db, todoId, { forUpdate: true });
+  if (!todo || todo.completed) return false;
+
+  await updateTodo(db, todoId, { completed: 1 });
+  return true;
+}
+
+/**
+ * Hängt jedem Todo Checkliste und Fortschritt an (todo.items, todo.progress)
+ * @async
+ * @param {mysql.Pool|mysql.PoolConnection} db - Pool oder Verbindung
+ * @param {Array<Object>} todos - Todos mit id
+ * @returns {Promise<Array<Object>>} Dieselben Todos mit items und progress
+ */
+export async function attachItems(db, todos) {
+  if (!todos.length) return todos;
+
+  const [rows] = await db.query(
+    `SELECT * FROM todo_items WHERE todo_id IN (?) ORDER BY position ASC, id ASC`,
+    [todos.map((todo) => todo.id)]
+  );
+
+  for (const todo of todos) {
+    todo.items = rows.filter((item) => item.todo_id === todo.id);
+    todo.progress = itemProgress(todo.items);
+  }
+  return todos;
+}
@@ -0,0 +1,184 @@
+/**
+ * Listen-Service
+ * Lese-/Schreiboperationen auf der lists-Tabelle einer Tenant-DB
+ * Jede Tenant-DB besitzt genau eine Inbox (is_inbox = 1), die nicht gelöscht werden kann
+ */
+
+// services/listService.js
+import { positionAtEnd } from "./todoOrder.js";
+import { trashTodo } from "./todoService.js";
+import { snapshotTodo, recordChange } from "./historyService.js";
+import { nextChangeSeq } from "./syncState.js";
+
+/**
+ * Maximale Länge eines Listennamens
+ * @type {number}
+ */
+export const MAX_LIST_NAME_LENGTH = 100;
+
+/**
+ * Erlaubte Modi beim Löschen einer Liste
+ * - move:    Todos in die Inbox verschieben (Default)
+ * - cascade: Todos mitlöschen
+ * @type {string[]}
+ */
+export const DELETE_MODES = ["move", "cascade"];
+
+/**
+ * Prüft einen Listennamen
+ * @param {*} name - Eingabewert
+ * @returns {string|null} Getrimmter Name oder null bei ungültigem Wert
+ */
+export function normalizeListName(name) {
+  if (typeof name !== "string") return null;
+  const trimmed = name.trim();
+  if (!trimmed || trimmed.length > MAX_LIST_NAME_LENGTH) return null;
+  return trimmed;
+}
+
+/**
+ * ID der Inbox-Liste
+ * @async
+ * @param {mysql.Pool|mysql.PoolConnection} db - Pool oder Verbindung
+ * @returns {Promise<number>} Inbox-ID
+ */
+export async function getInboxId(db) {
+  const [rows] = await db.query(
+    `SELECT id FROM lists WHERE is_inbox = 1 ORDER BY id LIMIT 1`
+  );
+  return rows[0].id;
+}
+
+/**
+ * Alle Listen inkl. Todo-Zählern
+ * @async
+ * @param {mysql.Pool|mysql.PoolConnection} db - Pool oder Verbindung
+ * @returns {Promise<Array<Object>>} Listen (Inbox zuerst)
+ */
+export async function getLists(db) {
+  const [rows] = await db.query(
+    `SELECT l.*,
+            COUNT(t.id) AS todo_count,
+            COALESCE(SUM(t.completed = 0), 0) AS open_count
+       FROM lists l
+       LEFT JOIN todos t ON t.list_id = l.id AND t.deleted_at IS NULL
+      GROUP BY l.id
+      ORDER BY l.is_inbox DESC, l.name ASC`
+  );
+  return rows.map((row) => ({
+    ...row,
+    todo_count: Number(row.todo_count),
+    open_count: Number(row.open_count),
+  }));
+}
+
+/**
+ * Einzelne Liste laden
+ * @async
+ * @param {mysql.Pool|mysql.PoolConnection} db - Pool oder Verbindung
+ * @param {number|string} id - Listen-ID
+ * @returns {Promise<Object|null>} Liste oder null
+ */
+export async function getList(db, id) {
+  const [rows] = await db.query(`SELECT * FROM lists WHERE id = ?`, [id]);
+  return rows[0] ?? null;
+}
+
+/**
+ * Neue Liste anlegen
+ * @async
+ * @param {mysql.Pool|mysql.PoolConnection} db - Pool oder Verbindung
+ * @param {string} name - Normalisierter Name
+ * @returns {Promise<Object>} Angelegte Liste
+ */
+export async function createList(db, name) {
+  const now = Date.now();
+  const list = { name, is_inbox: 0, created: now, updated: now };
+  const [result] = await db.query(`INSERT INTO lists SET ?`, [list]);
+  return { id: result.insertId, ...list };
+}
+
+/**
+ * Liste umbenennen
+ * @async
+ * @param {mysql.Pool|mysql.PoolConnection} db - Pool oder Verbindung
+ * @param {number|string} id - Listen-ID
+ * @param {string} name - Normalisierter Name
+ * @returns {Promise<Object|null>} Aktualisierte Liste oder null
+ */
+export async function renameList(db, id, name) {
+  const [result] = await db.query(
+    `UPDATE lists SET name = ?, updated = ? WHERE id = ?`,
+    [name, Date.now(), id]
+  );
+  if (!result.affectedRows) return null;
+  return getList(db, id);
+}
+
+/**
+ * Liste löschen - Todos werden verschoben oder in den Papierkorb gelegt
+ * move protokolliert jede Verschiebung im Verlauf, cascade legt jedes Todo per
+ * trashTodo ab; wiederhergestellt landen die Todos in der Inbox.
+ * @async
+ * @param {mysql.PoolConnection} db - Verbindung (in Transaktion)
+ * @param {Object} list - Zu löschende Liste (nicht die Inbox)
+ * @param {string} mode - move | cascade
+ * @returns {Promise<{moved: number, deleted: number}>} Anzahl betroffener Todos
+ */
+export async function deleteList(db, list, mode) {
+  const stats = { moved: 0, deleted: 0 };
+
+  if (mode === "cascade") {
+    const [todos] = await db.query(
+      `SELECT id FROM todos
+        WHERE list_id = ? AND deleted_at IS NULL
+        ORDER BY id`,
+      [list.id]
+    );
+    for (const { id } of todos) await trashTodo(db, id);
+    stats.deleted = todos.length;
+  } else {
+    // Reihenfolge der Liste bleibt erhalten, angehängt hinter die Inbox-Todos
+    const inboxId = await getInboxId(db);
+    const [[{ minPosition }]] = await db.query(
+      `SELECT MIN(position) AS minPosition FROM todos WHERE list_id = ?`,
+      [list.id]
+    );
+    const offset = (await positionAtEnd(db, inboxId)) - (minPosition ?? 0);
+    const [todos] = await db.query(
+      `SELECT * FROM todos WHERE list_id = ? ORDER BY id FOR UPDATE`,
+      [list.id]
+    );
+    const now = Date.now();
+    const seq = await nextChangeSeq(db);
+    await db.query(
+      `UPDATE todos
+          SET list_id = ?, position = position + ?, updated = ?,
+              version = version + 1, change_seq = ?
+        WHERE list_id = ?`,
+      [inboxId, offset, now, seq, list.id]
+    );
+
+    // Jede Verschiebung landet im Verlauf (Undo, Webhooks)
+    for (const todo of todos) {
+      const before = await snapshotTodo(db, todo);
+      await recordChange(db, {
+        todoId: todo.id,
+        action: "update",
+        before,
+        after: {
+          ...before,
+          list_id: inboxId,
+          position: todo.position + offset,
+          updated: now,
+          version: todo.version + 1,
+          change_seq: seq,
+        },
+      });
+    }
+    stats.moved = todos.length;
+  }
+
+  await db.query(`DELETE FROM lists WHERE id = ?`, [list.id]);
+  return stats;
+}
@@ -0,0 +1,116 @@
+/**
+ * Mailer
+ * Versand von System-E-Mails (Passwort-Reset) über einen austauschbaren Transport.
+ * Standard ist der outbox-Transport: jede Mail landet als .eml-Datei in
+ * ENV.MAIL_OUTBOX_DIR und lässt sich ohne SMTP-Server mit jedem Mail-Client öffnen.
+ *
+ * @example
+ * // Eigener Transport (z.B. SMTP-Anbindung in Production)
+ * setMailTransport(async (mail) => smtp.sendMail(mail));
+ */
+
+// services/mailer.js
+import { randomUUID } from "node:crypto";
+import { mkdir, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { ENV, debugLog, infoLog } from "../config/environment.js";
+
+/**
+ * Header-Wert mit Nicht-ASCII-Zeichen kodieren (RFC 2047, Base64)
+ * @param {string} value - Header-Wert
+ * @returns {string} Kodierter Wert
+ */
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value)
+    ? value
+    : `=?UTF-8?B?${Buffer.from(value).toString("base64")}?=`;
+}
+
+/**
+ * Mail als RFC-5322-Nachricht (.eml) aufbauen
+ * @param {Object} mail - { from, to, subject, text, messageId, date }
+ * @returns {string} Nachricht mit CRLF-Zeilenenden
+ */
+function toEml(mail) {
+  const headers = [
+    `From: ${mail.from}`,
+    `To: ${mail.to}`,
+    `Subject: ${encodeHeader(mail.subject)}`,
+    `Date: ${mail.date.toUTCString()}`,
+    `Message-ID: <${mail.messageId}>`,
+    "MIME-Version: 1.0",
+    "Content-Type: text/plain; charset=utf-8",
+    "Content-Transfer-Encoding: 8bit",
+  ];
+  const body = mail.text.replace(/\r?\n/g, "\r\n");
+  return `${headers.join("\r\n")}\r\n\r\n${body}`;
+}
+
+/**
+ * Transport: Mail als Datei in den lokalen Outbox-Ordner schreiben
+ * @async
+ * @param {Object} mail - Aufbereitete Mail
+ */
+async function outboxTransport(mail) {
+  const dir = path.resolve(ENV.MAIL_OUTBOX_DIR);
+  await mkdir(dir, { recursive: true });
+  const [id] = mail.messageId.split("@");
+  const file = path.join(dir, `${mail.date.getTime()}-${id}.eml`);
+  await writeFile(file, toEml(mail));
+  infoLog(`Mail an ${mail.to} in Outbox geschrieben:`, file);
+}
+
+/**
+ * Transport: Mail nur in die Konsole schreiben
+ * @async
+ * @param {Object} mail - Aufbereitete Mail
+ */
+async function logTransport(mail) {
+  console.log(`✉️ Mail an ${mail.to}: ${mail.subject}\n${mail.text}`);
+}
+
+/**
+ * Eingebaute Transports (Auswahl über ENV.MAIL_TRANSPORT)
+ * @type {Object<string, Function>}
+ */
+const TRANSPORTS = {
+  outbox: outboxTransport,
+  log: logTransport,
+};
+
+let customTransport = null;
+
+/**
+ * Eigenen Transport setzen (ersetzt ENV.MAIL_TRANSPORT)
+ * @param {Function|null} transport - async (mail) => void; null = wieder eingebaut
+ */
+export function setMailTransport(transport) {
+  customTransport = transport;
+}
+
+/**
+ * Mail versenden
+ * @async
+ * @param {Object} mail - Mail
+ * @param {string} mail.to - Empfänger
+ * @param {string} mail.subject - Betreff
+ * @param {string} mail.text - Text (Klartext)
+ * @returns {Promise<string>} Message-ID
+ */
+export async function sendMail({ to, subject, text }) {
+  const transport = customTransport ?? TRANSPORTS[ENV.MAIL_TRANSPORT];
+  if (!transport)
+    throw new Error(`Unbekannter MAIL_TRANSPORT: ${ENV.MAIL_TRANSPORT}`);
+
+  const messageId = `${randomUUID()}@lets-todo`;
+  await transport({
+    from: ENV.MAIL_FROM,
+    to,
+    subject,
+    text,
+    messageId,
+    date: new Date(),
+  });
+  debugLog(`Mail versendet (${subject})`, { to, messageId });
+  return messageId;
+}
@@ -0,0 +1,106 @@
+/**
+ * Migrator für Tenant-Datenbanken
+ * Wendet die nummerierten Migrationen aus migrations/ auf eine einzelne
+ * Tenant-DB an und protokolliert den Stand in der Tabelle schema_version
+ */
+
+// services/migrator.js
+import { MIGRATIONS } from "../migrations/index.js";
+import { debugLog, infoLog } from "../config/environment.js";
+
+/**
+ * Höchste bekannte Schema-Version
+ * @type {number}
+ */
+export const LATEST_VERSION = MIGRATIONS.reduce(
+  (max, migration) => Math.max(max, migration.version),
+  0
+);
+
+/**
+ * Maximale Wartezeit auf den Migrations-Lock (Sekunden)
+ * @type {number}
+ */
+const LOCK_TIMEOUT_SECONDS = 30;
+
+/**
+ * Aktuelle Schema-Version einer Tenant-DB ermitteln
+ * Legt die schema_version-Tabelle bei Bedarf an.
+ * @async
+ * @param {mysql.Connection} conn - Verbindung mit gewählter Tenant-DB
+ * @returns {Promise<number>} Version (0 = noch keine Migration)
+ */
+export async function getSchemaVersion(conn) {
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS schema_version (
+      version INT PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      applied BIGINT NOT NULL
+    )
+  `);
+  const [rows] = await conn.query(
+    `SELECT COALESCE(MAX(version), 0) AS version FROM schema_version`
+  );
+  return Number(rows[0].version);
+}
+
+/**
+ * Alle ausstehenden Migrationen auf einer Verbindung ausführen
+ * Ein benannter DB-Lock (GET_LOCK) verhindert parallele Migration derselben DB
+ * durch mehrere Requests oder Prozesse.
+ * @async
+ * @param {mysql.Connection} conn - Verbindung mit gewählter Tenant-DB
+ * @returns {Promise<{from: number, to: number}>} Versionsstand vorher/nachher
+ */
+export async function runMigrations(conn) {
+  const from = await getSchemaVersion(conn);
+  if (from >= LATEST_VERSION) return { from, to: from };
+
+  const [[{ dbName }]] = await conn.query(`SELECT DATABASE() AS dbName`);
+  const lockName = `migrate:${dbName}`;
+
+  const [[{ locked }]] = await conn.query(`SELECT GET_LOCK(?, ?) AS locked`, [
+    lockName,
+    LOCK_TIMEOUT_SECONDS,
+  ]);
+  if (locked !== 1) {
+    throw new Error(`Migrations-Lock für ${dbName} nicht erhalten`);
+  }
+
+  try {
+    // Nach dem Lock erneut prüfen - ein anderer Prozess könnte schon migriert haben
+    let version = await getSchemaVersion(conn);
+
+    for (const migration of MIGRATIONS) {
+      if (migration.version <= version) continue;
+
+      debugLog(`Migration ${migration.version} (${migration.name}) → ${dbName}`);
+      await migration.up(conn);
+      await conn.query(
+        `INSERT INTO schema_version (version, name, applied) VALUES (?, ?, ?)`,
+        [migration.version, migration.name, Date.now()]
+      );
+      version = migration.version;
+    }
+
+    infoLog(`Schema ${dbName}: Version ${from} → ${version}`);
+    return { from, to: version };
+  } finally {
+    await conn.query(`SELECT RELEASE_LOCK(?)`, [lockName]);
+  }
+}
+
+/**
+ * Tenant-Pool auf den neuesten Schema-Stand bringen
+ * @async
+ * @param {mysql.Pool} pool - Pool einer Tenant-DB
+ * @returns {Promise<{from: number, to: number}>} Versionsstand vorher/nachher
+ */
+export async function migrateTenant(pool) {
+  const conn = await pool.getConnection();
+  try {
+    return await runMigrations(conn);
+  } finally {
+    conn.release();
+  }
+}
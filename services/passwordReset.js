@@ -0,0 +1,153 @@
+/**
+ * Passwort-Reset
+ * Einmal-Tokens zum Zurücksetzen vergessener Passwörter
+ * - Klartext-Token nur im Link der E-Mail, in der DB nur der SHA-256-Hash
+ * - Ablauf nach ENV.PASSWORD_RESET_TTL_MS, nach Benutzung sofort ungültig
+ * - Erfolgreicher Reset beendet alle Sessions des Users und bestätigt die
+ *   E-Mail-Adresse (der Link kam ja dort an)
+ */
+
+// services/passwordReset.js
+import crypto from "node:crypto";
+import bcrypt from "bcrypt";
+import { userPool, withTransaction } from "../db.js";
+import { ENV, debugLog } from "../config/environment.js";
+import { hashToken, destroyUserSessions } from "./sessionService.js";
+import { sendMail } from "./mailer.js";
+
+/**
+ * Mindestabstand zwischen zwei Reset-Mails an denselben User
+ * Verhindert, dass über den Endpoint Mails an fremde Adressen geflutet werden
+ * @type {number}
+ */
+export const RESET_REQUEST_COOLDOWN_MS = 60 * 1000;
+
+/**
+ * Texte der Reset-Mail
+ * @type {Object<string, {subject: string, text: Function}>}
+ */
+const RESET_MAIL = {
+  de: {
+    subject: "Passwort zurücksetzen",
+    text: (link, minutes) =>
+      [
+        "Hallo,",
+        "",
+        "für dein Let's Todo Konto wurde ein neues Passwort angefordert.",
+        `Über diesen Link kannst du es innerhalb von ${minutes} Minuten festlegen:`,
+        "",
+        link,
+        "",
+        "Falls du das nicht warst, kannst du diese E-Mail ignorieren.",
+      ].join("\n"),
+  },
+  en: {
+    subject: "Reset your password",
+    text: (link, minutes) =>
+      [
+        "Hello,",
+        "",
+        "a new password was requested for your Let's Todo account.",
+        `Use this link within ${minutes} minutes to set it:`,
+        "",
+        link,
+        "",
+        "If this wasn't you, you can ignore this email.",
+      ].join("\n"),
+  },
+};
+
+/**
+ * Reset anfordern: Token anlegen und Mail versenden
+ * Unbekannte Adressen und Anfragen innerhalb des Cooldowns werden still
+ * ignoriert - der Aufrufer antwortet immer gleich (keine User-Enumeration).
+ * Ältere Tokens des Users werden ersetzt, es gilt immer nur der neueste Link.
+ * @async
+ * @param {string} email - E-Mail-Adresse
+ * @param {Object} [options] - Optionen
+ * @param {string} [options.language="de"] - Sprache der Mail (de | en)
+ * @returns {Promise<boolean>} true wenn eine Mail versendet wurde
+ */
+export async function requestPasswordReset(email, { language = "de" } = {}) {
+  const [users] = await userPool.query(
+    `SELECT id, email FROM users WHERE email = ?`,
+    [email]
+  );
+  if (!users.length) return false;
+  const user = users[0];
+  const now = Date.now();
+
+  await userPool.query(`DELETE FROM password_resets WHERE expires <= ?`, [
+    now,
+  ]);
+  const [recent] = await userPool.query(
+    `SELECT 1 FROM password_resets WHERE user_id = ? AND created > ?`,
+    [user.id, now - RESET_REQUEST_COOLDOWN_MS]
+  );
+  if (recent.length) {
+    debugLog(`Passwort-Reset für User ${user.id} im Cooldown`);
+    return false;
+  }
+
+  const token = crypto.randomBytes(32).toString("hex");
+  await userPool.query(`DELETE FROM password_resets WHERE user_id = ?`, [
+    user.id,
+  ]);
+  await userPool.query(
+    `INSERT INTO password_resets (token_hash, user_id, created, expires)
+     VALUES (?, ?, ?, ?)`,
+    [hashToken(token), user.id, now, now + ENV.PASSWORD_RESET_TTL_MS]
+  );
+
+  const mail = RESET_MAIL[language] ?? RESET_MAIL.de;
+  const link = `${ENV.APP_URL}/reset-password?token=${token}`;
+  const minutes = Math.round(ENV.PASSWORD_RESET_TTL_MS / 60000);
+  await sendMail({
+    to: user.email,
+    subject: mail.subject,
+    text: mail.text(link, minutes),
+  });
+
+  debugLog(`Passwort-Reset für User ${user.id} angefordert`);
+  return true;
+}
+
+/**
+ * Passwort mit einem Reset-Token setzen
+ * Das Token wird in derselben Transaktion verbraucht (FOR UPDATE), sodass
+ * parallele Requests es nicht zweimal einlösen können.
+ * @async
+ * @param {string} token - Klartext-Token aus dem Link
+ * @param {string} password - Neues Passwort (bereits validiert)
+ * @returns {Promise<number|null>} User-ID oder null (Token ungültig/abgelaufen)
+ */
+export async function resetPassword(token, password) {
+  const passwordHash = await bcrypt.hash(password, 10);
+
+  const userId = await withTransaction(userPool, async (conn) => {
+    const [rows] = await conn.query(
+      `SELECT user_id FROM password_resets
+       WHERE token_hash = ? AND expires > ? FOR UPDATE`,
+      [hashToken(token), Date.now()]
+    );
+    if (!rows.length) return null;
+
+    const { user_id } = rows[0];
+    await conn.query(
+      `UPDATE users
+          SET password_hash = ?, email_verified_at = COALESCE(email_verified_at, ?)
+        WHERE id = ?`,
+      [passwordHash, Date.now(), user_id]
+    );
+    await conn.query(`DELETE FROM password_resets WHERE user_id = ?`, [
+      user_id,
+    ]);
+    return user_id;
+  });
+  if (userId === null) return null;
+
+  // Alle Sessions beenden - auch die eines Angreifers mit altem Passwort
+  const sessions = await destroyUserSessions(userId);
+  debugLog(`Passwort für User ${userId} zurückgesetzt`, { sessions });
+  return userId;
+}
@@ -0,0 +1,251 @@
+/**
+ * Pool-Registry für Tenant-Datenbanken
+ * Zentrale, begrenzte Ablage aller User- und Gast-Pools
+ * - Maximal ENV.MAX_TENANT_POOLS gleichzeitig offene Pools
+ * - LRU-Eviction: der am längsten unbenutzte, freie Pool wird mit pool.end() geschlossen
+ * - Leases: Pools, die ein Request oder nachgelagerte Arbeit gerade nutzt, bleiben offen
+ * - Statistik pro Pool (Requests, Zeitstempel, Verbindungen)
+ */
+
+// services/poolRegistry.js
+import { createTenantPool } from "../db.js";
+import { ENV, debugLog, errorLog } from "../config/environment.js";
+
+/**
+ * Registrierte Pools in LRU-Reihenfolge (ältester Eintrag zuerst)
+ * Struktur: key → { pool, dbName, created, lastUsed, requests, leases }
+ * @type {Map<string, Object>}
+ */
+const entries = new Map();
+
+/**
+ * Laufende Pool-Erstellungen (verhindert doppelte Pools bei parallelen Requests)
+ * @type {Map<string, Promise<mysql.Pool>>}
+ */
+const pending = new Map();
+
+/**
+ * Anzahl der bisher per LRU geschlossenen Pools
+ * @type {number}
+ */
+let evictions = 0;
+
+/**
+ * Registry-Schlüssel für einen User-Pool
+ * @param {number} userId - User-ID
+ * @returns {string} "user_<id>"
+ */
+export function userPoolKey(userId) {
+  return `user_${userId}`;
+}
+
+/**
+ * Registry-Schlüssel für einen Gast-Pool
+ * @param {string} guestId - Gast-UUID
+ * @returns {string} "guest_<uuid>"
+ */
+export function guestPoolKey(guestId) {
+  return `guest_${guestId}`;
+}
+
+/**
+ * Verbindungszahlen eines Pools (mysql2-Interna, daher defensiv)
+ * @param {mysql.Pool} pool - Promise-Pool
+ * @returns {{all: number, free: number, queued: number}} Verbindungsstatus
+ */
+function connectionStats(pool) {
+  const core = pool.pool ?? {};
+  return {
+    all: core._allConnections?.length ?? 0,
+    free: core._freeConnections?.length ?? 0,
+    queued: core._connectionQueue?.length ?? 0,
+  };
+}
+
+/**
+ * Markiert einen Eintrag als zuletzt benutzt (ans Ende der LRU-Reihenfolge)
+ * @param {string} key - Registry-Schlüssel
+ * @param {Object} entry - Registry-Eintrag
+ */
+function touch(key, entry) {
+  entry.lastUsed = Date.now();
+  entry.requests++;
+  entries.delete(key);
+  entries.set(key, entry);
+}
+
+/**
+ * Schließt die ältesten freien Pools, solange das Limit überschritten ist
+ * Pools mit Leases oder ausgeliehenen Verbindungen werden übersprungen, damit
+ * laufende Requests nicht abbrechen - das Limit darf dann kurzzeitig überschritten sein.
+ * @async
+ * @param {string} keepKey - Gerade registrierter Pool (wird nie geschlossen)
+ */
+async function evictIfNeeded(keepKey) {
+  for (const [key, entry] of entries) {
+    if (entries.size <= ENV.MAX_TENANT_POOLS) break;
+    if (key === keepKey || entry.leases > 0) continue;
+
+    const { all, free } = connectionStats(entry.pool);
+    if (all > free) continue;
+
+    entries.delete(key);
+    evictions++;
+    debugLog(`Pool ${key} per LRU geschlossen`);
+    try {
+      await entry.pool.end();
+    } catch (err) {
+      errorLog(`Pool ${key} konnte nicht geschlossen werden:`, err.message);
+    }
+  }
+}
+
+/**
+ * Gecachten Pool holen (zählt als Nutzung für LRU und Statistik)
+ * @param {string} key - Registry-Schlüssel
+ * @returns {mysql.Pool|undefined} Pool oder undefined
+ */
+export function getTenantPool(key) {
+  const entry = entries.get(key);
+  if (!entry) return undefined;
+  touch(key, entry);
+  return entry.pool;
+}
+
+/**
+ * Pool holen oder neu erstellen und registrieren
+ * @async
+ * @param {string} key - Registry-Schlüssel (userPoolKey/guestPoolKey)
+ * @param {string} dbName - Name der Tenant-DB
+ * @param {Object} [options] - Optionen
+ * @param {Function} [options.prepare] - Wird vor der Registrierung mit dem neuen Pool
+ *   aufgerufen (z.B. migrateTenant); bei Fehler wird der Pool wieder geschlossen
+ * @returns {Promise<mysql.Pool>} Pool der Tenant-DB
+ */
+export async function openTenantPool(key, dbName, { prepare } = {}) {
+  const cached = getTenantPool(key);
+  if (cached) return cached;
+  if (pending.has(key)) return pending.get(key);
+
+  const creation = (async () => {
+    const pool = createTenantPool(dbName);
+    try {
+      if (prepare) await prepare(pool);
+    } catch (err) {
+      await pool.end();
+      throw err;
+    }
+
+    const now = Date.now();
+    entries.set(key, {
+      pool,
+      dbName,
+      created: now,
+      lastUsed: now,
+      requests: 1,
+      leases: 0,
+    });
+    await evictIfNeeded(key);
+    return pool;
+  })();
+
+  pending.set(key, creation);
+  try {
+    return await creation;
+  } finally {
+    pending.delete(key);
+  }
+}
+
+/**
+ * Registrierten Pool reservieren, solange er benutzt wird
+ * Die LRU-Eviction schließt keine Pools mit Lease. Jede Lease wird genau einmal
+ * freigegeben; weitere Aufrufe der Freigabe sind wirkungslos.
+ * @param {mysql.Pool} pool - Pool aus der Registry
+ * @returns {Function|null} Freigabe oder null, wenn der Pool nicht mehr registriert ist
+ */
+export function leaseTenantPool(pool) {
+  const entry = [...entries.values()].find((item) => item.pool === pool);
+  if (!entry) return null;
+
+  entry.leases++;
+  let released = false;
+  return () => {
+    if (released) return;
+    released = true;
+    entry.leases--;
+  };
+}
+
+/**
+ * Pool holen oder neu erstellen und direkt reservieren
+ * Wurde der Pool zwischen Öffnen und Reservieren per LRU geschlossen,
+ * wird er erneut geöffnet.
+ * @async
+ * @param {string} key - Registry-Schlüssel (userPoolKey/guestPoolKey)
+ * @param {string} dbName - Name der Tenant-DB
+ * @param {Object} [options] - Optionen wie bei openTenantPool
+ * @returns {Promise<{pool: mysql.Pool, release: Function}>} Pool und Freigabe
+ */
+export async function acquireTenantPool(key, dbName, options) {
+  for (;;) {
+    const pool = await openTenantPool(key, dbName, options);
+    const release = leaseTenantPool(pool);
+    if (release) return { pool, release };
+  }
+}
+
+/**
+ * Einzelnen Pool schließen und aus der Registry entfernen
+ * @async
+ * @param {string} key - Registry-Schlüssel
+ * @returns {Promise<boolean>} true, wenn ein Pool geschlossen wurde
+ */
+export async function closeTenantPool(key) {
+  const entry = entries.get(key);
+  if (!entry) return false;
+  entries.delete(key);
+  await entry.pool.end();
+  return true;
+}
+
+/**
+ * Alle Tenant-Pools schließen (Graceful Shutdown)
+ * @async
+ */
+export async function closeAllTenantPools() {
+  const all = [...entries.entries()];
+  entries.clear();
+  await Promise.allSettled(
+    all.map(async ([key, entry]) => {
+      try {
+        await entry.pool.end();
+      } catch (err) {
+        errorLog(`Pool ${key} konnte nicht geschlossen werden:`, err.message);
+      }
+    })
+  );
+}
+
+/**
+ * Statistik aller registrierten Pools
+ * @returns {Object} { size, max, evictions, pools: [...] } - pools nach letzter Nutzung (neueste zuerst)
+ */
+export function getPoolStats() {
+  const pools = [...entries.entries()].reverse().map(([key, entry]) => ({
+    key,
+    dbName: entry.dbName,
+    created: entry.created,
+    lastUsed: entry.lastUsed,
+    requests: entry.requests,
+    leases: entry.leases,
+    connections: connectionStats(entry.pool),
+  }));
+
+  return {
+    size: entries.size,
+    max: ENV.MAX_TENANT_POOLS,
+    evictions,
+    pools,
+  };
+}
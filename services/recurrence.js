@@ -0,0 +1,167 @@
+/**
+ * Wiederholungsregeln für Todos
+ * Prüft Regeln aus Request-Bodies und berechnet die nächste Fälligkeit
+ * - daily:            alle N Tage ab Fälligkeit ({ freq, interval? })
+ * - weekly:           an bestimmten Wochentagen ({ freq, weekdays: [1-7], 1 = Montag })
+ * - monthly:          am N-ten Tag jedes Monats ({ freq, day: 1-31 }, kürzere Monate → Monatsende)
+ * - after_completion: N Tage nach dem Erledigen ({ freq, days })
+ * Optional tzOffset (Minuten wie Date#getTimezoneOffset()) für die lokale Kalenderrechnung.
+ */
+
+// services/recurrence.js
+import { validationDetail } from "./errors.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Unterstützte Wiederholungsarten
+ * @type {string[]}
+ */
+export const RECURRENCE_FREQS = ["daily", "weekly", "monthly", "after_completion"];
+
+/**
+ * Prüft eine Ganzzahl in einem Bereich
+ * @param {*} value - Eingabewert
+ * @param {number} min - Untergrenze (inklusive)
+ * @param {number} max - Obergrenze (inklusive)
+ * @returns {boolean}
+ */
+function isIntInRange(value, min, max) {
+  return Number.isInteger(value) && value >= min && value <= max;
+}
+
+/**
+ * Fehler für ein Feld der Regel
+ * @param {string} name - Feld innerhalb von recurrence (null = Regel als Ganzes)
+ * @param {string} code - Schlüssel aus VALIDATION_MESSAGES
+ * @param {Object} [params] - Werte für Platzhalter
+ * @returns {{error: Object}} Detail (validationDetail)
+ */
+function invalid(name, code, params) {
+  const field = name ? `recurrence.${name}` : "recurrence";
+  return { error: validationDetail(field, code, params) };
+}
+
+/**
+ * Prüft und normalisiert eine Wiederholungsregel
+ * @param {*} rule - Eingabewert (Objekt oder null zum Entfernen)
+ * @returns {{value?: string|null, error?: Object}} Regel als JSON-String bzw. null, sonst Detail
+ */
+export function normalizeRecurrence(rule) {
+  if (rule === null) return { value: null };
+  if (typeof rule !== "object" || Array.isArray(rule))
+    return invalid(null, "NOT_OBJECT");
+
+  const { freq, tzOffset = 0 } = rule;
+  if (!isIntInRange(tzOffset, -840, 840))
+    return invalid("tzOffset", "OUT_OF_RANGE", { min: -840, max: 840 });
+
+  let normalized;
+  if (freq === "daily") {
+    const interval = rule.interval ?? 1;
+    if (!isIntInRange(interval, 1, 365))
+      return invalid("interval", "OUT_OF_RANGE", { min: 1, max: 365 });
+    normalized = { freq, interval };
+  } else if (freq === "weekly") {
+    const { weekdays } = rule;
+    if (
+      !Array.isArray(weekdays) ||
+      !weekdays.length ||
+      !weekdays.every((day) => isIntInRange(day, 1, 7))
+    )
+      return invalid("weekdays", "INVALID_WEEKDAYS");
+    normalized = { freq, weekdays: [...new Set(weekdays)].sort((a, b) => a - b) };
+  } else if (freq === "monthly") {
+    if (!isIntInRange(rule.day, 1, 31))
+      return invalid("day", "OUT_OF_RANGE", { min: 1, max: 31 });
+    normalized = { freq, day: rule.day };
+  } else if (freq === "after_completion") {
+    if (!isIntInRange(rule.days, 1, 365))
+      return invalid("days", "OUT_OF_RANGE", { min: 1, max: 365 });
+    normalized = { freq, days: rule.days };
+  } else {
+    return invalid("freq", "NOT_ONE_OF", {
+      values: RECURRENCE_FREQS.join(", "),
+    });
+  }
+
+  if (tzOffset) normalized.tzOffset = tzOffset;
+  return { value: JSON.stringify(normalized) };
+}
+
+/**
+ * Gespeicherte Regel lesen
+ * @param {string|null} value - Spaltenwert todos.recurrence
+ * @returns {Object|null} Regel oder null
+ */
+export function parseRecurrence(value) {
+  if (!value) return null;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Wandelt recurrence aller Todos für die API-Antwort in Objekte um
+ * @param {Array<Object>} todos - Todos aus der DB
+ * @returns {Array<Object>} Dieselben Todos
+ */
+export function decodeRecurrence(todos) {
+  for (const todo of todos) {
+    if (typeof todo.recurrence === "string")
+      todo.recurrence = parseRecurrence(todo.recurrence);
+  }
+  return todos;
+}
+
+/**
+ * Berechnet die nächste Fälligkeit nach einer Regel
+ * Kalenderbasierte Regeln rechnen ab der bisherigen Fälligkeit (ohne Fälligkeit ab dem
+ * Erledigen), after_completion immer ab dem Erledigen. Die Uhrzeit bleibt erhalten.
+ * @param {Object} rule - Regel (parseRecurrence)
+ * @param {Object} todo - Erledigtes Todo
+ * @param {number|null} todo.due_at - Bisherige Fälligkeit (ms)
+ * @param {number} todo.completed_at - Erledigt-Zeitpunkt (ms)
+ * @returns {number} Nächste Fälligkeit (ms)
+ */
+export function nextDueAt(rule, { due_at, completed_at }) {
+  const offsetMs = (rule.tzOffset ?? 0) * 60 * 1000;
+  // Lokalzeit als UTC-Datum darstellen, damit getUTC*() lokale Werte liefert
+  const toLocal = (ms) => new Date(ms - offsetMs);
+  const fromLocal = (date) => date.getTime() + offsetMs;
+
+  if (rule.freq === "after_completion") {
+    if (due_at === null) return completed_at + rule.days * DAY_MS;
+    // Uhrzeit der bisherigen Fälligkeit übernehmen
+    const timeOfDay = toLocal(due_at).getTime() % DAY_MS;
+    const dayStart = toLocal(completed_at).getTime();
+    return fromLocal(
+      new Date(dayStart - (dayStart % DAY_MS) + timeOfDay + rule.days * DAY_MS)
+    );
+  }
+
+  const base = due_at ?? completed_at;
+
+  if (rule.freq === "daily") return base + rule.interval * DAY_MS;
+
+  if (rule.freq === "weekly") {
+    for (let days = 1; days <= 7; days++) {
+      const candidate = base + days * DAY_MS;
+      const isoWeekday = toLocal(candidate).getUTCDay() || 7;
+      if (rule.weekdays.includes(isoWeekday)) return candidate;
+    }
+  }
+
+  // monthly: nächster N-ter Tag nach base, in kürzeren Monaten der Monatsletzte
+  const local = toLocal(base);
+  for (let months = 0; ; months++) {
+    const year = local.getUTCFullYear();
+    const month = local.getUTCMonth() + months;
+    const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+    const candidate = new Date(local);
+    candidate.setUTCFullYear(year, month, Math.min(rule.day, lastDay));
+    if (fromLocal(candidate) > base) return fromLocal(candidate);
+  }
+}
@@ -0,0 +1,229 @@
+/**
+ * Session-Service
+ * Verwaltet serverseitige Sessions für User und Gäste
+ * - Opakes Zufalls-Token im signierten httpOnly-Cookie
+ * - In der Datenbank wird nur der SHA-256-Hash des Tokens gespeichert
+ * - Ablaufzeit mit gleitender Verlängerung (Sliding Expiration)
+ */
+
+// services/sessionService.js
+import crypto from "node:crypto";
+import { userPool } from "../db.js";
+import { ENV, debugLog } from "../config/environment.js";
+
+/**
+ * Name des Session-Cookies (User- und Gast-Sessions)
+ * @type {string}
+ */
+export const SESSION_COOKIE = "sessionToken";
+
+/**
+ * Mindestabstand zwischen zwei Aktivitäts-Updates einer Session
+ * Verhindert einen DB-Write bei jedem einzelnen Request
+ * @type {number}
+ */
+const ACTIVITY_RESOLUTION_MS = 60 * 1000;
+
+/**
+ * Erzeugt den SHA-256-Hash eines Tokens (Session- und Reset-Tokens)
+ * @param {string} token - Klartext-Token
+ * @returns {string} Hex-Hash (64 Zeichen)
+ */
+export function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+/**
+ * Liefert den Datenbanknamen einer Gast-Session
+ * @param {string} guestId - UUID des Gasts
+ * @returns {string} z.B. "todos_guest_3f2a..."
+ */
+export function guestDbName(guestId) {
+  return `todos_guest_${guestId.replace(/-/g, "")}`;
+}
+
+/**
+ * Neue Session anlegen
+ * @async
+ * @param {Object} data - Session-Daten
+ * @param {"user"|"guest"} data.type - Session-Typ
+ * @param {number} [data.userId] - User-ID (nur bei type "user")
+ * @param {string} [data.guestId] - Gast-UUID (nur bei type "guest")
+ * @returns {Promise<string>} Klartext-Token für das Cookie
+ */
+export async function createSession({ type, userId = null, guestId = null }) {
+  const token = crypto.randomBytes(32).toString("hex");
+  const now = Date.now();
+
+  await userPool.query(
+    `INSERT INTO sessions (token_hash, type, user_id, guest_id, created, last_activity, expires)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [hashToken(token), type, userId, guestId, now, now, now + ENV.SESSION_TTL_MS]
+  );
+
+  debugLog(`Session erstellt (${type})`, { userId, guestId });
+  return token;
+}
+
+/**
+ * Session anhand des Tokens auflösen
+ * Abgelaufene oder unbekannte Tokens liefern null.
+ * Aktive Sessions werden bei Aktivität verlängert (renewed = true).
+ * @async
+ * @param {string} token - Klartext-Token aus dem Cookie
+ * @returns {Promise<Object|null>} Session-Objekt oder null
+ */
+export async function resolveSession(token) {
+  if (!token || typeof token !== "string") return null;
+
+  const tokenHash = hashToken(token);
+  const now = Date.now();
+
+  const [rows] = await userPool.query(
+    `SELECT s.type, s.user_id, s.guest_id, s.last_activity, s.expires,
+            u.email, u.db_name, u.email_verified_at
+       FROM sessions s
+       LEFT JOIN users u ON u.id = s.user_id
+      WHERE s.token_hash = ? AND s.expires > ?`,
+    [tokenHash, now]
+  );
+  if (!rows.length) return null;
+
+  const row = rows[0];
+
+  // User-Session ohne (noch existierenden) User ist ungültig
+  if (row.type === "user" && !row.db_name) return null;
+
+  const session = {
+    tokenHash,
+    type: row.type,
+    userId: row.user_id,
+    guestId: row.guest_id,
+    email: row.email,
+    emailVerified:
+      row.type === "user" ? row.email_verified_at !== null : undefined,
+    dbName: row.type === "user" ? row.db_name : guestDbName(row.guest_id),
+    expires: Number(row.expires),
+    renewed: false,
+  };
+
+  // Sliding Expiration: höchstens einmal pro ACTIVITY_RESOLUTION_MS schreiben
+  if (now - Number(row.last_activity) > ACTIVITY_RESOLUTION_MS) {
+    session.expires = now + ENV.SESSION_TTL_MS;
+    session.renewed = true;
+    await userPool.query(
+      `UPDATE sessions SET last_activity = ?, expires = ? WHERE token_hash = ?`,
+      [now, session.expires, tokenHash]
+    );
+  }
+
+  return session;
+}
+
+/**
+ * Einzelne Session löschen
+ * @async
+ * @param {Object} session - Aufgelöste Session (req.session)
+ */
+export async function destroySession(session) {
+  if (!session) return;
+  await userPool.query(`DELETE FROM sessions WHERE token_hash = ?`, [
+    session.tokenHash,
+  ]);
+}
+
+/**
+ * Alle Sessions eines Gasts löschen
+ * @async
+ * @param {string} guestId - Gast-UUID
+ */
+export async function destroyGuestSessions(guestId) {
+  await userPool.query(`DELETE FROM sessions WHERE guest_id = ?`, [guestId]);
+}
+
+/**
+ * Alle Sessions eines Users löschen (z.B. nach Passwort-Reset)
+ * @async
+ * @param {number} userId - User-ID
+ * @param {Object} [options] - Optionen
+ * @param {string} [options.except] - Token-Hash einer Session, die bestehen
+ *   bleibt (z.B. die eigene beim Passwort-Wechsel)
+ * @returns {Promise<number>} Anzahl gelöschter Sessions
+ */
+export async function destroyUserSessions(userId, { except = null } = {}) {
+  const [result] = await userPool.query(
+    `DELETE FROM sessions WHERE user_id = ? AND token_hash <> COALESCE(?, '')`,
+    [userId, except]
+  );
+  return result.affectedRows;
+}
+
+/**
+ * Abgelaufene Sessions entfernen
+ * @async
+ * @returns {Promise<number>} Anzahl gelöschter Sessions
+ */
+export async function purgeExpiredSessions() {
+  const [result] = await userPool.query(
+    `DELETE FROM sessions WHERE expires <= ?`,
+    [Date.now()]
+  );
+  return result.affectedRows;
+}
+
+/**
+ * Basis-Optionen für Session-Cookies (Pfad und Domain)
+ * @returns {Object} Cookie-Optionen
+ */
+function baseCookieOptions() {
+  const options = { path: "/" };
+
+  // Domain nur setzen wenn definiert (Production), in Development weglassen
+  if (ENV.COOKIE_DOMAIN) options.domain = ENV.COOKIE_DOMAIN;
+
+  return options;
+}
+
+/**
+ * Session-Cookie setzen (httpOnly, signiert)
+ * @param {Response} res - Express Response Object
+ * @param {string} token - Klartext-Token
+ */
+export function setSessionCookie(res, token) {
+  const cookieOptions = {
+    ...baseCookieOptions(),
+    httpOnly: true, // Kein JavaScript-Zugriff auf das Token
+    signed: true, // Signatur mit ENV.SESSION_SECRET
+    secure: ENV.COOKIE_SECURE, // false in Development, true in Production
+    maxAge: ENV.SESSION_TTL_MS,
+  };
+
+  // SameSite nur in Production setzen (mit secure: true)
+  if (ENV.COOKIE_SECURE) {
+    cookieOptions.sameSite = "lax";
+  }
+
+  res.cookie(SESSION_COOKIE, token, cookieOptions);
+}
+
+/**
+ * Session-Cookie löschen
+ * @param {Response} res - Express Response Object
+ */
+export function clearSessionCookie(res) {
+  res.clearCookie(SESSION_COOKIE, baseCookieOptions());
+}
+
+/**
+ * Alte Klartext-Cookies (userId/guestId) entfernen
+ * Diese werden seit Einführung der Session-Tokens nicht mehr ausgewertet.
+ * @param {Request} req - Express Request Object
+ * @param {Response} res - Express Response Object
+ */
+export function clearLegacyCookies(req, res) {
+  for (const name of ["userId", "guestId"]) {
+    if (req.cookies[name] !== undefined) {
+      res.clearCookie(name, baseCookieOptions());
+    }
+  }
+}
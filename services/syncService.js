@@ -0,0 +1,364 @@
+/**
+ * Sync-Service
+ * Delta-Sync für Offline-first-Clients:
+ * - Pull: alle Änderungen seit einem Cursor (change_seq) inkl. Tombstones
+ * - Push: Client-Änderungen mit Konflikterkennung über die Zeilenversion
+ *
+ * Konfliktregel: Eine Änderung gilt nur, wenn die mitgeschickte version der aktuellen
+ * Server-Version entspricht. Sonst bleibt der Server-Stand erhalten und der Client
+ * erhält ihn als Konflikt zurück (zusammenführen und mit neuer version erneut senden).
+ * force: true überschreibt trotzdem (last writer wins).
+ */
+
+// services/syncService.js
+import { withTransaction, isStatementError } from "../db.js";
+import { errorLog } from "../config/environment.js";
+import {
+  errorResult,
+  invalidResult,
+  validationDetail,
+} from "./errors.js";
+import {
+  normalizeTodoInput,
+  resolveTodoReferences,
+  getTodo,
+  createTodo,
+  updateTodo,
+  trashTodo,
+} from "./todoService.js";
+import { attachTags } from "./tagService.js";
+import { attachItems } from "./itemService.js";
+import { decodeRecurrence } from "./recurrence.js";
+
+/**
+ * Standard-Seitengröße beim Pull
+ * @type {number}
+ */
+export const DEFAULT_PULL_LIMIT = 500;
+
+/**
+ * Maximale Seitengröße beim Pull
+ * @type {number}
+ */
+export const MAX_PULL_LIMIT = 1000;
+
+/**
+ * Maximale Anzahl Änderungen pro Push
+ * @type {number}
+ */
+export const MAX_PUSH_CHANGES = 100;
+
+/**
+ * Maximale Länge einer client_id
+ * @type {number}
+ */
+const MAX_CLIENT_ID_LENGTH = 64;
+
+/**
+ * Erlaubte Push-Operationen
+ * @type {string[]}
+ */
+const OPERATIONS = ["create", "update", "delete"];
+
+/**
+ * Todos für die Sync-Antwort aufbereiten (Tags, Checkliste, Regel als Objekt)
+ * @async
+ * @param {mysql.Pool|mysql.PoolConnection} db - Pool oder Verbindung
+ * @param {Array<Object>} todos - Todo-Zeilen
+ * @returns {Promise<Array<Object>>} Dieselben Todos
+ */
+async function enrichTodos(db, todos) {
+  await attachTags(db, todos);
+  await attachItems(db, todos);
+  return decodeRecurrence(todos);
+}
+
+/**
+ * Prüft die Pull-Parameter
+ * @param {Object} query - req.query ({ since?, limit? })
+ * @returns {{since?: number, limit?: number, error?: Object}} Werte oder Detail
+ */
+export function parsePullQuery(query) {
+  const since = Number(query.since ?? 0);
+  if (!Number.isSafeInteger(since) || since < 0)
+    return { error: validationDetail("since", "INVALID_CURSOR") };
+
+  const limit = Number(query.limit ?? DEFAULT_PULL_LIMIT);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PULL_LIMIT)
+    return {
+      error: validationDetail("limit", "OUT_OF_RANGE", {
+        min: 1,
+        max: MAX_PULL_LIMIT,
+      }),
+    };
+
+  return { since, limit };
+}
+
+/**
+ * Änderungen seit einem Cursor laden
+ * Liefert Todos (inkl. Papierkorb, erkennbar an deleted_at) und Tombstones endgültig
+ * gelöschter Todos mit change_seq > since, sortiert nach change_seq. Zeilen mit gleichem
+ * change_seq werden nie auf zwei Seiten verteilt, daher kann eine Seite etwas größer als
+ * limit sein. Listen und Tags sind klein und werden immer vollständig mitgeliefert.
+ * @async
+ * @param {mysql.Pool} pool - Tenant-Pool (req.pool)
+ * @param {{since: number, limit: number}} options - Ergebnis von parsePullQuery
+ * @returns {Promise<Object>} { cursor, hasMore, todos, deleted, lists, tags }
+ */
+export async function pullChanges(pool, { since, limit }) {
+  // Eine Transaktion = ein konsistenter Snapshot über alle Abfragen
+  return withTransaction(pool, async (conn) => {
+    const [[{ seq }]] = await conn.query(
+      `SELECT seq FROM sync_state WHERE id = 1`
+    );
+
+    const [bounds] = await conn.query(
+      `SELECT change_seq FROM (
+         SELECT change_seq FROM todos WHERE change_seq > ?
+         UNION ALL
+         SELECT change_seq FROM sync_tombstones WHERE change_seq > ?
+       ) changes
+       ORDER BY change_seq ASC
+       LIMIT 1 OFFSET ?`,
+      [since, since, limit - 1]
+    );
+    const upper = bounds.length ? bounds[0].change_seq : seq;
+
+    const [todos] = await conn.query(
+      `SELECT * FROM todos WHERE change_seq > ? AND change_seq <= ?
+        ORDER BY change_seq ASC, id ASC`,
+      [since, upper]
+    );
+    const [deleted] = await conn.query(
+      `SELECT todo_id AS id, change_seq, deleted_at FROM sync_tombstones
+        WHERE change_seq > ? AND change_seq <= ?
+        ORDER BY change_seq ASC, todo_id ASC`,
+      [since, upper]
+    );
+    const [more] = await conn.query(
+      `SELECT 1 FROM todos WHERE change_seq > ?
+       UNION ALL
+       SELECT 1 FROM sync_tombstones WHERE change_seq > ?
+       LIMIT 1`,
+      [upper, upper]
+    );
+
+    const [lists] = await conn.query(`SELECT * FROM lists ORDER BY id ASC`);
+    const [tags] = await conn.query(`SELECT * FROM tags ORDER BY id ASC`);
+
+    return {
+      cursor: more.length ? upper : Math.max(upper, seq),
+      hasMore: more.length > 0,
+      todos: await enrichTodos(conn, todos),
+      deleted,
+      lists,
+      tags,
+    };
+  });
+}
+
+/**
+ * Prüft den Push-Request-Body
+ * Fehlerhafte Änderungen erhalten schon hier einen 400-Eintrag; Felder aus
+ * data (z.B. title) werden ohne Präfix gemeldet.
+ * @param {Object} body - req.body ({ changes })
+ * @returns {{changes?: Array<Object>, error?: Object}} Geprüfte Änderungen oder Detail
+ */
+export function parsePush(body) {
+  const list = body?.changes;
+  if (!Array.isArray(list))
+    return { error: validationDetail("changes", "NOT_ARRAY") };
+  if (!list.length)
+    return {
+      error: validationDetail("changes", "TOO_FEW_ENTRIES", { min: 1 }),
+    };
+  if (list.length > MAX_PUSH_CHANGES)
+    return {
+      error: validationDetail("changes", "TOO_MANY_ENTRIES", {
+        max: MAX_PUSH_CHANGES,
+      }),
+    };
+
+  const changes = list.map((entry, index) => {
+    const op = entry?.op;
+    const invalid = (field, code, params) => ({
+      index,
+      op,
+      ...(Number.isInteger(entry?.id) && entry.id > 0 && { id: entry.id }),
+      error: validationDetail(field, code, params),
+    });
+    if (!OPERATIONS.includes(op))
+      return invalid("op", "NOT_ONE_OF", { values: OPERATIONS.join(", ") });
+
+    const force = entry.force === true;
+
+    if (op === "create") {
+      const clientId = entry.client_id;
+      if (clientId !== undefined) {
+        if (typeof clientId !== "string")
+          return invalid("client_id", "NOT_STRING");
+        if (!clientId) return invalid("client_id", "EMPTY");
+        if (clientId.length > MAX_CLIENT_ID_LENGTH)
+          return invalid("client_id", "TOO_LONG", {
+            max: MAX_CLIENT_ID_LENGTH,
+          });
+      }
+
+      const { values, error } = normalizeTodoInput(entry.data ?? {});
+      if (error) return { index, op, error };
+      if (!values.title) return invalid("title", "REQUIRED");
+      if (clientId) values.client_id = clientId;
+      return { index, op, values };
+    }
+
+    if (!(Number.isInteger(entry.id) && entry.id > 0))
+      return invalid("id", "INVALID_ID");
+    if (!force && !(Number.isInteger(entry.version) && entry.version > 0))
+      return invalid("version", "REQUIRED");
+
+    if (op === "delete")
+      return { index, op, id: entry.id, version: entry.version, force };
+
+    const { values, error } = normalizeTodoInput(entry.data ?? {});
+    if (error) return { index, op, id: entry.id, error };
+    if (!Object.keys(values).length) return invalid("data", "NO_CHANGES");
+
+    return { index, op, id: entry.id, version: entry.version, force, values };
+  });
+
+  return { changes };
+}
+
+/**
+ * Eine Client-Änderung anwenden
+ * @async
+ * @param {mysql.PoolConnection} conn - Verbindung (in Transaktion)
+ * @param {Object} change - Geprüfte Änderung (parsePush)
+ * @param {string} language - Sprache der Fehlermeldungen
+ * @returns {Promise<Object>} Ergebnis { index, op, status, id?, client_id?, todo?, next?, code?, error? }
+ */
+async function applyChange(
+  conn,
+  { index, op, id, version, force, values, error },
+  language
+) {
+  if (error)
+    return { index, op, ...(id && { id }), ...invalidResult(error, language) };
+
+  if (op === "create") {
+    if (values.client_id) {
+      // Wiederholter Push nach Verbindungsabbruch → bereits angelegtes Todo liefern
+      const [[existing]] = await conn.query(
+        `SELECT * FROM todos WHERE client_id = ?`,
+        [values.client_id]
+      );
+      if (existing)
+        return {
+          index,
+          op,
+          status: 200,
+          id: existing.id,
+          client_id: values.client_id,
+          todo: existing,
+        };
+    }
+
+    const refError = await resolveTodoReferences(conn, values);
+    if (refError) return { index, op, ...invalidResult(refError, language) };
+    const todo = await createTodo(conn, values);
+    return {
+      index,
+      op,
+      status: 201,
+      id: todo.id,
+      ...(values.client_id && { client_id: values.client_id }),
+      todo,
+    };
+  }
+
+  const current = await getTodo(conn, id, {
+    forUpdate: true,
+    includeTrashed: true,
+  });
+  if (!current)
+    return { index, op, id, ...errorResult("TODO_PURGED", language) };
+
+  const conflict = (code) => ({
+    index,
+    op,
+    id,
+    ...errorResult(code, language),
+    todo: current,
+  });
+
+  if (op === "delete") {
+    // Bereits im Papierkorb → nichts zu tun
+    if (current.deleted_at !== null)
+      return { index, op, id, status: 200, todo: current };
+    if (!force && current.version !== version)
+      return conflict("VERSION_CONFLICT");
+    await trashTodo(conn, id);
+    const todo = await getTodo(conn, id, { includeTrashed: true });
+    return { index, op, id, status: 200, todo };
+  }
+
+  // Todos im Papierkorb werden auch mit force nicht geändert
+  if (current.deleted_at !== null) return conflict("TODO_IN_TRASH");
+  if (!force && current.version !== version)
+    return conflict("VERSION_CONFLICT");
+
+  const refError = await resolveTodoReferences(conn, values);
+  if (refError) return { index, op, id, ...invalidResult(refError, language) };
+
+  const { after, next } = await updateTodo(conn, id, values);
+  return { index, op, id, status: 200, todo: after, ...(next && { next }) };
+}
+
+/**
+ * Client-Änderungen anwenden
+ * Alle Änderungen laufen in einer Transaktion; fehlerhafte oder konfliktbehaftete
+ * Änderungen werden per SAVEPOINT einzeln zurückgerollt (wie best-effort im Batch).
+ * Fehler, die die ganze Transaktion betreffen (isStatementError), brechen den Push ab.
+ * @async
+ * @param {mysql.Pool} pool - Tenant-Pool (req.pool)
+ * @param {Array<Object>} changes - Ergebnis von parsePush
+ * @param {Object} [options] - Optionen
+ * @param {string} [options.language="de"] - Sprache der Fehlermeldungen
+ * @returns {Promise<Array<Object>>} Ergebnis pro Änderung (status 200/201/400/409/410/500)
+ */
+export async function pushChanges(pool, changes, { language = "de" } = {}) {
+  const results = await withTransaction(pool, async (conn) => {
+    const results = [];
+    for (const change of changes) {
+      await conn.query(`SAVEPOINT sync_change`);
+      let result;
+      try {
+        result = await applyChange(conn, change, language);
+      } catch (err) {
+        // Deadlock, Lock-Timeout, Verbindungsfehler → ganzen Push abbrechen
+        if (!isStatementError(err)) throw err;
+        // Keine DB-Meldungen an den Client, nur ins Log
+        errorLog(`Sync-Änderung ${change.index} fehlgeschlagen:`, err);
+        const { index, op, id } = change;
+        result = {
+          index,
+          op,
+          ...(id && { id }),
+          ...errorResult("INTERNAL_ERROR", language),
+        };
+      }
+      if (result.status >= 400)
+        await conn.query(`ROLLBACK TO SAVEPOINT sync_change`);
+      results.push(result);
+    }
+    return results;
+  });
+
+  // Aktuellen Stand (Tags, Checkliste) erst nach dem Commit anhängen
+  const todos = results.flatMap((result) =>
+    [result.todo, result.next].filter(Boolean)
+  );
+  await enrichTodos(pool, todos);
+  return results;
+}
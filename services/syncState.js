@@ -0,0 +1,92 @@
+/**
+ * Sync-Zustand
+ * Änderungszähler (sync_state), Zeilenversionen und Tombstones für den Delta-Sync
+ * Jede Schreiboperation auf todos erhöht version und setzt change_seq auf den nächsten
+ * Zählerstand; endgültig gelöschte Todos hinterlassen einen Tombstone.
+ * Der Zähler wird per Row-Lock vergeben, daher werden Änderungen in Zählerreihenfolge
+ * committet und ein Cursor überspringt keine später sichtbaren Zeilen.
+ */
+
+// services/syncState.js
+
+/**
+ * Tabellenname, optional vollqualifiziert (Core-Pool ohne Default-DB)
+ * @param {string} name - Tabelle
+ * @param {string} [dbName] - Tenant-Datenbank
+ * @returns {string}
+ */
+export function table(name, dbName) {
+  return dbName ? `\`${dbName}\`.${name}` : name;
+}
+
+/**
+ * Nächsten Zählerstand vergeben
+ * Sperrt die Zählerzeile bis zum Ende der Transaktion.
+ * @async
+ * @param {mysql.Pool|mysql.PoolConnection} db - Pool oder Verbindung
+ * @param {Object} [options] - Optionen
+ * @param {string} [options.dbName] - Tenant-Datenbank (nur für den Core-Pool)
+ * @returns {Promise<number>} Neuer Zählerstand
+ */
+export async function nextChangeSeq(db, { dbName } = {}) {
+  const [result] = await db.query(
+    `UPDATE ${table("sync_state", dbName)} SET seq = LAST_INSERT_ID(seq + 1) WHERE id = 1`
+  );
+  return result.insertId;
+}
+
+/**
+ * Neue Version und change_seq für eine gesperrte Todo-Zeile
+ * Zum Einmischen in das Änderungsobjekt eines UPDATE ... SET ?.
+ * @async
+ * @param {mysql.PoolConnection} db - Verbindung (in Transaktion)
+ * @param {Object} todo - Aktuelle Todo-Zeile (FOR UPDATE gelesen)
+ * @returns {Promise<{version: number, change_seq: number}>}
+ */
+export async function nextRevision(db, todo) {
+  return { version: todo.version + 1, change_seq: await nextChangeSeq(db) };
+}
+
+/**
+ * Todos als geändert markieren (z.B. nach Änderungen an Checkliste oder Tags)
+ * @async
+ * @param {mysql.Pool|mysql.PoolConnection} db - Pool oder Verbindung
+ * @param {number[]} ids - Todo-IDs
+ * @param {Object} [options] - Optionen
+ * @param {string} [options.dbName] - Tenant-Datenbank (nur für den Core-Pool)
+ */
+export async function touchTodos(db, ids, { dbName } = {}) {
+  if (!ids.length) return;
+  const seq = await nextChangeSeq(db, { dbName });
+  await db.query(
+    `UPDATE ${table("todos", dbName)}
+        SET version = version + 1, change_seq = ?
+      WHERE id IN (?)`,
+    [seq, ids]
+  );
+}
+
+/**
+ * Tombstones für Todos anlegen, die gleich endgültig gelöscht werden
+ * Muss vor dem DELETE laufen; die Bedingung bezieht sich auf den Alias t (todos).
+ * @async
+ * @param {mysql.Pool|mysql.PoolConnection} db - Pool oder Verbindung
+ * @param {string} condition - SQL-Bedingung, z.B. "t.id = ?"
+ * @param {Array} [params=[]] - Parameter der Bedingung
+ * @param {Object} [options] - Optionen
+ * @param {string} [options.dbName] - Tenant-Datenbank (nur für den Core-Pool)
+ */
+export async function recordTombstones(
+  db,
+  condition,
+  params = [],
+  { dbName } = {}
+) {
+  const seq = await nextChangeSeq(db, { dbName });
+  await db.query(
+    `INSERT INTO ${table("sync_tombstones", dbName)} (todo_id, change_seq, deleted_at)
+     SELECT t.id, ?, ? FROM ${table("todos", dbName)} t WHERE ${condition}
+     ON DUPLICATE KEY UPDATE change_seq = VALUES(change_seq), deleted_at = VALUES(deleted_at)`,
+    [seq, Date.now(), ...params]
+  );
+}
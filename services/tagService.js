@@ -0,0 +1,273 @@
+/**
+ * Tag-Service
+ * Tags/Labels (z.B. #dringend, #zuhause) und deren n:m-Zuordnung zu Todos
+ * Namen sind pro Tenant-DB eindeutig (ohne Groß-/Kleinschreibung, ohne führendes "#")
+ */
+
+// services/tagService.js
+import { touchTodos } from "./syncState.js";
+import { validationDetail } from "./errors.js";
+
+/**
+ * Maximale Länge eines Tag-Namens
+ * @type {number}
+ */
+export const MAX_TAG_NAME_LENGTH = 50;
+
+/**
+ * Maximale Anzahl Tags pro Todo
+ * @type {number}
+ */
+export const MAX_TAGS_PER_TODO = 20;
+
+/**
+ * Standardfarbe neuer Tags
+ * @type {string}
+ */
+export const DEFAULT_TAG_COLOR = "#808080";
+
+/**
+ * Prüft und normalisiert einen Tag-Namen ("#Dringend " → "Dringend")
+ * @param {*} name - Eingabewert
+ * @returns {string|null} Normalisierter Name oder null bei ungültigem Wert
+ */
+export function normalizeTagName(name) {
+  if (typeof name !== "string") return null;
+  const trimmed = name.trim().replace(/^#+/, "").trim();
+  if (!trimmed || trimmed.length > MAX_TAG_NAME_LENGTH) return null;
+  return trimmed;
+}
+
+/**
+ * Prüft eine Farbe im Format #RRGGBB
+ * @param {*} color - Eingabewert
+ * @returns {string|null} Farbe in Kleinbuchstaben oder null bei ungültigem Wert
+ */
+export function normalizeTagColor(color) {
+  if (typeof color !== "string" || !/^#[0-9a-f]{6}$/i.test(color)) return null;
+  return color.toLowerCase();
+}
+
+/**
+ * Alle Tags inkl. Nutzungszähler (für Tag-Cloud)
+ * @async
+ * @param {mysql.Pool|mysql.PoolConnection} db - Pool oder Verbindung
+ * @param {Object} [options] - Optionen
+ * @param {string} [options.sort="name"] - name | usage
+ * @returns {Promise<Array<Object>>} [{ id, name, color, created, updated, usage_count }]
+ */
+export async function getTags(db, { sort = "name" } = {}) {
+  const order =
+    sort === "usage" ? "usage_count DESC, t.name ASC" : "t.name ASC";
+  const [rows] = await db.query(
+    `SELECT t.*, COUNT(tt.todo_id) AS usage_count
+       FROM tags t
+       LEFT JOIN todo_tags tt ON tt.tag_id = t.id
+        AND tt.todo_id IN (SELECT id FROM todos WHERE deleted_at IS NULL)
+      GROUP BY t.id
+      ORDER BY ${order}`
+  );
+  return rows.map((row) => ({ ...row, usage_count: Number(row.usage_count) }));
+}
+
+/**
+ * Einzelnes Tag laden
+ * @async
+ * @param {mysql.Pool|mysql.PoolConnection} db - Pool oder Verbindung
+ * @param {number|string} id - Tag-ID
+ * @returns {Promise<Object|null>} Tag oder null
+ */
+export async function getTag(db, id) {
+  const [rows] = await db.query(`SELECT * FROM tags WHERE id = ?`, [id]);
+  return rows[0] ?? null;
+}
+
+/**
+ * Neues Tag anlegen
+ * @async
+ * @param {mysql.Pool|mysql.PoolConnection} db - Pool oder Verbindung
+ * @param {string} name - Normalisierter Name
+ * @param {string} [color] - Normalisierte Farbe
+ * @returns {Promise<Object>} Angelegtes Tag (ER_DUP_ENTRY bei vorhandenem Namen)
+ */
+export async function createTag(db, name, color = DEFAULT_TAG_COLOR) {
+  const now = Date.now();
+  const tag = { name, color, created: now, updated: now };
+  const [result] = await db.query(`INSERT INTO tags SET ?`, [tag]);
+  return { id: result.insertId, ...tag };
+}
+
+/**
+ * Tag umbenennen und/oder umfärben
+ * Die zugeordneten Todos gelten als geändert (neue Version/ETag), da sie das Tag
+ * mit Name und Farbe ausliefern.
+ * @async
+ * @param {mysql.PoolConnection} db - Verbindung (in Transaktion)
+ * @param {number|string} id - Tag-ID
+ * @param {Object} changes - { name?, color? } (normalisiert)
+ * @returns {Promise<Object|null>} Aktualisiertes Tag oder null
+ */
+export async function updateTag(db, id, changes) {
+  const [result] = await db.query(`UPDATE tags SET ? WHERE id = ?`, [
+    { ...changes, updated: Date.now() },
+    id,
+  ]);
+  if (!result.affectedRows) return null;
+
+  const [rows] = await db.query(
+    `SELECT todo_id FROM todo_tags WHERE tag_id = ?`,
+    [id]
+  );
+  await touchTodos(db, rows.map((row) => row.todo_id));
+  return getTag(db, id);
+}
+
+/**
+ * Tag löschen (inkl. aller Zuordnungen)
+ * @async
+ * @param {mysql.PoolConnection} db - Verbindung (in Transaktion)
+ * @param {number|string} id - Tag-ID
+ * @returns {Promise<boolean>} true, wenn ein Tag gelöscht wurde
+ */
+export async function deleteTag(db, id) {
+  // Betroffene Todos ändern ihre Tags → für den Sync als geändert markieren
+  const [rows] = await db.query(
+    `SELECT todo_id FROM todo_tags WHERE tag_id = ?`,
+    [id]
+  );
+  await touchTodos(db, rows.map((row) => row.todo_id));
+  await db.query(`DELETE FROM todo_tags WHERE tag_id = ?`, [id]);
+  const [result] = await db.query(`DELETE FROM tags WHERE id = ?`, [id]);
+  return result.affectedRows > 0;
+}
+
+/**
+ * Prüft eine Tag-Liste aus einem Request-Body
+ * Strings sind Tag-Namen, Zahlen sind Tag-IDs.
+ * @param {*} tags - Eingabewert
+ * @returns {{refs?: Array<string|number>, error?: Object}} Normalisierte Referenzen oder Detail
+ */
+export function normalizeTagRefs(tags) {
+  if (!Array.isArray(tags))
+    return { error: validationDetail("tags", "NOT_ARRAY") };
+  if (tags.length > MAX_TAGS_PER_TODO)
+    return {
+      error: validationDetail("tags", "TOO_MANY_ENTRIES", {
+        max: MAX_TAGS_PER_TODO,
+      }),
+    };
+
+  const refs = [];
+  for (const tag of tags) {
+    if (Number.isInteger(tag) && tag > 0) {
+      refs.push(tag);
+      continue;
+    }
+    const name = normalizeTagName(tag);
+    if (!name)
+      return {
+        error: validationDetail("tags", "INVALID_TAG_REF", {
+          max: MAX_TAG_NAME_LENGTH,
+        }),
+      };
+    refs.push(name);
+  }
+  return { refs };
+}
+
+/**
+ * ID eines Tags per Name, fehlende Tags werden angelegt
+ * ON DUPLICATE KEY statt Fehler: Legt ein paralleler Request dasselbe Tag
+ * gerade an, liefert LAST_INSERT_ID(id) dessen ID (kein ER_DUP_ENTRY).
+ * @async
+ * @param {mysql.PoolConnection} db - Verbindung (in Transaktion)
+ * @param {string} name - Normalisierter Name
+ * @returns {Promise<number>} Tag-ID
+ */
+async function findOrCreateTag(db, name) {
+  // Vergleich über die case-insensitive Collation der Spalte
+  const [rows] = await db.query(`SELECT id FROM tags WHERE name = ?`, [name]);
+  if (rows.length) return rows[0].id;
+
+  const now = Date.now();
+  const [result] = await db.query(
+    `INSERT INTO tags SET ? ON DUPLICATE KEY UPDATE id = LAST_INSERT_ID(id)`,
+    [{ name, color: DEFAULT_TAG_COLOR, created: now, updated: now }]
+  );
+  return result.insertId;
+}
+
+/**
+ * Löst Tag-Referenzen in IDs auf
+ * Unbekannte Namen werden als neue Tags angelegt, unbekannte IDs sind ein Fehler.
+ * In derselben Transaktion wie die Todo-Änderung aufrufen, damit bei einem
+ * Fehler keine verwaisten Tags zurückbleiben.
+ * @async
+ * @param {mysql.PoolConnection} db - Verbindung (in Transaktion)
+ * @param {Array<string|number>} refs - Normalisierte Referenzen (normalizeTagRefs)
+ * @returns {Promise<{ids?: number[], error?: Object}>} Tag-IDs (ohne Duplikate) oder Detail
+ */
+export async function resolveTagRefs(db, refs) {
+  const ids = new Set();
+
+  const numeric = refs.filter((ref) => typeof ref === "number");
+  if (numeric.length) {
+    const [rows] = await db.query(`SELECT id FROM tags WHERE id IN (?)`, [
+      numeric,
+    ]);
+    if (rows.length !== new Set(numeric).size)
+      return { error: validationDetail("tags", "TAG_NOT_FOUND") };
+    rows.forEach((row) => ids.add(row.id));
+  }
+
+  for (const name of refs.filter((ref) => typeof ref === "string"))
+    ids.add(await findOrCreateTag(db, name));
+
+  return { ids: [...ids] };
+}
+
+/**
+ * Tags eines Todos vollständig ersetzen
+ * @async
+ * @param {mysql.Pool|mysql.PoolConnection} db - Pool oder Verbindung
+ * @param {number} todoId - Todo-ID
+ * @param {number[]} tagIds - Neue Tag-IDs
+ */
+export async function setTodoTags(db, todoId, tagIds) {
+  await db.query(`DELETE FROM todo_tags WHERE todo_id = ?`, [todoId]);
+  if (tagIds.length) {
+    await db.query(`INSERT INTO todo_tags (todo_id, tag_id) VALUES ?`, [
+      tagIds.map((tagId) => [todoId, tagId]),
+    ]);
+  }
+}
+
+/**
+ * Hängt jedem Todo seine Tags an (todo.tags = [{ id, name, color }])
+ * Lädt alle Tags mit einer einzigen Query.
+ * @async
+ * @param {mysql.Pool|mysql.PoolConnection} db - Pool oder Verbindung
+ * @param {Array<Object>} todos - Todos mit id
+ * @returns {Promise<Array<Object>>} Dieselben Todos mit tags-Array
+ */
+export async function attachTags(db, todos) {
+  if (!todos.length) return todos;
+
+  const [rows] = await db.query(
+    `SELECT tt.todo_id, t.id, t.name, t.color
+       FROM todo_tags tt
+       JOIN tags t ON t.id = tt.tag_id
+      WHERE tt.todo_id IN (?)
+      ORDER BY t.name`,
+    [todos.map((todo) => todo.id)]
+  );
+
+  const byTodo = new Map();
+  for (const { todo_id, ...tag } of rows) {
+    if (!byTodo.has(todo_id)) byTodo.set(todo_id, []);
+    byTodo.get(todo_id).push(tag);
+  }
+
+  for (const todo of todos) todo.tags = byTodo.get(todo.id) ?? [];
+  return todos;
+}
@@ -0,0 +1,199 @@
+/**
+ * Todo-Batch-Service
+ * Führt mehrere create/update/delete-Operationen in einer Transaktion aus
+ * - atomic:      alles oder nichts (erster Fehler rollt die gesamte Transaktion zurück)
+ * - best-effort: fehlerhafte Operationen werden per SAVEPOINT einzeln zurückgerollt
+ */
+
+// services/todoBatch.js
+import { withTransaction } from "../db.js";
+import { errorLog } from "../config/environment.js";
+import { errorResult, invalidResult, validationDetail } from "./errors.js";
+import {
+  normalizeTodoInput,
+  resolveTodoReferences,
+  createTodo,
+  updateTodo,
+  trashTodo,
+} from "./todoService.js";
+
+/**
+ * Erlaubte Batch-Modi
+ * @type {string[]}
+ */
+export const BATCH_MODES = ["atomic", "best-effort"];
+
+/**
+ * Maximale Anzahl Operationen pro Batch
+ * @type {number}
+ */
+export const MAX_BATCH_OPERATIONS = 100;
+
+/**
+ * Erlaubte Operationen
+ * @type {string[]}
+ */
+const OPERATIONS = ["create", "update", "delete"];
+
+/**
+ * Marker zum Abbrechen der Transaktion im atomic-Modus
+ */
+const ABORT = new Error("Batch abgebrochen");
+
+/**
+ * Prüft den Batch-Request-Body
+ * Jede Operation wird vorab validiert (normalizeTodoInput); fehlerhafte Operationen
+ * erhalten schon hier einen 400-Eintrag (Felder aus data ohne Präfix).
+ * @param {Object} body - req.body ({ mode?, operations })
+ * @returns {{mode?: string, operations?: Array<Object>, error?: Object}} Geprüfter Batch oder Detail
+ */
+export function parseBatch(body) {
+  const mode = body?.mode ?? "atomic";
+  if (!BATCH_MODES.includes(mode))
+    return {
+      error: validationDetail("mode", "NOT_ONE_OF", {
+        values: BATCH_MODES.join(", "),
+      }),
+    };
+
+  const list = body?.operations;
+  if (!Array.isArray(list))
+    return { error: validationDetail("operations", "NOT_ARRAY") };
+  if (!list.length)
+    return {
+      error: validationDetail("operations", "TOO_FEW_ENTRIES", { min: 1 }),
+    };
+  if (list.length > MAX_BATCH_OPERATIONS)
+    return {
+      error: validationDetail("operations", "TOO_MANY_ENTRIES", {
+        max: MAX_BATCH_OPERATIONS,
+      }),
+    };
+
+  const operations = list.map((entry, index) => {
+    const op = entry?.op;
+    const invalid = (field, code, params) => ({
+      index,
+      op,
+      error: validationDetail(field, code, params),
+    });
+    if (!OPERATIONS.includes(op))
+      return invalid("op", "NOT_ONE_OF", { values: OPERATIONS.join(", ") });
+
+    if (op !== "create" && !(Number.isInteger(entry.id) && entry.id > 0))
+      return invalid("id", "INVALID_ID");
+
+    if (op === "delete") return { index, op, id: entry.id };
+
+    const { values, error } = normalizeTodoInput(entry.data ?? {});
+    if (error) return { index, op, error };
+    if (op === "create" && !values.title) return invalid("title", "REQUIRED");
+    if (op === "update" && !Object.keys(values).length)
+      return invalid("data", "NO_CHANGES");
+
+    return { index, op, id: entry.id, values };
+  });
+
+  return { mode, operations };
+}
+
+/**
+ * Eine einzelne Operation ausführen
+ * @async
+ * @param {mysql.PoolConnection} conn - Verbindung (in Transaktion)
+ * @param {Object} operation - Geprüfte Operation (parseBatch)
+ * @param {string} language - Sprache der Fehlermeldungen
+ * @returns {Promise<Object>} Ergebnis { index, op, status, todo?, next?, deletedId?, code?, error? }
+ */
+async function runOperation(conn, { index, op, id, values, error }, language) {
+  const invalid = (detail) => ({
+    index,
+    op,
+    ...invalidResult(detail, language),
+  });
+  const notFound = { index, op, ...errorResult("TODO_NOT_FOUND", language) };
+
+  if (error) return invalid(error);
+
+  if (op === "delete") {
+    // Wie DELETE /api/todos/:id: in den Papierkorb
+    const deleted = await trashTodo(conn, id);
+    return deleted ? { index, op, status: 200, deletedId: id } : notFound;
+  }
+
+  const refError = await resolveTodoReferences(conn, values);
+  if (refError) return invalid(refError);
+
+  if (op === "create") {
+    return { index, op, status: 201, todo: await createTodo(conn, values) };
+  }
+
+  const result = await updateTodo(conn, id, values);
+  if (!result) return notFound;
+  const { next } = result;
+  return { index, op, status: 200, todo: result.after, ...(next && { next }) };
+}
+
+/**
+ * Batch ausführen
+ * @async
+ * @param {mysql.Pool} pool - Tenant-Pool (req.pool)
+ * @param {{mode: string, operations: Array<Object>}} batch - Ergebnis von parseBatch
+ * @param {Object} [options] - Optionen
+ * @param {string} [options.language="de"] - Sprache der Fehlermeldungen
+ * @returns {Promise<{committed: boolean, failedIndex?: number, results: Array<Object>}>}
+ *          Bei atomic-Abbruch erhalten vorherige Operationen Status 409 (zurückgerollt).
+ */
+export async function runBatch(
+  pool,
+  { mode, operations },
+  { language = "de" } = {}
+) {
+  const results = [];
+
+  try {
+    await withTransaction(pool, async (conn) => {
+      for (const operation of operations) {
+        if (mode === "atomic") {
+          const result = await runOperation(conn, operation, language);
+          results.push(result);
+          if (result.status >= 400) throw ABORT;
+          continue;
+        }
+
+        // best-effort: jede Operation einzeln absichern
+        await conn.query(`SAVEPOINT batch_op`);
+        let result;
+        try {
+          result = await runOperation(conn, operation, language);
+        } catch (err) {
+          // Keine DB-Meldungen an den Client, nur ins Log
+          errorLog(`Batch-Operation ${operation.index} fehlgeschlagen:`, err);
+          const { index, op } = operation;
+          result = { index, op, ...errorResult("INTERNAL_ERROR", language) };
+        }
+        if (result.status >= 400)
+          await conn.query(`ROLLBACK TO SAVEPOINT batch_op`);
+        results.push(result);
+      }
+    });
+  } catch (err) {
+    if (err !== ABORT) throw err;
+    // Vorherige Operationen wurden zurückgerollt → keine Daten ausliefern
+    const failed = results.pop();
+    return {
+      committed: false,
+      failedIndex: failed.index,
+      results: [
+        ...results.map(({ index, op }) => ({
+          index,
+          op,
+          ...errorResult("BATCH_ROLLED_BACK", language),
+        })),
+        failed,
+      ],
+    };
+  }
+
+  return { committed: true, results };
+}
@@ -0,0 +1,182 @@
+/**
+ * Todo-Export
+ * Liefert alle aktiven Todos einer Tenant-DB als JSON, CSV oder iCalendar (VTODO)
+ * Die Todos werden in Blöcken geladen und als Text-Chunks erzeugt, damit große
+ * Datenbestände gestreamt werden können, ohne sie vollständig im Speicher zu halten.
+ */
+
+// services/todoExport.js
+import { PRIORITIES } from "./todoService.js";
+import { parseRecurrence } from "./recurrence.js";
+import { formatCsvRow } from "./csv.js";
+import {
+  calendarHeader,
+  calendarFooter,
+  formatVTodo,
+} from "./ical.js";
+
+/**
+ * Export-Formate (Name → Content-Type)
+ * @type {Object<string, string>}
+ */
+export const EXPORT_FORMATS = {
+  json: "application/json; charset=utf-8",
+  csv: "text/csv; charset=utf-8",
+  ics: "text/calendar; charset=utf-8",
+};
+
+/**
+ * Spalten des CSV-Exports (auch vom Import erwartet)
+ * tags sind mit ";" getrennt, recurrence ist JSON
+ * @type {string[]}
+ */
+export const CSV_COLUMNS = [
+  "title",
+  "description",
+  "completed",
+  "due_at",
+  "priority",
+  "list",
+  "tags",
+  "recurrence",
+  "completed_at",
+  "created",
+  "updated",
+];
+
+/**
+ * Anzahl Todos pro DB-Abfrage
+ * @type {number}
+ */
+const BATCH_SIZE = 500;
+
+/**
+ * Prioritätsnamen (gespeicherter Wert → Name)
+ * @type {Object<number, string>}
+ */
+const PRIORITY_NAMES = Object.fromEntries(
+  Object.entries(PRIORITIES).map(([name, value]) => [value, name])
+);
+
+/**
+ * Timestamp als ISO-Datum
+ * @param {number|null} ms - Timestamp
+ * @returns {string|null}
+ */
+function toIso(ms) {
+  return ms === null || ms === undefined ? null : new Date(Number(ms)).toISOString();
+}
+
+/**
+ * Aktive Todos blockweise als portable Objekte laden
+ * Portabel heißt: Listen und Tags per Name, Zeitpunkte als ISO-Datum, ohne IDs.
+ * @async
+ * @generator
+ * @param {mysql.Pool} db - Tenant-Pool
+ * @param {Object} [options] - Optionen
+ * @param {number} [options.listId] - Nur Todos dieser Liste
+ * @yields {{id: number, todo: Object}} Todo-ID (für UIDs) und portables Todo
+ */
+async function* readTodos(db, { listId } = {}) {
+  const [lists] = await db.query(`SELECT id, name FROM lists`);
+  const listNames = new Map(lists.map((list) => [list.id, list.name]));
+
+  let lastId = 0;
+  for (;;) {
+    const [rows] = await db.query(
+      `SELECT * FROM todos
+        WHERE deleted_at IS NULL AND id > ?${listId ? " AND list_id = ?" : ""}
+        ORDER BY id ASC LIMIT ?`,
+      listId ? [lastId, listId, BATCH_SIZE] : [lastId, BATCH_SIZE]
+    );
+    if (!rows.length) return;
+    lastId = rows[rows.length - 1].id;
+
+    const ids = rows.map((row) => row.id);
+    const [tagRows] = await db.query(
+      `SELECT tt.todo_id, t.name FROM todo_tags tt
+         JOIN tags t ON t.id = tt.tag_id
+        WHERE tt.todo_id IN (?) ORDER BY t.name`,
+      [ids]
+    );
+    const [itemRows] = await db.query(
+      `SELECT todo_id, title, completed FROM todo_items
+        WHERE todo_id IN (?) ORDER BY position ASC, id ASC`,
+      [ids]
+    );
+
+    for (const row of rows) {
+      yield {
+        id: row.id,
+        todo: {
+          title: row.title,
+          description: row.description ?? "",
+          completed: Boolean(row.completed),
+          completed_at: toIso(row.completed_at),
+          due_at: toIso(row.due_at),
+          priority: PRIORITY_NAMES[row.priority] ?? "none",
+          list: listNames.get(row.list_id) ?? null,
+          tags: tagRows.filter((t) => t.todo_id === row.id).map((t) => t.name),
+          recurrence: parseRecurrence(row.recurrence),
+          items: itemRows
+            .filter((item) => item.todo_id === row.id)
+            .map((item) => ({ title: item.title, completed: Boolean(item.completed) })),
+          created: toIso(row.created),
+          updated: toIso(row.updated),
+        },
+      };
+    }
+
+    if (rows.length < BATCH_SIZE) return;
+  }
+}
+
+/**
+ * Export als Folge von Text-Chunks erzeugen
+ * @async
+ * @generator
+ * @param {mysql.Pool} db - Tenant-Pool
+ * @param {string} format - json | csv | ics
+ * @param {Object} [options] - Optionen
+ * @param {number} [options.listId] - Nur Todos dieser Liste
+ * @param {string} [options.uidDomain="lets-todo"] - Domain-Teil der VTODO-UIDs
+ * @yields {string} Chunk
+ */
+export async function* exportChunks(
+  db,
+  format,
+  { listId, uidDomain = "lets-todo" } = {}
+) {
+  if (format === "json") {
+    yield `{"version":1,"exported":${JSON.stringify(new Date().toISOString())},"todos":[`;
+    let first = true;
+    for await (const { todo } of readTodos(db, { listId })) {
+      yield (first ? "" : ",") + JSON.stringify(todo);
+      first = false;
+    }
+    yield "]}";
+    return;
+  }
+
+  if (format === "csv") {
+    yield formatCsvRow(CSV_COLUMNS);
+    for await (const { todo } of readTodos(db, { listId })) {
+      yield formatCsvRow(
+        CSV_COLUMNS.map((column) => {
+          if (column === "tags") return todo.tags.join(";");
+          if (column === "recurrence")
+            return todo.recurrence ? JSON.stringify(todo.recurrence) : "";
+          if (column === "completed") return todo.completed ? 1 : 0;
+          return todo[column];
+        })
+      );
+    }
+    return;
+  }
+
+  yield calendarHeader();
+  for await (const { id, todo } of readTodos(db, { listId })) {
+    yield formatVTodo(todo, `todo-${id}@${uidDomain}`);
+  }
+  yield calendarFooter();
+}
@@ -0,0 +1,339 @@
+/**
+ * Todo-Import
+ * Liest Exporte (JSON, CSV, iCalendar) ein, prüft jeden Eintrag und legt die Todos
+ * in einer Transaktion an. Ein Dry-Run führt alles aus und rollt danach zurück,
+ * der Bericht zeigt dann, was importiert würde.
+ */
+
+// services/todoImport.js
+import { withTransaction } from "../db.js";
+import { validationDetail, localizeDetail } from "./errors.js";
+import {
+  normalizeTodoInput,
+  resolveTodoReferences,
+  createTodo,
+  toTimestamp,
+} from "./todoService.js";
+import {
+  normalizeListName,
+  createList,
+  MAX_LIST_NAME_LENGTH,
+} from "./listService.js";
+import {
+  normalizeItemTitle,
+  createItem,
+  MAX_ITEMS_PER_TODO,
+  MAX_ITEM_TITLE_LENGTH,
+} from "./itemService.js";
+import { CSV_COLUMNS } from "./todoExport.js";
+import { parseCsv, unguardCsvField } from "./csv.js";
+import { parseVTodos } from "./ical.js";
+
+/**
+ * Import-Formate
+ * @type {string[]}
+ */
+export const IMPORT_FORMATS = ["json", "csv", "ics"];
+
+/**
+ * Maximale Anzahl Todos pro Import
+ * @type {number}
+ */
+export const MAX_IMPORT_TODOS = 1000;
+
+/**
+ * Umgang mit Duplikaten (gleicher Titel wie ein aktives Todo)
+ * - skip: nicht importieren
+ * - keep: trotzdem importieren
+ * @type {string[]}
+ */
+export const DUPLICATE_MODES = ["skip", "keep"];
+
+/**
+ * Felder, die aus einem Eintrag an normalizeTodoInput gehen
+ * @type {string[]}
+ */
+const TODO_FIELDS = [
+  "title",
+  "description",
+  "completed",
+  "due_at",
+  "priority",
+  "completed_at",
+  "tags",
+  "recurrence",
+];
+
+/**
+ * CSV-Spalten, deren Ziffernfolgen als Zahl gelesen werden (Timestamps, 0/1, 0-3)
+ * @type {string[]}
+ */
+const NUMERIC_COLUMNS = [
+  "completed",
+  "due_at",
+  "priority",
+  "completed_at",
+  "created",
+  "updated",
+];
+
+/**
+ * Marker zum Zurückrollen im Dry-Run
+ */
+const ABORT = new Error("Dry-Run");
+
+/**
+ * Schlüssel für Duplikat-Vergleiche (Titel bzw. Namen ohne Groß-/Kleinschreibung)
+ * @param {string} value - Titel oder Name
+ * @returns {string} Getrimmter Wert in Kleinbuchstaben
+ */
+function duplicateKey(value) {
+  return String(value ?? "").trim().toLowerCase();
+}
+
+/**
+ * CSV-Zeilen in Einträge umwandeln (Spalten per Kopfzeile, siehe CSV_COLUMNS)
+ * @param {string} text - CSV-Inhalt
+ * @returns {{entries?: Array<Object>, error?: Object}} Einträge (Rohwerte, noch ungeprüft) oder Detail
+ */
+function parseCsvEntries(text) {
+  const { rows, error } = parseCsv(text);
+  if (error) return { error };
+  if (!rows.length) return { entries: [] };
+
+  const header = rows[0].map((name) => name.trim().toLowerCase());
+  if (!header.includes("title"))
+    return {
+      error: validationDetail(null, "CSV_MISSING_COLUMN", { column: "title" }),
+    };
+
+  const entries = rows.slice(1).map((row) => {
+    const entry = {};
+    header.forEach((column, i) => {
+      if (
+        !CSV_COLUMNS.includes(column) ||
+        row[i] === undefined ||
+        row[i] === ""
+      )
+        return;
+      const value = unguardCsvField(row[i]);
+      if (column === "tags") {
+        entry.tags = value
+          .split(";")
+          .map((tag) => tag.trim())
+          .filter(Boolean);
+      } else if (column === "recurrence") {
+        try {
+          entry.recurrence = JSON.parse(value);
+        } catch {
+          // normalizeTodoInput meldet den Fehler
+          entry.recurrence = value;
+        }
+      } else if (NUMERIC_COLUMNS.includes(column) && /^\d+$/.test(value)) {
+        entry[column] = Number(value);
+      } else {
+        entry[column] = value;
+      }
+    });
+    return entry;
+  });
+  return { entries };
+}
+
+/**
+ * Import-Inhalt in Einträge zerlegen
+ * JSON darf ein Array oder ein Export-Objekt ({ todos: [...] }) sein.
+ * @param {string} format - json | csv | ics
+ * @param {string} text - Inhalt
+ * @returns {{entries?: Array<Object>, error?: Object}} Einträge (Rohwerte, noch ungeprüft) oder Detail
+ */
+export function parseImport(format, text) {
+  let result;
+  if (format === "csv") {
+    result = parseCsvEntries(text);
+  } else if (format === "ics") {
+    result = parseVTodos(text);
+  } else {
+    try {
+      const data = JSON.parse(text);
+      const entries = Array.isArray(data) ? data : data?.todos;
+      result = Array.isArray(entries)
+        ? { entries }
+        : { error: validationDetail(null, "NOT_TODO_LIST") };
+    } catch {
+      result = { error: validationDetail(null, "INVALID_JSON") };
+    }
+  }
+
+  if (result.error) return result;
+  if (!result.entries.length)
+    return { error: validationDetail(null, "TOO_FEW_ENTRIES", { min: 1 }) };
+  if (result.entries.length > MAX_IMPORT_TODOS)
+    return {
+      error: validationDetail(null, "TOO_MANY_ENTRIES", {
+        max: MAX_IMPORT_TODOS,
+      }),
+    };
+  return result;
+}
+
+/**
+ * Einen Eintrag prüfen und normalisieren
+ * @param {*} entry - Roh-Eintrag (parseImport)
+ * @returns {{todo?: Object, error?: Object}} { values, list, items, created, updated } oder Detail
+ */
+function validateEntry(entry) {
+  const invalid = (field, code, params) => ({
+    error: validationDetail(field, code, params),
+  });
+  if (!entry || typeof entry !== "object" || Array.isArray(entry))
+    return invalid(null, "NOT_OBJECT");
+
+  const title = typeof entry.title === "string" ? entry.title.trim() : "";
+  if (!title) return invalid("title", "REQUIRED");
+
+  const input = { title };
+  for (const field of TODO_FIELDS.slice(1)) {
+    if (entry[field] !== undefined) input[field] = entry[field];
+  }
+  const { values, error } = normalizeTodoInput(input);
+  if (error) return { error };
+
+  let list = null;
+  if (entry.list !== undefined && entry.list !== null) {
+    list = normalizeListName(entry.list);
+    if (!list)
+      return invalid("list", "INVALID_LENGTH", {
+        min: 1,
+        max: MAX_LIST_NAME_LENGTH,
+      });
+  }
+
+  const items = [];
+  if (entry.items !== undefined) {
+    if (!Array.isArray(entry.items)) return invalid("items", "NOT_ARRAY");
+    if (entry.items.length > MAX_ITEMS_PER_TODO)
+      return invalid("items", "TOO_MANY_ENTRIES", { max: MAX_ITEMS_PER_TODO });
+    for (const [index, item] of entry.items.entries()) {
+      const itemTitle = normalizeItemTitle(item?.title);
+      if (!itemTitle)
+        return invalid(`items[${index}].title`, "INVALID_LENGTH", {
+          min: 1,
+          max: MAX_ITEM_TITLE_LENGTH,
+        });
+      items.push({ title: itemTitle, completed: item.completed ? 1 : 0 });
+    }
+  }
+
+  const dates = {};
+  for (const field of ["created", "updated"]) {
+    if (entry[field] === undefined || entry[field] === null) continue;
+    dates[field] = toTimestamp(entry[field]);
+    if (dates[field] === undefined)
+      return invalid(field, "INVALID_TIMESTAMP");
+  }
+
+  return { todo: { values, list, items, ...dates } };
+}
+
+/**
+ * Einträge importieren
+ * Listen werden per Name zugeordnet und bei Bedarf angelegt (ohne Liste → Inbox),
+ * Tags ebenso. Ungültige Einträge werden übersprungen und im Bericht gemeldet.
+ * @async
+ * @param {mysql.Pool} pool - Tenant-Pool (req.pool)
+ * @param {Array<Object>} entries - Einträge (parseImport)
+ * @param {Object} [options] - Optionen
+ * @param {boolean} [options.dryRun=false] - Nur prüfen, nichts speichern
+ * @param {string} [options.duplicates="skip"] - skip | keep (siehe DUPLICATE_MODES)
+ * @param {string} [options.language="de"] - Sprache der Fehlermeldungen im Bericht
+ * @returns {Promise<Object>} Bericht { dryRun, total, imported, duplicates, errors, newLists, newTags }
+ *          errors: [{ index, field, code, params?, message }]
+ */
+export async function importTodos(
+  pool,
+  entries,
+  { dryRun = false, duplicates = "skip", language = "de" } = {}
+) {
+  const report = {
+    dryRun,
+    total: entries.length,
+    imported: 0,
+    duplicates: [],
+    errors: [],
+    newLists: [],
+    newTags: [],
+  };
+  const reportError = (index, detail) =>
+    report.errors.push({
+      index,
+      ...detail,
+      message: localizeDetail(detail, language),
+    });
+
+  try {
+    await withTransaction(pool, async (conn) => {
+      const [lists] = await conn.query(`SELECT id, name FROM lists`);
+      const listIds = new Map(
+        lists.map((list) => [duplicateKey(list.name), list.id])
+      );
+      const [tags] = await conn.query(`SELECT name FROM tags`);
+      const tagNames = new Set(tags.map((tag) => duplicateKey(tag.name)));
+      const [todos] = await conn.query(
+        `SELECT title FROM todos WHERE deleted_at IS NULL`
+      );
+      const titles = new Set(todos.map((todo) => duplicateKey(todo.title)));
+
+      for (const [index, entry] of entries.entries()) {
+        const { todo, error } = validateEntry(entry);
+        if (error) {
+          reportError(index, error);
+          continue;
+        }
+
+        const { values, list, items, created, updated } = todo;
+        const key = duplicateKey(values.title);
+        if (titles.has(key)) {
+          report.duplicates.push({ index, title: values.title });
+          if (duplicates === "skip") continue;
+        }
+
+        const freshTags = (values.tags ?? []).filter(
+          (ref) => typeof ref === "string" && !tagNames.has(duplicateKey(ref))
+        );
+        const refError = await resolveTodoReferences(conn, values);
+        if (refError) {
+          reportError(index, refError);
+          continue;
+        }
+        for (const name of freshTags) {
+          if (tagNames.has(duplicateKey(name))) continue;
+          tagNames.add(duplicateKey(name));
+          report.newTags.push(name);
+        }
+
+        if (list) {
+          let listId = listIds.get(duplicateKey(list));
+          if (!listId) {
+            listId = (await createList(conn, list)).id;
+            listIds.set(duplicateKey(list), listId);
+            report.newLists.push(list);
+          }
+          values.list_id = listId;
+        }
+
+        titles.add(key);
+        // Ursprüngliche Zeitstempel übernehmen
+        const { id } = await createTodo(conn, { ...values, created, updated });
+        for (const item of items) await createItem(conn, id, item);
+        report.imported++;
+      }
+
+      if (dryRun) throw ABORT;
+    });
+  } catch (err) {
+    if (err !== ABORT) throw err;
+  }
+
+  return report;
+}
@@ -0,0 +1,235 @@
+/**
+ * Todo-Reihenfolge
+ * Manuelle Sortierung per Drag & Drop über Gleitkomma-Positionen pro Liste:
+ * Ein verschobenes Todo erhält die Mitte zwischen seinen neuen Nachbarn, daher
+ * ändert ein Move nur eine Zeile. Erst wenn der Abstand zu klein wird, wird die
+ * betroffene Liste einmal neu durchnummeriert.
+ */
+
+// services/todoOrder.js
+import { snapshotTodo, recordChange } from "./historyService.js";
+import { nextChangeSeq } from "./syncState.js";
+import { validationDetail } from "./errors.js";
+
+/**
+ * Abstand zwischen Positionen beim Anhängen und Neu-Nummerieren
+ * @type {number}
+ */
+export const POSITION_STEP = 1024;
+
+/**
+ * Kleinster Abstand zwischen Nachbarn, bevor neu nummeriert wird
+ * @type {number}
+ */
+const MIN_GAP = 1e-6;
+
+/**
+ * Prüft das Ziel eines Moves aus dem Request-Body
+ * Genau eines von before, after oder index ist erforderlich.
+ * @param {Object} body - { before?: id, after?: id, index?: n, list_id?: id }
+ * @returns {{target?: Object, error?: Object}} Geprüftes Ziel oder Detail (validationDetail)
+ */
+export function parseMoveTarget(body) {
+  const invalid = (field, code, params) => ({
+    error: validationDetail(field, code, params),
+  });
+  const keys = ["before", "after", "index"].filter(
+    (key) => body?.[key] !== undefined
+  );
+  if (keys.length !== 1)
+    return invalid(null, "EXACTLY_ONE_OF", {
+      fields: "before, after, index",
+    });
+
+  const [key] = keys;
+  const value = body[key];
+  if (key === "index") {
+    if (!Number.isInteger(value)) return invalid("index", "NOT_INTEGER");
+    if (value < 0) return invalid("index", "TOO_SMALL", { min: 0 });
+    const listId = body.list_id;
+    if (listId !== undefined && !(Number.isInteger(listId) && listId > 0))
+      return invalid("list_id", "INVALID_ID");
+    return { target: { index: value, listId } };
+  }
+
+  if (!Number.isInteger(value) || value < 1) return invalid(key, "INVALID_ID");
+  if (body.list_id !== undefined)
+    return invalid("list_id", "REQUIRES", { other: "index" });
+  return { target: { [key]: value } };
+}
+
+/**
+ * Position hinter dem letzten Todo einer Liste
+ * @async
+ * @param {mysql.Pool|mysql.PoolConnection} db - Pool oder Verbindung
+ * @param {number} listId - Listen-ID
+ * @returns {Promise<number>} Neue Position
+ */
+export async function positionAtEnd(db, listId) {
+  const [[{ maxPosition }]] = await db.query(
+    `SELECT MAX(position) AS maxPosition FROM todos WHERE list_id = ?`,
+    [listId]
+  );
+  return (maxPosition ?? 0) + POSITION_STEP;
+}
+
+/**
+ * Liste mit gleichmäßigen Abständen neu durchnummerieren (Reihenfolge bleibt)
+ * @async
+ * @param {mysql.PoolConnection} db - Verbindung (in Transaktion)
+ * @param {number} listId - Listen-ID
+ */
+async function renumberList(db, listId) {
+  const seq = await nextChangeSeq(db);
+  await db.query(
+    `UPDATE todos t
+       JOIN (
+         SELECT id, ROW_NUMBER() OVER (ORDER BY position ASC, id ASC) AS rn
+           FROM todos
+          WHERE list_id = ?
+       ) ranked ON ranked.id = t.id
+        SET t.position = ranked.rn * ?,
+            t.version = t.version + 1,
+            t.change_seq = ?`,
+    [listId, POSITION_STEP, seq]
+  );
+}
+
+/**
+ * Nachbarn für die Zielposition ermitteln
+ * @async
+ * @param {mysql.PoolConnection} db - Verbindung (in Transaktion)
+ * @param {number} todoId - Verschobenes Todo (wird ignoriert)
+ * @param {Object} target - Ziel (parseMoveTarget) + aufgelöste listId
+ * @returns {Promise<{prev: number|null, next: number|null}>} Positionen der Nachbarn
+ */
+async function findNeighbors(db, todoId, { listId, index, ref, placeAfter }) {
+  if (ref) {
+    // Nachbar auf der anderen Seite des Bezugs-Todos
+    const [rows] = await db.query(
+      `SELECT position FROM todos
+        WHERE list_id = ? AND id <> ? AND deleted_at IS NULL
+          AND position ${placeAfter ? ">" : "<"} ?
+        ORDER BY position ${placeAfter ? "ASC" : "DESC"}, id ${placeAfter ? "ASC" : "DESC"}
+        LIMIT 1`,
+      [listId, todoId, ref.position]
+    );
+    const other = rows[0]?.position ?? null;
+    return placeAfter
+      ? { prev: ref.position, next: other }
+      : { prev: other, next: ref.position };
+  }
+
+  const [rows] = await db.query(
+    `SELECT position FROM todos
+      WHERE list_id = ? AND id <> ? AND deleted_at IS NULL
+      ORDER BY position ASC, id ASC
+      LIMIT 2 OFFSET ?`,
+    [listId, todoId, Math.max(index - 1, 0)]
+  );
+  if (index === 0) return { prev: null, next: rows[0]?.position ?? null };
+  if (rows.length) return { prev: rows[0].position, next: rows[1]?.position ?? null };
+
+  // Index hinter dem Listenende → ans Ende
+  const [[{ maxPosition }]] = await db.query(
+    `SELECT MAX(position) AS maxPosition FROM todos
+      WHERE list_id = ? AND id <> ? AND deleted_at IS NULL`,
+    [listId, todoId]
+  );
+  return { prev: maxPosition, next: null };
+}
+
+/**
+ * Neue Position zwischen zwei Nachbarn
+ * @param {{prev: number|null, next: number|null}} neighbors - Nachbar-Positionen
+ * @returns {number|null} Position oder null, wenn der Abstand zu klein ist
+ */
+function between({ prev, next }) {
+  if (prev === null && next === null) return POSITION_STEP;
+  if (prev === null) return next - POSITION_STEP;
+  if (next === null) return prev + POSITION_STEP;
+  if (next - prev < MIN_GAP) return null;
+  return (prev + next) / 2;
+}
+
+/**
+ * Todo verschieben (vor/hinter ein anderes Todo oder an einen Index)
+ * Bei before/after landet das Todo in der Liste des Bezugs-Todos.
+ * @async
+ * @param {mysql.PoolConnection} db - Verbindung (in Transaktion)
+ * @param {number|string} id - Todo-ID
+ * @param {Object} target - Ziel (parseMoveTarget)
+ * @returns {Promise<{position: number, list_id: number}|{error: Object}|null>}
+ *          Neue Position, Detail (validationDetail) oder null, wenn das Todo nicht existiert
+ */
+export async function moveTodo(db, id, target) {
+  const [[todo]] = await db.query(
+    `SELECT * FROM todos WHERE id = ? AND deleted_at IS NULL FOR UPDATE`,
+    [id]
+  );
+  if (!todo) return null;
+
+  const refId = target.before ?? target.after;
+  const refKey = target.before !== undefined ? "before" : "after";
+  let placement = {
+    index: target.index,
+    listId: target.listId ?? todo.list_id,
+  };
+
+  if (refId !== undefined) {
+    if (refId === todo.id)
+      return { error: validationDetail(refKey, "SELF_REFERENCE") };
+    const [[ref]] = await db.query(
+      `SELECT id, list_id, position FROM todos
+        WHERE id = ? AND deleted_at IS NULL`,
+      [refId]
+    );
+    if (!ref) return { error: validationDetail(refKey, "TODO_NOT_FOUND") };
+    placement = {
+      listId: ref.list_id,
+      ref,
+      placeAfter: target.after !== undefined,
+    };
+  } else if (target.listId !== undefined) {
+    const [lists] = await db.query(`SELECT id FROM lists WHERE id = ?`, [
+      target.listId,
+    ]);
+    if (!lists.length)
+      return { error: validationDetail("list_id", "LIST_NOT_FOUND") };
+  }
+
+  let position = between(await findNeighbors(db, todo.id, placement));
+  if (position === null) {
+    // Abstand aufgebraucht: Liste einmal neu nummerieren und erneut berechnen
+    await renumberList(db, placement.listId);
+    if (placement.ref) {
+      const [[ref]] = await db.query(
+        `SELECT id, list_id, position FROM todos WHERE id = ?`,
+        [placement.ref.id]
+      );
+      placement.ref = ref;
+    }
+    position = between(await findNeighbors(db, todo.id, placement));
+  }
+
+  const changes = {
+    position,
+    list_id: placement.listId,
+    updated: Date.now(),
+    change_seq: await nextChangeSeq(db),
+  };
+  // version per SQL erhöhen: renumberList kann die Zeile bereits geändert haben
+  await db.query(`UPDATE todos SET ?, version = version + 1 WHERE id = ?`, [
+    changes,
+    todo.id,
+  ]);
+
+  const before = await snapshotTodo(db, todo);
+  await recordChange(db, {
+    todoId: todo.id,
+    action: "update",
+    before,
+    after: { ...before, ...changes },
+  });
+  return { position, list_id: placement.listId };
+}
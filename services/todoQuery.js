@@ -0,0 +1,447 @@
+/**
+ * Todo-Query-Builder
+ * Übersetzt Query-Parameter von GET /api/todos in sichere SQL-Fragmente
+ * - Filter: Papierkorb, Status, Liste, Tags (UND/ODER), Textsuche, Datumsbereiche, Fälligkeits-Ansichten
+ * - Sortierung: nur freigegebene Felder (Whitelist), beliebig kombinierbar
+ * - Pagination: limit/offset oder Cursor (Keyset-Pagination)
+ */
+
+// services/todoQuery.js
+import { validationDetail } from "./errors.js";
+
+/**
+ * Sortierbare Felder (Query-Name → Spalte)
+ * @type {Object<string, string>}
+ */
+export const SORT_FIELDS = {
+  created: "created",
+  updated: "updated",
+  title: "title",
+  completed: "completed",
+  due_at: "due_at",
+  priority: "priority",
+  completed_at: "completed_at",
+  position: "position",
+  deleted_at: "deleted_at",
+};
+
+/**
+ * Papierkorb-Filter (trashed-Parameter)
+ * - exclude: nur aktive Todos (Default)
+ * - include: aktive und gelöschte Todos
+ * - only:    nur Todos im Papierkorb
+ * @type {string[]}
+ */
+export const TRASH_FILTERS = ["exclude", "include", "only"];
+
+/**
+ * Fälligkeits-Ansichten (view-Parameter)
+ * @type {string[]}
+ */
+export const VIEWS = ["overdue", "today", "week"];
+
+/**
+ * Länge eines Tages in Millisekunden
+ * @type {number}
+ */
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Standard-Sortierung: Unerledigte zuerst, dann nach Update-Zeit
+ * @type {string}
+ */
+export const DEFAULT_SORT = "completed,-updated";
+
+/**
+ * Maximale Seitengröße
+ * @type {number}
+ */
+export const MAX_LIMIT = 200;
+
+/**
+ * Maximale Länge des Suchbegriffs (q)
+ * @type {number}
+ */
+export const MAX_SEARCH_LENGTH = 200;
+
+/**
+ * Escaped LIKE-Platzhalter in Suchbegriffen
+ * @param {string} value - Suchbegriff
+ * @returns {string} Escapter Begriff
+ */
+function escapeLike(value) {
+  return value.replace(/[\\%_]/g, (char) => `\\${char}`);
+}
+
+/**
+ * Parst einen Zeitpunkt (Millisekunden oder ISO-Datum)
+ * @param {string} value - Query-Wert
+ * @returns {number|null} Millisekunden seit Epoch oder null bei ungültigem Wert
+ */
+function parseTimestamp(value) {
+  if (/^\d+$/.test(value)) return Number(value);
+  const parsed = Date.parse(value);
+  return Number.isNaN(parsed) ? null : parsed;
+}
+
+/**
+ * Parst eine nicht-negative Ganzzahl
+ * @param {string} value - Query-Wert
+ * @returns {number|null} Zahl oder null bei ungültigem Wert
+ */
+function parseInteger(value) {
+  return /^\d+$/.test(value) ? Number(value) : null;
+}
+
+/**
+ * Beginn des lokalen Kalendertags
+ * @param {number} now - Referenzzeitpunkt (ms)
+ * @param {number} tzOffset - Wie Date#getTimezoneOffset(): Minuten UTC minus Lokalzeit
+ * @returns {number} Tagesbeginn in ms (UTC)
+ */
+function localDayStart(now, tzOffset) {
+  const offsetMs = tzOffset * 60 * 1000;
+  return Math.floor((now - offsetMs) / DAY_MS) * DAY_MS + offsetMs;
+}
+
+/**
+ * SQL-Bedingung für eine Fälligkeits-Ansicht
+ * - overdue: offen und Fälligkeit überschritten
+ * - today:   fällig im lokalen Kalendertag
+ * - week:    fällig in der lokalen Kalenderwoche (Montag bis Sonntag)
+ * @param {string} view - overdue | today | week
+ * @param {number} now - Referenzzeitpunkt (ms)
+ * @param {number} tzOffset - Zeitzonen-Offset in Minuten (siehe localDayStart)
+ * @returns {{sql: string, params: Array}} SQL-Fragment
+ */
+function viewCondition(view, now, tzOffset) {
+  if (view === "overdue") {
+    return { sql: "(completed = 0 AND due_at < ?)", params: [now] };
+  }
+
+  const dayStart = localDayStart(now, tzOffset);
+  if (view === "today") {
+    return { sql: "(due_at >= ? AND due_at < ?)", params: [dayStart, dayStart + DAY_MS] };
+  }
+
+  // Wochentag der Lokalzeit, Montag = 0
+  const weekday = (new Date(dayStart - tzOffset * 60 * 1000).getUTCDay() + 6) % 7;
+  const weekStart = dayStart - weekday * DAY_MS;
+  return {
+    sql: "(due_at >= ? AND due_at < ?)",
+    params: [weekStart, weekStart + 7 * DAY_MS],
+  };
+}
+
+/**
+ * Parst den sort-Parameter ("completed,-updated")
+ * @param {string} value - Kommagetrennte Felder, "-" = absteigend
+ * @returns {Array<{field: string, column: string, desc: boolean}>|null} Sortierung oder null
+ */
+function parseSort(value) {
+  const sort = [];
+  for (const part of value.split(",")) {
+    const desc = part.startsWith("-");
+    const field = desc ? part.slice(1) : part;
+    if (!SORT_FIELDS[field] || sort.some((s) => s.field === field)) return null;
+    sort.push({ field, column: SORT_FIELDS[field], desc });
+  }
+  return sort;
+}
+
+/**
+ * Kodiert einen Cursor aus der letzten Zeile einer Seite
+ * @param {Object} row - Letzte Todo-Zeile
+ * @param {string} sortKey - Normalisierter sort-Parameter
+ * @param {Array} sort - Geparste Sortierung
+ * @returns {string} Opaker Cursor (base64url)
+ */
+function encodeCursor(row, sortKey, sort) {
+  const payload = { s: sortKey, v: sort.map((s) => row[s.column]), id: row.id };
+  return Buffer.from(JSON.stringify(payload)).toString("base64url");
+}
+
+/**
+ * Dekodiert einen Cursor
+ * @param {string} cursor - Opaker Cursor
+ * @param {string} sortKey - Erwartete Sortierung
+ * @returns {Object|null} { v, id } oder null bei ungültigem Cursor
+ */
+function decodeCursor(cursor, sortKey) {
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    if (payload.s !== sortKey || !Array.isArray(payload.v)) return null;
+    if (!Number.isInteger(payload.id)) return null;
+    return payload;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Keyset-Bedingung "Zeile liegt nach dem Cursor"
+ * NULL-sicher: MariaDB sortiert NULL bei ASC zuerst, bei DESC zuletzt.
+ * Die ID dient immer als aufsteigender Tie-Breaker.
+ * @param {Array} sort - Geparste Sortierung
+ * @param {Object} cursor - Dekodierter Cursor
+ * @returns {{sql: string, params: Array}} SQL-Fragment
+ */
+function keysetCondition(sort, cursor) {
+  const alternatives = [];
+  const params = [];
+
+  for (let k = 0; k <= sort.length; k++) {
+    const parts = [];
+    const partParams = [];
+
+    // Alle vorherigen Sortierfelder gleich
+    for (let j = 0; j < k; j++) {
+      const value = cursor.v[j];
+      if (value === null) {
+        parts.push(`${sort[j].column} IS NULL`);
+      } else {
+        parts.push(`${sort[j].column} = ?`);
+        partParams.push(value);
+      }
+    }
+
+    if (k === sort.length) {
+      parts.push("id > ?");
+      partParams.push(cursor.id);
+    } else {
+      const { column, desc } = sort[k];
+      const value = cursor.v[k];
+      if (value === null) {
+        // Nach NULL folgen bei DESC keine weiteren Werte
+        if (desc) continue;
+        parts.push(`${column} IS NOT NULL`);
+      } else if (desc) {
+        parts.push(`(${column} < ? OR ${column} IS NULL)`);
+        partParams.push(value);
+      } else {
+        parts.push(`${column} > ?`);
+        partParams.push(value);
+      }
+    }
+
+    alternatives.push(`(${parts.join(" AND ")})`);
+    params.push(...partParams);
+  }
+
+  return { sql: `(${alternatives.join(" OR ")})`, params };
+}
+
+/**
+ * Parst und validiert die Listen-Parameter von GET /api/todos
+ * @param {Object} query - req.query
+ * @param {Object} [options] - Optionen
+ * @param {number} [options.now=Date.now()] - Referenzzeitpunkt für Fälligkeits-Ansichten
+ * @returns {Object} { filters, sort, sortKey, limit, offset, cursor } oder
+ *          { error } mit Detail (validationDetail)
+ */
+export function parseListQuery(query, { now = Date.now() } = {}) {
+  const where = [];
+  const params = [];
+  const invalid = (field, code, messageParams) => ({
+    error: validationDetail(field, code, messageParams),
+  });
+
+  // Papierkorb: gelöschte Todos nur auf ausdrücklichen Wunsch
+  const trashed = query.trashed ?? "exclude";
+  if (!TRASH_FILTERS.includes(trashed))
+    return invalid("trashed", "NOT_ONE_OF", {
+      values: TRASH_FILTERS.join(", "),
+    });
+  if (trashed === "exclude") where.push("deleted_at IS NULL");
+  else if (trashed === "only") where.push("deleted_at IS NOT NULL");
+
+  // Status-Filter
+  if (query.status !== undefined) {
+    if (query.status === "open") where.push("completed = 0");
+    else if (query.status === "done") where.push("completed = 1");
+    else if (query.status !== "all")
+      return invalid("status", "NOT_ONE_OF", { values: "open, done, all" });
+  }
+
+  // Listen-Filter
+  if (query.list !== undefined) {
+    const listId = parseInteger(String(query.list));
+    if (!listId) return invalid("list", "INVALID_ID");
+    where.push("list_id = ?");
+    params.push(listId);
+  }
+
+  // Tag-Filter: ?tag=dringend,zuhause bzw. ?tag=dringend&tag=zuhause
+  if (query.tag !== undefined) {
+    const names = [query.tag]
+      .flat()
+      .flatMap((value) => String(value).split(","))
+      .map((name) => name.trim().replace(/^#+/, ""))
+      .filter(Boolean);
+    if (!names.length) return invalid("tag", "EMPTY");
+
+    const mode = query.tagMode ?? "or";
+    if (mode === "or") {
+      where.push(
+        `id IN (SELECT tt.todo_id FROM todo_tags tt
+                  JOIN tags t ON t.id = tt.tag_id
+                 WHERE t.name IN (?))`
+      );
+      params.push(names);
+    } else if (mode === "and") {
+      // Alle angegebenen Tags müssen am Todo hängen
+      where.push(
+        `id IN (SELECT tt.todo_id FROM todo_tags tt
+                  JOIN tags t ON t.id = tt.tag_id
+                 WHERE t.name IN (?)
+                 GROUP BY tt.todo_id
+                HAVING COUNT(DISTINCT t.id) = ?)`
+      );
+      params.push(names, new Set(names.map((n) => n.toLowerCase())).size);
+    } else {
+      return invalid("tagMode", "NOT_ONE_OF", { values: "and, or" });
+    }
+  }
+
+  // Volltextsuche in Titel und Beschreibung
+  const search = query.q === undefined ? "" : String(query.q).trim();
+  if (search !== "") {
+    const pattern = `%${escapeLike(search)}%`;
+    where.push("(title LIKE ? OR description LIKE ?)");
+    params.push(pattern, pattern);
+  }
+
+  // Datumsbereiche (inklusive Grenzen)
+  const ranges = [
+    ["createdFrom", "created", ">="],
+    ["createdTo", "created", "<="],
+    ["updatedFrom", "updated", ">="],
+    ["updatedTo", "updated", "<="],
+  ];
+  for (const [name, column, operator] of ranges) {
+    if (query[name] === undefined) continue;
+    const timestamp = parseTimestamp(String(query[name]));
+    if (timestamp === null)
+      return invalid(name, "INVALID_TIMESTAMP");
+    where.push(`${column} ${operator} ?`);
+    params.push(timestamp);
+  }
+
+  // Fälligkeits-Ansichten (overdue, today, week)
+  if (query.view !== undefined) {
+    if (!VIEWS.includes(query.view))
+      return invalid("view", "NOT_ONE_OF", { values: VIEWS.join(", ") });
+
+    let tzOffset = new Date(now).getTimezoneOffset();
+    if (query.tzOffset !== undefined) {
+      tzOffset = Number(query.tzOffset);
+      if (!Number.isInteger(tzOffset) || Math.abs(tzOffset) > 14 * 60)
+        return invalid("tzOffset", "OUT_OF_RANGE", { min: -840, max: 840 });
+    }
+
+    const condition = viewCondition(query.view, now, tzOffset);
+    where.push(condition.sql);
+    params.push(...condition.params);
+  }
+
+  // Sortierung
+  const sortKey = String(query.sort ?? DEFAULT_SORT);
+  const sort = parseSort(sortKey);
+  if (!sort)
+    return invalid("sort", "INVALID_SORT", {
+      values: Object.keys(SORT_FIELDS).join(", "),
+    });
+
+  // Pagination
+  let limit = null;
+  if (query.limit !== undefined) {
+    limit = parseInteger(String(query.limit));
+    if (!limit || limit > MAX_LIMIT)
+      return invalid("limit", "OUT_OF_RANGE", { min: 1, max: MAX_LIMIT });
+  }
+
+  let offset = null;
+  if (query.offset !== undefined) {
+    offset = parseInteger(String(query.offset));
+    if (offset === null)
+      return Number.isInteger(Number(query.offset))
+        ? invalid("offset", "TOO_SMALL", { min: 0 })
+        : invalid("offset", "NOT_INTEGER");
+  }
+
+  let cursor = null;
+  if (query.cursor !== undefined) {
+    if (offset !== null)
+      return invalid("cursor", "CONFLICTS_WITH", { other: "offset" });
+    cursor = decodeCursor(String(query.cursor), sortKey);
+    if (!cursor || cursor.v.length !== sort.length)
+      return invalid("cursor", "INVALID_CURSOR");
+  }
+
+  if ((offset !== null || cursor) && limit === null)
+    return invalid(offset !== null ? "offset" : "cursor", "REQUIRES", {
+      other: "limit",
+    });
+
+  return { filters: { where, params }, sort, sortKey, limit, offset, cursor };
+}
+
+/**
+ * Baut die SQL-Statements für Liste und Gesamtanzahl
+ * @param {Object} options - Ergebnis von parseListQuery
+ * @returns {{listSql: string, listParams: Array, countSql: string, countParams: Array}}
+ */
+export function buildListQuery({ filters, sort, limit, offset, cursor }) {
+  const where = [...filters.where];
+  const params = [...filters.params];
+  const countWhere = where.length ? `WHERE ${where.join(" AND ")}` : "";
+
+  if (cursor) {
+    const keyset = keysetCondition(sort, cursor);
+    where.push(keyset.sql);
+    params.push(...keyset.params);
+  }
+
+  const whereSql = where.length ? `WHERE ${where.join(" AND ")}` : "";
+  const orderSql = [
+    ...sort.map((s) => `${s.column} ${s.desc ? "DESC" : "ASC"}`),
+    "id ASC",
+  ].join(", ");
+
+  let listSql = `SELECT * FROM todos ${whereSql} ORDER BY ${orderSql}`;
+  if (limit !== null) {
+    // Eine Zeile mehr laden, um eine Folgeseite zu erkennen
+    listSql += ` LIMIT ?`;
+    params.push(limit + 1);
+    if (offset !== null) {
+      listSql += ` OFFSET ?`;
+      params.push(offset);
+    }
+  }
+
+  return {
+    listSql,
+    listParams: params,
+    countSql: `SELECT COUNT(*) AS total FROM todos ${countWhere}`,
+    countParams: [...filters.params],
+  };
+}
+
+/**
+ * Ermittelt die Parameter der Folgeseite
+ * @param {Object} options - Ergebnis von parseListQuery
+ * @param {Array} rows - Geladene Zeilen (inkl. einer möglichen Zusatzzeile)
+ * @returns {{items: Array, next: Object|null}} Seite und Parameter der nächsten Seite
+ */
+export function paginate({ sort, sortKey, limit, offset }, rows) {
+  if (limit === null || rows.length <= limit) {
+    return { items: rows, next: null };
+  }
+
+  const items = rows.slice(0, limit);
+  const next =
+    offset !== null
+      ? { offset: offset + limit }
+      : { cursor: encodeCursor(items[items.length - 1], sortKey, sort) };
+  return { items, next };
+}
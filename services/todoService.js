@@ -0,0 +1,473 @@
+/**
+ * Todo-Service
+ * Zentrale Lese-/Schreiboperationen auf der todos-Tabelle einer Tenant-DB
+ * Alle Funktionen erwarten eine Verbindung oder einen Pool (req.pool)
+ */
+
+// services/todoService.js
+import { getInboxId, getList } from "./listService.js";
+import { normalizeTagRefs, resolveTagRefs, setTodoTags } from "./tagService.js";
+import { normalizeRecurrence, parseRecurrence, nextDueAt } from "./recurrence.js";
+import { positionAtEnd } from "./todoOrder.js";
+import { snapshotTodo, recordChange } from "./historyService.js";
+import { validationDetail } from "./errors.js";
+import { nextChangeSeq, nextRevision, recordTombstones } from "./syncState.js";
+
+/**
+ * Prioritätsstufen (Name → gespeicherter Wert)
+ * @type {Object<string, number>}
+ */
+export const PRIORITIES = { none: 0, low: 1, medium: 2, high: 3 };
+
+/**
+ * Maximale Länge eines Todo-Titels
+ * @type {number}
+ */
+export const MAX_TODO_TITLE_LENGTH = 500;
+
+/**
+ * Maximale Länge einer Todo-Beschreibung
+ * @type {number}
+ */
+export const MAX_TODO_DESCRIPTION_LENGTH = 10000;
+
+/**
+ * Spalten, die per Update geschrieben werden
+ * @type {string[]}
+ */
+const UPDATABLE_FIELDS = [
+  "title",
+  "description",
+  "completed",
+  "due_at",
+  "priority",
+  "completed_at",
+  "list_id",
+  "recurrence",
+  "position",
+  "updated",
+  "version",
+  "change_seq",
+];
+
+/**
+ * Wandelt einen Zeitpunkt (ms oder ISO-Datum) in Millisekunden um
+ * @param {*} value - Eingabewert
+ * @returns {number|undefined} Millisekunden oder undefined bei ungültigem Wert
+ */
+export function toTimestamp(value) {
+  if (Number.isInteger(value) && value >= 0) return value;
+  if (typeof value === "string" && value.trim() !== "") {
+    const parsed = Date.parse(value);
+    if (!Number.isNaN(parsed)) return parsed;
+  }
+  return undefined;
+}
+
+/**
+ * Prüft und normalisiert Todo-Felder aus einem Request-Body
+ * Es werden nur tatsächlich übergebene Felder übernommen (für partielle Updates).
+ * @param {Object} body - req.body
+ * @returns {{values: Object, error?: Object}} Normalisierte Werte oder Detail (validationDetail)
+ */
+export function normalizeTodoInput(body) {
+  const values = {};
+  const invalid = (field, code, params) => ({
+    values,
+    error: validationDetail(field, code, params),
+  });
+
+  if (body.title !== undefined && body.title !== null) {
+    if (typeof body.title !== "string") return invalid("title", "NOT_STRING");
+    const title = body.title.trim();
+    if (!title) return invalid("title", "EMPTY");
+    if (title.length > MAX_TODO_TITLE_LENGTH)
+      return invalid("title", "TOO_LONG", { max: MAX_TODO_TITLE_LENGTH });
+    values.title = title;
+  }
+
+  if (body.description !== undefined && body.description !== null) {
+    if (typeof body.description !== "string")
+      return invalid("description", "NOT_STRING");
+    if (body.description.length > MAX_TODO_DESCRIPTION_LENGTH)
+      return invalid("description", "TOO_LONG", {
+        max: MAX_TODO_DESCRIPTION_LENGTH,
+      });
+    values.description = body.description;
+  }
+
+  if (body.completed !== undefined) {
+    const map = { true: 1, false: 0, 1: 1, 0: 0 };
+    if (body.completed !== null && map[body.completed] === undefined)
+      return invalid("completed", "NOT_ONE_OF", {
+        values: "true, false, 0, 1",
+      });
+    values.completed = body.completed === null ? null : map[body.completed];
+  }
+
+  if (body.due_at !== undefined) {
+    if (body.due_at === null) {
+      values.due_at = null;
+    } else {
+      values.due_at = toTimestamp(body.due_at);
+      if (values.due_at === undefined)
+        return invalid("due_at", "INVALID_TIMESTAMP");
+    }
+  }
+
+  if (body.priority !== undefined) {
+    const priority =
+      body.priority === null
+        ? PRIORITIES.none
+        : typeof body.priority === "string"
+          ? PRIORITIES[body.priority]
+          : body.priority;
+    if (!Object.values(PRIORITIES).includes(priority))
+      return invalid("priority", "NOT_ONE_OF", {
+        values: [
+          ...Object.values(PRIORITIES),
+          ...Object.keys(PRIORITIES),
+        ].join(", "),
+      });
+    values.priority = priority;
+  }
+
+  if (body.completed_at !== undefined) {
+    if (body.completed_at === null) {
+      values.completed_at = null;
+    } else {
+      values.completed_at = toTimestamp(body.completed_at);
+      if (values.completed_at === undefined)
+        return invalid("completed_at", "INVALID_TIMESTAMP");
+    }
+  }
+
+  if (body.list_id !== undefined) {
+    if (!Number.isInteger(Number(body.list_id)) || Number(body.list_id) < 1)
+      return invalid("list_id", "INVALID_ID");
+    values.list_id = Number(body.list_id);
+  }
+
+  if (body.tags !== undefined) {
+    const { refs, error } = normalizeTagRefs(body.tags);
+    if (error) return { values, error };
+    values.tags = refs;
+  }
+
+  if (body.recurrence !== undefined) {
+    const { value, error } = normalizeRecurrence(body.recurrence);
+    if (error) return { values, error };
+    values.recurrence = value;
+  }
+
+  return { values };
+}
+
+/**
+ * Prüft Listen- und Tag-Referenzen gegen die Tenant-DB
+ * Ersetzt values.tags (Namen/IDs) durch values.tag_ids; unbekannte Tag-Namen
+ * werden dabei angelegt - daher in der Transaktion der Todo-Änderung aufrufen.
+ * @async
+ * @param {mysql.PoolConnection} db - Verbindung (in Transaktion)
+ * @param {Object} values - Normalisierte Werte (normalizeTodoInput), wird verändert
+ * @returns {Promise<Object|null>} Detail (validationDetail) oder null
+ */
+export async function resolveTodoReferences(db, values) {
+  if (values.list_id !== undefined && !(await getList(db, values.list_id)))
+    return validationDetail("list_id", "LIST_NOT_FOUND");
+
+  if (values.tags !== undefined) {
+    const { ids, error } = await resolveTagRefs(db, values.tags);
+    if (error) return error;
+    values.tag_ids = ids;
+    delete values.tags;
+  }
+  return null;
+}
+
+/**
+ * Einzelnes Todo laden
+ * Todos im Papierkorb werden nur mit includeTrashed geliefert.
+ * @async
+ * @param {mysql.Pool|mysql.PoolConnection} db - Pool oder Verbindung
+ * @param {number|string} id - Todo-ID
+ * @param {Object} [options] - Optionen
+ * @param {boolean} [options.forUpdate=false] - Zeile sperren (nur in Transaktion sinnvoll)
+ * @param {boolean} [options.includeTrashed=false] - Auch gelöschte Todos liefern
+ * @returns {Promise<Object|null>} Todo oder null
+ */
+export async function getTodo(
+  db,
+  id,
+  { forUpdate = false, includeTrashed = false } = {}
+) {
+  const [rows] = await db.query(
+    `SELECT * FROM todos WHERE id = ?${includeTrashed ? "" : " AND deleted_at IS NULL"}${forUpdate ? " FOR UPDATE" : ""}`,
+    [id]
+  );
+  return rows[0] ?? null;
+}
+
+/**
+ * Neues Todo anlegen
+ * completed_at wird bei erledigten Todos automatisch gesetzt,
+ * ohne list_id landet das Todo in der Inbox (jeweils am Listenende).
+ * created/updated sind nur für den Import gedacht (ursprüngliche Zeitstempel).
+ * @async
+ * @param {mysql.Pool|mysql.PoolConnection} db - Pool oder Verbindung
+ * @param {Object} values - Normalisierte Werte (nach resolveTodoReferences)
+ * @returns {Promise<Object>} Angelegtes Todo inkl. ID
+ */
+export async function createTodo(db, values) {
+  const now = Date.now();
+  const completed = values.completed ?? 0;
+  const listId = values.list_id ?? (await getInboxId(db));
+
+  const todo = {
+    title: values.title,
+    description: values.description ?? "",
+    created: values.created ?? now,
+    updated: values.updated ?? values.created ?? now,
+    completed,
+    due_at: values.due_at ?? null,
+    priority: values.priority ?? PRIORITIES.none,
+    completed_at: completed ? (values.completed_at ?? now) : null,
+    list_id: listId,
+    recurrence: values.recurrence ?? null,
+    position: await positionAtEnd(db, listId),
+    version: 1,
+    change_seq: await nextChangeSeq(db),
+    client_id: values.client_id ?? null,
+  };
+
+  const [result] = await db.query(`INSERT INTO todos SET ?`, [todo]);
+  if (values.tag_ids) await setTodoTags(db, result.insertId, values.tag_ids);
+
+  const created = { id: result.insertId, ...todo };
+  await recordChange(db, {
+    todoId: created.id,
+    action: "create",
+    before: null,
+    after: { ...created, tag_ids: values.tag_ids ?? [] },
+  });
+  return created;
+}
+
+/**
+ * Todo partiell aktualisieren
+ * title, description und completed folgen der COALESCE-Strategie (null = unverändert),
+ * due_at und recurrence können mit null entfernt werden. completed_at folgt dem Status:
+ * offen → null, neu erledigt → jetzt (sofern nicht explizit angegeben).
+ * Wird ein wiederkehrendes Todo erledigt, wandert die Regel in derselben Änderung
+ * auf das nächste Vorkommen (next); der Verlaufseintrag merkt sich dessen ID
+ * (next_occurrence_id), damit Undo das Vorkommen wieder entfernt.
+ * @async
+ * @param {mysql.PoolConnection} db - Verbindung (idealerweise in Transaktion)
+ * @param {number|string} id - Todo-ID
+ * @param {Object} values - Normalisierte Werte (nach resolveTodoReferences)
+ * @returns {Promise<{before: Object, after: Object, next: Object|null}|null>}
+ *          Zustand vorher/nachher und ggf. nächstes Vorkommen oder null
+ */
+export async function updateTodo(db, id, values) {
+  const before = await getTodo(db, id, { forUpdate: true });
+  if (!before) return null;
+  const beforeState = await snapshotTodo(db, before);
+
+  const now = Date.now();
+  const after = { ...before, updated: now, ...(await nextRevision(db, before)) };
+
+  for (const field of ["title", "description", "completed"]) {
+    if (values[field] !== undefined && values[field] !== null)
+      after[field] = values[field];
+  }
+  for (const field of ["due_at", "priority", "list_id", "recurrence"]) {
+    if (values[field] !== undefined) after[field] = values[field];
+  }
+
+  // Listenwechsel: Todo ans Ende der neuen Liste
+  if (after.list_id !== before.list_id)
+    after.position = await positionAtEnd(db, after.list_id);
+
+  // completed_at an den Erledigt-Status koppeln
+  if (!after.completed) {
+    after.completed_at = null;
+  } else if (values.completed_at !== undefined && values.completed_at !== null) {
+    after.completed_at = values.completed_at;
+  } else if (!before.completed || after.completed_at === null) {
+    after.completed_at = now;
+  }
+
+  // Neu erledigt mit Regel → Regel geht an das nächste Vorkommen, das erledigte
+  // Todo verliert sie (erneutes Wiedereröffnen/Erledigen erzeugt keine Duplikate)
+  const rule = parseRecurrence(after.recurrence);
+  const recurrence = after.recurrence;
+  const spawnNext = rule !== null && !before.completed && after.completed;
+  if (spawnNext) after.recurrence = null;
+
+  const changes = Object.fromEntries(
+    UPDATABLE_FIELDS.map((field) => [field, after[field]])
+  );
+  await db.query(`UPDATE todos SET ? WHERE id = ?`, [changes, id]);
+  if (values.tag_ids) await setTodoTags(db, before.id, values.tag_ids);
+
+  const next = spawnNext
+    ? await createNextOccurrence(db, after, { rule, recurrence })
+    : null;
+
+  await recordChange(db, {
+    todoId: before.id,
+    action: "update",
+    before: beforeState,
+    after: {
+      ...after,
+      tag_ids: values.tag_ids ?? beforeState.tag_ids,
+      ...(next && { next_occurrence_id: next.id }),
+    },
+  });
+  return { before, after, next };
+}
+
+/**
+ * Legt nach dem Erledigen eines wiederkehrenden Todos das nächste Vorkommen an
+ * Das neue Todo übernimmt Titel, Beschreibung, Priorität, Liste, Tags, Checkliste
+ * (zurückgesetzt) und die Regel (nur von updateTodo aufgerufen).
+ * @async
+ * @param {mysql.PoolConnection} db - Verbindung (in Transaktion mit dem Update)
+ * @param {Object} after - Erledigtes Todo (Zustand nach dem Update)
+ * @param {Object} options - Regel des erledigten Todos
+ * @param {Object} options.rule - Geparste Regel (parseRecurrence)
+ * @param {string} options.recurrence - Gespeicherte Regel (JSON)
+ * @returns {Promise<Object>} Neues Todo
+ */
+async function createNextOccurrence(db, after, { rule, recurrence }) {
+  const [tagRows] = await db.query(
+    `SELECT tag_id FROM todo_tags WHERE todo_id = ?`,
+    [after.id]
+  );
+  const next = await createTodo(db, {
+    title: after.title,
+    description: after.description,
+    priority: after.priority,
+    list_id: after.list_id,
+    due_at: nextDueAt(rule, {
+      due_at: after.due_at === null ? null : Number(after.due_at),
+      completed_at: Number(after.completed_at),
+    }),
+    recurrence,
+    tag_ids: tagRows.map((row) => row.tag_id),
+  });
+
+  const now = Date.now();
+  await db.query(
+    `INSERT INTO todo_items (todo_id, title, completed, position, created, updated)
+     SELECT ?, title, 0, position, ?, ? FROM todo_items WHERE todo_id = ?`,
+    [next.id, now, now, after.id]
+  );
+
+  return next;
+}
+
+/**
+ * Todo in den Papierkorb verschieben
+ * @async
+ * @param {mysql.PoolConnection} db - Verbindung (in Transaktion)
+ * @param {number|string} id - Todo-ID
+ * @returns {Promise<boolean>} true, wenn ein aktives Todo verschoben wurde
+ */
+export async function trashTodo(db, id) {
+  const todo = await getTodo(db, id, { forUpdate: true });
+  if (!todo) return false;
+
+  const now = Date.now();
+  const changes = {
+    deleted_at: now,
+    updated: now,
+    ...(await nextRevision(db, todo)),
+  };
+  await db.query(`UPDATE todos SET ? WHERE id = ?`, [changes, todo.id]);
+
+  const before = await snapshotTodo(db, todo);
+  await recordChange(db, {
+    todoId: todo.id,
+    action: "delete",
+    before,
+    after: { ...before, ...changes },
+  });
+  return true;
+}
+
+/**
+ * Todo aus dem Papierkorb wiederherstellen
+ * Existiert die ursprüngliche Liste nicht mehr, landet das Todo am Ende der Inbox.
+ * @async
+ * @param {mysql.PoolConnection} db - Verbindung (in Transaktion)
+ * @param {number|string} id - Todo-ID
+ * @returns {Promise<Object|null>} Wiederhergestelltes Todo oder null, wenn nicht im Papierkorb
+ */
+export async function restoreTodo(db, id) {
+  const todo = await getTodo(db, id, { forUpdate: true, includeTrashed: true });
+  if (!todo || todo.deleted_at === null) return null;
+
+  const changes = {
+    deleted_at: null,
+    updated: Date.now(),
+    ...(await nextRevision(db, todo)),
+  };
+  if (!(await getList(db, todo.list_id))) {
+    changes.list_id = await getInboxId(db);
+    changes.position = await positionAtEnd(db, changes.list_id);
+  }
+
+  await db.query(`UPDATE todos SET ? WHERE id = ?`, [changes, todo.id]);
+
+  const before = await snapshotTodo(db, todo);
+  await recordChange(db, {
+    todoId: todo.id,
+    action: "restore",
+    before,
+    after: { ...before, ...changes },
+  });
+  return { ...todo, ...changes };
+}
+
+/**
+ * Papierkorb leeren (endgültig)
+ * @async
+ * @param {mysql.PoolConnection} db - Verbindung (in Transaktion)
+ * @returns {Promise<number>} Anzahl endgültig gelöschter Todos
+ */
+export async function emptyTrash(db) {
+  await db.query(
+    `DELETE tt FROM todo_tags tt JOIN todos t ON t.id = tt.todo_id
+      WHERE t.deleted_at IS NOT NULL`
+  );
+  await db.query(
+    `DELETE ti FROM todo_items ti JOIN todos t ON t.id = ti.todo_id
+      WHERE t.deleted_at IS NOT NULL`
+  );
+  await db.query(
+    `DELETE th FROM todo_history th JOIN todos t ON t.id = th.todo_id
+      WHERE t.deleted_at IS NOT NULL`
+  );
+  await recordTombstones(db, "t.deleted_at IS NOT NULL");
+  const [result] = await db.query(
+    `DELETE FROM todos WHERE deleted_at IS NOT NULL`
+  );
+  return result.affectedRows;
+}
+
+/**
+ * Todo endgültig löschen (inkl. Tag-Zuordnungen, Checkliste und Verlauf, mit Tombstone)
+ * @async
+ * @param {mysql.Pool|mysql.PoolConnection} db - Pool oder Verbindung
+ * @param {number|string} id - Todo-ID
+ * @returns {Promise<boolean>} true, wenn ein Todo gelöscht wurde
+ */
+export async function deleteTodo(db, id) {
+  await db.query(`DELETE FROM todo_tags WHERE todo_id = ?`, [id]);
+  await db.query(`DELETE FROM todo_items WHERE todo_id = ?`, [id]);
+  await db.query(`DELETE FROM todo_history WHERE todo_id = ?`, [id]);
+  await recordTombstones(db, "t.id = ?", [id]);
+  const [result] = await db.query(`DELETE FROM todos WHERE id = ?`, [id]);
+  return result.affectedRows > 0;
+}
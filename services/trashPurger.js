@@ -0,0 +1,145 @@
+/**
+ * Papierkorb-Purger
+ * Löscht Todos, die länger als die Aufbewahrungsfrist im Papierkorb liegen,
+ * endgültig aus allen Tenant-Datenbanken (läuft periodisch im Server-Prozess)
+ */
+
+// services/trashPurger.js
+import { corePool, listTenantDatabases } from "../db.js";
+import { ENV, debugLog, infoLog, errorLog } from "../config/environment.js";
+import { LATEST_VERSION } from "./migrator.js";
+import { recordTombstones } from "./syncState.js";
+
+/**
+ * Tenant-DBs mit aktuellem Schema
+ * Ältere Datenbanken werden beim nächsten Zugriff migriert und im folgenden
+ * Lauf bereinigt; vor Migration 009 können sie keine gelöschten Todos enthalten.
+ * @async
+ * @returns {Promise<string[]>} Datenbanknamen
+ */
+async function currentDatabases() {
+  const current = [];
+  for (const dbName of await listTenantDatabases()) {
+    try {
+      const [[{ version }]] = await corePool.query(
+        `SELECT COALESCE(MAX(version), 0) AS version FROM \`${dbName}\`.schema_version`
+      );
+      if (Number(version) >= LATEST_VERSION) current.push(dbName);
+    } catch {
+      // Noch nie migriert (keine schema_version-Tabelle)
+    }
+  }
+  return current;
+}
+
+/**
+ * Abgelaufene Papierkorb-Einträge einer Tenant-DB endgültig löschen
+ * Core-Pool hat keine Default-DB → vollqualifizierte Tabellennamen
+ * @async
+ * @param {string} dbName - Tenant-Datenbank
+ * @param {number} cutoff - Todos mit deleted_at vor diesem Zeitpunkt
+ * @returns {Promise<number>} Anzahl gelöschter Todos
+ */
+async function purgeDatabase(dbName, cutoff) {
+  const conn = await corePool.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    const expired = `t.deleted_at IS NOT NULL AND t.deleted_at < ?`;
+    await conn.query(
+      `DELETE tt FROM \`${dbName}\`.todo_tags tt
+         JOIN \`${dbName}\`.todos t ON t.id = tt.todo_id
+        WHERE ${expired}`,
+      [cutoff]
+    );
+    await conn.query(
+      `DELETE ti FROM \`${dbName}\`.todo_items ti
+         JOIN \`${dbName}\`.todos t ON t.id = ti.todo_id
+        WHERE ${expired}`,
+      [cutoff]
+    );
+    await conn.query(
+      `DELETE th FROM \`${dbName}\`.todo_history th
+         JOIN \`${dbName}\`.todos t ON t.id = th.todo_id
+        WHERE ${expired}`,
+      [cutoff]
+    );
+    await recordTombstones(conn, expired, [cutoff], { dbName });
+    const [result] = await conn.query(
+      `DELETE t FROM \`${dbName}\`.todos t WHERE ${expired}`,
+      [cutoff]
+    );
+
+    await conn.commit();
+    return result.affectedRows;
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+/**
+ * Papierkorb aller Tenant-DBs bereinigen
+ * @async
+ * @param {Object} [options] - Optionen
+ * @param {number} [options.retentionMs=ENV.TRASH_RETENTION_MS] - Aufbewahrungsfrist
+ * @param {number} [options.now=Date.now()] - Referenzzeitpunkt
+ * @returns {Promise<{purged: number, failed: number}>} Gelöschte Todos und fehlgeschlagene DBs
+ */
+export async function purgeTrash({
+  retentionMs = ENV.TRASH_RETENTION_MS,
+  now = Date.now(),
+} = {}) {
+  const cutoff = now - retentionMs;
+  let purged = 0;
+  let failed = 0;
+
+  for (const dbName of await currentDatabases()) {
+    try {
+      purged += await purgeDatabase(dbName, cutoff);
+    } catch (err) {
+      failed++;
+      errorLog(`Papierkorb von ${dbName} konnte nicht geleert werden:`, err.message);
+    }
+  }
+
+  if (purged) infoLog(`Papierkorb-Purger: ${purged} Todos endgültig gelöscht`);
+  return { purged, failed };
+}
+
+/**
+ * Periodischen Papierkorb-Purger im Server-Prozess starten
+ * Intervall über ENV.TRASH_PURGE_INTERVAL_MS (0 = deaktiviert)
+ * @returns {Function} Stop-Funktion (beendet das Intervall)
+ */
+export function startTrashPurger() {
+  const interval = ENV.TRASH_PURGE_INTERVAL_MS;
+  if (!interval) {
+    debugLog("Papierkorb-Purger deaktiviert (TRASH_PURGE_INTERVAL_MS = 0)");
+    return () => {};
+  }
+
+  let running = false;
+  const run = async () => {
+    // Keine überlappenden Läufe bei langsamer Datenbank
+    if (running) return;
+    running = true;
+    try {
+      await purgeTrash();
+    } catch (err) {
+      errorLog("Papierkorb-Purger fehlgeschlagen:", err.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(run, interval);
+  timer.unref(); // Hält den Prozess nicht am Leben
+  debugLog(
+    `Papierkorb-Purger gestartet (Intervall ${interval} ms, Aufbewahrung ${ENV.TRASH_RETENTION_MS} ms)`
+  );
+
+  return () => clearInterval(timer);
+}
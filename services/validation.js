@@ -0,0 +1,281 @@
+/**
+ * Validierung
+ * Deklarative Schemas für Request-Body, Route-Parameter und Query-Strings
+ * Ein Schema ist ein Objekt { feldname: regel }; Regeln sind standardmäßig Pflichtfelder
+ * und werden mit .optional() bzw. .nullable() gelockert.
+ *
+ * @example
+ * const schema = {
+ *   title: string({ max: 500 }),
+ *   priority: oneOf([0, 1, 2, 3]).optional(),
+ * };
+ * validateSchema(schema, { priority: 7 });
+ * → { value, errors: [
+ *     { field: "title", code: "REQUIRED", message: "ist erforderlich" },
+ *     { field: "priority", code: "NOT_ONE_OF", params: { values: "0, 1, 2, 3" },
+ *       message: "muss einer von 0, 1, 2, 3 sein" }] }
+ *
+ * Codes und Meldungen (de/en) stehen in VALIDATION_MESSAGES (services/errors.js).
+ */
+
+// services/validation.js
+import { validationDetail } from "./errors.js";
+
+/**
+ * Regel aus einer Prüffunktion erzeugen
+ * @param {Function} check - (value, field) → { value } | { errors: [Detail] }
+ * @param {Object} [flags] - { isOptional, isNullable }
+ * @returns {Object} Regel mit optional() und nullable()
+ */
+function rule(check, flags = {}) {
+  return {
+    ...flags,
+    check,
+    optional: () => rule(check, { ...flags, isOptional: true }),
+    nullable: () => rule(check, { ...flags, isNullable: true }),
+  };
+}
+
+/**
+ * Ergebnis einer fehlgeschlagenen Prüfung
+ * @param {string} code - Schlüssel aus VALIDATION_MESSAGES
+ * @param {Object} [params] - Werte für Platzhalter
+ * @returns {{code: string, params?: Object}}
+ */
+function fail(code, params) {
+  return params ? { code, params } : { code };
+}
+
+/**
+ * Regel mit einfachem Fehler (ohne verschachtelte Felder)
+ * Details eines Services ({ error: Detail }) bleiben unverändert, da sie das
+ * betroffene Feld selbst benennen (z.B. "recurrence.interval").
+ * @param {Function} test - (value) → { value } | { code, params? } | { error: Detail }
+ * @returns {Object} Regel
+ */
+function simpleRule(test) {
+  return rule((value, field) => {
+    const result = test(value);
+    if (result.code)
+      return { errors: [validationDetail(field, result.code, result.params)] };
+    if (result.error) return { errors: [result.error] };
+    return { value: result.value };
+  });
+}
+
+/**
+ * Text
+ * @param {Object} [options] - Optionen
+ * @param {number} [options.min=1] - Mindestlänge (Default: nicht leer)
+ * @param {number} [options.max] - Maximallänge
+ * @param {boolean} [options.trim=true] - Leerzeichen am Rand entfernen
+ * @param {RegExp} [options.pattern] - Format
+ * @param {string} [options.patternCode="INVALID_FORMAT"] - Code bei falschem Format
+ * @returns {Object} Regel
+ */
+export function string({
+  min = 1,
+  max,
+  trim = true,
+  pattern,
+  patternCode = "INVALID_FORMAT",
+} = {}) {
+  return simpleRule((value) => {
+    if (typeof value !== "string") return fail("NOT_STRING");
+    const text = trim ? value.trim() : value;
+    if (text.length < min)
+      return min === 1 ? fail("EMPTY") : fail("TOO_SHORT", { min });
+    if (max !== undefined && text.length > max)
+      return fail("TOO_LONG", { max });
+    if (pattern && !pattern.test(text)) return fail(patternCode);
+    return { value: text };
+  });
+}
+
+/**
+ * Ganzzahl
+ * Route-Parameter und Query-Werte kommen als Text und werden mit coerce umgewandelt.
+ * @param {Object} [options] - Optionen
+ * @param {number} [options.min] - Untergrenze
+ * @param {number} [options.max] - Obergrenze
+ * @param {boolean} [options.coerce=false] - Ziffernfolgen als Zahl akzeptieren
+ * @returns {Object} Regel
+ */
+export function integer({ min, max, coerce = false } = {}) {
+  return simpleRule((value) => {
+    const number =
+      coerce && typeof value === "string" && /^-?\d+$/.test(value)
+        ? Number(value)
+        : value;
+    if (!Number.isSafeInteger(number)) return fail("NOT_INTEGER");
+    if (min !== undefined && number < min) return fail("TOO_SMALL", { min });
+    if (max !== undefined && number > max) return fail("TOO_LARGE", { max });
+    return { value: number };
+  });
+}
+
+/**
+ * Datensatz-ID (positive Ganzzahl, auch als Text aus Route oder Query)
+ * @returns {Object} Regel
+ */
+export function id() {
+  return integer({ min: 1, coerce: true });
+}
+
+/**
+ * Einer von mehreren festen Werten (strikter Vergleich)
+ * @param {Array} values - Erlaubte Werte
+ * @returns {Object} Regel
+ */
+export function oneOf(values) {
+  return simpleRule((value) =>
+    values.includes(value)
+      ? { value }
+      : fail("NOT_ONE_OF", { values: values.join(", ") })
+  );
+}
+
+/**
+ * E-Mail-Adresse (getrimmt, Form local@domain.tld)
+ * @param {Object} [options] - Optionen
+ * @param {number} [options.max=254] - Maximallänge (RFC 5321)
+ * @returns {Object} Regel
+ */
+export function email({ max = 254 } = {}) {
+  return string({
+    max,
+    pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+    patternCode: "INVALID_EMAIL",
+  });
+}
+
+/**
+ * Mindestlänge eines Passworts
+ * @type {number}
+ */
+export const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * Maximale Passwortlänge in Bytes (bcrypt ignoriert alles dahinter)
+ * @type {number}
+ */
+export const MAX_PASSWORD_BYTES = 72;
+
+/**
+ * Passwort nach Passwort-Richtlinie (nicht getrimmt)
+ * Mindestens MIN_PASSWORD_LENGTH Zeichen, höchstens MAX_PASSWORD_BYTES Bytes,
+ * mindestens ein Buchstabe und eine Ziffer.
+ * @returns {Object} Regel
+ */
+export function password() {
+  return simpleRule((value) => {
+    if (typeof value !== "string") return fail("NOT_STRING");
+    if (value.length < MIN_PASSWORD_LENGTH)
+      return fail("TOO_SHORT", { min: MIN_PASSWORD_LENGTH });
+    if (Buffer.byteLength(value) > MAX_PASSWORD_BYTES)
+      return fail("TOO_MANY_BYTES", { max: MAX_PASSWORD_BYTES });
+    if (!/\p{L}/u.test(value) || !/\d/.test(value))
+      return fail("PASSWORD_TOO_WEAK");
+    return { value };
+  });
+}
+
+/**
+ * Liste, optional mit Regel für jeden Eintrag (Felder: name[0], name[1], ...)
+ * @param {Object|null} [item] - Regel für die Einträge (null = beliebig)
+ * @param {Object} [options] - Optionen
+ * @param {number} [options.min=0] - Mindestanzahl
+ * @param {number} [options.max] - Höchstanzahl
+ * @returns {Object} Regel
+ */
+export function array(item = null, { min = 0, max } = {}) {
+  return rule((value, field) => {
+    const invalid = (code, params) => ({
+      errors: [validationDetail(field, code, params)],
+    });
+    if (!Array.isArray(value)) return invalid("NOT_ARRAY");
+    if (value.length < min)
+      return min === 1 ? invalid("EMPTY") : invalid("TOO_FEW_ENTRIES", { min });
+    if (max !== undefined && value.length > max)
+      return invalid("TOO_MANY_ENTRIES", { max });
+    if (!item) return { value };
+
+    const errors = [];
+    const values = value.map((entry, index) => {
+      const result = checkField(item, entry, `${field}[${index}]`);
+      errors.push(...(result.errors ?? []));
+      return result.value;
+    });
+    return errors.length ? { errors } : { value: values };
+  });
+}
+
+/**
+ * Verschachteltes Objekt mit eigenem Schema (Felder: name.feld)
+ * @param {Object} [schema={}] - Schema der Unterfelder
+ * @returns {Object} Regel
+ */
+export function object(schema = {}) {
+  return rule((value, field) => {
+    if (typeof value !== "object" || Array.isArray(value))
+      return { errors: [validationDetail(field, "NOT_OBJECT")] };
+    const result = validateSchema(schema, value, { prefix: field });
+    return result.errors.length ? { errors: result.errors } : { value: result.value };
+  });
+}
+
+/**
+ * Eigene Prüfung, z.B. mit einer bestehenden normalize-Funktion eines Services
+ * Eigene Fehler mit Code aus VALIDATION_MESSAGES ({ code, params? }) gelten
+ * für das geprüfte Feld, Details eines Services ({ error: Detail }) werden
+ * übernommen.
+ * @param {Function} test - (value) → { value } | { code, params? } | { error: Detail }
+ * @returns {Object} Regel
+ */
+export function custom(test) {
+  return simpleRule(test);
+}
+
+/**
+ * Ein Feld prüfen (Pflicht/null-Regeln, dann die eigentliche Regel)
+ * @param {Object} fieldRule - Regel
+ * @param {*} value - Eingabewert
+ * @param {string} field - Feldname für Fehlermeldungen
+ * @returns {{value?: *, errors?: Array<Object>}} Fehler als Details (validationDetail)
+ */
+function checkField(fieldRule, value, field) {
+  if (value === undefined)
+    return fieldRule.isOptional
+      ? { value }
+      : { errors: [validationDetail(field, "REQUIRED")] };
+  if (value === null)
+    return fieldRule.isNullable
+      ? { value }
+      : { errors: [validationDetail(field, "NOT_NULLABLE")] };
+  return fieldRule.check(value, field);
+}
+
+/**
+ * Eingabe gegen ein Schema prüfen
+ * Felder ohne Regel bleiben unverändert erhalten; geprüfte Felder werden normalisiert
+ * (getrimmte Texte, umgewandelte Zahlen).
+ * @param {Object} schema - { feldname: regel }
+ * @param {Object} input - Eingabe (Body, Params oder Query)
+ * @param {Object} [options] - Optionen
+ * @param {string} [options.prefix] - Präfix für Feldnamen (verschachtelte Objekte)
+ * @returns {{value: Object, errors: Array<Object>}} Fehler als Details
+ *   ({ field, code, params?, message })
+ */
+export function validateSchema(schema, input, { prefix } = {}) {
+  const value = { ...input };
+  const errors = [];
+
+  for (const [name, fieldRule] of Object.entries(schema)) {
+    const field = prefix ? `${prefix}.${name}` : name;
+    const result = checkField(fieldRule, input[name], field);
+    if (result.errors) errors.push(...result.errors);
+    else if (result.value !== undefined) value[name] = result.value;
+  }
+
+  return { value, errors };
+}
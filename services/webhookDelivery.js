@@ -0,0 +1,503 @@
+/**
+ * Webhook-Zustellung
+ * Reiht Events aus dem Änderungsverlauf (todo_history) für alle aktiven Webhooks ein
+ * und stellt sie per HTTP POST mit HMAC-SHA256-Signatur zu. Fehlgeschlagene
+ * Zustellungen werden mit wachsendem Abstand erneut versucht (periodischer Job).
+ *
+ * Der Verlauf wird in Zählerreihenfolge committet (Row-Lock auf sync_state), daher
+ * überspringt der Cursor in webhook_state keine später sichtbaren Einträge.
+ */
+
+// services/webhookDelivery.js
+import { createHmac, randomUUID } from "node:crypto";
+import { lookup } from "node:dns";
+import { Agent, fetch } from "undici";
+import { corePool, withTransaction } from "../db.js";
+import { ENV, debugLog, infoLog, errorLog } from "../config/environment.js";
+import { changedFields } from "./historyService.js";
+import {
+  isAllowedWebhookTarget,
+  isPrivateAddress,
+} from "./webhookService.js";
+
+/**
+ * Wartezeit vor dem n-ten erneuten Versuch (1 min, 5 min, 30 min, 2 h, 12 h)
+ * @type {number[]}
+ */
+export const RETRY_DELAYS_MS = [
+  60 * 1000,
+  5 * 60 * 1000,
+  30 * 60 * 1000,
+  2 * 60 * 60 * 1000,
+  12 * 60 * 60 * 1000,
+];
+
+/**
+ * Maximale Anzahl Zustellversuche (erster Versuch + Retries)
+ * @type {number}
+ */
+export const MAX_ATTEMPTS = RETRY_DELAYS_MS.length + 1;
+
+/**
+ * Aufbewahrung abgeschlossener Einträge im Delivery-Log
+ * @type {number}
+ */
+export const DELIVERY_LOG_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * Verlaufseinträge pro Einreih-Durchlauf
+ * @type {number}
+ */
+const HISTORY_BATCH_SIZE = 500;
+
+/**
+ * Fällige Zustellungen pro Durchlauf und Tenant
+ * @type {number}
+ */
+const DELIVERY_BATCH_SIZE = 50;
+
+/**
+ * Sperrfrist einer laufenden Zustellung (verhindert Doppelversand durch parallele Läufe)
+ * @type {number}
+ */
+const DELIVERY_LEASE_MS = 5 * 60 * 1000;
+
+/**
+ * Maximale Länge der gespeicherten Fehlermeldung
+ * @type {number}
+ */
+const MAX_ERROR_LENGTH = 500;
+
+/**
+ * Tabellenname, optional vollqualifiziert (Core-Pool ohne Default-DB)
+ * @param {string} name - Tabelle
+ * @param {string} [dbName] - Tenant-Datenbank
+ * @returns {string}
+ */
+function table(name, dbName) {
+  return dbName ? `\`${dbName}\`.${name}` : name;
+}
+
+/**
+ * Signatur eines Payloads
+ * Signiert wird "<timestamp>.<body>", damit abgefangene Requests nicht später
+ * erneut eingespielt werden können (Empfänger prüft das Alter des Timestamps).
+ * @param {string} secret - Secret des Webhooks
+ * @param {number} timestamp - Unix-Zeit in Sekunden (X-Webhook-Timestamp)
+ * @param {string} body - Request-Body
+ * @returns {string} "sha256=<hex>" (X-Webhook-Signature)
+ */
+export function signPayload(secret, timestamp, body) {
+  const hmac = createHmac("sha256", secret).update(`${timestamp}.${body}`);
+  return `sha256=${hmac.digest("hex")}`;
+}
+
+/**
+ * Events zu einem Verlaufseintrag
+ * Abgeleitet aus Vorher/Nachher statt aus der Aktion, damit Undo die passenden
+ * Events auslöst (z.B. Undo einer Löschung → todo.restored).
+ * @param {Object} row - Zeile aus todo_history
+ * @returns {Array<{event: string, data: Object}>} Events
+ */
+function historyEvents(row) {
+  const before = row.before_state ? JSON.parse(row.before_state) : null;
+  const after = row.after_state ? JSON.parse(row.after_state) : null;
+  const data = { todo: after ?? before, changes: changedFields(before, after) };
+
+  if (!before) return [{ event: "todo.created", data }];
+  if (!after || (!before.deleted_at && after.deleted_at))
+    return [{ event: "todo.deleted", data }];
+  if (before.deleted_at && !after.deleted_at)
+    return [{ event: "todo.restored", data }];
+
+  const events = [{ event: "todo.updated", data }];
+  if (!before.completed && after.completed)
+    events.push({ event: "todo.completed", data });
+  return events;
+}
+
+/**
+ * Zustellung anlegen (Payload wird beim Einreihen eingefroren)
+ * @param {number} webhookId - Webhook-ID
+ * @param {string} event - Event-Typ
+ * @param {Object} data - Event-Daten
+ * @param {number} now - Zeitpunkt
+ * @returns {Array} Spaltenwerte für INSERT ... VALUES ?
+ */
+function deliveryRow(webhookId, event, data, now) {
+  const payload = { id: randomUUID(), event, created: now, data };
+  return [webhookId, event, JSON.stringify(payload), "pending", 0, now, now, now];
+}
+
+/**
+ * Neue Verlaufseinträge als Zustellungen für alle aktiven Webhooks einreihen
+ * @async
+ * @param {mysql.Pool} pool - Tenant-Pool (req.pool)
+ * @returns {Promise<number>} Anzahl eingereihter Zustellungen
+ */
+export async function enqueueWebhookEvents(pool) {
+  const [hooks] = await pool.query(
+    `SELECT id, events FROM webhooks WHERE active = 1`
+  );
+  if (!hooks.length) return 0;
+
+  return withTransaction(pool, async (conn) => {
+    const [[state]] = await conn.query(
+      `SELECT history_id FROM webhook_state WHERE id = 1 FOR UPDATE`
+    );
+    const [rows] = await conn.query(
+      `SELECT * FROM todo_history WHERE id > ? ORDER BY id LIMIT ?`,
+      [state.history_id, HISTORY_BATCH_SIZE]
+    );
+    if (!rows.length) return 0;
+
+    const subscriptions = hooks.map((hook) => ({
+      id: hook.id,
+      events: hook.events.split(","),
+    }));
+    const now = Date.now();
+    const deliveries = [];
+    for (const row of rows) {
+      for (const { event, data } of historyEvents(row)) {
+        for (const hook of subscriptions) {
+          if (hook.events.includes(event))
+            deliveries.push(deliveryRow(hook.id, event, data, now));
+        }
+      }
+    }
+
+    if (deliveries.length)
+      await conn.query(
+        `INSERT INTO webhook_deliveries
+           (webhook_id, event, payload, status, attempts, next_attempt_at, created, updated)
+         VALUES ?`,
+        [deliveries]
+      );
+    await conn.query(`UPDATE webhook_state SET history_id = ? WHERE id = 1`, [
+      rows[rows.length - 1].id,
+    ]);
+    return deliveries.length;
+  });
+}
+
+/**
+ * Fehlercode der DNS-Auflösung, wenn ein Empfänger auf eine interne Adresse zeigt
+ * @type {string}
+ */
+const BLOCKED_TARGET = "EWEBHOOKBLOCKED";
+
+/**
+ * DNS-Auflösung beim Verbindungsaufbau (connect.lookup des Dispatchers)
+ * Geprüft werden genau die Adressen, mit denen sich der Socket verbindet -
+ * eine getrennte Vorab-Auflösung ließe sich per DNS-Rebinding umgehen.
+ * @param {string} hostname - Hostname des Empfängers
+ * @param {Object} options - dns.lookup-Optionen (von net.connect, ggf. all)
+ * @param {Function} callback - (err, address, family) bzw. (err, addresses)
+ */
+function lookupPublicAddress(hostname, options, callback) {
+  lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    const addresses = Array.isArray(address) ? address : [{ address }];
+    if (
+      !ENV.WEBHOOK_ALLOW_PRIVATE &&
+      addresses.some((entry) => isPrivateAddress(entry.address))
+    ) {
+      const blocked = new Error(`${hostname} zeigt auf eine interne Adresse`);
+      blocked.code = BLOCKED_TARGET;
+      return callback(blocked);
+    }
+    callback(null, address, family);
+  });
+}
+
+/**
+ * HTTP-Dispatcher für alle Zustellungen
+ * @type {Agent}
+ */
+const dispatcher = new Agent({ connect: { lookup: lookupPublicAddress } });
+
+/**
+ * Payload per HTTP POST an den Empfänger senden
+ * Erfolgreich ist jede 2xx-Antwort; Weiterleitungen werden nicht verfolgt.
+ * Interne Ziele werden vor jedem Versuch erneut ausgeschlossen, aufgelöste
+ * Adressen erst beim Verbindungsaufbau (lookupPublicAddress). Gespeichert
+ * werden nur allgemeine Fehlertexte - Socket-Meldungen verraten sonst, welche
+ * Hosts und Ports intern erreichbar sind.
+ * @async
+ * @param {Object} delivery - Zustellung inkl. url und secret des Webhooks
+ * @returns {Promise<{ok: boolean, status: number|null, error: string|null}>}
+ */
+async function send(delivery) {
+  const timestamp = Math.floor(Date.now() / 1000);
+  const { id } = JSON.parse(delivery.payload);
+
+  try {
+    if (!isAllowedWebhookTarget(delivery.url))
+      return {
+        ok: false,
+        status: null,
+        error: "Empfänger-Adresse nicht erlaubt",
+      };
+
+    const response = await fetch(delivery.url, {
+      dispatcher,
+      method: "POST",
+      redirect: "manual",
+      signal: AbortSignal.timeout(ENV.WEBHOOK_TIMEOUT_MS),
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "LetsTodo-Webhooks/1.0",
+        "X-Webhook-Event": delivery.event,
+        "X-Webhook-Delivery": id,
+        "X-Webhook-Timestamp": String(timestamp),
+        "X-Webhook-Signature": signPayload(
+          delivery.secret,
+          timestamp,
+          delivery.payload
+        ),
+      },
+      body: delivery.payload,
+    });
+    // Antwort-Body wird nicht gebraucht, Verbindung freigeben
+    await response.body?.cancel();
+    return {
+      ok: response.ok,
+      status: response.status,
+      error: response.ok ? null : `HTTP ${response.status}`,
+    };
+  } catch (err) {
+    debugLog(`Webhook-Zustellung ${delivery.id} fehlgeschlagen`, {
+      error: err.cause?.message ?? err.message,
+    });
+    let error = "Verbindung fehlgeschlagen";
+    if (err.name === "TimeoutError")
+      error = `Keine Antwort nach ${ENV.WEBHOOK_TIMEOUT_MS} ms`;
+    else if (err.cause?.code === BLOCKED_TARGET)
+      error = "Empfänger-Adresse nicht erlaubt";
+    return { ok: false, status: null, error };
+  }
+}
+
+/**
+ * Eine Zustellung versuchen und das Ergebnis protokollieren
+ * Die Zeile wird vorher per Lease beansprucht; ist sie schon vergeben, passiert nichts.
+ * @async
+ * @param {mysql.Pool|mysql.PoolConnection} db - Pool oder Verbindung
+ * @param {Object} delivery - Zustellung inkl. url und secret des Webhooks
+ * @param {Object} [options] - Optionen
+ * @param {string} [options.dbName] - Tenant-Datenbank (nur für den Core-Pool)
+ * @param {boolean} [options.retry=true] - Bei Fehler erneut einplanen
+ * @returns {Promise<string|null>} Neuer Status oder null, wenn nicht beansprucht
+ */
+async function attemptDelivery(db, delivery, { dbName, retry = true } = {}) {
+  const deliveries = table("webhook_deliveries", dbName);
+  const now = Date.now();
+  const [claim] = await db.query(
+    `UPDATE ${deliveries} SET next_attempt_at = ?
+      WHERE id = ? AND status = 'pending' AND next_attempt_at <= ?`,
+    [now + DELIVERY_LEASE_MS, delivery.id, now]
+  );
+  if (!claim.affectedRows) return null;
+
+  const result = await send(delivery);
+  const attempts = delivery.attempts + 1;
+  let status = "success";
+  let nextAttemptAt = null;
+  if (!result.ok && retry && attempts < MAX_ATTEMPTS) {
+    status = "pending";
+    nextAttemptAt = Date.now() + RETRY_DELAYS_MS[attempts - 1];
+  } else if (!result.ok) {
+    status = "failed";
+  }
+
+  await db.query(`UPDATE ${deliveries} SET ? WHERE id = ?`, [
+    {
+      status,
+      attempts,
+      next_attempt_at: nextAttemptAt,
+      response_status: result.status,
+      last_error: result.error?.slice(0, MAX_ERROR_LENGTH) ?? null,
+      updated: Date.now(),
+    },
+    delivery.id,
+  ]);
+  return status;
+}
+
+/**
+ * Fällige Zustellungen senden (pausierte Webhooks werden übersprungen)
+ * @async
+ * @param {mysql.Pool} db - Tenant-Pool oder Core-Pool (mit dbName)
+ * @param {Object} [options] - Optionen
+ * @param {string} [options.dbName] - Tenant-Datenbank (nur für den Core-Pool)
+ * @returns {Promise<{delivered: number, failed: number}>} Erfolgreich/endgültig fehlgeschlagen
+ */
+export async function deliverDue(db, { dbName } = {}) {
+  const [due] = await db.query(
+    `SELECT d.id, d.event, d.payload, d.attempts, w.url, w.secret
+       FROM ${table("webhook_deliveries", dbName)} d
+       JOIN ${table("webhooks", dbName)} w ON w.id = d.webhook_id
+      WHERE d.status = 'pending' AND d.next_attempt_at <= ? AND w.active = 1
+      ORDER BY d.id
+      LIMIT ?`,
+    [Date.now(), DELIVERY_BATCH_SIZE]
+  );
+
+  let delivered = 0;
+  let failed = 0;
+  for (const delivery of due) {
+    const status = await attemptDelivery(db, delivery, { dbName });
+    if (status === "success") delivered++;
+    if (status === "failed") failed++;
+  }
+  return { delivered, failed };
+}
+
+/**
+ * Nach einer schreibenden Anfrage: Events einreihen und sofort zustellen
+ * Fehler werden nur protokolliert; der periodische Job holt offene Zustellungen nach.
+ * @async
+ * @param {mysql.Pool} pool - Tenant-Pool (req.pool)
+ */
+export async function dispatchWebhooks(pool) {
+  try {
+    if (await enqueueWebhookEvents(pool)) await deliverDue(pool);
+  } catch (err) {
+    errorLog("Webhook-Zustellung fehlgeschlagen:", err.message);
+  }
+}
+
+/**
+ * Ping-Event an einen Webhook senden (zum Testen des Empfängers)
+ * Wird unabhängig von den abonnierten Events und vom active-Flag genau einmal
+ * zugestellt (ohne Retries) und wie jede Zustellung im Delivery-Log geführt.
+ * @async
+ * @param {mysql.Pool} pool - Tenant-Pool
+ * @param {Object} webhook - Webhook (getWebhook)
+ * @returns {Promise<Object>} Zustellung nach dem ersten Versuch
+ */
+export async function sendPing(pool, webhook) {
+  const now = Date.now();
+  const [result] = await pool.query(
+    `INSERT INTO webhook_deliveries
+       (webhook_id, event, payload, status, attempts, next_attempt_at, created, updated)
+     VALUES ?`,
+    [[deliveryRow(webhook.id, "ping", { webhook_id: webhook.id }, now)]]
+  );
+  const [[delivery]] = await pool.query(
+    `SELECT d.id, d.event, d.payload, d.attempts, w.url, w.secret
+       FROM webhook_deliveries d
+       JOIN webhooks w ON w.id = d.webhook_id
+      WHERE d.id = ?`,
+    [result.insertId]
+  );
+  await attemptDelivery(pool, delivery, { retry: false });
+
+  const [[row]] = await pool.query(
+    `SELECT * FROM webhook_deliveries WHERE id = ?`,
+    [result.insertId]
+  );
+  return { ...row, payload: JSON.parse(row.payload) };
+}
+
+/**
+ * Zustellung erneut einreihen (auch erfolgreiche oder endgültig fehlgeschlagene)
+ * Der Payload bleibt unverändert, die Versuche beginnen von vorn.
+ * @async
+ * @param {mysql.Pool|mysql.PoolConnection} db - Pool oder Verbindung
+ * @param {number|string} webhookId - Webhook-ID
+ * @param {number|string} deliveryId - Zustellungs-ID
+ * @returns {Promise<boolean>} true, wenn die Zustellung existiert
+ */
+export async function redeliver(db, webhookId, deliveryId) {
+  const now = Date.now();
+  const [result] = await db.query(
+    `UPDATE webhook_deliveries
+        SET status = 'pending', attempts = 0, next_attempt_at = ?, updated = ?
+      WHERE id = ? AND webhook_id = ?`,
+    [now, now, deliveryId, webhookId]
+  );
+  return result.affectedRows > 0;
+}
+
+/**
+ * Tenant-DBs mit Webhook-Tabellen (ab Migration 012)
+ * @async
+ * @returns {Promise<string[]>} Datenbanknamen
+ */
+async function webhookDatabases() {
+  const [rows] = await corePool.query(
+    `SELECT TABLE_SCHEMA AS dbName FROM information_schema.TABLES
+      WHERE TABLE_NAME = 'webhook_deliveries'
+        AND (TABLE_SCHEMA LIKE 'todos\\_user\\_%'
+          OR TABLE_SCHEMA LIKE 'todos\\_guest\\_%')
+      ORDER BY TABLE_SCHEMA`
+  );
+  return rows.map((row) => row.dbName);
+}
+
+/**
+ * Fällige Retries aller Tenant-DBs zustellen und alte Log-Einträge löschen
+ * @async
+ * @param {Object} [options] - Optionen
+ * @param {number} [options.now=Date.now()] - Referenzzeitpunkt für die Log-Bereinigung
+ * @returns {Promise<{delivered: number, failed: number}>} Summen über alle Tenants
+ */
+export async function retryWebhooks({ now = Date.now() } = {}) {
+  let delivered = 0;
+  let failed = 0;
+
+  for (const dbName of await webhookDatabases()) {
+    try {
+      const result = await deliverDue(corePool, { dbName });
+      delivered += result.delivered;
+      failed += result.failed;
+      await corePool.query(
+        `DELETE FROM \`${dbName}\`.webhook_deliveries
+          WHERE status <> 'pending' AND updated < ?`,
+        [now - DELIVERY_LOG_RETENTION_MS]
+      );
+    } catch (err) {
+      errorLog(`Webhook-Retries für ${dbName} fehlgeschlagen:`, err.message);
+    }
+  }
+
+  if (delivered || failed)
+    infoLog(
+      `Webhook-Retries: ${delivered} zugestellt, ${failed} endgültig fehlgeschlagen`
+    );
+  return { delivered, failed };
+}
+
+/**
+ * Periodische Webhook-Retries im Server-Prozess starten
+ * Intervall über ENV.WEBHOOK_RETRY_INTERVAL_MS (0 = deaktiviert)
+ * @returns {Function} Stop-Funktion (beendet das Intervall)
+ */
+export function startWebhookRetries() {
+  const interval = ENV.WEBHOOK_RETRY_INTERVAL_MS;
+  if (!interval) {
+    debugLog("Webhook-Retries deaktiviert (WEBHOOK_RETRY_INTERVAL_MS = 0)");
+    return () => {};
+  }
+
+  let running = false;
+  const run = async () => {
+    // Keine überlappenden Läufe bei langsamen Empfängern
+    if (running) return;
+    running = true;
+    try {
+      await retryWebhooks();
+    } catch (err) {
+      errorLog("Webhook-Retries fehlgeschlagen:", err.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(run, interval);
+  timer.unref(); // Hält den Prozess nicht am Leben
+  debugLog(`Webhook-Retries gestartet (Intervall ${interval} ms)`);
+
+  return () => clearInterval(timer);
+}
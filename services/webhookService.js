@@ -0,0 +1,339 @@
+/**
+ * Webhook-Service
+ * Webhook-Registrierungen pro User/Gast (URL, Secret, abonnierte Events)
+ * und das Delivery-Log. Das Einreihen und Zustellen übernimmt webhookDelivery.js.
+ */
+
+// services/webhookService.js
+import { randomBytes } from "node:crypto";
+import { BlockList, isIP } from "node:net";
+import { ENV } from "../config/environment.js";
+import { validationDetail } from "./errors.js";
+
+/**
+ * Unterstützte Event-Typen
+ * todo.completed kommt zusätzlich zu todo.updated, wenn ein Todo erledigt wird.
+ * @type {string[]}
+ */
+export const WEBHOOK_EVENTS = [
+  "todo.created",
+  "todo.updated",
+  "todo.completed",
+  "todo.deleted",
+  "todo.restored",
+];
+
+/**
+ * Maximale Anzahl Webhooks pro User/Gast
+ * @type {number}
+ */
+export const MAX_WEBHOOKS = 10;
+
+/**
+ * Maximale Länge der Empfänger-URL
+ * @type {number}
+ */
+export const MAX_WEBHOOK_URL_LENGTH = 2000;
+
+/**
+ * Erlaubte Länge eines selbst gewählten Secrets
+ * @type {{min: number, max: number}}
+ */
+export const WEBHOOK_SECRET_LENGTH = { min: 16, max: 128 };
+
+/**
+ * Maximale Anzahl Einträge pro Abruf des Delivery-Logs
+ * @type {number}
+ */
+export const MAX_DELIVERY_LOG_LIMIT = 100;
+
+/**
+ * Adressbereiche, an die ohne ENV.WEBHOOK_ALLOW_PRIVATE nicht zugestellt wird:
+ * Loopback, private Netze (RFC 1918, ULA), Link-Local inkl. Cloud-Metadaten
+ * (169.254.169.254), Carrier-NAT, Multicast und reservierte Bereiche.
+ * IPv4-mapped IPv6-Adressen (::ffff:10.0.0.1) prüft BlockList gegen die
+ * IPv4-Regeln.
+ * @type {BlockList}
+ */
+const PRIVATE_ADDRESSES = new BlockList();
+for (const [network, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 3],
+])
+  PRIVATE_ADDRESSES.addSubnet(network, prefix, "ipv4");
+for (const [network, prefix] of [
+  ["::", 127], // :: und ::1
+  ["64:ff9b::", 96], // NAT64
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+])
+  PRIVATE_ADDRESSES.addSubnet(network, prefix, "ipv6");
+
+/**
+ * Prüft, ob eine IP-Adresse in einem privaten/internen Bereich liegt
+ * @param {string} address - IPv4- oder IPv6-Adresse
+ * @returns {boolean}
+ */
+export function isPrivateAddress(address) {
+  const family = isIP(address);
+  return family === 4
+    ? PRIVATE_ADDRESSES.check(address, "ipv4")
+    : family === 6 && PRIVATE_ADDRESSES.check(address, "ipv6");
+}
+
+/**
+ * Hostname einer URL ohne Klammern (IPv6) und abschließenden Punkt
+ * @param {URL} url - Empfänger-URL
+ * @returns {string}
+ */
+function targetHost(url) {
+  return url.hostname.replace(/^\[|\]$/g, "").replace(/\.$/, "").toLowerCase();
+}
+
+/**
+ * Prüft, ob eine Empfänger-URL ohne DNS-Auflösung erkennbar intern ist
+ * (localhost oder IP-Literal in einem privaten Bereich)
+ * @param {URL} url - Empfänger-URL
+ * @returns {boolean}
+ */
+function isPrivateTarget(url) {
+  const host = targetHost(url);
+  return (
+    host === "localhost" ||
+    host.endsWith(".localhost") ||
+    isPrivateAddress(host)
+  );
+}
+
+/**
+ * Empfänger vor dem Versand prüfen (localhost und IP-Literale - diese
+ * verbinden ohne DNS-Auflösung). Aufgelöste Hostnamen prüft der Dispatcher
+ * der Zustellung beim Verbindungsaufbau.
+ * @param {string} href - Empfänger-URL
+ * @returns {boolean} true, wenn zugestellt werden darf
+ */
+export function isAllowedWebhookTarget(href) {
+  return ENV.WEBHOOK_ALLOW_PRIVATE || !isPrivateTarget(new URL(href));
+}
+
+/**
+ * Webhook-Zeile für die API aufbereiten (Events als Array, Secret nur auf Wunsch)
+ * @param {Object} row - Zeile aus webhooks
+ * @param {Object} [options] - Optionen
+ * @param {boolean} [options.withSecret=false] - Secret mitsenden (nur bei Anlage/Rotation)
+ * @returns {Object} Webhook
+ */
+function toWebhook(row, { withSecret = false } = {}) {
+  const { secret, ...webhook } = row;
+  return {
+    ...webhook,
+    events: row.events.split(","),
+    active: Boolean(row.active),
+    ...(withSecret ? { secret } : {}),
+  };
+}
+
+/**
+ * Zufälliges Secret für die HMAC-Signatur
+ * @returns {string} 64 Hex-Zeichen
+ */
+function generateSecret() {
+  return randomBytes(32).toString("hex");
+}
+
+/**
+ * Request-Body für Anlage/Update eines Webhooks prüfen
+ * @param {Object} body - Request-Body (url, events, secret, active, rotateSecret)
+ * @param {Object} [options] - Optionen
+ * @param {boolean} [options.partial=false] - Update: nur übergebene Felder prüfen
+ * @returns {{values: Object, error: Object|null}} Spaltenwerte oder Detail (validationDetail)
+ */
+export function normalizeWebhookInput(body, { partial = false } = {}) {
+  const values = {};
+  const invalid = (field, code, params) => ({
+    values,
+    error: validationDetail(field, code, params),
+  });
+
+  if (body.url !== undefined || !partial) {
+    let url;
+    try {
+      url = new URL(body.url);
+    } catch {
+      return invalid("url", "INVALID_URL");
+    }
+    if (url.protocol !== "http:" && url.protocol !== "https:")
+      return invalid("url", "INVALID_URL_SCHEME");
+    if (!ENV.WEBHOOK_ALLOW_PRIVATE && isPrivateTarget(url))
+      return invalid("url", "PRIVATE_ADDRESS");
+    if (url.href.length > MAX_WEBHOOK_URL_LENGTH)
+      return invalid("url", "TOO_LONG", { max: MAX_WEBHOOK_URL_LENGTH });
+    values.url = url.href;
+  }
+
+  if (body.events !== undefined || !partial) {
+    const events = body.events;
+    if (!Array.isArray(events)) return invalid("events", "NOT_ARRAY");
+    if (!events.length) return invalid("events", "TOO_FEW_ENTRIES", { min: 1 });
+    if (events.some((event) => !WEBHOOK_EVENTS.includes(event)))
+      return invalid("events", "NOT_ONE_OF", {
+        values: WEBHOOK_EVENTS.join(", "),
+      });
+    values.events = [...new Set(events)].join(",");
+  }
+
+  if (body.secret !== undefined) {
+    const { min, max } = WEBHOOK_SECRET_LENGTH;
+    if (typeof body.secret !== "string") return invalid("secret", "NOT_STRING");
+    if (body.secret.length < min)
+      return invalid("secret", "TOO_SHORT", { min });
+    if (body.secret.length > max) return invalid("secret", "TOO_LONG", { max });
+    values.secret = body.secret;
+  } else if (!partial || body.rotateSecret === true) {
+    values.secret = generateSecret();
+  }
+
+  if (body.active !== undefined) {
+    if (typeof body.active !== "boolean")
+      return invalid("active", "NOT_BOOLEAN");
+    values.active = body.active ? 1 : 0;
+  }
+
+  return { values, error: null };
+}
+
+/**
+ * Cursor des Event-Einreihens auf den aktuellen Verlauf setzen
+ * Solange kein Webhook aktiv ist, wird der Verlauf nicht abgearbeitet; ein neu
+ * aktivierter Webhook soll diese Altlast nicht nachträglich zugestellt bekommen.
+ * @async
+ * @param {mysql.PoolConnection} db - Verbindung (in der Transaktion der Aktivierung)
+ */
+async function skipPendingHistory(db) {
+  const [[{ count }]] = await db.query(
+    `SELECT COUNT(*) AS count FROM webhooks WHERE active = 1`
+  );
+  if (Number(count)) return;
+  await db.query(
+    `UPDATE webhook_state
+        SET history_id = GREATEST(history_id,
+          (SELECT COALESCE(MAX(id), 0) FROM todo_history))
+      WHERE id = 1`
+  );
+}
+
+/**
+ * Alle Webhooks (ohne Secrets)
+ * @async
+ * @param {mysql.Pool|mysql.PoolConnection} db - Pool oder Verbindung
+ * @returns {Promise<Array<Object>>} Webhooks
+ */
+export async function getWebhooks(db) {
+  const [rows] = await db.query(`SELECT * FROM webhooks ORDER BY id`);
+  return rows.map((row) => toWebhook(row));
+}
+
+/**
+ * Einzelnen Webhook laden (ohne Secret)
+ * @async
+ * @param {mysql.Pool|mysql.PoolConnection} db - Pool oder Verbindung
+ * @param {number|string} id - Webhook-ID
+ * @returns {Promise<Object|null>} Webhook oder null
+ */
+export async function getWebhook(db, id) {
+  const [rows] = await db.query(`SELECT * FROM webhooks WHERE id = ?`, [id]);
+  return rows[0] ? toWebhook(rows[0]) : null;
+}
+
+/**
+ * Webhook anlegen
+ * @async
+ * @param {mysql.PoolConnection} db - Verbindung (in einer Transaktion)
+ * @param {Object} values - Geprüfte Werte aus normalizeWebhookInput
+ * @returns {Promise<Object|null>} Webhook inkl. Secret oder null bei erreichtem Limit
+ */
+export async function createWebhook(db, values) {
+  const [[{ count }]] = await db.query(
+    `SELECT COUNT(*) AS count FROM webhooks FOR UPDATE`
+  );
+  if (Number(count) >= MAX_WEBHOOKS) return null;
+
+  if (values.active !== 0) await skipPendingHistory(db);
+
+  const now = Date.now();
+  const [result] = await db.query(`INSERT INTO webhooks SET ?`, [
+    { ...values, created: now, updated: now },
+  ]);
+  const [[row]] = await db.query(`SELECT * FROM webhooks WHERE id = ?`, [
+    result.insertId,
+  ]);
+  return toWebhook(row, { withSecret: true });
+}
+
+/**
+ * Webhook ändern
+ * @async
+ * @param {mysql.PoolConnection} db - Verbindung (in einer Transaktion)
+ * @param {number|string} id - Webhook-ID
+ * @param {Object} values - Geprüfte Werte aus normalizeWebhookInput (partial)
+ * @returns {Promise<Object|null>} Webhook (Secret nur bei Änderung) oder null
+ */
+export async function updateWebhook(db, id, values) {
+  const [[current]] = await db.query(
+    `SELECT * FROM webhooks WHERE id = ? FOR UPDATE`,
+    [id]
+  );
+  if (!current) return null;
+
+  if (values.active === 1 && !current.active) await skipPendingHistory(db);
+
+  await db.query(`UPDATE webhooks SET ? WHERE id = ?`, [
+    { ...values, updated: Date.now() },
+    id,
+  ]);
+  const [[row]] = await db.query(`SELECT * FROM webhooks WHERE id = ?`, [id]);
+  return toWebhook(row, { withSecret: values.secret !== undefined });
+}
+
+/**
+ * Webhook samt Delivery-Log löschen
+ * @async
+ * @param {mysql.PoolConnection} db - Verbindung (in einer Transaktion)
+ * @param {number|string} id - Webhook-ID
+ * @returns {Promise<boolean>} true, wenn gelöscht
+ */
+export async function deleteWebhook(db, id) {
+  await db.query(`DELETE FROM webhook_deliveries WHERE webhook_id = ?`, [id]);
+  const [result] = await db.query(`DELETE FROM webhooks WHERE id = ?`, [id]);
+  return result.affectedRows > 0;
+}
+
+/**
+ * Delivery-Log eines Webhooks (neueste zuerst)
+ * @async
+ * @param {mysql.Pool|mysql.PoolConnection} db - Pool oder Verbindung
+ * @param {number|string} webhookId - Webhook-ID
+ * @param {Object} [options] - Optionen
+ * @param {number} [options.limit=50] - Anzahl Einträge
+ * @param {string} [options.status] - Filter: pending | success | failed
+ * @returns {Promise<Array<Object>>} Zustellungen inkl. Payload
+ */
+export async function getDeliveries(db, webhookId, { limit = 50, status } = {}) {
+  const [rows] = await db.query(
+    `SELECT * FROM webhook_deliveries
+      WHERE webhook_id = ? ${status ? "AND status = ?" : ""}
+      ORDER BY id DESC
+      LIMIT ?`,
+    status ? [webhookId, status, limit] : [webhookId, limit]
+  );
+  return rows.map((row) => ({ ...row, payload: JSON.parse(row.payload) }));
+}
@@ -0,0 +1,67 @@
+/**
+ * Tests für die CSV-Hilfsfunktionen
+ */
+
+// tests/csv.test.js
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { formatCsvRow, parseCsv, unguardCsvField } from "../services/csv.js";
+
+describe("formatCsvRow", () => {
+  it("quotet Felder mit Komma, Anführungszeichen und Zeilenumbruch", () => {
+    assert.equal(
+      formatCsvRow(["a,b", 'sagt "hallo"', "zwei\nZeilen", "einfach"]),
+      '"a,b","sagt ""hallo""","zwei\nZeilen",einfach\r\n'
+    );
+  });
+
+  it("schreibt null und undefined als leere Felder", () => {
+    assert.equal(formatCsvRow([null, 1, undefined, 0]), ",1,,0\r\n");
+  });
+
+  it("schützt Formeln mit einem führenden Apostroph", () => {
+    assert.equal(
+      formatCsvRow(["=SUMME(A1)", "+1", "-x", "@cmd", "\tTab"]),
+      "'=SUMME(A1),'+1,'-x,'@cmd,'\tTab\r\n"
+    );
+  });
+
+  it("lässt Zahlen unverändert", () => {
+    assert.equal(formatCsvRow([-5, 1.5]), "-5,1.5\r\n");
+  });
+});
+
+describe("parseCsv", () => {
+  it("liest gequotete Felder mit Kommas, Zeilenumbrüchen und Escapes", () => {
+    assert.deepEqual(parseCsv('title,description\r\n"a,b","x ""y""\nz"\r\n'), {
+      rows: [
+        ["title", "description"],
+        ["a,b", 'x "y"\nz'],
+      ],
+    });
+  });
+
+  it("ignoriert ein BOM und akzeptiert eine letzte Zeile ohne Umbruch", () => {
+    assert.deepEqual(parseCsv("﻿a,b\n1,2").rows, [
+      ["a", "b"],
+      ["1", "2"],
+    ]);
+  });
+
+  it("meldet nicht geschlossene Anführungszeichen", () => {
+    assert.equal(parseCsv('a\n"offen').error.code, "CSV_UNCLOSED_QUOTE");
+  });
+});
+
+describe("unguardCsvField", () => {
+  it("entfernt genau den Apostroph aus formatCsvRow", () => {
+    for (const value of ["=1+1", "'=1+1", "-x", "@cmd"]) {
+      const [[field]] = parseCsv(formatCsvRow([value])).rows;
+      assert.equal(unguardCsvField(field), value);
+    }
+  });
+
+  it("lässt Apostrophe vor normalem Text stehen", () => {
+    assert.equal(unguardCsvField("'normal"), "'normal");
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * Tests für die iCalendar-Hilfsfunktionen
+ */
+
+// tests/ical.test.js
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  calendarHeader,
+  calendarFooter,
+  formatVTodo,
+  parseVTodos,
+} from "../services/ical.js";
+
+/**
+ * Portables Todo wie aus services/todoExport.js
+ * @param {Object} [overrides] - Abweichende Felder
+ * @returns {Object} Todo
+ */
+function portableTodo(overrides = {}) {
+  return {
+    title: "Einkaufen",
+    description: "",
+    completed: false,
+    completed_at: null,
+    due_at: "2024-01-31T09:00:00.000Z",
+    priority: "high",
+    tags: [],
+    list: null,
+    recurrence: null,
+    created: "2024-01-01T08:00:00.000Z",
+    updated: "2024-01-02T08:00:00.000Z",
+    ...overrides,
+  };
+}
+
+/**
+ * Todos als iCalendar-Dokument exportieren und wieder einlesen
+ * @param {Array<Object>} todos - Portable Todos
+ * @returns {Array<Object>} Gelesene Einträge
+ */
+function roundTrip(todos) {
+  const text =
+    calendarHeader() +
+    todos.map((todo, i) => formatVTodo(todo, `todo-${i}`)).join("") +
+    calendarFooter();
+  return parseVTodos(text).entries;
+}
+
+describe("formatVTodo / parseVTodos", () => {
+  it("überträgt Titel, Fälligkeit, Priorität und Zeitstempel", () => {
+    const [entry] = roundTrip([portableTodo()]);
+    assert.equal(entry.title, "Einkaufen");
+    assert.equal(entry.due_at, Date.parse("2024-01-31T09:00:00Z"));
+    assert.equal(entry.priority, "high");
+    assert.equal(entry.completed, false);
+    assert.equal(entry.created, Date.parse("2024-01-01T08:00:00Z"));
+    assert.equal(entry.updated, Date.parse("2024-01-02T08:00:00Z"));
+  });
+
+  it("escapet Sonderzeichen in Text, Tags und Liste", () => {
+    const [entry] = roundTrip([
+      portableTodo({
+        title: "a, b; c\\d",
+        description: "Zeile 1\nZeile 2",
+        tags: ["x,y", "z"],
+        list: "Arbeit; privat",
+      }),
+    ]);
+    assert.equal(entry.title, "a, b; c\\d");
+    assert.equal(entry.description, "Zeile 1\nZeile 2");
+    assert.deepEqual(entry.tags, ["x,y", "z"]);
+    assert.equal(entry.list, "Arbeit; privat");
+  });
+
+  it("faltet lange Zeilen auf 75 Oktette und entfaltet sie wieder", () => {
+    const title = "ä".repeat(100);
+    const text = formatVTodo(portableTodo({ title }), "lang");
+    for (const line of text.split("\r\n"))
+      assert.ok(Buffer.byteLength(line) <= 75);
+    assert.equal(roundTrip([portableTodo({ title })])[0].title, title);
+  });
+
+  it("schreibt Regeln als RRULE, sonst als X-Property", () => {
+    const rules = [
+      { freq: "daily", interval: 2 },
+      { freq: "weekly", weekdays: [1, 5] },
+      { freq: "monthly", day: 31 },
+      { freq: "after_completion", days: 3 },
+      { freq: "daily", interval: 1, tzOffset: -60 },
+    ];
+    const entries = roundTrip(
+      rules.map((recurrence) => portableTodo({ recurrence }))
+    );
+    assert.deepEqual(
+      entries.map((entry) => entry.recurrence),
+      rules
+    );
+  });
+
+  it("liest erledigte Todos mit Erledigt-Zeitpunkt", () => {
+    const [entry] = roundTrip([
+      portableTodo({ completed: true, completed_at: "2024-01-03T10:00:00Z" }),
+    ]);
+    assert.equal(entry.completed, true);
+    assert.equal(entry.completed_at, Date.parse("2024-01-03T10:00:00Z"));
+  });
+});
+
+describe("parseVTodos", () => {
+  it("ordnet PRIORITY nach RFC 5545 zu", () => {
+    const text = [
+      "BEGIN:VCALENDAR",
+      ...[0, 3, 5, 7].flatMap((priority) => [
+        "BEGIN:VTODO",
+        `PRIORITY:${priority}`,
+        "END:VTODO",
+      ]),
+      "END:VCALENDAR",
+    ].join("\r\n");
+    assert.deepEqual(
+      parseVTodos(text).entries.map((entry) => entry.priority),
+      ["none", "high", "medium", "low"]
+    );
+  });
+
+  it("meldet ein fehlendes BEGIN:VCALENDAR", () => {
+    assert.equal(
+      parseVTodos("BEGIN:VTODO\r\nEND:VTODO").error.code,
+      "ICAL_MISSING_CALENDAR"
+    );
+  });
+});
@@ -0,0 +1,143 @@
+/**
+ * Tests für Wiederholungsregeln
+ */
+
+// tests/recurrence.test.js
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  normalizeRecurrence,
+  parseRecurrence,
+  decodeRecurrence,
+  nextDueAt,
+} from "../services/recurrence.js";
+
+const utc = (iso) => Date.parse(`${iso}Z`);
+
+describe("normalizeRecurrence", () => {
+  it("normalisiert gültige Regeln", () => {
+    assert.deepEqual(normalizeRecurrence(null), { value: null });
+    assert.deepEqual(normalizeRecurrence({ freq: "daily" }), {
+      value: '{"freq":"daily","interval":1}',
+    });
+    assert.deepEqual(
+      normalizeRecurrence({
+        freq: "weekly",
+        weekdays: [5, 1, 5],
+        tzOffset: -60,
+      }),
+      { value: '{"freq":"weekly","weekdays":[1,5],"tzOffset":-60}' }
+    );
+  });
+
+  it("meldet ungültige Felder mit Code und Feldname", () => {
+    const cases = [
+      ["kein Objekt", "", "NOT_OBJECT"],
+      [{ freq: "yearly" }, ".freq", "NOT_ONE_OF"],
+      [{ freq: "daily", interval: 0 }, ".interval", "OUT_OF_RANGE"],
+      [{ freq: "weekly", weekdays: [] }, ".weekdays", "INVALID_WEEKDAYS"],
+      [{ freq: "weekly", weekdays: [8] }, ".weekdays", "INVALID_WEEKDAYS"],
+      [{ freq: "monthly", day: 32 }, ".day", "OUT_OF_RANGE"],
+      [{ freq: "after_completion" }, ".days", "OUT_OF_RANGE"],
+      [{ freq: "daily", tzOffset: 900 }, ".tzOffset", "OUT_OF_RANGE"],
+    ];
+    for (const [rule, suffix, code] of cases) {
+      const { error } = normalizeRecurrence(rule);
+      assert.equal(error.field, `recurrence${suffix}`);
+      assert.equal(error.code, code);
+    }
+  });
+});
+
+describe("parseRecurrence / decodeRecurrence", () => {
+  it("liest gespeicherte Regeln und ignoriert ungültiges JSON", () => {
+    assert.deepEqual(parseRecurrence('{"freq":"daily","interval":2}'), {
+      freq: "daily",
+      interval: 2,
+    });
+    assert.equal(parseRecurrence(null), null);
+    assert.equal(parseRecurrence("{kaputt"), null);
+  });
+
+  it("wandelt recurrence aller Todos in Objekte um", () => {
+    const todos = [
+      { recurrence: '{"freq":"monthly","day":1}' },
+      { recurrence: null },
+    ];
+    assert.deepEqual(decodeRecurrence(todos), [
+      { recurrence: { freq: "monthly", day: 1 } },
+      { recurrence: null },
+    ]);
+  });
+});
+
+describe("nextDueAt", () => {
+  it("daily rechnet ab der Fälligkeit, sonst ab dem Erledigen", () => {
+    const rule = { freq: "daily", interval: 2 };
+    assert.equal(
+      nextDueAt(rule, {
+        due_at: utc("2024-01-10T09:00"),
+        completed_at: utc("2024-01-15T12:00"),
+      }),
+      utc("2024-01-12T09:00")
+    );
+    assert.equal(
+      nextDueAt(rule, { due_at: null, completed_at: utc("2024-01-15T12:00") }),
+      utc("2024-01-17T12:00")
+    );
+  });
+
+  it("weekly springt zum nächsten passenden Wochentag", () => {
+    // 2024-01-10 ist ein Mittwoch
+    const rule = { freq: "weekly", weekdays: [1, 5] };
+    const done = { completed_at: utc("2024-01-10T10:00") };
+    assert.equal(
+      nextDueAt(rule, { ...done, due_at: utc("2024-01-10T09:00") }),
+      utc("2024-01-12T09:00")
+    );
+    assert.equal(
+      nextDueAt(rule, { ...done, due_at: utc("2024-01-12T09:00") }),
+      utc("2024-01-15T09:00")
+    );
+  });
+
+  it("weekly beachtet tzOffset für den lokalen Wochentag", () => {
+    // Freitag 23:30 UTC ist in UTC+1 schon Samstag
+    const rule = { freq: "weekly", weekdays: [6], tzOffset: -60 };
+    assert.equal(
+      nextDueAt(rule, {
+        due_at: utc("2024-01-05T23:30"),
+        completed_at: utc("2024-01-05T23:30"),
+      }),
+      utc("2024-01-12T23:30")
+    );
+  });
+
+  it("monthly nimmt in kürzeren Monaten den Monatsletzten", () => {
+    const rule = { freq: "monthly", day: 31 };
+    const completed_at = utc("2024-01-31T10:00");
+    assert.equal(
+      nextDueAt(rule, { due_at: utc("2024-01-31T09:00"), completed_at }),
+      utc("2024-02-29T09:00")
+    );
+    assert.equal(
+      nextDueAt(rule, { due_at: utc("2024-02-29T09:00"), completed_at }),
+      utc("2024-03-31T09:00")
+    );
+  });
+
+  it("after_completion behält die Uhrzeit der bisherigen Fälligkeit", () => {
+    const rule = { freq: "after_completion", days: 3 };
+    assert.equal(
+      nextDueAt(rule, {
+        due_at: utc("2024-01-01T09:00"),
+        completed_at: utc("2024-01-10T18:00"),
+      }),
+      utc("2024-01-13T09:00")
+    );
+    assert.equal(
+      nextDueAt(rule, { due_at: null, completed_at: utc("2024-01-10T18:00") }),
+      utc("2024-01-13T18:00")
+    );
+  });
+});
@@ -0,0 +1,154 @@
+/**
+ * Tests für die deklarative Validierung
+ */
+
+// tests/validation.test.js
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  string,
+  integer,
+  id,
+  oneOf,
+  email,
+  password,
+  array,
+  object,
+  custom,
+  validateSchema,
+} from "../services/validation.js";
+import { validationDetail, localizeDetail } from "../services/errors.js";
+
+/**
+ * Codes der Fehler einer Prüfung
+ * @param {Object} schema - Schema
+ * @param {Object} input - Eingabe
+ * @returns {Array<string>} ["feld:CODE", ...]
+ */
+function errorCodes(schema, input) {
+  return validateSchema(schema, input).errors.map(
+    (error) => `${error.field}:${error.code}`
+  );
+}
+
+describe("validateSchema", () => {
+  it("meldet fehlende Pflichtfelder und null", () => {
+    const schema = { a: string(), b: string(), c: string().optional() };
+    assert.deepEqual(errorCodes(schema, { b: null }), [
+      "a:REQUIRED",
+      "b:NOT_NULLABLE",
+    ]);
+  });
+
+  it("erlaubt optionale und nullable Felder", () => {
+    const schema = { a: string().optional(), b: string().nullable() };
+    assert.deepEqual(validateSchema(schema, { b: null }), {
+      value: { b: null },
+      errors: [],
+    });
+  });
+
+  it("normalisiert Werte und behält Felder ohne Regel", () => {
+    const { value } = validateSchema(
+      { title: string(), page: integer({ coerce: true }) },
+      { title: "  Hallo ", page: "3", extra: true }
+    );
+    assert.deepEqual(value, { title: "Hallo", page: 3, extra: true });
+  });
+
+  it("liefert Meldungen auf Deutsch mit Parametern", () => {
+    const [error] = validateSchema({ t: string({ max: 3 }) }, { t: "abcd" })
+      .errors;
+    assert.deepEqual(error, {
+      field: "t",
+      code: "TOO_LONG",
+      params: { max: 3 },
+      message: "darf höchstens 3 Zeichen lang sein",
+    });
+    assert.equal(
+      localizeDetail(error, "en"),
+      "must be at most 3 characters long"
+    );
+  });
+});
+
+describe("Regeln", () => {
+  it("string prüft Typ, Länge und Format", () => {
+    const schema = { a: string(), b: string({ min: 3 }), c: email() };
+    assert.deepEqual(errorCodes(schema, { a: 1, b: "x", c: "kein@mail" }), [
+      "a:NOT_STRING",
+      "b:TOO_SHORT",
+      "c:INVALID_EMAIL",
+    ]);
+    assert.deepEqual(errorCodes({ a: string() }, { a: "   " }), ["a:EMPTY"]);
+  });
+
+  it("integer und id prüfen Ganzzahl und Grenzen", () => {
+    const schema = {
+      a: integer({ min: 1, max: 5 }),
+      b: integer({ min: 1, max: 5 }),
+      c: integer(),
+      d: id(),
+    };
+    assert.deepEqual(errorCodes(schema, { a: 0, b: 6, c: "7", d: "0" }), [
+      "a:TOO_SMALL",
+      "b:TOO_LARGE",
+      "c:NOT_INTEGER",
+      "d:TOO_SMALL",
+    ]);
+    assert.equal(validateSchema({ d: id() }, { d: "12" }).value.d, 12);
+  });
+
+  it("oneOf vergleicht strikt", () => {
+    const schema = { a: oneOf([0, 1]) };
+    assert.deepEqual(errorCodes(schema, { a: "1" }), ["a:NOT_ONE_OF"]);
+    assert.deepEqual(errorCodes(schema, { a: 1 }), []);
+  });
+
+  it("password verlangt Länge, Buchstabe und Ziffer", () => {
+    const schema = { a: password(), b: password(), c: password() };
+    const input = { a: "kurz1", b: "nurbuchstaben", c: "ü".repeat(40) + "1" };
+    assert.deepEqual(errorCodes(schema, input), [
+      "a:TOO_SHORT",
+      "b:PASSWORD_TOO_WEAK",
+      "c:TOO_MANY_BYTES",
+    ]);
+  });
+
+  it("array prüft Anzahl und Einträge mit Index im Feldnamen", () => {
+    assert.deepEqual(
+      errorCodes({ ids: array(id(), { max: 3 }) }, { ids: [1, "x", 0] }),
+      ["ids[1]:NOT_INTEGER", "ids[2]:TOO_SMALL"]
+    );
+    assert.deepEqual(
+      errorCodes({ ids: array(null, { max: 1 }) }, { ids: [1, 2] }),
+      ["ids:TOO_MANY_ENTRIES"]
+    );
+    assert.deepEqual(
+      errorCodes({ ids: array(null, { min: 1 }) }, { ids: [] }),
+      ["ids:EMPTY"]
+    );
+  });
+
+  it("object prüft Unterfelder mit Präfix", () => {
+    const schema = { user: object({ name: string() }) };
+    assert.deepEqual(errorCodes(schema, { user: {} }), ["user.name:REQUIRED"]);
+    assert.deepEqual(errorCodes(schema, { user: [] }), ["user:NOT_OBJECT"]);
+  });
+
+  it("custom übernimmt eigene Codes und Details eines Services", () => {
+    const schema = {
+      a: custom(() => ({ code: "INVALID_COLOR" })),
+      b: custom(() => ({
+        error: validationDetail("b.inner", "OUT_OF_RANGE", { min: 1, max: 2 }),
+      })),
+      c: custom((value) => ({ value: value * 2 })),
+    };
+    const { value, errors } = validateSchema(schema, { a: 1, b: 1, c: 2 });
+    assert.deepEqual(
+      errors.map((error) => `${error.field}:${error.code}`),
+      ["a:INVALID_COLOR", "b.inner:OUT_OF_RANGE"]
+    );
+    assert.equal(value.c, 4);
+  });
+});
@@ -0,0 +1,62 @@
+/**
+ * Tests für die Prüfung von Webhook-Empfängern
+ */
+
+// tests/webhookService.test.js
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { isPrivateAddress } from "../services/webhookService.js";
+
+describe("isPrivateAddress", () => {
+  it("erkennt private und interne IPv4-Bereiche", () => {
+    for (const address of [
+      "0.0.0.0",
+      "10.1.2.3",
+      "100.64.0.1",
+      "127.0.0.1",
+      "169.254.169.254",
+      "172.16.0.1",
+      "172.31.255.255",
+      "192.0.0.8",
+      "192.168.1.1",
+      "198.18.0.1",
+      "224.0.0.1",
+      "255.255.255.255",
+    ])
+      assert.equal(isPrivateAddress(address), true, address);
+  });
+
+  it("erkennt private und interne IPv6-Bereiche", () => {
+    for (const address of [
+      "::",
+      "::1",
+      "64:ff9b::7f00:1",
+      "fc00::1",
+      "fd12:3456::1",
+      "fe80::1",
+      "ff02::1",
+    ])
+      assert.equal(isPrivateAddress(address), true, address);
+  });
+
+  it("erkennt IPv4-gemappte IPv6-Adressen", () => {
+    assert.equal(isPrivateAddress("::ffff:127.0.0.1"), true);
+    assert.equal(isPrivateAddress("::ffff:10.0.0.1"), true);
+    assert.equal(isPrivateAddress("::ffff:8.8.8.8"), false);
+  });
+
+  it("lässt öffentliche Adressen zu", () => {
+    for (const address of [
+      "8.8.8.8",
+      "172.32.0.1",
+      "192.169.0.1",
+      "2001:4860:4860::8888",
+    ])
+      assert.equal(isPrivateAddress(address), false, address);
+  });
+
+  it("liefert für Hostnamen false (Prüfung erst nach DNS)", () => {
+    assert.equal(isPrivateAddress("localhost"), false);
+    assert.equal(isPrivateAddress("example.com"), false);
+  });
+});